@@ -0,0 +1,341 @@
+/**
+ * Columns of the main TUI table
+ *
+ * Any field in ALL_HEADERS can be a column, plus a few computed ones
+ * (tag_count, relationship_count, and status from the triage store).
+ * `display.view_headers` picks the columns, `display.column_widths` overrides
+ * widths in characters and `display.sort` orders the list. The TUI changes
+ * all three at runtime (o/O sort, C columns) and saves them back to the user
+ * config.
+ *
+ * Columns without a width share whatever room the fixed ones leave.
+ */
+
+import { format } from "date-fns";
+import config, { ALL_HEADERS } from "./config.js";
+import {
+  stripMarkdown,
+  formatTags,
+  formatLocation,
+  formatRelationships,
+  formatFinancialAnalysis,
+} from "./database.js";
+import { triageOf, triageLabel, TRIAGE_STATUSES } from "./triage.js";
+
+export const DEFAULT_COLUMNS = ["created_at", "source", "content"];
+
+// Flexible columns never get narrower than this
+const MIN_FLEX_WIDTH = 20;
+
+const SOURCE_ICONS = {
+  pinboard: "", // nf-fa-bookmark
+  arena: "", // nf-fa-palette
+  github: "", // nf-fa-github
+  mastodon: "", // nf-fa-at
+  news: "", // nf-fa-newspaper
+  article: "", // nf-fa-file_text
+  video: "", // nf-fa-play_circle
+  image: "", // nf-fa-image
+  note: "", // nf-fa-sticky_note
+  bookmark: "", // nf-fa-link
+  repo: "", // nf-fa-code_branch
+  status: "", // nf-fa-comment
+  block: "", // nf-fa-cube
+  tool: "", // nf-fa-wrench
+  reference: "", // nf-fa-book
+  tutorial: "", // nf-fa-graduation_cap
+};
+
+function formatDate(value, pattern) {
+  const date = value ? new Date(value) : null;
+  return date && !isNaN(date.getTime()) ? format(date, pattern) : "";
+}
+
+function timestamp(value) {
+  const time = value ? new Date(value).getTime() : NaN;
+  return isNaN(time) ? null : time;
+}
+
+function count(list) {
+  return Array.isArray(list) ? list.length : 0;
+}
+
+// Source icon + metadata count + shared indicator
+function sourceCell(bookmark) {
+  const type = bookmark.content_type || bookmark.type || bookmark.source || "?";
+  const icon =
+    SOURCE_ICONS[type.toLowerCase()] || SOURCE_ICONS[bookmark.source?.toLowerCase()] || "•";
+
+  const totalMeta = count(bookmark.tags) + count(bookmark.relationships);
+  const metaStr = totalMeta > 0 ? ` ${totalMeta}` : "";
+  const sharedStr = bookmark.shared ? "●" : "";
+  return `${icon}${metaStr}${sharedStr}`;
+}
+
+// Information-dense content: location, then the best text available
+function contentCell(bookmark) {
+  const parts = [];
+
+  // 1. Location first if available (most contextual)
+  const location = bookmark.location;
+  if (location && location !== "Unknown" && location !== "null") {
+    const loc = location.length > 20 ? location.substring(0, 18) + "…" : location;
+    parts.push(`${loc}`);
+  }
+
+  // 2. Main content: prefer meta_summary, fallback intelligently
+  let mainContent = "";
+  if (bookmark.meta_summary && bookmark.meta_summary !== "No summary available") {
+    mainContent = bookmark.meta_summary;
+  } else if (bookmark.title && bookmark.title !== "[no title]") {
+    mainContent = stripMarkdown(bookmark.title);
+  } else if (bookmark.content && bookmark.content.trim()) {
+    // Show content snippet instead of "[no title]"
+    const snippet = stripMarkdown(bookmark.content).trim();
+    mainContent = snippet.length > 80 ? snippet.substring(0, 77) + "…" : snippet;
+  } else if (bookmark.url) {
+    // Extract domain from URL for cleaner display
+    try {
+      const urlObj = new URL(bookmark.url);
+      mainContent = urlObj.hostname.replace(/^www\./, "") + urlObj.pathname.substring(0, 30);
+    } catch {
+      mainContent = bookmark.url.substring(0, 50);
+    }
+  } else {
+    mainContent = "[empty]";
+  }
+
+  // Truncate main content to leave room for location
+  const remainingSpace = parts.length > 0 ? 90 : 120;
+  if (mainContent.length > remainingSpace) {
+    mainContent = mainContent.substring(0, remainingSpace - 1) + "…";
+  }
+
+  if (mainContent) parts.push(mainContent);
+  return parts.join(" · ");
+}
+
+/**
+ * Known columns: header, default width (null = share the free space), cell text
+ * and the value sorted on (defaults to the cell text). `dim` columns are drawn dim.
+ */
+const COLUMNS = {
+  created_at: {
+    header: "DATE",
+    width: 6,
+    dim: true,
+    value: (scrap) => formatDate(scrap.created_at, "MM/dd"),
+    sortValue: (scrap) => timestamp(scrap.created_at),
+  },
+  updated_at: {
+    header: "UPDATED",
+    width: 10,
+    dim: true,
+    value: (scrap) => formatDate(scrap.updated_at, "yyyy-MM-dd"),
+    sortValue: (scrap) => timestamp(scrap.updated_at),
+  },
+  published_at: {
+    header: "PUBLISHED",
+    width: 10,
+    dim: true,
+    value: (scrap) => formatDate(scrap.published_at, "yyyy-MM-dd"),
+    sortValue: (scrap) => timestamp(scrap.published_at),
+  },
+  source: {
+    header: "SRC",
+    width: 5,
+    value: sourceCell,
+    sortValue: (scrap) => (scrap.source || "").toLowerCase(),
+  },
+  content: { header: "CONTENT", width: null, value: contentCell },
+  title: { header: "TITLE", width: null, value: (scrap) => stripMarkdown(scrap.title || "") },
+  summary: {
+    header: "SUMMARY",
+    width: null,
+    value: (scrap) => stripMarkdown(scrap.summary || "").replace(/\s+/g, " "),
+  },
+  url: { header: "URL", width: null, value: (scrap) => scrap.url || "" },
+  content_type: { header: "TYPE", width: 10, value: (scrap) => scrap.content_type || "" },
+  type: { header: "KIND", width: 10, value: (scrap) => scrap.type || "" },
+  tags: { header: "TAGS", width: 24, value: (scrap) => formatTags(scrap.tags) },
+  concept_tags: { header: "CONCEPTS", width: 24, value: (scrap) => formatTags(scrap.concept_tags) },
+  tag_count: {
+    header: "#TAGS",
+    width: 5,
+    value: (scrap) => String(count(scrap.tags)),
+    sortValue: (scrap) => count(scrap.tags),
+  },
+  relationship_count: {
+    header: "#RELS",
+    width: 5,
+    value: (scrap) => String(count(scrap.relationships)),
+    sortValue: (scrap) => count(scrap.relationships),
+  },
+  relationships: {
+    header: "RELATIONSHIPS",
+    width: null,
+    value: (scrap) => formatRelationships(scrap.relationships),
+  },
+  location: { header: "LOCATION", width: 18, value: (scrap) => formatLocation(scrap.location) },
+  latitude: {
+    header: "LAT",
+    width: 8,
+    value: (scrap) => (scrap.latitude ?? "").toString(),
+    sortValue: (scrap) => scrap.latitude ?? null,
+  },
+  longitude: {
+    header: "LON",
+    width: 8,
+    value: (scrap) => (scrap.longitude ?? "").toString(),
+    sortValue: (scrap) => scrap.longitude ?? null,
+  },
+  status: {
+    header: "STATE",
+    width: 10,
+    value: (scrap) => triageLabel(triageOf(scrap)),
+    // Descending is workflow order (unread first), starred first within each state
+    sortValue: (scrap) => {
+      const state = triageOf(scrap);
+      const rank = TRIAGE_STATUSES.length - TRIAGE_STATUSES.indexOf(state.status);
+      return rank * 2 + (state.starred ? 1 : 0);
+    },
+  },
+  shared: {
+    header: "SHR",
+    width: 3,
+    value: (scrap) => (scrap.shared ? "●" : ""),
+    sortValue: (scrap) => (scrap.shared ? 1 : 0),
+  },
+  extraction_confidence: {
+    header: "CONF",
+    width: 5,
+    value: (scrap) => {
+      const score = scrap.extraction_confidence?.summary;
+      return typeof score === "number" ? `${Math.round(score * 100)}%` : "";
+    },
+    sortValue: (scrap) => scrap.extraction_confidence?.summary ?? null,
+  },
+  financial_analysis: {
+    header: "FINANCIAL",
+    width: 24,
+    value: (scrap) => formatFinancialAnalysis(scrap.financial_analysis),
+  },
+  scrap_id: { header: "ID", width: 12, value: (scrap) => String(scrap.scrap_id ?? "") },
+};
+
+/**
+ * Every column the table can show: ALL_HEADERS plus the computed ones
+ * @returns {string[]}
+ */
+export function availableColumns() {
+  return [...new Set([...ALL_HEADERS, ...Object.keys(COLUMNS)])];
+}
+
+/**
+ * Column definition for a key; unknown fields are shown as plain text
+ * @param {string} key
+ * @returns {Object} { key, header, width, dim, value, sortValue }
+ */
+export function getColumn(key) {
+  const known = COLUMNS[key];
+  const column = known || {
+    header: key.toUpperCase(),
+    width: 16,
+    value: (scrap) => {
+      const value = scrap[key];
+      if (value === null || value === undefined) return "";
+      return typeof value === "object" ? JSON.stringify(value) : String(value);
+    },
+  };
+  const overrides = widthOverrides();
+  return {
+    key,
+    dim: false,
+    sortValue: (scrap) => column.value(scrap).toLowerCase(),
+    ...column,
+    // Flexible columns always share the free space
+    width: column.width === null ? null : (overrides[key] ?? column.width),
+  };
+}
+
+/**
+ * `display.column_widths`, or nothing when it's still the old percentage
+ * layout (date/source/content adding up to 100); the config validator reports it
+ */
+function widthOverrides() {
+  const widths = config.display?.column_widths || {};
+  return "date" in widths ? {} : widths;
+}
+
+/**
+ * The table layout from config: columns and sort
+ * @returns {Object} { columns: string[], sort: { field, order } | null }
+ */
+export function tableLayout() {
+  const available = availableColumns();
+  const configured = (config.display?.view_headers || []).filter((key) => available.includes(key));
+  const sort = config.display?.sort;
+  return {
+    columns: configured.length ? configured : [...DEFAULT_COLUMNS],
+    sort: sort?.field ? { field: sort.field, order: sort.order === "asc" ? "asc" : "desc" } : null,
+  };
+}
+
+/**
+ * Character widths for a set of columns
+ * Fixed columns keep their width; the rest share what's left of totalWidth.
+ * @param {string[]} keys
+ * @param {number} totalWidth - Room for the whole row
+ * @param {number} [spacing] - Gap the table leaves between columns
+ * @returns {number[]}
+ */
+export function columnWidths(keys, totalWidth, spacing = 0) {
+  const columns = keys.map(getColumn);
+  const fixed = columns.reduce((sum, column) => sum + (column.width || 0), 0);
+  const gaps = spacing * Math.max(0, columns.length - 1);
+  const flexCount = columns.filter((column) => !column.width).length;
+  const flex = Math.max(MIN_FLEX_WIDTH, Math.floor((totalWidth - fixed - gaps) / (flexCount || 1)));
+  return columns.map((column) => column.width || flex);
+}
+
+/**
+ * Sort scraps in place by a column; empty values go last either way
+ * @param {Object[]} scraps
+ * @param {Object} sort - { field, order }
+ * @returns {Object[]} The same array
+ */
+export function sortScraps(scraps, { field, order }) {
+  const { sortValue } = getColumn(field);
+  const direction = order === "asc" ? 1 : -1;
+  const keyed = scraps.map((scrap, index) => ({ scrap, index, value: sortValue(scrap) }));
+
+  keyed.sort((a, b) => {
+    const aEmpty = a.value === null || a.value === "";
+    const bEmpty = b.value === null || b.value === "";
+    if (aEmpty || bEmpty) return aEmpty === bEmpty ? a.index - b.index : aEmpty ? 1 : -1;
+    if (a.value < b.value) return -direction;
+    if (a.value > b.value) return direction;
+    return a.index - b.index;
+  });
+
+  keyed.forEach(({ scrap }, i) => (scraps[i] = scrap));
+  return scraps;
+}
+
+/**
+ * Headers and cell text for the table
+ * @param {Object[]} bookmarks
+ * @param {string[]} [keys] - Column keys (default: date, source, content)
+ * @param {Object} [sort] - { field, order }, marked with an arrow in its header
+ * @returns {Object} { headers, data }
+ */
+export function formatTableData(bookmarks, keys = DEFAULT_COLUMNS, sort = null) {
+  const columns = keys.map(getColumn);
+  return {
+    headers: columns.map(({ key, header }) => {
+      if (sort?.field !== key) return header;
+      return `${header} ${sort.order === "asc" ? "▲" : "▼"}`;
+    }),
+    data: bookmarks.map((bookmark) => columns.map((column) => column.value(bookmark))),
+  };
+}
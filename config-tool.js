@@ -146,10 +146,9 @@ program
 #       - "#FF00FF"
 
 # display:
+#   view_headers: [created_at, source, tag_count, content]
 #   column_widths:
-#     date: 20
-#     source: 15
-#     content: 65
+#     tag_count: 5
 `;
       fs.writeFileSync(configPath, template);
       console.log(chalk.green(`Created: ${configPath}`));
@@ -5,6 +5,7 @@ import {
   watchConfig,
   listThemes,
   getConfigInfo,
+  updateUserConfig,
   SCRAP_TYPE_SYMBOLS,
   COLOR_PALETTE,
   VIEW_HEADERS,
@@ -16,6 +17,7 @@ export {
   watchConfig,
   listThemes,
   getConfigInfo,
+  updateUserConfig,
   SCRAP_TYPE_SYMBOLS,
   COLOR_PALETTE,
   VIEW_HEADERS,
@@ -1,4 +1,5 @@
 import yaml from "js-yaml";
+import { parseDocument, isMap, isScalar, isSeq } from "yaml";
 import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
@@ -23,7 +24,8 @@ function deepMerge(target, source) {
   if (isObject(target) && isObject(source)) {
     Object.keys(source).forEach((key) => {
       if (isObject(source[key])) {
-        if (!(key in target)) {
+        // Objects replace anything that isn't one (e.g. a view given as a plain query)
+        if (!isObject(target[key])) {
           Object.assign(output, { [key]: source[key] });
         } else {
           output[key] = deepMerge(target[key], source[key]);
@@ -266,7 +268,7 @@ function getDefaultConfig() {
       },
     },
     display: {
-      view_headers: ["created_at", "source", "content", "tags", "summary"],
+      view_headers: ["created_at", "source", "content"],
       all_headers: [
         "scrap_id",
         "created_at",
@@ -359,6 +361,53 @@ export function getConfigInfo() {
   };
 }
 
+/**
+ * Set nested values on a YAML document, one key at a time
+ * Maps already in the file are descended into and unchanged values left alone; anything
+ * else is replaced, keeping a list's flow ([a, b]) or block style and a string's quotes.
+ */
+function setDocumentValues(doc, keys, values) {
+  Object.entries(values).forEach(([key, value]) => {
+    const keyPath = [...keys, key];
+    const existing = doc.getIn(keyPath, true);
+    if (isObject(value) && isMap(existing)) {
+      setDocumentValues(doc, keyPath, value);
+      return;
+    }
+    if (isScalar(existing) && existing.value === value) return;
+
+    const node = doc.createNode(value);
+    if (isSeq(existing) && isSeq(node)) node.flow = existing.flow;
+    if (isScalar(existing) && isScalar(node)) node.type = existing.type;
+    doc.setIn(keyPath, node);
+  });
+}
+
+/**
+ * Merge settings into the user config (~/.scrapbook/config.yaml), keeping the rest of the file
+ * Only the given keys are rewritten; comments, key order and formatting elsewhere are kept.
+ * Arrays are replaced, not merged. Takes effect in memory on the next loadConfig.
+ * @param {Object} values - Nested settings, e.g. { display: { view_headers: [...] } }
+ * @returns {string} Path of the file written
+ * @throws {Error} If the existing file isn't valid YAML
+ */
+export function updateUserConfig(values) {
+  const userConfigPath = path.join(os.homedir(), ".scrapbook", "config.yaml");
+  const text = fs.existsSync(userConfigPath) ? fs.readFileSync(userConfigPath, "utf8") : "";
+
+  const doc = parseDocument(text);
+  if (doc.errors.length) {
+    throw new Error(`Could not parse ${userConfigPath}: ${doc.errors[0].message}`);
+  }
+  // An empty file (or one holding only comments) has no map to add keys to
+  if (!isMap(doc.contents)) doc.contents = doc.createNode({});
+  setDocumentValues(doc, [], values);
+
+  fs.mkdirSync(path.dirname(userConfigPath), { recursive: true });
+  fs.writeFileSync(userConfigPath, doc.toString({ indent: 2, lineWidth: 0 }));
+  return userConfigPath;
+}
+
 /**
  * Export specific config sections for backward compatibility
  */
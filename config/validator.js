@@ -1,5 +1,30 @@
 import Joi from "joi";
 
+// A list order: a column and a direction (display.sort, views)
+const sortSchema = Joi.object({
+  field: Joi.string().required(),
+  order: Joi.string().valid("asc", "desc"),
+}).allow(null);
+
+// Columns that share the free space in the TUI table (width null in columns.js)
+const FLEX_COLUMNS = ["content", "title", "summary", "url", "relationships"];
+
+// Characters per column key; columns left out keep their default width
+const columnWidthsSchema = Joi.object()
+  .pattern(Joi.string(), Joi.number().integer().min(1).max(200))
+  .custom((widths, helpers) => {
+    if ("date" in widths) {
+      return helpers.message(
+        "is in the old percentage format (date/source/content) and is ignored - widths are now characters per column key, e.g. created_at: 6"
+      );
+    }
+    const flex = Object.keys(widths).filter((key) => FLEX_COLUMNS.includes(key));
+    if (flex.length) {
+      return helpers.message(`${flex.join(", ")} share the free space, so their width is ignored`);
+    }
+    return widths;
+  });
+
 /**
  * Configuration schema for validation
  */
@@ -41,16 +66,8 @@ const configSchema = Joi.object({
     view_headers: Joi.array().items(Joi.string()),
     all_headers: Joi.array().items(Joi.string()),
     hidden_headers: Joi.array().items(Joi.string()),
-    column_widths: Joi.object({
-      date: Joi.number().min(5).max(50),
-      source: Joi.number().min(5).max(50),
-      content: Joi.number().min(20).max(90),
-    }),
-    min_column_widths: Joi.object({
-      date: Joi.number().min(5),
-      source: Joi.number().min(5),
-      content: Joi.number().min(10),
-    }),
+    column_widths: columnWidthsSchema,
+    sort: sortSchema,
   }),
 
   // Animation settings
@@ -89,8 +106,25 @@ const configSchema = Joi.object({
     fields: Joi.array().items(Joi.string()),
     type: Joi.string().valid("websearch", "plain", "regex"),
     config: Joi.string(),
+    tui: Joi.string().valid("builtin", "fzf"),
   }),
 
+  // Saved views (`view <name>`, TUI tabs): a query, or a query with its own sort and columns
+  views: Joi.object()
+    .pattern(
+      Joi.string(),
+      Joi.alternatives().try(
+        Joi.string().allow(""),
+        Joi.object({
+          label: Joi.string(),
+          query: Joi.string().allow(""),
+          sort: sortSchema,
+          columns: Joi.array().items(Joi.string()).min(1),
+        })
+      )
+    )
+    .allow(null),
+
   // Layout configuration
   layout: Joi.object({
     grid: Joi.object({
@@ -125,6 +159,10 @@ const configSchema = Joi.object({
 
   // Database configuration
   database: Joi.object({
+    backend: Joi.string().valid("supabase", "file"),
+    local: Joi.object({
+      path: Joi.string(),
+    }),
     supabase_url: Joi.string().uri().allow(null),
     supabase_key: Joi.string().allow(null),
     table: Joi.string(),
@@ -137,6 +175,52 @@ const configSchema = Joi.object({
     search_config: Joi.string(),
   }),
 
+  // Offline cache
+  cache: Joi.object({
+    enabled: Joi.boolean(),
+    path: Joi.string(),
+    max_age: Joi.number().min(0),
+    select: Joi.string(),
+  }),
+
+  // Semantic search
+  semantic: Joi.object({
+    mode: Joi.string().valid("local", "rpc"),
+    embedder: Joi.string().valid("hash", "ollama"),
+    dimensions: Joi.number().integer().min(16).max(4096),
+    limit: Joi.number().integer().min(1),
+    column: Joi.string(),
+    rpc: Joi.object({
+      function: Joi.string(),
+      threshold: Joi.number().min(-1).max(1),
+    }),
+    ollama: Joi.object({
+      url: Joi.string().uri(),
+      model: Joi.string(),
+    }),
+  }),
+
+  // Geocoding
+  geocode: Joi.object({
+    geocoder: Joi.string().valid("gazetteer", "nominatim"),
+    min_confidence: Joi.number().min(0).max(1),
+    places: Joi.string(),
+    nominatim: Joi.object({
+      url: Joi.string().uri(),
+      email: Joi.string().allow(""),
+    }),
+  }),
+
+  // Entity registry
+  entities: Joi.object({
+    registry: Joi.string(),
+  }),
+
+  // Reading-list triage store
+  triage: Joi.object({
+    path: Joi.string(),
+  }),
+
   // URL templates
   urls: Joi.object({
     public_base: Joi.string().uri(),
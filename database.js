@@ -1,40 +1,104 @@
-import { createClient } from "@supabase/supabase-js";
-import dotenv from "dotenv";
 import { format } from "date-fns";
 import * as d3 from "d3";
 import config, { COLOR_PALETTE } from "./config.js";
+import { getStorage } from "./storage/index.js";
+import {
+  applyToCache,
+  applyRowsToCache,
+  isCacheEnabled,
+  isCacheFresh,
+  openCache,
+  readSyncState,
+  syncCache,
+} from "./storage/cache.js";
+import { parseQuery, compileQuery, filterByQuery } from "./query.js";
+import { createResolver, nodeName } from "./entity-registry.js";
+import { createEntityIndex, groupEntities, matchEntityKeys } from "./entity-index.js";
+
+// Only fetch fields we actually use - exclude heavy embedding fields
+const DEFAULT_SELECT =
+  "scrap_id,id,created_at,updated_at,source,type,content,url,title,tags,concept_tags,summary,relationships,location,latitude,longitude,metadata,content_type,published_at,financial_analysis,extraction_confidence,screenshot_url,shared";
+
+// Columns that are never shown or written back (huge vectors, worker bookkeeping)
+const HIDDEN_FIELDS = [
+  "embedding",
+  "embedding_nomic",
+  "image_embedding",
+  "processing_instance_id",
+  "processing_started_at",
+];
+
+// Where the most recent loadBookmarks() call got its data from
+let lastLoadInfo = { source: null };
+
+// Entity index over every scrap's relationships, built once per process (see loadEntityIndex)
+let entityIndex = null;
 
-dotenv.config();
-
-// Get Supabase config with environment variable fallback for security
-const supabaseUrl = config.database?.supabase_url || process.env.SUPABASE_URL;
-const supabaseKey = config.database?.supabase_key || process.env.SUPABASE_KEY;
+/**
+ * Describe where the last loadBookmarks() data came from
+ * @returns {Object} { source: "cache"|"supabase"|"file", synced_at, sync, offline, error }
+ */
+export function getLastLoadInfo() {
+  return lastLoadInfo;
+}
 
-if (!supabaseUrl || !supabaseKey) {
-  console.error(
-    "Missing Supabase configuration. Set SUPABASE_URL and SUPABASE_KEY in environment or config."
-  );
+/**
+ * Pull remote changes into the offline cache
+ * @param {Object} options - { full, since } (see storage/cache.js syncCache)
+ */
+export async function syncBookmarks(options = {}) {
+  const selectFields = config.cache?.select || DEFAULT_SELECT;
+  entityIndex = null;
+  return syncCache(getStorage(), { select: selectFields, ...options });
 }
 
-const supabase = createClient(supabaseUrl, supabaseKey);
+/**
+ * Run a read against the fresh cache if there is one, otherwise against the
+ * backend - falling back to a stale cache when the backend is unreachable
+ */
+async function readThroughCache(read) {
+  const cache = isCacheEnabled() ? openCache() : null;
+  if (cache && isCacheFresh()) return read(cache);
 
-export async function loadBookmarks() {
+  try {
+    return await read(getStorage());
+  } catch (error) {
+    if (cache) return read(cache);
+    throw error;
+  }
+}
+
+export async function loadBookmarks({ refresh = false } = {}) {
   const tableName = config.database?.table || "scraps";
   const orderBy = config.database?.order_by || "created_at";
   const orderDirection = config.database?.order_direction || "desc";
   const limit = config.database?.default_limit || 500;
+  const selectFields = config.database?.default_select || DEFAULT_SELECT;
+  const listOptions = { orderBy, ascending: orderDirection === "asc", limit };
 
-  // Only fetch fields we actually use - exclude heavy embedding fields
-  const selectFields = config.database?.default_select ||
-    "scrap_id,id,created_at,updated_at,source,type,content,url,title,tags,concept_tags,summary,relationships,location,latitude,longitude,metadata,content_type,published_at,financial_analysis,extraction_confidence,screenshot_url,shared";
-
-  const { data, error } = await supabase
-    .from(tableName)
-    .select(selectFields)
-    .order(orderBy, { ascending: orderDirection === "asc" })
-    .limit(limit);
+  let data;
+  try {
+    if (isCacheEnabled()) {
+      const syncState = readSyncState();
+      lastLoadInfo = { source: "cache", synced_at: syncState?.synced_at };
+
+      if (refresh || !isCacheFresh(syncState)) {
+        try {
+          const sync = await syncBookmarks();
+          lastLoadInfo = { source: getStorage().name, synced_at: sync.synced_at, sync };
+        } catch (error) {
+          // Offline: serve whatever we have cached
+          if (!syncState) throw error;
+          lastLoadInfo = { ...lastLoadInfo, offline: true, error: error.message };
+        }
+      }
 
-  if (error) {
+      data = await openCache().list(listOptions);
+    } else {
+      data = await getStorage().list({ ...listOptions, select: selectFields });
+      lastLoadInfo = { source: getStorage().name };
+    }
+  } catch (error) {
     console.error(`Error loading bookmarks from ${tableName}:`, error.message);
     throw new Error(`Failed to load bookmarks: ${error.message}`);
   }
@@ -49,148 +113,47 @@ export function createColorScale(_bookmarks) {
   return d3.scaleOrdinal(COLOR_PALETTE);
 }
 
-export function formatTableData(bookmarks) {
-  return {
-    headers: ["DATE", "SRC", "CONTENT"],
-    data: bookmarks.map((bookmark) => {
-      const row = ["date", "src", "content"].map((header) => {
-        if (header === "date") {
-          // Just show MM/dd, more compact
-          return format(new Date(bookmark.created_at), "MM/dd");
-        } else if (header === "src") {
-          // Source icon + metadata count
-          const indicators = {
-            pinboard: "", // nf-fa-bookmark
-            arena: "", // nf-fa-palette
-            github: "", // nf-fa-github
-            mastodon: "", // nf-fa-at
-            news: "", // nf-fa-newspaper
-            article: "", // nf-fa-file_text
-            video: "", // nf-fa-play_circle
-            image: "", // nf-fa-image
-            note: "", // nf-fa-sticky_note
-            bookmark: "", // nf-fa-link
-            repo: "", // nf-fa-code_branch
-            status: "", // nf-fa-comment
-            block: "", // nf-fa-cube
-            tool: "", // nf-fa-wrench
-            reference: "", // nf-fa-book
-            tutorial: "", // nf-fa-graduation_cap
-          };
-
-          const type = bookmark.content_type || bookmark.type || bookmark.source || "?";
-          const icon = indicators[type.toLowerCase()] || indicators[bookmark.source?.toLowerCase()] || "•";
-
-          // Count total metadata + indicators
-          const tagCount = bookmark.tags?.length || 0;
-          const relCount = bookmark.relationships?.length || 0;
-          const totalMeta = tagCount + relCount;
-
-          // Show metadata count and shared indicator
-          const metaStr = totalMeta > 0 ? ` ${totalMeta}` : "";
-          const sharedStr = bookmark.shared ? "●" : "";
-          return `${icon}${metaStr}${sharedStr}`;
-        } else if (header === "content") {
-          // Build information-dense content string
-          const parts = [];
-
-          // 1. Location first if available (most contextual)
-          // Location is now a plain string (legacy JSON format was migrated)
-          const location = bookmark.location;
-
-          if (location && location !== "Unknown" && location !== "null") {
-            const loc = location.length > 20
-              ? location.substring(0, 18) + "…"
-              : location;
-            parts.push(`${loc}`);
-          }
-
-          // 2. Main content: prefer meta_summary, fallback intelligently
-          let mainContent = "";
-          if (bookmark.meta_summary && bookmark.meta_summary !== "No summary available") {
-            mainContent = bookmark.meta_summary;
-          } else if (bookmark.title && bookmark.title !== "[no title]") {
-            mainContent = stripMarkdown(bookmark.title);
-          } else if (bookmark.content && bookmark.content.trim()) {
-            // Show content snippet instead of "[no title]"
-            const snippet = stripMarkdown(bookmark.content).trim();
-            mainContent = snippet.length > 80 ? snippet.substring(0, 77) + "…" : snippet;
-          } else if (bookmark.url) {
-            // Extract domain from URL for cleaner display
-            try {
-              const urlObj = new URL(bookmark.url);
-              mainContent = urlObj.hostname.replace(/^www\./, '') + urlObj.pathname.substring(0, 30);
-            } catch {
-              mainContent = bookmark.url.substring(0, 50);
-            }
-          } else {
-            mainContent = "[empty]";
-          }
-
-          // Truncate main content to leave room for location
-          const remainingSpace = parts.length > 0 ? 90 : 120;
-          if (mainContent.length > remainingSpace) {
-            mainContent = mainContent.substring(0, remainingSpace - 1) + "…";
-          }
-
-          if (mainContent) {
-            parts.push(mainContent);
-          }
-
-          // Join with separator
-          return parts.join(" · ");
-        } else {
-          return bookmark[header] || "";
-        }
-      });
-
-      return row;
-    }),
-  };
-}
-
 export async function reloadBookmarks(updateDisplay) {
-  const bookmarks = await loadBookmarks();
+  const bookmarks = await loadBookmarks({ refresh: true });
   if (updateDisplay) {
     updateDisplay(bookmarks);
   }
   return bookmarks;
 }
 
-export async function searchBookmarks(query) {
-  const tableName = config.database?.table || "scraps";
+/**
+ * Search scraps with the query language (see query.js)
+ * Terms the backend understands are pushed down; the rest are evaluated locally.
+ * @param {string|Object} query - Query string or parseQuery() result
+ * @param {Object} [options]
+ * @param {boolean} [options.rank=true] - Order by relevance instead of date
+ * @param {number} [options.limit] - Maximum results
+ */
+export async function searchBookmarks(query, { rank = true, limit } = {}) {
   const orderBy = config.database?.order_by || "created_at";
   const orderDirection = config.database?.order_direction || "desc";
 
   // Use the same optimized field selection as loadBookmarks
-  const selectFields = config.database?.default_select ||
-    "scrap_id,id,created_at,updated_at,source,type,content,url,title,tags,concept_tags,summary,relationships,location,latitude,longitude,metadata,content_type,published_at,financial_analysis,extraction_confidence,screenshot_url,shared";
-
-  // Build case-insensitive pattern search across text columns only
-  // Exclude JSONB columns like tags which need special handling
-  const searchPattern = `%${query}%`;
-
-  // Build OR conditions - use ILIKE for text fields only
-  // Only search in text/varchar columns (not enum/jsonb)
-  const orConditions = [
-    `content.ilike.${searchPattern}`,
-    `summary.ilike.${searchPattern}`,
-    `title.ilike.${searchPattern}`,
-  ].join(',');
-
-  let queryBuilder = supabase
-    .from(tableName)
-    .select(selectFields)
-    .or(orConditions);
-
-  const { data, error } = await queryBuilder
-    .order(orderBy, { ascending: orderDirection === "asc" });
-
-  if (error) {
+  const selectFields = config.database?.default_select || DEFAULT_SELECT;
+
+  const parsed = typeof query === "string" ? parseQuery(query) : query;
+
+  let data;
+  try {
+    data = await readThroughCache((storage) =>
+      storage.query({
+        filters: compileQuery(parsed),
+        select: selectFields,
+        orderBy,
+        ascending: orderDirection === "asc",
+      })
+    );
+  } catch (error) {
     throw new Error(`Error searching bookmarks: ${error.message}`);
   }
 
-  return data.map((bookmark) => ({
+  const results = filterByQuery(data, parsed, { rank });
+  return (limit ? results.slice(0, limit) : results).map((bookmark) => ({
     ...bookmark,
     public_url: `https://ejfox.com/scrapbook/${bookmark.scrap_id || bookmark.id}`,
   }));
@@ -215,12 +178,20 @@ export function formatLocation(location) {
 
   // Location is now a simple string like "New York, USA" or "Unknown"
   if (typeof location === "string") {
+    // Legacy rows may hold the old JSON format as text
+    if (location.trim().startsWith("{")) {
+      try {
+        return formatLocation(JSON.parse(location));
+      } catch {
+        return location;
+      }
+    }
     return location;
   }
 
   // Legacy support: handle old JSON format if encountered
   if (typeof location === "object") {
-    const main = location.location || location.city || "";
+    const main = location.location || location.name || location.city || "";
     const country = location.country || "";
     return country ? `${main}, ${country}` : main;
   }
@@ -284,6 +255,25 @@ export function formatSummary(summary) {
   return cleaned.length > 100 ? cleaned.substring(0, 100) + "..." : cleaned;
 }
 
+function formatChangeValue(value) {
+  if (value === null || value === undefined) return "∅";
+  if (typeof value === "string") {
+    const oneLine = value.replace(/\n/g, " ");
+    return JSON.stringify(oneLine.length > 60 ? oneLine.substring(0, 59) + "…" : oneLine);
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Describe field-by-field changes to a scrap, one line per field
+ * e.g. `title: "Old" → "New"`
+ */
+export function formatChanges(before, patch) {
+  return Object.entries(patch).map(
+    ([field, value]) => `${field}: ${formatChangeValue(before?.[field])} → ${formatChangeValue(value)}`
+  );
+}
+
 /**
  * Format a bookmark for fzf display
  * Returns: { index, displayLine } or just displayLine if no index provided
@@ -456,39 +446,53 @@ export function generateMetaSummary(scrap) {
 }
 
 /**
- * Query scraps by entity name (with fuzzy matching)
- * Finds all scraps where entity appears in relationships
+ * Load (or reuse) the entity index - see entity-index.js
+ * Only scrap_id and relationships are fetched; writes drop the index.
  */
-export async function queryByEntity(entityName, options = {}) {
-  const tableName = config.database?.table || "scraps";
-  const selectFields = config.database?.default_select ||
-    "scrap_id,id,created_at,updated_at,source,type,content,url,title,tags,concept_tags,summary,relationships,location,latitude,longitude,metadata,content_type,published_at,financial_analysis,extraction_confidence,screenshot_url,shared";
-
-  try {
-    const { data, error } = await supabase
-      .from(tableName)
-      .select(selectFields)
-      .not('relationships', 'is', null);
-
-    if (error) throw error;
-
-    // Filter scraps that mention the entity (fuzzy matching)
-    const normalizedQuery = entityName.toLowerCase().trim();
-
-    const matchingScraps = data.filter(scrap => {
-      if (!scrap.relationships || !Array.isArray(scrap.relationships)) return false;
+async function loadEntityIndex() {
+  if (!entityIndex) {
+    const rows = await readThroughCache((storage) =>
+      storage.listWithRelationships({ select: "scrap_id,relationships" })
+    );
+    entityIndex = createEntityIndex(rows);
+  }
+  return entityIndex;
+}
 
-      return scrap.relationships.some(rel => {
-        const source = String(rel.source || '').toLowerCase().trim();
-        const target = String(rel.target || '').toLowerCase().trim();
+/**
+ * Fetch full rows for scrap_ids, in the order given
+ * @param {Iterable<string>} scrapIds
+ * @returns {Promise<Object[]>}
+ */
+async function fetchScrapsById(scrapIds) {
+  const ids = [...scrapIds];
+  if (!ids.length) return [];
+
+  const selectFields = config.database?.default_select || DEFAULT_SELECT;
+  const rows = await readThroughCache((storage) => storage.getMany(ids, { select: selectFields }));
+  const byId = new Map(rows.map((row) => [row.scrap_id, row]));
+  return ids.map((id) => byId.get(id)).filter(Boolean);
+}
 
-        // Skip empty entities
-        if (!source || !target) return false;
+/**
+ * Query scraps by entity name
+ * Names are resolved through the entity registry (entity-registry.js), so
+ * aliases match their canonical entity and "AI" no longer matches "OpenAI".
+ * When nothing matches exactly, falls back to entities containing the query
+ * as a whole word ("Musk" -> "Elon Musk").
+ */
+export async function queryByEntity(entityName, options = {}) {
+  try {
+    const index = await loadEntityIndex();
+    const resolver = options.resolver || createResolver();
+    const groups = groupEntities(index, resolver);
+    const seedKeys = matchEntityKeys(groups, entityName, resolver);
+    const matches = (name) => Boolean(name) && seedKeys.has(resolver.key(name));
+    const canonicalQuery = resolver.canonical(entityName);
 
-        // Match if entity contains query (one-directional for accuracy)
-        return source.includes(normalizedQuery) || target.includes(normalizedQuery);
-      });
-    });
+    const matchingIds = new Set();
+    seedKeys.forEach(key => groups.get(key).scrapIds.forEach(id => matchingIds.add(id)));
+    const matchingScraps = await fetchScrapsById(matchingIds);
 
     // Build entity graph - who's connected to this entity
     const entityGraph = {};
@@ -496,27 +500,27 @@ export async function queryByEntity(entityName, options = {}) {
 
     matchingScraps.forEach(scrap => {
       scrap.relationships.forEach(rel => {
-        const source = String(rel.source || '').toLowerCase();
-        const target = String(rel.target || '').toLowerCase();
-        const isSource = source.includes(normalizedQuery) || normalizedQuery.includes(source);
-        const isTarget = target.includes(normalizedQuery) || normalizedQuery.includes(target);
+        const isSource = matches(nodeName(rel?.source));
+        const isTarget = matches(nodeName(rel?.target));
 
-        if (isSource || isTarget) {
-          const connectedEntity = isSource ? rel.target : rel.source;
+        // Only one side may be the query - a self-reference isn't a connection
+        if (isSource !== isTarget) {
+          const connectedEntity = resolver.canonical(isSource ? rel.target : rel.source);
 
           // Skip if connected entity is null/undefined/empty
-          if (!connectedEntity || String(connectedEntity).trim() === '') {
+          if (!connectedEntity) {
             return;
           }
 
-          const relationship = rel.relationship || 'RELATED_TO';
+          const relationship = rel.relationship || rel.type || 'RELATED_TO';
           const direction = isSource ? 'outgoing' : 'incoming';
 
-          const key = `${connectedEntity}:${relationship}:${direction}`;
+          const key = `${connectedEntity.toLowerCase()}:${relationship}:${direction}`;
 
           if (!entityGraph[key]) {
             entityGraph[key] = {
               entity: connectedEntity,
+              type: resolver.type(connectedEntity),
               relationship: relationship,
               direction: direction,
               count: 0,
@@ -540,12 +544,13 @@ export async function queryByEntity(entityName, options = {}) {
 
     return {
       query: entityName,
+      entity: canonicalQuery,
       total_scraps: matchingScraps.length,
       scraps: Array.from(connectedScraps.values()),
       connections: connections,
       graph: {
         nodes: [
-          { id: entityName, type: 'query', count: matchingScraps.length },
+          { id: canonicalQuery, type: 'query', count: matchingScraps.length },
           ...connections.map(c => ({
             id: c.entity,
             type: 'connected',
@@ -553,8 +558,8 @@ export async function queryByEntity(entityName, options = {}) {
           }))
         ],
         edges: connections.map(c => ({
-          source: c.direction === 'outgoing' ? entityName : c.entity,
-          target: c.direction === 'outgoing' ? c.entity : entityName,
+          source: c.direction === 'outgoing' ? canonicalQuery : c.entity,
+          target: c.direction === 'outgoing' ? c.entity : canonicalQuery,
           relationship: c.relationship,
           count: c.count
         }))
@@ -569,43 +574,43 @@ export async function queryByEntity(entityName, options = {}) {
 
 /**
  * Query scraps by entity name with depth-based traversal
- * Explores N hops away from the initial entity through relationship chains
+ * Explores N hops away from the initial entity through relationship chains.
+ * Entities are identified by their resolved registry key.
  */
 export async function queryByEntityWithDepth(entityName, depth = 1, maxScraps = 5000) {
-  const tableName = config.database?.table || "scraps";
-  const selectFields = config.database?.default_select ||
-    "scrap_id,id,created_at,updated_at,source,type,content,url,title,tags,concept_tags,summary,relationships,location,latitude,longitude,metadata,content_type,published_at,financial_analysis,extraction_confidence,screenshot_url,shared";
-
   try {
-    const { data, error } = await supabase
-      .from(tableName)
-      .select(selectFields)
-      .not('relationships', 'is', null);
-
-    if (error) throw error;
-
-    // Helper: Extract entity name from relationship node (handle string or object)
-    const getEntityName = (node) => {
-      if (typeof node === 'string') return node.toLowerCase().trim();
-      if (node && node.name) return String(node.name).toLowerCase().trim();
-      return '';
-    };
-
     // Depth 1: Use original function
     if (depth <= 1) {
       return queryByEntity(entityName);
     }
 
+    const index = await loadEntityIndex();
+    const resolver = createResolver();
+    const groups = groupEntities(index, resolver);
+    const displayNames = new Map([...groups].map(([key, group]) => [key, group.name]));
+
+    // Resolved keys for a scrap's relationships, computed on first visit
+    const resolvedById = new Map();
+    const resolvedRels = (scrapId) => {
+      if (!resolvedById.has(scrapId)) {
+        resolvedById.set(scrapId, index.relationships.get(scrapId).map(rel => ({
+          source: resolver.key(rel.source),
+          target: resolver.key(rel.target),
+          type: rel.type,
+        })));
+      }
+      return resolvedById.get(scrapId);
+    };
+
     // Multi-depth traversal with safeguards
-    const normalizedQuery = entityName.toLowerCase().trim();
+    const queryKey = resolver.key(entityName);
+    const seedKeys = matchEntityKeys(groups, entityName, resolver);
     const entityDepthMap = new Map(); // entity -> depth level
     const allRelationships = new Map(); // entity -> array of relationship objects
-    const allScraps = new Map(); // scrap_id -> scrap object
-    const relatedEntities = new Set(); // Track all entities found
-    const MAX_ENTITIES_PER_DEPTH = 500; // Prevent explosion of entities
+    const allScraps = new Set(); // scrap_ids reached
 
-    // Initialize with query entity
-    entityDepthMap.set(normalizedQuery, 0);
+    // Initialize with the query entity (or its whole-word matches)
+    seedKeys.forEach(key => entityDepthMap.set(key, 0));
 
     // BFS traversal through depths with safeguards
     for (let currentDepth = 1; currentDepth <= depth; currentDepth++) {
@@ -629,129 +634,82 @@ export async function queryByEntityWithDepth(entityName, depth = 1, maxScraps =
           break;
         }
 
-        // Find all scraps mentioning this entity
-        const mentioningScraps = data.filter(scrap => {
-          if (!scrap.relationships || !Array.isArray(scrap.relationships)) return false;
+        groups.get(searchEntity).scrapIds.forEach(scrapId => {
+          allScraps.add(scrapId);
 
-          return scrap.relationships.some(rel => {
-            const source = getEntityName(rel.source);
-            const target = getEntityName(rel.target);
-            return source.includes(searchEntity) || target.includes(searchEntity);
-          });
-        });
+          resolvedRels(scrapId).forEach(rel => {
+            const to = rel.source === searchEntity ? rel.target
+              : rel.target === searchEntity ? rel.source
+              : null;
+            if (!to || to === searchEntity) return;
+
+            if (!entityDepthMap.has(to)) {
+              entityDepthMap.set(to, currentDepth);
+            }
 
-        // Extract connected entities from these scraps
-        mentioningScraps.forEach(scrap => {
-          allScraps.set(scrap.scrap_id, scrap);
-
-          if (scrap.relationships && Array.isArray(scrap.relationships)) {
-            scrap.relationships.forEach(rel => {
-              const source = getEntityName(rel.source);
-              const target = getEntityName(rel.target);
-
-              if (!source || !target) return;
-
-              // If source matches current entity, target is connected
-              if (source.includes(searchEntity)) {
-                if (!entityDepthMap.has(target) && !target.includes(searchEntity)) {
-                  entityDepthMap.set(target, currentDepth);
-                }
-                relatedEntities.add(target);
-
-                // Track this relationship
-                if (!allRelationships.has(target)) {
-                  allRelationships.set(target, []);
-                }
-                allRelationships.get(target).push({
-                  from: searchEntity,
-                  type: rel.type || rel.relationship || 'RELATED_TO',
-                  count: 1
-                });
-              }
-
-              // If target matches current entity, source is connected
-              if (target.includes(searchEntity)) {
-                if (!entityDepthMap.has(source) && !source.includes(searchEntity)) {
-                  entityDepthMap.set(source, currentDepth);
-                }
-                relatedEntities.add(source);
-
-                // Track this relationship
-                if (!allRelationships.has(source)) {
-                  allRelationships.set(source, []);
-                }
-                allRelationships.get(source).push({
-                  from: searchEntity,
-                  type: rel.type || rel.relationship || 'RELATED_TO',
-                  count: 1
-                });
-              }
+            // Track this relationship
+            if (!allRelationships.has(to)) {
+              allRelationships.set(to, []);
+            }
+            allRelationships.get(to).push({
+              from: displayNames.get(searchEntity) || searchEntity,
+              type: rel.type,
+              count: 1
             });
-          }
+          });
         });
       }
     }
 
+    // Mentions per entity
+    const mentionCounts = new Map([...groups].map(([key, group]) => [key, group.scrapIds.size]));
+
     // Build entities array with depth info
     const entities = Array.from(entityDepthMap.entries())
-      .filter(([entity]) => entity !== normalizedQuery)
-      .map(([entity, entityDepth]) => {
-        const relationships = allRelationships.get(entity) || [];
-        const scrapsForEntity = data.filter(scrap => {
-          return scrap.relationships?.some(rel => {
-            const source = getEntityName(rel.source);
-            const target = getEntityName(rel.target);
-            return source.includes(entity) || target.includes(entity);
-          });
-        });
-
-        return {
-          name: entity,
-          depth: entityDepth,
-          mention_count: scrapsForEntity.length,
-          relationships: relationships
-        };
-      });
-
-    // Build connections array (all relationships)
+      .filter(([entity]) => !seedKeys.has(entity))
+      .map(([entity, entityDepth]) => ({
+        name: displayNames.get(entity) || entity,
+        depth: entityDepth,
+        mention_count: mentionCounts.get(entity) || 0,
+        relationships: allRelationships.get(entity) || []
+      }));
+
+    // Build connections array (relationships touching the query entity)
     const connections = [];
-    const connectedScraps = new Map();
-
-    data.forEach(scrap => {
-      if (!scrap.relationships) return;
-
-      scrap.relationships.forEach(rel => {
-        const source = getEntityName(rel.source);
-        const target = getEntityName(rel.target);
-
-        if (!source || !target) return;
-
-        const isSource = source.includes(normalizedQuery) || normalizedQuery.includes(source);
-        const isTarget = target.includes(normalizedQuery) || normalizedQuery.includes(target);
-
-        if (isSource || isTarget) {
-          const relType = rel.type || rel.relationship || 'RELATED_TO';
-          const key = `${source}:${target}:${relType}`;
-
-          let conn = connections.find(c => c.key === key);
-          if (!conn) {
-            conn = {
-              key: key,
-              source: source,
-              target: target,
-              relationship: relType,
-              count: 0
-            };
-            connections.push(conn);
-          }
-          conn.count++;
-          connectedScraps.set(scrap.scrap_id, scrap);
+    const connectionsByKey = new Map();
+
+    const seedScrapIds = new Set([...seedKeys].flatMap(key => [...groups.get(key).scrapIds]));
+
+    seedScrapIds.forEach(scrapId => {
+      resolvedRels(scrapId).forEach(rel => {
+        if (!seedKeys.has(rel.source) && !seedKeys.has(rel.target)) return;
+
+        const key = `${rel.source}:${rel.target}:${rel.type}`;
+        let conn = connectionsByKey.get(key);
+        if (!conn) {
+          conn = {
+            key: key,
+            source: displayNames.get(rel.source) || rel.source,
+            target: displayNames.get(rel.target) || rel.target,
+            relationship: rel.type,
+            count: 0
+          };
+          connectionsByKey.set(key, conn);
+          connections.push(conn);
         }
+        conn.count++;
       });
     });
+    const isSeed = (name) => seedKeys.has(name.toLowerCase());
 
     // Build graph with depth info
-    const nodes = [{ id: normalizedQuery, type: 'query', depth: 0, count: 0 }];
+    const queryName = displayNames.get(queryKey) || resolver.canonical(entityName);
+    const nodes = (seedKeys.size ? [...seedKeys] : [queryKey]).map(key => ({
+      id: displayNames.get(key) || queryName,
+      type: 'query',
+      depth: 0,
+      count: mentionCounts.get(key) || 0
+    }));
     const edges = [];
 
     entities.forEach(entity => {
@@ -774,15 +732,16 @@ export async function queryByEntityWithDepth(entityName, depth = 1, maxScraps =
 
     return {
       query: entityName,
+      entity: queryName,
       depth: depth,
       total_scraps: allScraps.size,
-      total_entities: entityDepthMap.size - 1, // Exclude query entity itself
-      scraps: Array.from(allScraps.values()),
+      total_entities: entityDepthMap.size - seedKeys.size, // Exclude the query entity itself
+      scraps: await fetchScrapsById(allScraps),
       entities: entities,
       connections: connections.map(c => ({
-        entity: c.target,
+        entity: isSeed(c.source) ? c.target : c.source,
         relationship: c.relationship,
-        direction: 'outgoing',
+        direction: isSeed(c.source) ? 'outgoing' : 'incoming',
         count: c.count
       })),
       graph: {
@@ -797,25 +756,100 @@ export async function queryByEntityWithDepth(entityName, depth = 1, maxScraps =
   }
 }
 
-export async function displayScrapJson(scrap_id, options = {}) {
-  const tableName = config.database?.table || "scraps";
+/**
+ * Strip embedding and processing fields from a scrap row
+ * This is the shape `get` prints and every write command echoes back.
+ */
+export function sanitizeScrap(scrap) {
+  if (!scrap) return scrap;
+  const clean = { ...scrap };
+  HIDDEN_FIELDS.forEach((field) => delete clean[field]);
+  return clean;
+}
 
+/**
+ * Fetch a single scrap by scrap_id (sanitized), or null if it doesn't exist
+ */
+export async function getScrap(scrapId) {
+  try {
+    return sanitizeScrap(await getStorage().get(scrapId));
+  } catch (error) {
+    throw new Error(`Error fetching scrap: ${error.message}`);
+  }
+}
+
+/**
+ * Create a new scrap
+ * @param {Object} scrap - Row to insert (must include scrap_id)
+ * @returns {Promise<Object>} The stored scrap
+ */
+export async function createScrap(scrap) {
+  try {
+    const stored = sanitizeScrap(await getStorage().insert(scrap));
+    applyToCache(stored.scrap_id, stored);
+    entityIndex = null;
+    return stored;
+  } catch (error) {
+    throw new Error(`Failed to create scrap ${scrap.scrap_id}: ${error.message}`);
+  }
+}
+
+/**
+ * Create several scraps in one storage write
+ * The batch is all or nothing; callers retry rows one by one to find bad ones.
+ * @param {Object[]} scraps - Rows to insert (each must include scrap_id)
+ * @returns {Promise<Object[]>} The stored scraps
+ */
+export async function createScraps(scraps) {
+  if (!scraps.length) return [];
+  try {
+    const stored = (await getStorage().insertMany(scraps)).map(sanitizeScrap);
+    applyRowsToCache(stored);
+    entityIndex = null;
+    return stored;
+  } catch (error) {
+    throw new Error(`Failed to create ${scraps.length} scraps: ${error.message}`);
+  }
+}
+
+/**
+ * Update fields on a scrap, stamping updated_at
+ * @param {string} scrapId - Scrap to update
+ * @param {Object} patch - Fields to change
+ * @returns {Promise<Object|null>} The updated scrap, or null if it doesn't exist
+ */
+export async function updateScrap(scrapId, patch) {
+  try {
+    const stored = sanitizeScrap(
+      await getStorage().update(scrapId, { ...patch, updated_at: new Date().toISOString() })
+    );
+    if (stored) applyToCache(scrapId, stored);
+    entityIndex = null;
+    return stored;
+  } catch (error) {
+    throw new Error(`Failed to update scrap ${scrapId}: ${error.message}`);
+  }
+}
+
+/**
+ * Delete a scrap
+ * @param {string} scrapId - Scrap to delete
+ */
+export async function deleteScrap(scrapId) {
   try {
-    const { data, error } = await supabase
-      .from(tableName)
-      .select("*")
-      .eq("scrap_id", scrap_id)
-      .single();
+    await getStorage().remove(scrapId);
+    applyToCache(scrapId, null);
+    entityIndex = null;
+  } catch (error) {
+    throw new Error(`Failed to delete scrap ${scrapId}: ${error.message}`);
+  }
+}
 
-    if (error) throw error;
+export async function displayScrapJson(scrap_id, options = {}) {
+  try {
+    const data = sanitizeScrap(await getStorage().get(scrap_id));
 
     if (data) {
-      // Remove all embedding fields and other technical fields
-      delete data.embedding;
-      delete data.embedding_nomic;
-      delete data.image_embedding;
-      delete data.processing_instance_id;
-      delete data.processing_started_at;
 
       // If field option provided, extract just that field
       if (options.field) {
@@ -847,7 +881,6 @@ export async function queryFinancialAssets(options = {}) {
 
   try {
     // Load all bookmarks with financial analysis
-    const tableName = config.database?.table || "scraps";
     const selectFields = "id,scrap_id,title,url,created_at,financial_analysis,source,tags";
 
     // Supabase has a 1000-row limit per query, so paginate through all data
@@ -857,12 +890,9 @@ export async function queryFinancialAssets(options = {}) {
     let hasMore = true;
 
     while (hasMore) {
-      const { data, error } = await supabase
-        .from(tableName)
-        .select(selectFields)
-        .range(offset, offset + pageSize - 1);
-
-      if (error) throw error;
+      const data = await readThroughCache((storage) =>
+        storage.list({ select: selectFields, offset, limit: pageSize })
+      );
 
       if (!data || data.length === 0) {
         hasMore = false;
@@ -0,0 +1,452 @@
+/**
+ * Duplicate detection and merging
+ * Integrated into main scrapbook-cli as `scrapbook-cli dedupe`
+ *
+ * Scraps are clustered when their canonical URLs match (see urls.js) or their
+ * titles are near-identical on the same site. Each cluster is shown side by
+ * side; merging unions tags, concept tags and relationships into a survivor
+ * and deletes the rest.
+ *
+ * Every merge is appended to `~/.scrapbook/dedupe-log.jsonl` with the full
+ * stored rows it removed (embeddings included) and the survivor's previous
+ * values, so `dedupe --undo` can put things back.
+ */
+
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import readline from "readline/promises";
+import { createScraps, deleteScrap, getScrap, searchBookmarks, updateScrap } from "./database.js";
+import { relationshipKey } from "./scrap-markdown.js";
+import { expandHome, getStorage } from "./storage/index.js";
+import { urlKey } from "./urls.js";
+
+export const DEFAULT_THRESHOLD = 0.8;
+
+const LOG_PATH = "~/.scrapbook/dedupe-log.jsonl";
+
+// Fields a merge combines; also what the log restores on undo
+const MERGED_FIELDS = ["tags", "concept_tags", "relationships"];
+
+// Scraps shown side by side per cluster
+const MAX_COLUMNS = 4;
+
+// Title words shared by more scraps than this are too common to find candidates by
+const MAX_TOKEN_FREQUENCY = 50;
+
+const STOPWORDS = new Set("the and for with from that this you your are".split(" "));
+
+function titleTokens(title) {
+  return new Set(
+    String(title || "")
+      .toLowerCase()
+      .normalize("NFKD")
+      .split(/[^a-z0-9]+/)
+      .filter((word) => word.length > 2 && !STOPWORDS.has(word))
+  );
+}
+
+/**
+ * Dice coefficient of two token sets (1 = same words)
+ */
+function titleSimilarity(a, b) {
+  if (!a.size || !b.size) return 0;
+  let shared = 0;
+  a.forEach((token) => {
+    if (b.has(token)) shared++;
+  });
+  return (2 * shared) / (a.size + b.size);
+}
+
+function hostOf(key) {
+  return key ? key.split(/[/?#]/)[0] : null;
+}
+
+/**
+ * How much a scrap carries; the richest one in a cluster survives by default
+ */
+function completeness(scrap) {
+  return (
+    (scrap.summary ? 5 : 0) +
+    (scrap.content ? 3 : 0) +
+    (scrap.title ? 2 : 0) +
+    (scrap.latitude && scrap.longitude ? 2 : 0) +
+    (scrap.relationships?.length || 0) +
+    (scrap.tags?.length || 0) * 0.5 +
+    (scrap.concept_tags?.length || 0) * 0.5
+  );
+}
+
+/**
+ * Group likely duplicates
+ * @param {Object[]} scraps
+ * @param {Object} [options]
+ * @param {number} [options.threshold=0.8] - Minimum title similarity (0-1)
+ * @param {boolean} [options.titles=true] - Also match on title similarity
+ * @returns {Object[]} [{ reasons, scraps }] with the suggested survivor first
+ */
+export function findDuplicates(scraps, { threshold = DEFAULT_THRESHOLD, titles = true } = {}) {
+  const parent = scraps.map((_, i) => i);
+  const reasons = new Map();
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  const link = (a, b, reason) => {
+    const [rootA, rootB] = [find(a), find(b)];
+    const merged = new Set([...(reasons.get(rootA) || []), ...(reasons.get(rootB) || []), reason]);
+    parent[rootB] = rootA;
+    reasons.set(rootA, merged);
+  };
+
+  const keys = scraps.map((scrap) => urlKey(scrap.url));
+  const byUrl = new Map();
+  keys.forEach((key, i) => {
+    if (!key) return;
+    if (byUrl.has(key)) link(byUrl.get(key), i, "same URL");
+    else byUrl.set(key, i);
+  });
+
+  if (titles) {
+    const tokens = scraps.map((scrap) => titleTokens(scrap.title));
+    const index = new Map();
+    tokens.forEach((set, i) =>
+      set.forEach((token) => index.set(token, [...(index.get(token) || []), i]))
+    );
+
+    tokens.forEach((set, i) => {
+      if (set.size < 3) return;
+      const candidates = new Set();
+      set.forEach((token) => {
+        const ids = index.get(token);
+        if (ids.length <= MAX_TOKEN_FREQUENCY) ids.forEach((j) => j > i && candidates.add(j));
+      });
+
+      candidates.forEach((j) => {
+        if (find(i) === find(j)) return;
+        const similarity = titleSimilarity(set, tokens[j]);
+        const sameHost = hostOf(keys[i]) && hostOf(keys[i]) === hostOf(keys[j]);
+        if (similarity >= threshold && (sameHost || similarity === 1)) {
+          link(i, j, "similar title");
+        }
+      });
+    });
+  }
+
+  const groups = new Map();
+  scraps.forEach((scrap, i) => {
+    const root = find(i);
+    groups.set(root, [...(groups.get(root) || []), scrap]);
+  });
+
+  return [...groups.entries()]
+    .filter(([, members]) => members.length > 1)
+    .map(([root, members]) => ({
+      reasons: [...reasons.get(root)],
+      scraps: members.sort(
+        (a, b) =>
+          completeness(b) - completeness(a) ||
+          new Date(a.created_at || 0) - new Date(b.created_at || 0)
+      ),
+    }));
+}
+
+function unionBy(key, lists) {
+  const seen = new Map();
+  lists.flat().forEach((item) => {
+    if (item === null || item === undefined) return;
+    const id = key(item);
+    if (!seen.has(id)) seen.set(id, item);
+  });
+  return [...seen.values()];
+}
+
+/**
+ * Fields to write to the survivor: the union of every scrap's tags, concept
+ * tags and relationships. Only fields that actually change are returned.
+ * @param {Object} survivor
+ * @param {Object[]} others
+ * @returns {Object} Patch for updateScrap
+ */
+export function mergePatch(survivor, others) {
+  const all = [survivor, ...others];
+  const lowerTag = (tag) => String(tag).toLowerCase();
+  const lists = (field) => all.map((s) => s[field] || []);
+  const isObject = (rel) => rel && typeof rel === "object";
+  const merged = {
+    tags: unionBy(lowerTag, lists("tags")),
+    concept_tags: unionBy(lowerTag, lists("concept_tags")),
+    relationships: unionBy(
+      relationshipKey,
+      lists("relationships").map((rels) => rels.filter(isObject))
+    ),
+  };
+
+  return Object.fromEntries(
+    Object.entries(merged).filter(
+      ([field, value]) => JSON.stringify(value) !== JSON.stringify(survivor[field] || [])
+    )
+  );
+}
+
+function truncate(text, width) {
+  const flat = String(text ?? "").replace(/\s+/g, " ");
+  return flat.length > width ? flat.slice(0, width - 1) + "…" : flat.padEnd(width);
+}
+
+/**
+ * Print a cluster with one column per scrap (up to MAX_COLUMNS)
+ */
+function printCluster(cluster, number, total, log) {
+  const labelWidth = 10;
+  const shown = cluster.scraps.slice(0, MAX_COLUMNS);
+  const columns = Math.max(60, process.stdout.columns || 120);
+  const width = Math.max(16, Math.floor((columns - labelWidth) / shown.length) - 2);
+  const count = (list) => (list?.length ? String(list.length) : "-");
+  const rows = [
+    ["", (s, i) => `${i === 0 ? "★ " : "  "}[${i + 1}]`],
+    ["ID", (s) => s.scrap_id],
+    ["Title", (s) => s.title || "[no title]"],
+    ["URL", (s) => s.url || "-"],
+    ["Source", (s) => s.source || "-"],
+    ["Created", (s) => (s.created_at ? s.created_at.slice(0, 10) : "-")],
+    ["Tags", (s) => (s.tags?.length ? s.tags.join(", ") : "-")],
+    ["Concepts", (s) => count(s.concept_tags)],
+    ["Relations", (s) => count(s.relationships)],
+    ["Summary", (s) => (s.summary ? `${s.summary.length} chars` : "-")],
+  ];
+
+  log(`\nCluster ${number} of ${total} (${cluster.reasons.join(", ")})`);
+  rows.forEach(([label, value]) => {
+    const cells = shown.map((scrap, i) => truncate(value(scrap, i), width));
+    log(`${label.padEnd(labelWidth)}${cells.join("  ")}`.trimEnd());
+  });
+  if (cluster.scraps.length > shown.length) {
+    log(`... and ${cluster.scraps.length - shown.length} more in this cluster`);
+  }
+}
+
+function logPath() {
+  return expandHome(LOG_PATH);
+}
+
+function appendLog(entry) {
+  const file = logPath();
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.appendFileSync(file, JSON.stringify(entry) + "\n");
+}
+
+/**
+ * Merge entries from the log, newest last, with `undone_at` set on undone ones
+ * @returns {Object[]}
+ */
+export function readMergeLog() {
+  const file = logPath();
+  if (!fs.existsSync(file)) return [];
+
+  const entries = fs
+    .readFileSync(file, "utf8")
+    .split("\n")
+    .filter((line) => line.trim())
+    .map((line) => JSON.parse(line));
+  const undone = new Map(
+    entries.filter((e) => e.type === "undo").map((e) => [e.merge_id, e.undone_at])
+  );
+
+  return entries
+    .filter((e) => e.type === "merge")
+    .map((e) => ({ ...e, undone_at: undone.get(e.id) || null }));
+}
+
+/**
+ * Merge a cluster into its first scrap, logging everything needed to undo it
+ * @param {Object[]} scraps - Survivor first
+ * @returns {Promise<Object>} The log entry
+ */
+export async function mergeScraps(scraps) {
+  // Raw rows rather than getScrap's sanitized ones, so undo puts embeddings back too
+  const [survivor, ...others] = await Promise.all(scraps.map((s) => getStorage().get(s.scrap_id)));
+  if (!survivor || others.some((s) => !s)) {
+    throw new Error("A scrap in this cluster no longer exists - re-run dedupe");
+  }
+
+  const patch = mergePatch(survivor, others);
+  const entry = {
+    type: "merge",
+    id: `merge-${Date.now().toString(36)}${crypto.randomBytes(2).toString("hex")}`,
+    merged_at: new Date().toISOString(),
+    survivor_id: survivor.scrap_id,
+    before: Object.fromEntries(MERGED_FIELDS.map((field) => [field, survivor[field] ?? null])),
+    after: patch,
+    removed: others,
+  };
+
+  // Log first, so a failure part-way through can still be undone
+  appendLog(entry);
+  if (Object.keys(patch).length) await updateScrap(survivor.scrap_id, patch);
+  for (const other of others) {
+    await deleteScrap(other.scrap_id);
+  }
+  return entry;
+}
+
+/**
+ * Reverse a merge: restore the survivor's merged fields (unless edited since)
+ * and re-create the scraps it removed
+ * @param {string} [mergeId] - Defaults to the most recent merge not yet undone
+ * @returns {Promise<Object>} { merge, restored, recreated, kept }
+ */
+export async function undoMerge(mergeId) {
+  const merges = readMergeLog();
+  const merge = mergeId
+    ? merges.find((m) => m.id === mergeId)
+    : merges.filter((m) => !m.undone_at).pop();
+
+  if (!merge) throw new Error(mergeId ? `No merge ${mergeId} in the log` : "Nothing to undo");
+  if (merge.undone_at) throw new Error(`${merge.id} was already undone at ${merge.undone_at}`);
+
+  const survivor = await getScrap(merge.survivor_id);
+  const restore = {};
+  const kept = [];
+  if (survivor) {
+    Object.keys(merge.after).forEach((field) => {
+      // Leave fields that were edited after the merge alone
+      if (JSON.stringify(survivor[field] ?? null) === JSON.stringify(merge.after[field])) {
+        restore[field] = merge.before[field];
+      } else {
+        kept.push(field);
+      }
+    });
+    if (Object.keys(restore).length) await updateScrap(merge.survivor_id, restore);
+  }
+
+  const missing = [];
+  for (const row of merge.removed) {
+    if (!(await getScrap(row.scrap_id))) missing.push(row);
+  }
+  await createScraps(missing);
+
+  appendLog({ type: "undo", merge_id: merge.id, undone_at: new Date().toISOString() });
+  return {
+    merge: merge.id,
+    restored: Object.keys(restore),
+    recreated: missing.map((row) => row.scrap_id),
+    kept,
+  };
+}
+
+async function ask(rl, question) {
+  return (await rl.question(question)).trim().toLowerCase();
+}
+
+/**
+ * dedupe command
+ * @param {Object} options - { where, threshold, titles, dryRun, yes, json, undo, history }
+ */
+export async function dedupeScraps(options) {
+  const log = options.json ? console.error : console.log;
+
+  if (options.history) {
+    const merges = readMergeLog();
+    if (options.json) {
+      console.log(
+        JSON.stringify(
+          merges.map(({ removed, ...m }) => ({ ...m, removed: removed.map((r) => r.scrap_id) })),
+          null,
+          2
+        )
+      );
+      return;
+    }
+    if (!merges.length) log("No merges logged");
+    merges.forEach((m) =>
+      log(
+        `${m.id}  ${m.merged_at.slice(0, 16).replace("T", " ")}  ${m.survivor_id} ← ${m.removed
+          .map((r) => r.scrap_id)
+          .join(", ")}${m.undone_at ? "  (undone)" : ""}`
+      )
+    );
+    return;
+  }
+
+  if (options.undo) {
+    const result = await undoMerge(options.undo === true ? undefined : options.undo);
+    if (options.json) {
+      console.log(JSON.stringify(result, null, 2));
+      return;
+    }
+    log(`✓ Undid ${result.merge}: re-created ${result.recreated.length} scraps`);
+    if (result.kept.length) {
+      log(`  Kept ${result.kept.join(", ")} on the survivor (edited since the merge)`);
+    }
+    return;
+  }
+
+  const threshold = Number(options.threshold ?? DEFAULT_THRESHOLD);
+  if (isNaN(threshold) || threshold <= 0 || threshold > 1) {
+    console.error("--threshold must be a number between 0 and 1");
+    process.exit(1);
+  }
+
+  const scraps = await searchBookmarks(options.where || "", { rank: false });
+  const clusters = findDuplicates(scraps, { threshold, titles: options.titles !== false });
+
+  if (!clusters.length) {
+    if (options.json) console.log("[]");
+    else log(`No duplicates found among ${scraps.length} scraps`);
+    return;
+  }
+
+  const interactive = !options.dryRun && !options.yes;
+  if (interactive && !process.stdin.isTTY) {
+    console.error("Not a terminal - pass --yes to merge every cluster, or --dry-run to preview");
+    process.exit(1);
+  }
+
+  const rl = interactive
+    ? readline.createInterface({ input: process.stdin, output: process.stderr })
+    : null;
+  const results = [];
+
+  try {
+    for (const [index, cluster] of clusters.entries()) {
+      printCluster(cluster, index + 1, clusters.length, log);
+      let order = cluster.scraps;
+
+      if (rl) {
+        const answer = await ask(
+          rl,
+          `Merge into ★? [y]es, [n]o, 1-${order.length} to pick the survivor, [q]uit: `
+        );
+        if (answer === "q") break;
+        const pick = Number(answer);
+        if (Number.isInteger(pick) && pick >= 1 && pick <= order.length) {
+          order = [order[pick - 1], ...order.filter((_, i) => i !== pick - 1)];
+        } else if (answer !== "y" && answer !== "yes") {
+          continue;
+        }
+      }
+
+      const result = {
+        survivor: order[0].scrap_id,
+        duplicates: order.slice(1).map((s) => s.scrap_id),
+        reasons: cluster.reasons,
+      };
+      if (!options.dryRun) {
+        const entry = await mergeScraps(order);
+        result.merge_id = entry.id;
+        log(`✓ Merged ${result.duplicates.length} into ${result.survivor} (${entry.id})`);
+      }
+      results.push(result);
+    }
+  } finally {
+    rl?.close();
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(results, null, 2));
+  } else if (options.dryRun) {
+    log(`\nDry run - ${clusters.length} clusters, nothing merged`);
+  } else {
+    log(
+      `\n${results.length} of ${clusters.length} clusters merged; undo with: dedupe --undo <merge_id>`
+    );
+  }
+}
@@ -0,0 +1,236 @@
+/**
+ * Entity commands: ranked listing, alias and merge
+ * Integrated into main scrapbook-cli as `scrapbook-cli entities [list|alias|merge]`
+ *
+ * `entities` (or `entities list`) ranks every entity named in scrap
+ * relationships. alias/merge edit the registry described in
+ * entity-registry.js; nothing in the scraps table changes.
+ */
+
+import { loadBookmarks, searchBookmarks } from "./database.js";
+import {
+  addAliases,
+  createResolver,
+  loadRegistry,
+  mergeEntities,
+  nodeName,
+  registryPath,
+  saveRegistry,
+} from "./entity-registry.js";
+
+// Sort orders for rankEntities; numbers and dates sort highest/newest first
+export const ENTITY_SORTS = {
+  scraps: (e) => e.scraps,
+  degree: (e) => e.degree,
+  types: (e) => e.relationship_types,
+  first: (e) => e.first_seen || "",
+  last: (e) => e.last_seen || "",
+  name: (e) => e.name.toLowerCase(),
+};
+
+/**
+ * Per-entity statistics over a set of scraps, ranked
+ *
+ * - scraps: scraps mentioning the entity
+ * - degree: distinct entities it is related to
+ * - relationship_types: distinct relationship types it takes part in
+ * - first_seen / last_seen: created_at of the oldest / newest mentioning scrap
+ *
+ * @param {Object[]} scraps
+ * @param {Object} [options]
+ * @param {Object} [options.registry] - Defaults to the registry on disk
+ * @param {string} [options.sort="scraps"] - Key of ENTITY_SORTS
+ * @param {boolean} [options.reverse] - Flip the sort order
+ * @param {string} [options.type] - Only entities of this type (registry first, then relationships)
+ * @param {boolean} [options.registered] - Only registered entities
+ * @param {number} [options.minScraps] - Only entities in at least this many scraps
+ * @param {string} [options.match] - Only names or aliases containing this text
+ * @param {number} [options.top] - Keep the first N
+ * @returns {Object[]} Rows with rank, name, type, scraps, degree, relationship_types,
+ *   first_seen, last_seen, aliases, variants (raw spellings seen)
+ * @throws {Error} On an unknown sort
+ */
+export function rankEntities(scraps, options = {}) {
+  const sort = options.sort || "scraps";
+  if (!ENTITY_SORTS[sort]) {
+    throw new Error(`Unknown sort '${sort}' (use ${Object.keys(ENTITY_SORTS).join(", ")})`);
+  }
+
+  const registry = options.registry || loadRegistry();
+  const resolver = createResolver(registry);
+  const registered = new Map(registry.entities.map((entry) => [entry.name.toLowerCase(), entry]));
+  const stats = new Map();
+
+  const statFor = (name) => {
+    const key = resolver.key(name);
+    if (!stats.has(key)) {
+      stats.set(key, {
+        name: resolver.canonical(name),
+        scrapIds: new Set(),
+        neighbours: new Set(),
+        types: new Set(),
+        variants: new Set(),
+        entityType: null,
+        first: null,
+        last: null,
+      });
+    }
+    return stats.get(key);
+  };
+
+  scraps.forEach((scrap) => {
+    if (!Array.isArray(scrap.relationships)) return;
+
+    scrap.relationships.forEach((rel) => {
+      const source = nodeName(rel?.source);
+      const target = nodeName(rel?.target);
+      const type = rel?.relationship || rel?.type || "RELATED_TO";
+
+      [
+        [source, target, rel?.source],
+        [target, source, rel?.target],
+      ].forEach(([name, other, endpoint]) => {
+        if (!name) return;
+        const stat = statFor(name);
+        stat.variants.add(name);
+        // Unregistered entities take the type the extraction gave them
+        if (!stat.entityType && endpoint?.type) stat.entityType = endpoint.type;
+        stat.types.add(type);
+        if (other && resolver.key(other) !== resolver.key(name)) {
+          stat.neighbours.add(resolver.key(other));
+        }
+        if (!stat.scrapIds.has(scrap.scrap_id)) {
+          stat.scrapIds.add(scrap.scrap_id);
+          if (scrap.created_at) {
+            if (!stat.first || scrap.created_at < stat.first) stat.first = scrap.created_at;
+            if (!stat.last || scrap.created_at > stat.last) stat.last = scrap.created_at;
+          }
+        }
+      });
+    });
+  });
+
+  const match = options.match?.toLowerCase();
+  const direction = (sort === "name" ? 1 : -1) * (options.reverse ? -1 : 1);
+  const value = ENTITY_SORTS[sort];
+
+  const rows = [...stats.entries()]
+    .map(([key, stat]) => {
+      const entry = registered.get(key);
+      return {
+        name: stat.name,
+        type: entry?.type || stat.entityType,
+        scraps: stat.scrapIds.size,
+        degree: stat.neighbours.size,
+        relationship_types: stat.types.size,
+        first_seen: stat.first,
+        last_seen: stat.last,
+        aliases: entry?.aliases || [],
+        variants: [...stat.variants].filter((v) => v !== stat.name),
+        registered: Boolean(entry),
+      };
+    })
+    .filter((row) => !options.registered || row.registered)
+    .filter((row) => !options.type || row.type?.toLowerCase() === options.type.toLowerCase())
+    .filter((row) => !options.minScraps || row.scraps >= options.minScraps)
+    .filter(
+      (row) =>
+        !match ||
+        row.name.toLowerCase().includes(match) ||
+        row.aliases.some((alias) => alias.toLowerCase().includes(match))
+    )
+    .sort((a, b) => {
+      const [x, y] = [value(a), value(b)];
+      return (x < y ? -1 : x > y ? 1 : 0) * direction || a.name.localeCompare(b.name);
+    });
+
+  return (options.top ? rows.slice(0, options.top) : rows).map(({ registered: _, ...row }, i) => ({
+    rank: i + 1,
+    ...row,
+  }));
+}
+
+function pad(text, width, alignRight = false) {
+  const value = String(text ?? "");
+  const clipped = value.length > width ? value.slice(0, width - 1) + "…" : value;
+  return alignRight ? clipped.padStart(width) : clipped.padEnd(width);
+}
+
+/**
+ * Print ranked entities as a table
+ * @param {Object[]} rows - From rankEntities
+ */
+export function printEntityTable(rows) {
+  if (!rows.length) {
+    console.log("No entities found");
+    return;
+  }
+
+  const day = (date) => (date ? date.slice(0, 10) : "-");
+  console.log(
+    `${pad("#", 4, true)}  ${pad("Entity", 36)} ${pad("Type", 14)} ${pad("Scraps", 6, true)} ` +
+      `${pad("Degree", 6, true)} ${pad("Types", 5, true)}  ${pad("First", 10)}  Last`
+  );
+  rows.forEach((row) => {
+    console.log(
+      `${pad(row.rank, 4, true)}  ${pad(row.name, 36)} ${pad(row.type || "-", 14)} ` +
+        `${pad(row.scraps, 6, true)} ${pad(row.degree, 6, true)} ` +
+        `${pad(row.relationship_types, 5, true)}  ${pad(day(row.first_seen), 10)}  ${day(row.last_seen)}`
+    );
+  });
+}
+
+/**
+ * entities / entities list - rank every entity in the scrapbook
+ * @param {Object} options - rankEntities options plus { where }
+ * @returns {Promise<Object[]>} Ranked rows (printing is left to the caller)
+ */
+export async function listEntities(options) {
+  const scraps = options.where
+    ? await searchBookmarks(options.where, { rank: false })
+    : await loadBookmarks();
+  const rows = rankEntities(scraps, options);
+
+  if (!rows.length && options.registered && !loadRegistry().entities.length) {
+    console.error(`No entities registered yet (${registryPath()})`);
+    console.error(
+      "Add some with: entities alias <name> <alias...> or entities merge <name> <other...>"
+    );
+  }
+  return rows;
+}
+
+function printEntry(entry, log) {
+  log(`✓ ${entry.name}${entry.type ? ` (${entry.type})` : ""}`);
+  if (entry.aliases.length) log(`  aliases: ${entry.aliases.join(", ")}`);
+}
+
+/**
+ * entities alias <name> <aliases...>
+ * @param {string} name
+ * @param {string[]} aliases
+ * @param {Object} options - { type, json }
+ */
+export async function aliasEntity(name, aliases, options) {
+  const registry = loadRegistry();
+  const entry = addAliases(registry, name, aliases, { type: options.type });
+  saveRegistry(registry);
+
+  if (options.json) console.log(JSON.stringify(entry, null, 2));
+  else printEntry(entry, console.log);
+}
+
+/**
+ * entities merge <target> <names...>
+ * @param {string} target
+ * @param {string[]} names
+ * @param {Object} options - { type, json }
+ */
+export async function mergeEntityNames(target, names, options) {
+  const registry = loadRegistry();
+  const entry = mergeEntities(registry, target, names, { type: options.type });
+  saveRegistry(registry);
+
+  if (options.json) console.log(JSON.stringify(entry, null, 2));
+  else printEntry(entry, console.log);
+}
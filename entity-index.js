@@ -0,0 +1,100 @@
+/**
+ * Inverted index from entity names to the scraps that mention them
+ *
+ * Entity queries used to download every scrap with relationships and rescan
+ * the lot for each entity they visited. The index is built once from just
+ * `scrap_id` and `relationships`, so a traversal only touches the scraps it
+ * reaches and full rows are fetched by id at the end (see database.js).
+ *
+ * Names are indexed as written; registry aliases are applied when the index
+ * is grouped for a resolver, so editing the registry never needs a rebuild.
+ */
+
+import { nodeName } from "./entity-registry.js";
+
+/**
+ * Index relationship rows
+ * @param {Object[]} rows - { scrap_id, relationships }
+ * @returns {Object} { names: Map(lowercase name -> { name, scrapIds }),
+ *   relationships: Map(scrap_id -> [{ source, target, type }]) }
+ */
+export function createEntityIndex(rows) {
+  const names = new Map();
+  const relationships = new Map();
+
+  const add = (name, scrapId) => {
+    const key = name.toLowerCase();
+    if (!names.has(key)) names.set(key, { name, scrapIds: new Set() });
+    names.get(key).scrapIds.add(scrapId);
+  };
+
+  rows.forEach((row) => {
+    if (!Array.isArray(row.relationships)) return;
+
+    const rels = row.relationships
+      .map((rel) => ({
+        source: nodeName(rel?.source),
+        target: nodeName(rel?.target),
+        type: rel?.relationship || rel?.type || "RELATED_TO",
+      }))
+      .filter((rel) => rel.source && rel.target);
+    if (!rels.length) return;
+
+    relationships.set(row.scrap_id, rels);
+    rels.forEach((rel) => {
+      add(rel.source, row.scrap_id);
+      add(rel.target, row.scrap_id);
+    });
+  });
+
+  return { names, relationships, groups: new WeakMap() };
+}
+
+/**
+ * The index grouped by resolved entity (cached per resolver)
+ * @param {Object} index - From createEntityIndex
+ * @param {Object} resolver - From createResolver
+ * @returns {Map<string, Object>} Resolved key -> { name, scrapIds }, where name
+ *   is the canonical form of the first spelling seen
+ */
+export function groupEntities(index, resolver) {
+  if (index.groups.has(resolver)) return index.groups.get(resolver);
+
+  const groups = new Map();
+  index.names.forEach(({ name, scrapIds }) => {
+    const key = resolver.key(name);
+    if (!groups.has(key)) groups.set(key, { name: resolver.canonical(name), scrapIds: new Set() });
+    scrapIds.forEach((id) => groups.get(key).scrapIds.add(id));
+  });
+
+  index.groups.set(resolver, groups);
+  return groups;
+}
+
+/**
+ * Entities a query refers to: the exact (resolved) entity if the index has it,
+ * otherwise every entity containing the query as a whole word ("Musk" -> "Elon Musk")
+ * @param {Map} groups - From groupEntities
+ * @param {string} entityName
+ * @param {Object} resolver
+ * @returns {Set<string>} Resolved keys (empty when nothing matches)
+ */
+export function matchEntityKeys(groups, entityName, resolver) {
+  const queryKey = resolver.key(entityName);
+  if (!queryKey) return new Set();
+  if (groups.has(queryKey)) return new Set([queryKey]);
+
+  return new Set([...groups.keys()].filter(wholeWordMatcher(queryKey)));
+}
+
+/**
+ * Test for resolved keys containing a query key as a whole word
+ * ("elon musk" for "musk", but not "openai" for "ai")
+ * @param {string} queryKey - Resolved, lowercased query
+ * @returns {Function} (key) => boolean
+ */
+export function wholeWordMatcher(queryKey) {
+  const escaped = queryKey.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  const wholeWord = new RegExp(`(^|[^\\p{L}\\p{N}])${escaped}($|[^\\p{L}\\p{N}])`, "u");
+  return (key) => wholeWord.test(key);
+}
@@ -0,0 +1,188 @@
+/**
+ * Entity registry
+ *
+ * Relationship extraction names the same thing many ways ("Elon Musk", "Musk",
+ * "@elonmusk"). The registry maps aliases to one canonical name and an
+ * optional type. It is a JSON file at `entities.registry` in the config
+ * (default ~/.scrapbook/entities.json), safe to edit by hand:
+ *
+ *   { "entities": [{ "name": "Elon Musk", "type": "person", "aliases": ["Musk"] }] }
+ *
+ * Scraps are never rewritten: names are resolved whenever relationships are
+ * read (entity queries, the graph view, `entities`).
+ * Unregistered names resolve to themselves, compared case-insensitively.
+ */
+
+import fs from "fs";
+import path from "path";
+import config from "./config.js";
+import { expandHome } from "./storage/index.js";
+
+export const DEFAULT_REGISTRY_PATH = "~/.scrapbook/entities.json";
+
+const normalize = (name) =>
+  String(name ?? "")
+    .replace(/\s+/g, " ")
+    .trim();
+const lookupKey = (name) => normalize(name).toLowerCase();
+
+/**
+ * Name of a relationship endpoint, which may be a string or `{ name }`
+ * @param {string|Object} node
+ * @returns {string} Trimmed name ("" when missing)
+ */
+export function nodeName(node) {
+  if (node && typeof node === "object") return normalize(node.name);
+  return normalize(node);
+}
+
+export function registryPath() {
+  return expandHome(config.entities?.registry) || expandHome(DEFAULT_REGISTRY_PATH);
+}
+
+/**
+ * Read the registry (empty when the file doesn't exist yet)
+ * @returns {Object} { entities: [{ name, type, aliases }] }
+ * @throws {Error} If the file isn't valid registry JSON
+ */
+export function loadRegistry() {
+  const file = registryPath();
+  if (!fs.existsSync(file)) return { entities: [] };
+
+  let registry;
+  try {
+    registry = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new Error(`Could not parse entity registry ${file}: ${error.message}`);
+  }
+  if (!Array.isArray(registry?.entities)) {
+    throw new Error(`Expected { "entities": [...] } in ${file}`);
+  }
+
+  registry.entities = registry.entities
+    .filter((entry) => entry && normalize(entry.name))
+    .map((entry) => ({
+      name: normalize(entry.name),
+      type: entry.type || null,
+      aliases: (entry.aliases || []).map(normalize).filter(Boolean),
+    }));
+  return registry;
+}
+
+/**
+ * Write the registry, sorted by name so diffs stay readable
+ * @param {Object} registry
+ */
+export function saveRegistry(registry) {
+  const file = registryPath();
+  const entities = [...registry.entities].sort((a, b) => a.name.localeCompare(b.name));
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify({ ...registry, entities }, null, 2) + "\n");
+  fs.renameSync(`${file}.tmp`, file);
+}
+
+/**
+ * Registry entry a name is the canonical name or an alias of
+ * @param {Object} registry
+ * @param {string} name
+ * @returns {Object|undefined}
+ */
+export function findEntry(registry, name) {
+  const key = lookupKey(name);
+  return registry.entities.find(
+    (entry) => lookupKey(entry.name) === key || entry.aliases.some((a) => lookupKey(a) === key)
+  );
+}
+
+/**
+ * Build a resolver for entity names
+ * @param {Object} [registry] - Defaults to the registry on disk
+ * @returns {Object} { canonical(name), key(name), type(name) }
+ *   - canonical: display name (registered name, or the name itself)
+ *   - key: identity for comparisons (lowercased canonical name)
+ *   - type: registered type or null
+ */
+export function createResolver(registry = loadRegistry()) {
+  const byKey = new Map();
+  registry.entities.forEach((entry) => {
+    [entry.name, ...entry.aliases].forEach((name) => byKey.set(lookupKey(name), entry));
+  });
+
+  const canonical = (name) => {
+    const text = nodeName(name);
+    return byKey.get(text.toLowerCase())?.name || text;
+  };
+
+  return {
+    canonical,
+    key: (name) => canonical(name).toLowerCase(),
+    type: (name) => byKey.get(lookupKey(nodeName(name)))?.type || null,
+  };
+}
+
+function getOrCreateEntry(registry, name, type) {
+  let entry = findEntry(registry, name);
+  if (!entry) {
+    entry = { name: normalize(name), type: null, aliases: [] };
+    registry.entities.push(entry);
+  }
+  if (type) entry.type = type;
+  return entry;
+}
+
+function addAlias(entry, alias) {
+  const key = lookupKey(alias);
+  if (lookupKey(entry.name) === key || entry.aliases.some((a) => lookupKey(a) === key)) return;
+  entry.aliases.push(normalize(alias));
+}
+
+/**
+ * Register aliases for an entity (created if needed)
+ * @param {Object} registry - Modified in place
+ * @param {string} name - Canonical name, or an existing alias of it
+ * @param {string[]} aliases
+ * @param {Object} [options]
+ * @param {string} [options.type]
+ * @returns {Object} The entity's entry
+ * @throws {Error} If an alias already belongs to another entity
+ */
+export function addAliases(registry, name, aliases, { type } = {}) {
+  const entry = getOrCreateEntry(registry, name, type);
+
+  aliases.forEach((alias) => {
+    const owner = findEntry(registry, alias);
+    if (owner && owner !== entry) {
+      throw new Error(
+        `'${alias}' already belongs to '${owner.name}' - use \`entities merge\` to combine them`
+      );
+    }
+    addAlias(entry, alias);
+  });
+  return entry;
+}
+
+/**
+ * Fold entities into a target: their names and aliases become aliases of it
+ * @param {Object} registry - Modified in place
+ * @param {string} target - Entity that survives
+ * @param {string[]} names - Entities (registered or not) to fold in
+ * @param {Object} [options]
+ * @param {string} [options.type]
+ * @returns {Object} The target's entry
+ */
+export function mergeEntities(registry, target, names, { type } = {}) {
+  const entry = getOrCreateEntry(registry, target, type);
+
+  names.forEach((name) => {
+    const other = findEntry(registry, name);
+    if (other === entry) return;
+    if (other) {
+      [other.name, ...other.aliases].forEach((alias) => addAlias(entry, alias));
+      if (!entry.type) entry.type = other.type;
+      registry.entities = registry.entities.filter((e) => e !== other);
+    } else {
+      addAlias(entry, name);
+    }
+  });
+  return entry;
+}
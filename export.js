@@ -0,0 +1,468 @@
+/**
+ * Export scraps to other tools
+ * Integrated into main scrapbook-cli as `scrapbook-cli export --format <format>`
+ *
+ * Formats:
+ * - `obsidian` - a vault folder with one markdown note per scrap (the same layout
+ *   the TUI editor opens) plus YAML frontmatter
+ * - `html` - a static browsing site: index.html plus one page per scrap
+ * - `netscape` - bookmarks file any browser can import, one folder per source
+ * - `opml` - OPML 2.0 outline, grouped by source
+ * - `bibtex` - `@online` entries for reference managers
+ *
+ * Folder formats keep a manifest (`.scrapbook-export.json`) so re-exports only
+ * rewrite scraps whose `updated_at` changed and remove notes for scraps that are
+ * gone. Single-file formats are only rewritten when their content changes.
+ */
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import yaml from "js-yaml";
+import { searchBookmarks } from "./database.js";
+import { formatScrapMarkdown } from "./scrap-markdown.js";
+
+export const EXPORT_FORMATS = ["obsidian", "html", "netscape", "opml", "bibtex"];
+
+export const DEFAULT_OUTPUT = {
+  obsidian: "scrapbook-vault",
+  html: "scrapbook-site",
+  netscape: "scrapbook-bookmarks.html",
+  opml: "scrapbook.opml",
+  bibtex: "scrapbook.bib",
+};
+
+const MANIFEST = ".scrapbook-export.json";
+
+function escapeHtml(text) {
+  return String(text ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function scrapTitle(scrap) {
+  return scrap.title || scrap.url || scrap.scrap_id;
+}
+
+function unixTime(date) {
+  return date ? Math.floor(new Date(date).getTime() / 1000) : "";
+}
+
+/**
+ * Stable, readable file name for a scrap: slugged title plus a short hash of
+ * the scrap_id so titles can repeat
+ */
+function scrapFileName(scrap, extension) {
+  const slug = String(scrap.title || "untitled")
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[^\p{L}\p{N}]+/gu, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 60);
+  const hash = crypto.createHash("md5").update(String(scrap.scrap_id)).digest("hex").slice(0, 8);
+  return `${slug || "untitled"}-${hash}.${extension}`;
+}
+
+/**
+ * Write a file only if its content differs
+ * @returns {boolean} true if the file was written
+ */
+function writeIfChanged(file, content) {
+  if (fs.existsSync(file) && fs.readFileSync(file, "utf8") === content) return false;
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, content);
+  return true;
+}
+
+// ---------------------------------------------------------------------------
+// Obsidian
+
+function obsidianNote(scrap) {
+  const frontmatter = {
+    scrap_id: scrap.scrap_id,
+    url: scrap.url || undefined,
+    source: scrap.source || undefined,
+    type: scrap.content_type || scrap.type || undefined,
+    created: scrap.created_at || undefined,
+    updated: scrap.updated_at || undefined,
+    // Obsidian tags can't contain spaces
+    tags: (scrap.tags || []).map((tag) => String(tag).replace(/\s+/g, "-")),
+    location: scrap.location || undefined,
+  };
+  const yamlText = yaml.dump(JSON.parse(JSON.stringify(frontmatter)), { lineWidth: -1 });
+  return `---\n${yamlText}---\n\n${formatScrapMarkdown(scrap)}\n`;
+}
+
+// ---------------------------------------------------------------------------
+// HTML site
+
+function inlineMarkdown(text) {
+  return (
+    escapeHtml(text)
+      // Only http(s) targets, so a scrap can't smuggle javascript: links into the site
+      .replace(/!\[([^\]]*)\]\((https?:\/\/[^)\s]+)\)/g, '<img alt="$1" src="$2">')
+      .replace(/\[([^\]]+)\]\((https?:\/\/[^)\s]+)\)/g, '<a href="$2">$1</a>')
+      .replace(/\*\*(.+?)\*\*/g, "<strong>$1</strong>")
+      .replace(/`([^`]+)`/g, "<code>$1</code>")
+      .replace(/(^|[\s(])(https?:\/\/[^\s<)]+)/g, '$1<a href="$2">$2</a>')
+  );
+}
+
+/**
+ * Minimal markdown -> HTML for the layout formatScrapMarkdown produces:
+ * headings, lists, code fences, rules, bold, links and images
+ */
+function markdownToHtml(markdown) {
+  const html = [];
+  let list = false;
+  let code = null;
+  let paragraph = [];
+
+  const flushParagraph = () => {
+    if (paragraph.length) html.push(`<p>${paragraph.map(inlineMarkdown).join("<br>")}</p>`);
+    paragraph = [];
+  };
+  const closeList = () => {
+    if (list) html.push("</ul>");
+    list = false;
+  };
+
+  markdown.split("\n").forEach((line) => {
+    if (code !== null) {
+      if (line.startsWith("```")) {
+        html.push(`<pre><code>${escapeHtml(code.join("\n"))}</code></pre>`);
+        code = null;
+      } else {
+        code.push(line);
+      }
+      return;
+    }
+
+    const heading = line.match(/^(#{1,6})\s+(.*)$/);
+    const item = line.match(/^\s*[-*]\s+(.*)$/);
+
+    if (line.startsWith("```")) {
+      flushParagraph();
+      closeList();
+      code = [];
+    } else if (heading) {
+      flushParagraph();
+      closeList();
+      html.push(`<h${heading[1].length}>${inlineMarkdown(heading[2])}</h${heading[1].length}>`);
+    } else if (/^-{3,}$/.test(line.trim())) {
+      flushParagraph();
+      closeList();
+      html.push("<hr>");
+    } else if (item) {
+      flushParagraph();
+      if (!list) html.push("<ul>");
+      list = true;
+      html.push(`<li>${inlineMarkdown(item[1])}</li>`);
+    } else if (!line.trim()) {
+      flushParagraph();
+      closeList();
+    } else {
+      closeList();
+      paragraph.push(line);
+    }
+  });
+
+  if (code !== null) html.push(`<pre><code>${escapeHtml(code.join("\n"))}</code></pre>`);
+  flushParagraph();
+  closeList();
+  return html.join("\n");
+}
+
+const SITE_STYLE = `body{font:15px/1.5 system-ui,sans-serif;max-width:50rem;margin:2rem auto;padding:0 1rem;color:#222}
+a{color:#e60058}pre{background:#f4f4f4;padding:.75rem;overflow:auto;white-space:pre-wrap}
+img{max-width:100%}.meta{color:#777;font-size:.85em}.tag{background:#ffe0ef;border-radius:3px;padding:0 .3em;margin-right:.3em}
+#filter{width:100%;padding:.5rem;font-size:1rem;margin-bottom:1rem}li.scrap{margin:.6rem 0;list-style:none}ul.scraps{padding:0}`;
+
+function htmlPage(title, body) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${SITE_STYLE}</style>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+function htmlScrapPage(scrap) {
+  return htmlPage(
+    scrapTitle(scrap),
+    `<p><a href="../index.html">← All scraps</a></p>\n${markdownToHtml(formatScrapMarkdown(scrap))}`
+  );
+}
+
+function htmlIndex(scraps, files) {
+  const items = scraps.map((scrap) => {
+    const date = scrap.created_at ? scrap.created_at.slice(0, 10) : "";
+    const tags = (scrap.tags || [])
+      .map((tag) => `<span class="tag">${escapeHtml(tag)}</span>`)
+      .join("");
+    const search = [scrap.title, scrap.summary, scrap.source, ...(scrap.tags || [])]
+      .join(" ")
+      .toLowerCase();
+    return `<li class="scrap" data-search="${escapeHtml(search)}"><a href="scraps/${files[scrap.scrap_id]}">${escapeHtml(scrapTitle(scrap))}</a>
+<div class="meta">${date} · ${escapeHtml(scrap.source || "")} ${tags}</div></li>`;
+  });
+
+  return htmlPage(
+    "Scrapbook",
+    `<h1>Scrapbook</h1>
+<input id="filter" type="search" placeholder="Filter ${scraps.length} scraps…" autofocus>
+<ul class="scraps">
+${items.join("\n")}
+</ul>
+<script>
+document.getElementById("filter").addEventListener("input", (event) => {
+  const needle = event.target.value.toLowerCase();
+  document.querySelectorAll("li.scrap").forEach((li) => {
+    li.hidden = needle && !li.dataset.search.includes(needle);
+  });
+});
+</script>`
+  );
+}
+
+// ---------------------------------------------------------------------------
+// Single-file formats
+
+function groupBySource(scraps) {
+  const groups = new Map();
+  scraps.forEach((scrap) => {
+    const source = scrap.source || "other";
+    if (!groups.has(source)) groups.set(source, []);
+    groups.get(source).push(scrap);
+  });
+  return groups;
+}
+
+function netscapeFile(scraps) {
+  const lines = [
+    "<!DOCTYPE NETSCAPE-Bookmark-file-1>",
+    "<!-- This is an automatically generated file. Exported by scrapbook-cli. -->",
+    '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+    "<TITLE>Bookmarks</TITLE>",
+    "<H1>Bookmarks</H1>",
+    "<DL><p>",
+  ];
+
+  groupBySource(scraps.filter((scrap) => scrap.url)).forEach((group, source) => {
+    lines.push(`    <DT><H3>${escapeHtml(source)}</H3>`, "    <DL><p>");
+    group.forEach((scrap) => {
+      const tags = (scrap.tags || []).join(",");
+      lines.push(
+        `        <DT><A HREF="${escapeHtml(scrap.url)}" ADD_DATE="${unixTime(scrap.created_at)}" LAST_MODIFIED="${unixTime(scrap.updated_at)}" TAGS="${escapeHtml(tags)}">${escapeHtml(scrapTitle(scrap))}</A>`
+      );
+      if (scrap.summary) {
+        lines.push(`        <DD>${escapeHtml(scrap.summary.replace(/\s+/g, " "))}`);
+      }
+    });
+    lines.push("    </DL><p>");
+  });
+
+  lines.push("</DL><p>");
+  return lines.join("\n") + "\n";
+}
+
+function opmlFile(scraps) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<opml version="2.0">',
+    "  <head>",
+    "    <title>Scrapbook</title>",
+    "  </head>",
+    "  <body>",
+  ];
+
+  groupBySource(scraps.filter((scrap) => scrap.url)).forEach((group, source) => {
+    lines.push(`    <outline text="${escapeHtml(source)}">`);
+    group.forEach((scrap) => {
+      const attributes = [
+        `text="${escapeHtml(scrapTitle(scrap))}"`,
+        'type="link"',
+        `url="${escapeHtml(scrap.url)}"`,
+        scrap.created_at ? `created="${new Date(scrap.created_at).toUTCString()}"` : null,
+        scrap.tags?.length
+          ? `category="${escapeHtml(scrap.tags.map((t) => `/${t}`).join(","))}"`
+          : null,
+      ].filter(Boolean);
+      lines.push(`      <outline ${attributes.join(" ")}/>`);
+    });
+    lines.push("    </outline>");
+  });
+
+  lines.push("  </body>", "</opml>");
+  return lines.join("\n") + "\n";
+}
+
+function bibtexEscape(text) {
+  return String(text ?? "")
+    .replace(/\\/g, "\\textbackslash{}")
+    .replace(/([{}%&#_$])/g, "\\$1")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function bibtexFile(scraps) {
+  const usedKeys = new Set();
+
+  return scraps
+    .filter((scrap) => scrap.url)
+    .map((scrap) => {
+      let key = String(scrap.scrap_id).replace(/[^A-Za-z0-9_:-]/g, "");
+      while (usedKeys.has(key)) key += "x";
+      usedKeys.add(key);
+
+      const fields = [
+        ["title", scrapTitle(scrap)],
+        ["url", scrap.url],
+        ["date", (scrap.published_at || scrap.created_at || "").slice(0, 10)],
+        ["urldate", (scrap.created_at || "").slice(0, 10)],
+        ["organization", scrap.source],
+        ["keywords", (scrap.tags || []).join(", ")],
+        ["abstract", scrap.summary],
+      ].filter(([, value]) => value);
+
+      const body = fields
+        .map(([name, value]) => `  ${name} = {${name === "url" ? value : bibtexEscape(value)}}`)
+        .join(",\n");
+      return `@online{${key},\n${body}\n}\n`;
+    })
+    .join("\n");
+}
+
+const SINGLE_FILE_FORMATS = { netscape: netscapeFile, opml: opmlFile, bibtex: bibtexFile };
+
+// ---------------------------------------------------------------------------
+
+function readManifest(dir, format) {
+  try {
+    const manifest = JSON.parse(fs.readFileSync(path.join(dir, MANIFEST), "utf8"));
+    if (manifest.format === format) return manifest;
+  } catch {
+    // First export into this folder
+  }
+  return { format, files: {} };
+}
+
+/**
+ * Export one file per scrap into a folder, skipping unchanged scraps
+ */
+function exportFolder(scraps, { format, dir, full }) {
+  const previous = readManifest(dir, format).files;
+  // --full ignores what was exported before and re-renders every scrap
+  const known = full ? {} : previous;
+  const stats = { written: 0, unchanged: 0, removed: 0 };
+  const notesDir = format === "html" ? path.join(dir, "scraps") : dir;
+  const extension = format === "html" ? "html" : "md";
+  const render = format === "html" ? htmlScrapPage : obsidianNote;
+  const files = {};
+
+  scraps.forEach((scrap) => {
+    const file = scrapFileName(scrap, extension);
+    const entry = known[scrap.scrap_id];
+    files[scrap.scrap_id] = file;
+
+    if (
+      entry &&
+      entry.file === file &&
+      entry.updated_at === scrap.updated_at &&
+      fs.existsSync(path.join(notesDir, file))
+    ) {
+      stats.unchanged++;
+      return;
+    }
+
+    // Title changed - drop the note under its old name
+    if (entry && entry.file !== file) fs.rmSync(path.join(notesDir, entry.file), { force: true });
+
+    writeIfChanged(path.join(notesDir, file), render(scrap));
+    stats.written++;
+  });
+
+  // Scraps that were exported before but are gone (or filtered out) now
+  Object.entries(previous).forEach(([scrapId, entry]) => {
+    if (!files[scrapId]) {
+      fs.rmSync(path.join(notesDir, entry.file), { force: true });
+      stats.removed++;
+    }
+  });
+
+  if (format === "html") writeIfChanged(path.join(dir, "index.html"), htmlIndex(scraps, files));
+
+  const nextManifest = {
+    format,
+    exported_at: new Date().toISOString(),
+    files: Object.fromEntries(
+      scraps.map((scrap) => [
+        scrap.scrap_id,
+        { file: files[scrap.scrap_id], updated_at: scrap.updated_at },
+      ])
+    ),
+  };
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, MANIFEST), JSON.stringify(nextManifest, null, 2));
+
+  return stats;
+}
+
+/**
+ * Write a list of scraps in one of the export formats
+ * @param {Object[]} scraps
+ * @param {Object} options - { format, output, full }
+ * @returns {Object} { format, output, scraps, written, unchanged, removed }
+ * @throws {Error} For an unknown format
+ */
+export function writeExport(scraps, { format, output, full }) {
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new Error(`Unknown export format '${format}' (use ${EXPORT_FORMATS.join(", ")})`);
+  }
+
+  const target = path.resolve(output || DEFAULT_OUTPUT[format]);
+  let stats;
+  if (SINGLE_FILE_FORMATS[format]) {
+    const written = writeIfChanged(target, SINGLE_FILE_FORMATS[format](scraps));
+    stats = { written: written ? 1 : 0, unchanged: written ? 0 : 1, removed: 0 };
+  } else {
+    stats = exportFolder(scraps, { format, dir: target, full });
+  }
+
+  return { format, output: target, scraps: scraps.length, ...stats };
+}
+
+/**
+ * export command
+ * @param {Object} options - { format, output, where, full, json }
+ */
+export async function exportScraps(options) {
+  const format = options.format;
+  if (!EXPORT_FORMATS.includes(format)) {
+    console.error(`Unknown export format '${format}' (use ${EXPORT_FORMATS.join(", ")})`);
+    process.exit(1);
+  }
+
+  const log = options.json ? console.error : console.log;
+  const scraps = await searchBookmarks(options.where || "", { rank: false });
+  const result = writeExport(scraps, options);
+  const { output, written, unchanged, removed } = result;
+
+  if (options.json) {
+    console.log(JSON.stringify(result, null, 2));
+  } else if (SINGLE_FILE_FORMATS[format]) {
+    log(`✓ Exported ${scraps.length} scraps to ${output}${written ? "" : " (unchanged)"}`);
+  } else {
+    log(`✓ Exported ${scraps.length} scraps to ${output}`);
+    log(`  ${written} written, ${unchanged} unchanged, ${removed} removed`);
+  }
+}
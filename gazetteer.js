@@ -0,0 +1,314 @@
+/**
+ * Built-in place list for the offline `gazetteer` geocoder (see geocode.js)
+ *
+ * Deliberately small: capitals, large cities and places that come up in
+ * scraps, plus country and US state centroids for locations that only name
+ * a country or state. Extra entries can be added with `geocode.places`.
+ *
+ * Cities within a country are listed most prominent first; when a name is
+ * ambiguous the first match wins.
+ */
+
+// [name, country code, latitude, longitude, aliases?]
+export const CITIES = [
+  // North America
+  ["New York", "US", 40.7128, -74.006, ["New York City", "NYC", "Manhattan"]],
+  ["Brooklyn", "US", 40.6782, -73.9442],
+  ["Los Angeles", "US", 34.0522, -118.2437, ["LA"]],
+  ["San Francisco", "US", 37.7749, -122.4194, ["SF"]],
+  ["Washington", "US", 38.9072, -77.0369, ["Washington DC", "DC"]],
+  ["Chicago", "US", 41.8781, -87.6298],
+  ["Boston", "US", 42.3601, -71.0589],
+  ["Seattle", "US", 47.6062, -122.3321],
+  ["Portland", "US", 45.5152, -122.6784],
+  ["Austin", "US", 30.2672, -97.7431],
+  ["Houston", "US", 29.7604, -95.3698],
+  ["Dallas", "US", 32.7767, -96.797],
+  ["Miami", "US", 25.7617, -80.1918],
+  ["Atlanta", "US", 33.749, -84.388],
+  ["Philadelphia", "US", 39.9526, -75.1652],
+  ["Denver", "US", 39.7392, -104.9903],
+  ["Phoenix", "US", 33.4484, -112.074],
+  ["San Diego", "US", 32.7157, -117.1611],
+  ["San Jose", "US", 37.3382, -121.8863],
+  ["Oakland", "US", 37.8044, -122.2712],
+  ["Palo Alto", "US", 37.4419, -122.143],
+  ["Mountain View", "US", 37.3861, -122.0839],
+  ["Menlo Park", "US", 37.453, -122.1817],
+  ["Cupertino", "US", 37.323, -122.0322],
+  ["Redmond", "US", 47.674, -122.1215],
+  ["Las Vegas", "US", 36.1699, -115.1398],
+  ["Detroit", "US", 42.3314, -83.0458],
+  ["Minneapolis", "US", 44.9778, -93.265],
+  ["New Orleans", "US", 29.9511, -90.0715],
+  ["Nashville", "US", 36.1627, -86.7816],
+  ["Pittsburgh", "US", 40.4406, -79.9959],
+  ["Baltimore", "US", 39.2904, -76.6122],
+  ["Cleveland", "US", 41.4993, -81.6944],
+  ["St. Louis", "US", 38.627, -90.1994, ["Saint Louis"]],
+  ["Salt Lake City", "US", 40.7608, -111.891],
+  ["Honolulu", "US", 21.3069, -157.8583],
+  ["Anchorage", "US", 61.2181, -149.9003],
+  ["Kingston", "US", 41.927, -73.9974],
+  ["Hudson", "US", 42.2529, -73.791],
+  ["Toronto", "CA", 43.6532, -79.3832],
+  ["Montreal", "CA", 45.5017, -73.5673],
+  ["Vancouver", "CA", 49.2827, -123.1207],
+  ["Ottawa", "CA", 45.4215, -75.6972],
+  ["Calgary", "CA", 51.0447, -114.0719],
+  ["Mexico City", "MX", 19.4326, -99.1332, ["CDMX", "Ciudad de Mexico"]],
+  ["Guadalajara", "MX", 20.6597, -103.3496],
+  ["Havana", "CU", 23.1136, -82.3666],
+  // South America
+  ["Sao Paulo", "BR", -23.5505, -46.6333],
+  ["Rio de Janeiro", "BR", -22.9068, -43.1729, ["Rio"]],
+  ["Brasilia", "BR", -15.7939, -47.8828],
+  ["Buenos Aires", "AR", -34.6037, -58.3816],
+  ["Santiago", "CL", -33.4489, -70.6693],
+  ["Lima", "PE", -12.0464, -77.0428],
+  ["Bogota", "CO", 4.711, -74.0721],
+  ["Caracas", "VE", 10.4806, -66.9036],
+  ["Quito", "EC", -0.1807, -78.4678],
+  ["Montevideo", "UY", -34.9011, -56.1645],
+  // Europe
+  ["London", "GB", 51.5074, -0.1278],
+  ["Manchester", "GB", 53.4808, -2.2426],
+  ["Edinburgh", "GB", 55.9533, -3.1883],
+  ["Cambridge", "GB", 52.2053, 0.1218],
+  ["Oxford", "GB", 51.752, -1.2577],
+  ["Dublin", "IE", 53.3498, -6.2603],
+  ["Paris", "FR", 48.8566, 2.3522],
+  ["Lyon", "FR", 45.764, 4.8357],
+  ["Marseille", "FR", 43.2965, 5.3698],
+  ["Berlin", "DE", 52.52, 13.405],
+  ["Munich", "DE", 48.1351, 11.582, ["Munchen"]],
+  ["Hamburg", "DE", 53.5511, 9.9937],
+  ["Frankfurt", "DE", 50.1109, 8.6821],
+  ["Madrid", "ES", 40.4168, -3.7038],
+  ["Barcelona", "ES", 41.3851, 2.1734],
+  ["Lisbon", "PT", 38.7223, -9.1393, ["Lisboa"]],
+  ["Rome", "IT", 41.9028, 12.4964, ["Roma"]],
+  ["Milan", "IT", 45.4642, 9.19, ["Milano"]],
+  ["Amsterdam", "NL", 52.3676, 4.9041],
+  ["The Hague", "NL", 52.0705, 4.3007],
+  ["Brussels", "BE", 50.8503, 4.3517],
+  ["Geneva", "CH", 46.2044, 6.1432],
+  ["Zurich", "CH", 47.3769, 8.5417],
+  ["Vienna", "AT", 48.2082, 16.3738, ["Wien"]],
+  ["Prague", "CZ", 50.0755, 14.4378],
+  ["Warsaw", "PL", 52.2297, 21.0122],
+  ["Budapest", "HU", 47.4979, 19.0402],
+  ["Copenhagen", "DK", 55.6761, 12.5683],
+  ["Stockholm", "SE", 59.3293, 18.0686],
+  ["Oslo", "NO", 59.9139, 10.7522],
+  ["Helsinki", "FI", 60.1699, 24.9384],
+  ["Reykjavik", "IS", 64.1466, -21.9426],
+  ["Athens", "GR", 37.9838, 23.7275],
+  ["Istanbul", "TR", 41.0082, 28.9784],
+  ["Ankara", "TR", 39.9334, 32.8597],
+  ["Moscow", "RU", 55.7558, 37.6173],
+  ["Saint Petersburg", "RU", 59.9311, 30.3609, ["St. Petersburg"]],
+  ["Kyiv", "UA", 50.4501, 30.5234, ["Kiev"]],
+  ["Minsk", "BY", 53.9006, 27.559],
+  ["Bucharest", "RO", 44.4268, 26.1025],
+  ["Belgrade", "RS", 44.7866, 20.4489],
+  ["Davos", "CH", 46.8027, 9.836],
+  ["The Vatican", "VA", 41.9029, 12.4534, ["Vatican City"]],
+  // Middle East and Africa
+  ["Jerusalem", "IL", 31.7683, 35.2137],
+  ["Tel Aviv", "IL", 32.0853, 34.7818],
+  ["Gaza", "PS", 31.5017, 34.4668, ["Gaza City"]],
+  ["Beirut", "LB", 33.8938, 35.5018],
+  ["Damascus", "SY", 33.5138, 36.2765],
+  ["Baghdad", "IQ", 33.3152, 44.3661],
+  ["Tehran", "IR", 35.6892, 51.389],
+  ["Riyadh", "SA", 24.7136, 46.6753],
+  ["Dubai", "AE", 25.2048, 55.2708],
+  ["Abu Dhabi", "AE", 24.4539, 54.3773],
+  ["Doha", "QA", 25.2854, 51.531],
+  ["Cairo", "EG", 30.0444, 31.2357],
+  ["Lagos", "NG", 6.5244, 3.3792],
+  ["Abuja", "NG", 9.0765, 7.3986],
+  ["Nairobi", "KE", -1.2921, 36.8219],
+  ["Addis Ababa", "ET", 9.03, 38.74],
+  ["Johannesburg", "ZA", -26.2041, 28.0473],
+  ["Cape Town", "ZA", -33.9249, 18.4241],
+  ["Casablanca", "MA", 33.5731, -7.5898],
+  ["Accra", "GH", 5.6037, -0.187],
+  ["Kinshasa", "CD", -4.4419, 15.2663],
+  ["Khartoum", "SD", 15.5007, 32.5599],
+  // Asia and Oceania
+  ["Tokyo", "JP", 35.6762, 139.6503],
+  ["Osaka", "JP", 34.6937, 135.5023],
+  ["Kyoto", "JP", 35.0116, 135.7681],
+  ["Beijing", "CN", 39.9042, 116.4074, ["Peking"]],
+  ["Shanghai", "CN", 31.2304, 121.4737],
+  ["Shenzhen", "CN", 22.5431, 114.0579],
+  ["Hong Kong", "HK", 22.3193, 114.1694],
+  ["Taipei", "TW", 25.033, 121.5654],
+  ["Seoul", "KR", 37.5665, 126.978],
+  ["Pyongyang", "KP", 39.0392, 125.7625],
+  ["Singapore", "SG", 1.3521, 103.8198],
+  ["Bangkok", "TH", 13.7563, 100.5018],
+  ["Hanoi", "VN", 21.0278, 105.8342],
+  ["Ho Chi Minh City", "VN", 10.8231, 106.6297, ["Saigon"]],
+  ["Jakarta", "ID", -6.2088, 106.8456],
+  ["Manila", "PH", 14.5995, 120.9842],
+  ["Kuala Lumpur", "MY", 3.139, 101.6869],
+  ["Mumbai", "IN", 19.076, 72.8777, ["Bombay"]],
+  ["New Delhi", "IN", 28.6139, 77.209, ["Delhi"]],
+  ["Bangalore", "IN", 12.9716, 77.5946, ["Bengaluru"]],
+  ["Kolkata", "IN", 22.5726, 88.3639, ["Calcutta"]],
+  ["Chennai", "IN", 13.0827, 80.2707, ["Madras"]],
+  ["Karachi", "PK", 24.8607, 67.0011],
+  ["Islamabad", "PK", 33.6844, 73.0479],
+  ["Kabul", "AF", 34.5553, 69.2075],
+  ["Dhaka", "BD", 23.8103, 90.4125],
+  ["Sydney", "AU", -33.8688, 151.2093],
+  ["Melbourne", "AU", -37.8136, 144.9631],
+  ["Brisbane", "AU", -27.4698, 153.0251],
+  ["Perth", "AU", -31.9505, 115.8605],
+  ["Canberra", "AU", -35.2809, 149.13],
+  ["Auckland", "NZ", -36.8485, 174.7633],
+  ["Wellington", "NZ", -41.2865, 174.7762],
+];
+
+// [name, code, latitude, longitude, aliases?]
+export const COUNTRIES = [
+  ["United States", "US", 39.8283, -98.5795, ["USA", "United States of America", "America"]],
+  ["Canada", "CA", 56.1304, -106.3468],
+  ["Mexico", "MX", 23.6345, -102.5528],
+  ["Cuba", "CU", 21.5218, -77.7812],
+  ["Brazil", "BR", -14.235, -51.9253, ["Brasil"]],
+  ["Argentina", "AR", -38.4161, -63.6167],
+  ["Chile", "CL", -35.6751, -71.543],
+  ["Peru", "PE", -9.19, -75.0152],
+  ["Colombia", "CO", 4.5709, -74.2973],
+  ["Venezuela", "VE", 6.4238, -66.5897],
+  ["Ecuador", "EC", -1.8312, -78.1834],
+  ["Uruguay", "UY", -32.5228, -55.7658],
+  [
+    "United Kingdom",
+    "GB",
+    55.3781,
+    -3.436,
+    ["UK", "Great Britain", "Britain", "England", "Scotland", "Wales"],
+  ],
+  ["Ireland", "IE", 53.1424, -7.6921],
+  ["France", "FR", 46.2276, 2.2137],
+  ["Germany", "DE", 51.1657, 10.4515, ["Deutschland"]],
+  ["Spain", "ES", 40.4637, -3.7492, ["Espana"]],
+  ["Portugal", "PT", 39.3999, -8.2245],
+  ["Italy", "IT", 41.8719, 12.5674, ["Italia"]],
+  ["Netherlands", "NL", 52.1326, 5.2913, ["Holland", "The Netherlands"]],
+  ["Belgium", "BE", 50.5039, 4.4699],
+  ["Switzerland", "CH", 46.8182, 8.2275],
+  ["Austria", "AT", 47.5162, 14.5501],
+  ["Czech Republic", "CZ", 49.8175, 15.473, ["Czechia"]],
+  ["Poland", "PL", 51.9194, 19.1451],
+  ["Hungary", "HU", 47.1625, 19.5033],
+  ["Denmark", "DK", 56.2639, 9.5018],
+  ["Sweden", "SE", 60.1282, 18.6435],
+  ["Norway", "NO", 60.472, 8.4689],
+  ["Finland", "FI", 61.9241, 25.7482],
+  ["Iceland", "IS", 64.9631, -19.0208],
+  ["Greece", "GR", 39.0742, 21.8243],
+  ["Turkey", "TR", 38.9637, 35.2433, ["Turkiye"]],
+  ["Russia", "RU", 61.524, 105.3188, ["Russian Federation"]],
+  ["Ukraine", "UA", 48.3794, 31.1656],
+  ["Belarus", "BY", 53.7098, 27.9534],
+  ["Romania", "RO", 45.9432, 24.9668],
+  ["Serbia", "RS", 44.0165, 21.0059],
+  ["Vatican City", "VA", 41.9029, 12.4534],
+  ["Israel", "IL", 31.0461, 34.8516],
+  ["Palestine", "PS", 31.9522, 35.2332, ["Gaza Strip", "West Bank"]],
+  ["Lebanon", "LB", 33.8547, 35.8623],
+  ["Syria", "SY", 34.8021, 38.9968],
+  ["Iraq", "IQ", 33.2232, 43.6793],
+  ["Iran", "IR", 32.4279, 53.688],
+  ["Saudi Arabia", "SA", 23.8859, 45.0792],
+  ["United Arab Emirates", "AE", 23.4241, 53.8478, ["UAE"]],
+  ["Qatar", "QA", 25.3548, 51.1839],
+  ["Egypt", "EG", 26.8206, 30.8025],
+  ["Nigeria", "NG", 9.082, 8.6753],
+  ["Kenya", "KE", -0.0236, 37.9062],
+  ["Ethiopia", "ET", 9.145, 40.4897],
+  ["South Africa", "ZA", -30.5595, 22.9375],
+  ["Morocco", "MA", 31.7917, -7.0926],
+  ["Ghana", "GH", 7.9465, -1.0232],
+  ["Democratic Republic of the Congo", "CD", -4.0383, 21.7587, ["DRC", "DR Congo"]],
+  ["Sudan", "SD", 12.8628, 30.2176],
+  ["Japan", "JP", 36.2048, 138.2529],
+  ["China", "CN", 35.8617, 104.1954, ["PRC"]],
+  ["Hong Kong", "HK", 22.3193, 114.1694],
+  ["Taiwan", "TW", 23.6978, 120.9605],
+  ["South Korea", "KR", 35.9078, 127.7669, ["Korea", "Republic of Korea"]],
+  ["North Korea", "KP", 40.3399, 127.5101, ["DPRK"]],
+  ["Singapore", "SG", 1.3521, 103.8198],
+  ["Thailand", "TH", 15.87, 100.9925],
+  ["Vietnam", "VN", 14.0583, 108.2772, ["Viet Nam"]],
+  ["Indonesia", "ID", -0.7893, 113.9213],
+  ["Philippines", "PH", 12.8797, 121.774],
+  ["Malaysia", "MY", 4.2105, 101.9758],
+  ["India", "IN", 20.5937, 78.9629],
+  ["Pakistan", "PK", 30.3753, 69.3451],
+  ["Afghanistan", "AF", 33.9391, 67.71],
+  ["Bangladesh", "BD", 23.685, 90.3563],
+  ["Australia", "AU", -25.2744, 133.7751],
+  ["New Zealand", "NZ", -40.9006, 174.886],
+];
+
+// US states (and DC) for "City, ST" and state-only locations: [name, abbreviation, latitude, longitude]
+export const US_STATES = [
+  ["Alabama", "AL", 32.806, -86.791],
+  ["Alaska", "AK", 61.37, -152.404],
+  ["Arizona", "AZ", 33.729, -111.431],
+  ["Arkansas", "AR", 34.97, -92.373],
+  ["California", "CA", 36.116, -119.682],
+  ["Colorado", "CO", 39.06, -105.311],
+  ["Connecticut", "CT", 41.598, -72.755],
+  ["Delaware", "DE", 39.319, -75.507],
+  ["District of Columbia", "DC", 38.907, -77.037],
+  ["Florida", "FL", 27.766, -81.687],
+  ["Georgia", "GA", 33.04, -83.643],
+  ["Hawaii", "HI", 21.094, -157.498],
+  ["Idaho", "ID", 44.24, -114.479],
+  ["Illinois", "IL", 40.349, -88.986],
+  ["Indiana", "IN", 39.849, -86.258],
+  ["Iowa", "IA", 42.011, -93.21],
+  ["Kansas", "KS", 38.527, -96.726],
+  ["Kentucky", "KY", 37.668, -84.67],
+  ["Louisiana", "LA", 31.169, -91.867],
+  ["Maine", "ME", 44.693, -69.382],
+  ["Maryland", "MD", 39.064, -76.802],
+  ["Massachusetts", "MA", 42.23, -71.53],
+  ["Michigan", "MI", 43.327, -84.536],
+  ["Minnesota", "MN", 45.694, -93.9],
+  ["Mississippi", "MS", 32.742, -89.679],
+  ["Missouri", "MO", 38.456, -92.288],
+  ["Montana", "MT", 46.922, -110.454],
+  ["Nebraska", "NE", 41.125, -98.268],
+  ["Nevada", "NV", 38.313, -117.055],
+  ["New Hampshire", "NH", 43.452, -71.564],
+  ["New Jersey", "NJ", 40.298, -74.521],
+  ["New Mexico", "NM", 34.841, -106.249],
+  ["New York State", "NY", 42.166, -74.948],
+  ["North Carolina", "NC", 35.63, -79.806],
+  ["North Dakota", "ND", 47.529, -99.784],
+  ["Ohio", "OH", 40.388, -82.765],
+  ["Oklahoma", "OK", 35.565, -96.929],
+  ["Oregon", "OR", 44.572, -122.071],
+  ["Pennsylvania", "PA", 40.591, -77.21],
+  ["Rhode Island", "RI", 41.681, -71.512],
+  ["South Carolina", "SC", 33.857, -80.945],
+  ["South Dakota", "SD", 44.3, -99.439],
+  ["Tennessee", "TN", 35.748, -86.692],
+  ["Texas", "TX", 31.054, -97.563],
+  ["Utah", "UT", 40.15, -111.862],
+  ["Vermont", "VT", 44.046, -72.711],
+  ["Virginia", "VA", 37.769, -78.17],
+  ["Washington State", "WA", 47.401, -121.49],
+  ["West Virginia", "WV", 38.491, -80.954],
+  ["Wisconsin", "WI", 44.269, -89.616],
+  ["Wyoming", "WY", 42.756, -107.302],
+];
@@ -0,0 +1,462 @@
+/**
+ * Geocoding: fill in coordinates for scraps that only have a location name
+ * Integrated into main scrapbook-cli as `scrapbook-cli geocode`
+ *
+ * Geocoders (`geocode.geocoder`):
+ *
+ * - `gazetteer` (default) - offline lookup in the built-in place list
+ *   (gazetteer.js) plus any `geocode.places` file. Knows cities, US states and
+ *   countries; naming only a state or country gives a low-confidence centroid.
+ * - `nominatim` - OpenStreetMap's Nominatim API (rate-limited to one request a
+ *   second, as its usage policy asks)
+ *
+ * Each distinct location string is looked up once, and remote answers are
+ * cached in `<cache dir>/geocode.json`. Proposals are reviewed one location at
+ * a time before coordinates are written back; `--yes` accepts those at or above
+ * `geocode.min_confidence` without asking.
+ */
+
+import fs from "fs";
+import path from "path";
+import readline from "readline/promises";
+import config from "./config.js";
+import { searchBookmarks, updateScrap, formatLocation } from "./database.js";
+import { CITIES, COUNTRIES, US_STATES } from "./gazetteer.js";
+import { scrapCoordinates } from "./regions.js";
+import { getCachePaths } from "./storage/cache.js";
+import { expandHome } from "./storage/index.js";
+
+export const DEFAULT_MIN_CONFIDENCE = 0.7;
+
+// Locations that aren't places
+const NOT_PLACES = new Set(["unknown", "none", "n a", "remote", "online", "global", "worldwide"]);
+
+// Nominatim asks for no more than one request a second
+const NOMINATIM_INTERVAL = 1100;
+
+function geocodeConfig() {
+  return config.geocode || {};
+}
+
+/**
+ * Normalise a place name for lookups ("São Paulo" -> "sao paulo", "D.C." -> "dc")
+ * @param {string} text
+ * @returns {string}
+ */
+export function normalizePlace(text) {
+  return String(text ?? "")
+    .normalize("NFD")
+    .replace(/\p{M}/gu, "")
+    .toLowerCase()
+    .replace(/[.'’]/g, "")
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+}
+
+function addToIndex(index, names, entry) {
+  names.filter(Boolean).forEach((name) => {
+    const key = normalizePlace(name);
+    if (!index.has(key)) index.set(key, []);
+    index.get(key).push(entry);
+  });
+}
+
+/**
+ * Offline geocoder backed by the built-in place list
+ */
+class GazetteerGeocoder {
+  constructor({ places } = {}) {
+    this.key = "gazetteer";
+    // Lookups are instant, and caching them would hide edits to the places file
+    this.cached = false;
+    this.cities = new Map();
+    this.countries = new Map();
+    this.states = new Map();
+
+    // Extra places go first so they win ambiguous names
+    loadPlacesFile(places).forEach((place) =>
+      addToIndex(this.cities, [place.name, ...(place.aliases || [])], {
+        name: place.name,
+        country: place.country ? String(place.country).toUpperCase() : null,
+        lat: Number(place.lat),
+        lon: Number(place.lon),
+      })
+    );
+    CITIES.forEach(([name, country, lat, lon, aliases = []]) =>
+      addToIndex(this.cities, [name, ...aliases], { name, country, lat, lon })
+    );
+    COUNTRIES.forEach(([name, code, lat, lon, aliases = []]) =>
+      addToIndex(this.countries, [name, code, ...aliases], { name, country: code, lat, lon })
+    );
+    US_STATES.forEach(([name, code, lat, lon]) =>
+      addToIndex(this.states, [name, name.replace(/ State$/, ""), code], {
+        name,
+        country: "US",
+        lat,
+        lon,
+      })
+    );
+  }
+
+  // Country codes a part of a location points at ("ca" could be Canada or California)
+  countryHints(part) {
+    const hints = new Set();
+    (this.countries.get(part) || []).forEach((entry) => hints.add(entry.country));
+    if (this.states.has(part)) hints.add("US");
+    return hints;
+  }
+
+  async geocode(query) {
+    const text = normalizePlace(query);
+    if (!text || NOT_PLACES.has(text)) return null;
+
+    const parts = String(query)
+      .split(/[,;|/]|\s+-\s+/)
+      .map(normalizePlace)
+      .filter(Boolean);
+    // The whole string first catches names with commas in them ("Washington, D.C.")
+    const tries = [text, ...parts.filter((part) => part !== text)];
+    const hintsFor = (skip) => {
+      const hints = new Set();
+      parts
+        .filter((part) => part !== skip)
+        .forEach((p) => this.countryHints(p).forEach((h) => hints.add(h)));
+      return hints;
+    };
+
+    for (const part of tries) {
+      const candidates = this.cities.get(part);
+      if (!candidates) continue;
+
+      const hints = hintsFor(part);
+      if (hints.size) {
+        // "Paris, Texas" isn't Paris, France - try the other parts instead
+        const match = candidates.find((city) => hints.has(city.country));
+        if (match) return this.result(match, 0.95, "city");
+        continue;
+      }
+      // Other parts we couldn't place ("Kingston, Jamaica") make the match a guess
+      const unplaced = tries.length > 1 && part !== text;
+      const confidence = unplaced ? 0.5 : candidates.length === 1 ? 0.8 : 0.6;
+      return this.result(candidates[0], confidence, "city");
+    }
+
+    for (const part of [...parts].reverse()) {
+      const state = this.states.get(part)?.[0];
+      if (state) return this.result(state, 0.5, "state");
+      const country = this.countries.get(part)?.[0];
+      if (country) return this.result(country, 0.4, "country");
+    }
+    return null;
+  }
+
+  result(place, confidence, match) {
+    const name = match === "city" && place.country ? `${place.name}, ${place.country}` : place.name;
+    return { lat: place.lat, lon: place.lon, name, confidence, match };
+  }
+}
+
+/**
+ * OpenStreetMap Nominatim
+ */
+class NominatimGeocoder {
+  constructor({ url = "https://nominatim.openstreetmap.org", email } = {}) {
+    this.url = url.replace(/\/$/, "");
+    this.email = email;
+    this.key = `nominatim:${this.url}`;
+    this.cached = true;
+    this.lastRequest = 0;
+  }
+
+  async geocode(query) {
+    const text = normalizePlace(query);
+    if (!text || NOT_PLACES.has(text)) return null;
+
+    const wait = this.lastRequest + NOMINATIM_INTERVAL - Date.now();
+    if (wait > 0) await new Promise((resolve) => setTimeout(resolve, wait));
+    this.lastRequest = Date.now();
+
+    const params = new URLSearchParams({ q: query, format: "jsonv2", limit: "1" });
+    if (this.email) params.set("email", this.email);
+    const response = await fetch(`${this.url}/search?${params}`, {
+      headers: { "User-Agent": "scrapbook-cli (https://github.com/ejfox/scrapbook-cli)" },
+    });
+
+    if (!response.ok) {
+      throw new Error(`Nominatim lookup failed: ${response.status} ${response.statusText}`);
+    }
+    const [hit] = await response.json();
+    if (!hit) return null;
+
+    return {
+      lat: Number(hit.lat),
+      lon: Number(hit.lon),
+      name: hit.display_name,
+      // Importance ranks how well-known a place is, which is the best hint Nominatim gives
+      confidence: Math.round(Math.min(1, Math.max(0.1, Number(hit.importance) || 0.5)) * 100) / 100,
+      match: hit.addresstype || hit.type || "place",
+    };
+  }
+}
+
+/**
+ * Extra gazetteer entries: a JSON array of { name, lat, lon, country?, aliases? }
+ * @param {string} [file]
+ * @returns {Object[]}
+ * @throws {Error} If the file exists but isn't a valid list
+ */
+function loadPlacesFile(file) {
+  const resolved = expandHome(file);
+  if (!resolved || !fs.existsSync(resolved)) return [];
+
+  const places = JSON.parse(fs.readFileSync(resolved, "utf8"));
+  if (!Array.isArray(places)) throw new Error(`${file} should be a JSON array of places`);
+  places.forEach((place) => {
+    if (!place.name || !Number.isFinite(Number(place.lat)) || !Number.isFinite(Number(place.lon))) {
+      throw new Error(`Invalid place in ${file}: ${JSON.stringify(place)}`);
+    }
+  });
+  return places;
+}
+
+/**
+ * Create the geocoder named by `geocode.geocoder`
+ * @param {Object} [options] - The `geocode` config section
+ * @returns {GazetteerGeocoder|NominatimGeocoder}
+ */
+export function createGeocoder(options = geocodeConfig()) {
+  const name = options.geocoder || "gazetteer";
+
+  if (name === "gazetteer") return new GazetteerGeocoder({ places: options.places });
+  if (name === "nominatim") return new NominatimGeocoder(options.nominatim);
+
+  throw new Error(`Unknown geocoder '${name}' (expected 'gazetteer' or 'nominatim')`);
+}
+
+function cachePath() {
+  return path.join(getCachePaths().dir, "geocode.json");
+}
+
+function readCache() {
+  try {
+    return JSON.parse(fs.readFileSync(cachePath(), "utf8"));
+  } catch {
+    return {};
+  }
+}
+
+function writeCache(cache) {
+  const file = cachePath();
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(cache));
+  fs.renameSync(`${file}.tmp`, file);
+}
+
+/**
+ * Look up place names, using and filling the cache for remote geocoders
+ * @param {string[]} names - Distinct location strings
+ * @param {Object} geocoder
+ * @param {Object} [options]
+ * @param {boolean} [options.refresh] - Ignore cached answers
+ * @param {Function} [options.onProgress] - (done, total) after each lookup
+ * @returns {Promise<Map<string, Object|null>>} name -> result (null when nothing matched)
+ */
+export async function geocodeNames(names, geocoder, { refresh = false, onProgress } = {}) {
+  const cache = geocoder.cached ? readCache() : {};
+  const entries = (cache[geocoder.key] ||= {});
+  const results = new Map();
+  let changed = false;
+
+  try {
+    for (const [index, name] of names.entries()) {
+      const key = normalizePlace(name);
+      if (!refresh && key in entries) {
+        results.set(name, entries[key]);
+      } else {
+        const result = await geocoder.geocode(name);
+        results.set(name, result);
+        entries[key] = result;
+        changed = true;
+      }
+      onProgress?.(index + 1, names.length);
+    }
+  } finally {
+    // Keep what was looked up even if a later lookup failed
+    if (geocoder.cached && changed) writeCache(cache);
+  }
+
+  return results;
+}
+
+/**
+ * Scraps with a location name but no coordinates, grouped by location
+ * @param {Object[]} scraps
+ * @returns {Object[]} [{ location, scraps }], most scraps first
+ */
+export function ungeocodedLocations(scraps) {
+  const groups = new Map();
+  scraps
+    .filter((scrap) => scrap.location && !scrapCoordinates(scrap))
+    .forEach((scrap) => {
+      // Legacy JSON locations ({"name": ...}) are looked up by their place name
+      const location = formatLocation(scrap.location).trim();
+      if (!location || NOT_PLACES.has(normalizePlace(location))) return;
+      if (!groups.has(location)) groups.set(location, []);
+      groups.get(location).push(scrap);
+    });
+
+  return [...groups]
+    .map(([location, list]) => ({ location, scraps: list }))
+    .sort((a, b) => b.scraps.length - a.scraps.length || a.location.localeCompare(b.location));
+}
+
+/**
+ * Parse "lat,lon" typed during review
+ * @returns {Object|null} { lat, lon }
+ */
+function parseLatLon(text) {
+  const [lat, lon] = String(text)
+    .split(/[,\s]+/)
+    .filter(Boolean)
+    .map(Number);
+  if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+    return null;
+  }
+  return { lat, lon };
+}
+
+function describe(result) {
+  if (!result) return "no match";
+  return `${result.name}  ${result.lat.toFixed(4)}, ${result.lon.toFixed(4)}  confidence ${result.confidence.toFixed(2)} (${result.match})`;
+}
+
+async function writeCoordinates(scraps, { lat, lon }) {
+  for (const scrap of scraps) {
+    await updateScrap(scrap.scrap_id, { latitude: lat, longitude: lon });
+  }
+}
+
+/**
+ * geocode command
+ * @param {Object} options - { where, geocoder, minConfidence, limit, refresh, dryRun, yes, json }
+ */
+export async function geocodeScraps(options) {
+  const log = options.json ? console.error : console.log;
+  const settings = { ...geocodeConfig(), ...(options.geocoder && { geocoder: options.geocoder }) };
+
+  const minConfidence = Number(
+    options.minConfidence ?? settings.min_confidence ?? DEFAULT_MIN_CONFIDENCE
+  );
+  if (isNaN(minConfidence) || minConfidence < 0 || minConfidence > 1) {
+    console.error("--min-confidence must be a number between 0 and 1");
+    process.exit(1);
+  }
+
+  const geocoder = createGeocoder(settings);
+  const scraps = await searchBookmarks(options.where || "", { rank: false });
+  let groups = ungeocodedLocations(scraps);
+  if (options.limit) groups = groups.slice(0, options.limit);
+
+  if (!groups.length) {
+    if (options.json) console.log("[]");
+    else log(`No scraps with a location but no coordinates among ${scraps.length}`);
+    return;
+  }
+
+  const interactive = !options.dryRun && !options.yes;
+  if (interactive && !process.stdin.isTTY) {
+    console.error(
+      `Not a terminal - pass --yes to accept matches with confidence ≥ ${minConfidence}, or --dry-run to preview`
+    );
+    process.exit(1);
+  }
+
+  log(`Geocoding ${groups.length} locations with ${geocoder.key}...`);
+  const found = await geocodeNames(
+    groups.map((group) => group.location),
+    geocoder,
+    { refresh: options.refresh }
+  );
+
+  const rl = interactive
+    ? readline.createInterface({ input: process.stdin, output: process.stderr })
+    : null;
+  const results = [];
+
+  try {
+    for (const [index, group] of groups.entries()) {
+      const result = found.get(group.location);
+      const count = group.scraps.length;
+      log(
+        `\n[${index + 1}/${groups.length}] ${group.location}  (${count} scrap${count === 1 ? "" : "s"})`
+      );
+      log(`  → ${describe(result)}`);
+
+      let coordinates = null;
+      let status = "skipped";
+
+      if (rl) {
+        const choices = result
+          ? "[y]es, [n]o, [e]nter coordinates, [q]uit"
+          : "[e]nter coordinates, [n]o, [q]uit";
+        const answer = (await rl.question(`Write these coordinates? ${choices}: `))
+          .trim()
+          .toLowerCase();
+        if (answer === "q") break;
+        if (answer === "y" && result) {
+          coordinates = result;
+        } else if (answer === "e") {
+          coordinates = parseLatLon(await rl.question("  lat,lon: "));
+          if (!coordinates) log("  Not a latitude,longitude pair - skipped");
+        }
+      } else if (result && result.confidence >= minConfidence) {
+        coordinates = result;
+      } else if (result) {
+        status = "low_confidence";
+      } else {
+        status = "no_match";
+      }
+
+      if (coordinates && !options.dryRun) {
+        await writeCoordinates(group.scraps, coordinates);
+        status = "written";
+        log(`  ✓ Saved ${count} scrap${count === 1 ? "" : "s"}`);
+      } else if (coordinates) {
+        status = "accepted";
+      }
+
+      results.push({
+        location: group.location,
+        scraps: group.scraps.map((scrap) => scrap.scrap_id),
+        result,
+        ...(coordinates && { latitude: coordinates.lat, longitude: coordinates.lon }),
+        status,
+      });
+    }
+  } finally {
+    rl?.close();
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(results, null, 2));
+    return;
+  }
+
+  const tally = (status) => results.filter((r) => r.status === status).length;
+  if (options.dryRun) {
+    log(
+      `\nDry run - ${tally("accepted")} of ${groups.length} locations would be written ` +
+        `(confidence ≥ ${minConfidence}), nothing saved`
+    );
+  } else {
+    const scrapCount = results
+      .filter((r) => r.status === "written")
+      .reduce((sum, r) => sum + r.scraps.length, 0);
+    log(`\nWrote coordinates for ${tally("written")} locations (${scrapCount} scraps)`);
+    if (tally("low_confidence")) {
+      log(
+        `${tally("low_confidence")} below confidence ${minConfidence} - review them without --yes`
+      );
+    }
+  }
+}
@@ -0,0 +1,417 @@
+/**
+ * Graph analytics over the relationship graph
+ * Integrated into main scrapbook-cli as `scrapbook-cli path <from> <to>` and
+ * `scrapbook-cli graph-stats`; the graph explorer shows the same metrics as an
+ * overlay (`s`).
+ *
+ * Works on graphs from buildGraph (graph-export.js). Paths, betweenness,
+ * components and communities treat the graph as undirected; PageRank follows
+ * edge direction. Edge weights count relationships between two entities.
+ */
+
+import { loadGraph } from "./graph-export.js";
+
+// Above this many entities, betweenness is estimated from a sample of sources
+const BETWEENNESS_SAMPLE = 500;
+
+export const STAT_SORTS = {
+  pagerank: (row) => row.pagerank,
+  betweenness: (row) => row.betweenness,
+  degree: (row) => row.degree,
+  scraps: (row) => row.scraps,
+};
+
+/**
+ * Undirected adjacency: node id -> Map(neighbour id -> { weight, edges })
+ * @param {Object} graph - From buildGraph
+ * @returns {Map<string, Map<string, Object>>}
+ */
+export function adjacency(graph) {
+  const adj = new Map(graph.nodes.map((node) => [node.id, new Map()]));
+  const link = (from, to, edge) => {
+    const neighbours = adj.get(from);
+    if (!neighbours.has(to)) neighbours.set(to, { weight: 0, edges: [] });
+    const entry = neighbours.get(to);
+    entry.weight += edge.weight;
+    entry.edges.push(edge);
+  };
+
+  graph.edges.forEach((edge) => {
+    link(edge.source, edge.target, edge);
+    link(edge.target, edge.source, edge);
+  });
+  return adj;
+}
+
+/**
+ * Shortest path between two entities; among paths with the fewest hops, the one
+ * with the heaviest total edge weight (the first found on a tie)
+ * @param {Object} graph - From buildGraph
+ * @param {string} from - Node id
+ * @param {string} to - Node id
+ * @param {Object} [options]
+ * @param {number} [options.maxDepth=6] - Give up beyond this many hops
+ * @returns {Object[]|null} Hops [{ from, to, edges }], or null when unconnected
+ */
+export function shortestPath(graph, from, to, { maxDepth = 6 } = {}) {
+  if (from === to) return [];
+
+  const adj = adjacency(graph);
+  const previous = new Map([[from, null]]);
+  // Heaviest total weight of a shortest path to each node reached so far
+  const best = new Map([[from, 0]]);
+  let frontier = [from];
+
+  for (let depth = 0; depth < maxDepth && frontier.length && !previous.has(to); depth++) {
+    // A node's predecessor is only settled once the whole layer has been seen
+    const layer = new Map();
+    frontier.forEach((id) => {
+      adj.get(id).forEach(({ weight }, neighbour) => {
+        if (previous.has(neighbour)) return;
+        const total = best.get(id) + weight;
+        if (!layer.has(neighbour) || total > layer.get(neighbour).total) {
+          layer.set(neighbour, { via: id, total });
+        }
+      });
+    });
+
+    layer.forEach(({ via, total }, id) => {
+      previous.set(id, via);
+      best.set(id, total);
+    });
+    frontier = [...layer.keys()];
+  }
+  if (!previous.has(to)) return null;
+
+  const hops = [];
+  for (let id = to; previous.get(id) !== null; id = previous.get(id)) {
+    const prev = previous.get(id);
+    hops.unshift({ from: prev, to: id, edges: adj.get(prev).get(id).edges });
+  }
+  return hops;
+}
+
+/**
+ * Weighted PageRank along edge direction; dangling nodes spread their rank evenly
+ * @param {Object} graph
+ * @param {Object} [options] - { damping = 0.85, iterations = 100, tolerance = 1e-6 }
+ * @returns {Map<string, number>} Node id -> rank (sums to 1)
+ */
+export function pageRank(graph, { damping = 0.85, iterations = 100, tolerance = 1e-6 } = {}) {
+  const ids = graph.nodes.map((node) => node.id);
+  const n = ids.length;
+  if (!n) return new Map();
+
+  const outWeight = new Map(ids.map((id) => [id, 0]));
+  const incoming = new Map(ids.map((id) => [id, []]));
+  graph.edges.forEach((edge) => {
+    outWeight.set(edge.source, outWeight.get(edge.source) + edge.weight);
+    incoming.get(edge.target).push(edge);
+  });
+
+  let rank = new Map(ids.map((id) => [id, 1 / n]));
+  for (let i = 0; i < iterations; i++) {
+    const dangling = ids.reduce((sum, id) => sum + (outWeight.get(id) ? 0 : rank.get(id)), 0);
+    const next = new Map();
+    let delta = 0;
+
+    ids.forEach((id) => {
+      const inflow = incoming
+        .get(id)
+        .reduce((sum, e) => sum + (rank.get(e.source) * e.weight) / outWeight.get(e.source), 0);
+      const value = (1 - damping) / n + damping * (inflow + dangling / n);
+      delta += Math.abs(value - rank.get(id));
+      next.set(id, value);
+    });
+
+    rank = next;
+    if (delta < tolerance) break;
+  }
+  return rank;
+}
+
+/**
+ * Betweenness centrality (Brandes, unweighted), normalized to 0-1
+ * @param {Object} graph
+ * @param {Object} [options]
+ * @param {number} [options.sample=BETWEENNESS_SAMPLE] - Max source nodes; larger graphs are estimated
+ * @returns {Map<string, number>} Node id -> betweenness
+ */
+export function betweenness(graph, { sample = BETWEENNESS_SAMPLE } = {}) {
+  const adj = adjacency(graph);
+  const ids = graph.nodes.map((node) => node.id);
+  const n = ids.length;
+  const score = new Map(ids.map((id) => [id, 0]));
+
+  // Evenly spaced sources keep estimates repeatable between runs
+  const step = Math.max(1, n / sample);
+  const sources = [];
+  for (let i = 0; i < n; i += step) sources.push(ids[Math.floor(i)]);
+
+  sources.forEach((source) => {
+    const stack = [];
+    const predecessors = new Map([[source, []]]);
+    const paths = new Map([[source, 1]]);
+    const distance = new Map([[source, 0]]);
+    const queue = [source];
+
+    for (let head = 0; head < queue.length; head++) {
+      const v = queue[head];
+      stack.push(v);
+      adj.get(v).forEach((_, w) => {
+        if (!distance.has(w)) {
+          distance.set(w, distance.get(v) + 1);
+          paths.set(w, 0);
+          predecessors.set(w, []);
+          queue.push(w);
+        }
+        if (distance.get(w) === distance.get(v) + 1) {
+          paths.set(w, paths.get(w) + paths.get(v));
+          predecessors.get(w).push(v);
+        }
+      });
+    }
+
+    const dependency = new Map();
+    while (stack.length) {
+      const w = stack.pop();
+      predecessors.get(w).forEach((v) => {
+        const share = (paths.get(v) / paths.get(w)) * (1 + (dependency.get(w) || 0));
+        dependency.set(v, (dependency.get(v) || 0) + share);
+      });
+      if (w !== source) score.set(w, score.get(w) + (dependency.get(w) || 0));
+    }
+  });
+
+  // Each pair is counted from both ends; scale sampled sources up to all of them
+  const scale = n > 2 ? n / sources.length / ((n - 1) * (n - 2)) : 0;
+  return new Map(ids.map((id) => [id, score.get(id) * scale]));
+}
+
+// Renumber group labels 1..k, largest group first
+function numberGroups(labels) {
+  const sizes = new Map();
+  labels.forEach((label) => sizes.set(label, (sizes.get(label) || 0) + 1));
+  const order = [...sizes.entries()]
+    .sort((a, b) => b[1] - a[1] || String(a[0]).localeCompare(String(b[0])))
+    .map(([label], i) => [label, i + 1]);
+  const numbers = new Map(order);
+  return new Map([...labels.entries()].map(([id, label]) => [id, numbers.get(label)]));
+}
+
+/**
+ * Connected components, numbered by size (1 = largest)
+ * @param {Object} graph
+ * @returns {Map<string, number>} Node id -> component
+ */
+export function components(graph) {
+  const adj = adjacency(graph);
+  const labels = new Map();
+
+  graph.nodes.forEach(({ id }) => {
+    if (labels.has(id)) return;
+    labels.set(id, id);
+    const queue = [id];
+    for (let head = 0; head < queue.length; head++) {
+      adj.get(queue[head]).forEach((_, neighbour) => {
+        if (labels.has(neighbour)) return;
+        labels.set(neighbour, id);
+        queue.push(neighbour);
+      });
+    }
+  });
+  return numberGroups(labels);
+}
+
+/**
+ * Communities by weighted label propagation, numbered by size (1 = largest)
+ *
+ * Nodes are visited in a fixed order and ties go to the smallest label, so
+ * the same graph always gives the same communities.
+ * @param {Object} graph
+ * @param {Object} [options] - { iterations = 20 }
+ * @returns {Map<string, number>} Node id -> community
+ */
+export function communities(graph, { iterations = 20 } = {}) {
+  const adj = adjacency(graph);
+  const ids = graph.nodes.map((node) => node.id).sort();
+  const labels = new Map(ids.map((id) => [id, id]));
+
+  for (let i = 0; i < iterations; i++) {
+    let changed = false;
+    ids.forEach((id) => {
+      const votes = new Map();
+      adj.get(id).forEach(({ weight }, neighbour) => {
+        const label = labels.get(neighbour);
+        votes.set(label, (votes.get(label) || 0) + weight);
+      });
+      if (!votes.size) return;
+
+      const [best] = [...votes.entries()].sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : 1))[0];
+      if (best !== labels.get(id)) {
+        labels.set(id, best);
+        changed = true;
+      }
+    });
+    if (!changed) break;
+  }
+  return numberGroups(labels);
+}
+
+/**
+ * Per-entity metrics and a summary for a graph
+ * @param {Object} graph - From buildGraph
+ * @param {Object} [options]
+ * @param {string} [options.sort="pagerank"] - Key of STAT_SORTS
+ * @param {number} [options.top] - Keep the first N rows
+ * @param {number} [options.component] - Only entities in this component
+ * @returns {Object} { summary: { nodes, edges, components, largest_component, communities },
+ *   rows: [{ rank, name, type, scraps, degree, pagerank, betweenness, component, community }] }
+ * @throws {Error} On an unknown sort
+ */
+export function graphStats(graph, options = {}) {
+  const sort = options.sort || "pagerank";
+  if (!STAT_SORTS[sort]) {
+    throw new Error(`Unknown sort '${sort}' (use ${Object.keys(STAT_SORTS).join(", ")})`);
+  }
+
+  const adj = adjacency(graph);
+  const ranks = pageRank(graph);
+  const between = betweenness(graph);
+  const component = components(graph);
+  const community = communities(graph);
+
+  const componentSizes = new Map();
+  component.forEach((c) => componentSizes.set(c, (componentSizes.get(c) || 0) + 1));
+
+  const rows = graph.nodes
+    .map((node) => ({
+      name: node.id,
+      type: node.type,
+      scraps: node.scraps,
+      degree: adj.get(node.id).size,
+      pagerank: ranks.get(node.id),
+      betweenness: between.get(node.id),
+      component: component.get(node.id),
+      community: community.get(node.id),
+    }))
+    .filter((row) => !options.component || row.component === options.component)
+    .sort((a, b) => STAT_SORTS[sort](b) - STAT_SORTS[sort](a) || a.name.localeCompare(b.name));
+
+  return {
+    summary: {
+      nodes: graph.nodes.length,
+      edges: graph.edges.length,
+      components: componentSizes.size,
+      largest_component: componentSizes.get(1) || 0,
+      communities: new Set(community.values()).size,
+    },
+    rows: (options.top ? rows.slice(0, options.top) : rows).map((row, i) => ({
+      rank: i + 1,
+      ...row,
+    })),
+  };
+}
+
+function pad(text, width, alignRight = false) {
+  const value = String(text ?? "");
+  const clipped = value.length > width ? value.slice(0, width - 1) + "…" : value;
+  return alignRight ? clipped.padStart(width) : clipped.padEnd(width);
+}
+
+/**
+ * Print graph-stats output as a summary and a table
+ * @param {Object} stats - From graphStats
+ */
+export function printGraphStats({ summary, rows }) {
+  console.log(
+    `${summary.nodes} entities · ${summary.edges} edges · ${summary.components} components ` +
+      `(largest ${summary.largest_component}) · ${summary.communities} communities\n`
+  );
+  if (!rows.length) return;
+
+  console.log(
+    `${pad("#", 4, true)}  ${pad("Entity", 36)} ${pad("PageRank", 9, true)} ` +
+      `${pad("Between", 8, true)} ${pad("Degree", 6, true)} ${pad("Scraps", 6, true)}  Comp  Comm`
+  );
+  rows.forEach((row) => {
+    console.log(
+      `${pad(row.rank, 4, true)}  ${pad(row.name, 36)} ${pad(row.pagerank.toFixed(4), 9, true)} ` +
+        `${pad(row.betweenness.toFixed(4), 8, true)} ${pad(row.degree, 6, true)} ` +
+        `${pad(row.scraps, 6, true)}  ${pad(row.component, 4, true)}  ${pad(row.community, 4, true)}`
+    );
+  });
+}
+
+/**
+ * graph-stats - centrality, components and communities for the relationship graph
+ * @param {Object} options - graphStats options plus { where }
+ * @returns {Promise<Object>} From graphStats
+ */
+export async function computeGraphStats(options) {
+  const { graph } = await loadGraph({ where: options.where });
+  return graphStats(graph, options);
+}
+
+/**
+ * path - how two entities connect through scraps
+ * @param {string} from
+ * @param {string} to
+ * @param {Object} options - { maxDepth, where }
+ * @returns {Promise<Object>} { from, to, length, hops: [{ from, to, relationships }] },
+ *   where relationships are [{ source, target, relationship, weight, scraps: [{ scrap_id, title }] }]
+ * @throws {Error} If an entity isn't in the graph or no path is found
+ */
+export async function findPath(from, to, options = {}) {
+  const { graph, scraps, resolver } = await loadGraph({ where: options.where });
+  const ids = new Map(graph.nodes.map((node) => [resolver.key(node.id), node.id]));
+  const [start, end] = [from, to].map((name) => {
+    const id = ids.get(resolver.key(name));
+    if (!id) throw new Error(`Entity not found in any relationship: ${name}`);
+    return id;
+  });
+
+  const maxDepth = options.maxDepth || 6;
+  const hops = shortestPath(graph, start, end, { maxDepth });
+  if (!hops) throw new Error(`No path from ${start} to ${end} within ${maxDepth} hops`);
+
+  const titles = new Map(scraps.map((scrap) => [scrap.scrap_id, scrap.title || scrap.url || ""]));
+  return {
+    from: start,
+    to: end,
+    length: hops.length,
+    hops: hops.map((hop) => ({
+      from: hop.from,
+      to: hop.to,
+      relationships: hop.edges.map((edge) => ({
+        source: edge.source,
+        target: edge.target,
+        relationship: edge.type,
+        weight: edge.weight,
+        scraps: edge.scrap_ids.map((id) => ({ scrap_id: id, title: titles.get(id) || "" })),
+      })),
+    })),
+  };
+}
+
+/**
+ * Print a path from findPath
+ * @param {Object} result
+ */
+export function printPath(result) {
+  const names = [result.from, ...result.hops.map((hop) => hop.to)];
+  const hops = result.length === 1 ? "1 hop" : `${result.length} hops`;
+  console.log(`\n${names.join(" → ")} (${hops})\n`);
+
+  result.hops.forEach((hop) => {
+    hop.relationships.forEach((rel) => {
+      const arrow = rel.source === hop.from ? `—${rel.relationship}→` : `←${rel.relationship}—`;
+      console.log(`  ${hop.from} ${arrow} ${hop.to}`);
+      rel.scraps.slice(0, 3).forEach((scrap) => {
+        console.log(`     ${scrap.scrap_id}  ${scrap.title.substring(0, 70)}`);
+      });
+      if (rel.scraps.length > 3) console.log(`     … and ${rel.scraps.length - 3} more`);
+    });
+  });
+  console.log();
+}
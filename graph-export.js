@@ -0,0 +1,402 @@
+/**
+ * Export the relationship graph to graph tools
+ * Integrated into main scrapbook-cli as `scrapbook-cli graph-export --format <format> [entity]`
+ *
+ * Without an entity the whole graph is exported; with one, the subgraph
+ * `queryByEntityWithDepth` finds around it (`--depth`).
+ *
+ * Formats:
+ * - `graphml` - GraphML (yEd, Gephi, NetworkX, igraph)
+ * - `gexf` - GEXF 1.3 (Gephi)
+ * - `dot` - Graphviz
+ * - `cytoscape` - Cytoscape.js elements JSON
+ * - `neo4j` - nodes.csv and relationships.csv for `neo4j-admin database import`
+ *
+ * Nodes are entities resolved through the registry. Edges are directed and
+ * grouped by source, target and relationship type: `weight` counts the
+ * relationships folded into the edge and `scrap_ids` lists the scraps they
+ * came from.
+ */
+
+import fs from "fs";
+import path from "path";
+import { loadBookmarks, searchBookmarks, queryByEntityWithDepth } from "./database.js";
+import { createResolver, nodeName } from "./entity-registry.js";
+
+export const GRAPH_FORMATS = ["graphml", "gexf", "dot", "cytoscape", "neo4j"];
+
+const DEFAULT_OUTPUT = {
+  graphml: "scrapbook-graph.graphml",
+  gexf: "scrapbook-graph.gexf",
+  dot: "scrapbook-graph.dot",
+  cytoscape: "scrapbook-graph.json",
+  neo4j: "scrapbook-graph-neo4j",
+};
+
+/**
+ * Build the relationship graph of a set of scraps
+ * @param {Object[]} scraps
+ * @param {Object} [options]
+ * @param {Object} [options.resolver] - Defaults to the registry on disk
+ * @param {Set<string>} [options.keep] - Only these entity keys (lowercased canonical names)
+ * @param {Map<string,number>} [options.depths] - Entity key -> traversal depth, kept on nodes
+ * @returns {Object} { nodes: [{ id, label, type, scraps, depth }],
+ *   edges: [{ id, source, target, type, weight, scrap_ids }] }
+ */
+export function buildGraph(scraps, options = {}) {
+  const resolver = options.resolver || createResolver();
+  const nodes = new Map();
+  const edges = new Map();
+
+  // The registry's type wins; otherwise the first one a relationship gives
+  const nodeFor = (name, endpoint) => {
+    const key = resolver.key(name);
+    if (!nodes.has(key)) {
+      nodes.set(key, {
+        id: resolver.canonical(name),
+        label: resolver.canonical(name),
+        type: resolver.type(name) || null,
+        scrapIds: new Set(),
+        depth: options.depths?.get(key) ?? null,
+      });
+    }
+    const node = nodes.get(key);
+    if (!node.type && endpoint?.type) node.type = endpoint.type;
+    return node;
+  };
+
+  scraps.forEach((scrap) => {
+    if (!Array.isArray(scrap.relationships)) return;
+
+    scrap.relationships.forEach((rel) => {
+      const source = nodeName(rel?.source);
+      const target = nodeName(rel?.target);
+      if (!source || !target) return;
+
+      const [sourceKey, targetKey] = [resolver.key(source), resolver.key(target)];
+      if (sourceKey === targetKey) return;
+      if (options.keep && !(options.keep.has(sourceKey) && options.keep.has(targetKey))) return;
+
+      const from = nodeFor(source, rel.source);
+      const to = nodeFor(target, rel.target);
+      from.scrapIds.add(scrap.scrap_id);
+      to.scrapIds.add(scrap.scrap_id);
+
+      const type = rel?.relationship || rel?.type || "RELATED_TO";
+      const key = `${sourceKey}\u0000${targetKey}\u0000${type}`;
+      if (!edges.has(key)) {
+        edges.set(key, { source: from.id, target: to.id, type, weight: 0, scrapIds: new Set() });
+      }
+      const edge = edges.get(key);
+      edge.weight++;
+      edge.scrapIds.add(scrap.scrap_id);
+    });
+  });
+
+  return {
+    nodes: [...nodes.values()].map(({ scrapIds, ...node }) => ({
+      ...node,
+      scraps: scrapIds.size,
+    })),
+    edges: [...edges.values()].map(({ scrapIds, ...edge }, i) => ({
+      id: `e${i}`,
+      ...edge,
+      scrap_ids: [...scrapIds],
+    })),
+  };
+}
+
+/**
+ * Load scraps and build the whole relationship graph
+ * @param {Object} [options]
+ * @param {string} [options.where] - Only scraps matching a query
+ * @param {Object} [options.resolver] - Defaults to the registry on disk
+ * @returns {Promise<Object>} { graph, scraps, resolver }
+ */
+export async function loadGraph(options = {}) {
+  const resolver = options.resolver || createResolver();
+  const scraps = options.where
+    ? await searchBookmarks(options.where, { rank: false })
+    : await loadBookmarks();
+  return { graph: buildGraph(scraps, { resolver }), scraps, resolver };
+}
+
+function escapeXml(text) {
+  return String(text ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function escapeDot(text) {
+  return String(text ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n");
+}
+
+function csvField(value) {
+  const text = String(value ?? "");
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Node ids that are safe everywhere XML ids are required
+const xmlIds = (graph) => new Map(graph.nodes.map((node, i) => [node.id, `n${i}`]));
+
+function toGraphml(graph) {
+  const ids = xmlIds(graph);
+  const data = (key, value) =>
+    value === null || value === undefined ? "" : `<data key="${key}">${escapeXml(value)}</data>`;
+
+  const lines = [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<graphml xmlns="http://graphml.graphdrawing.org/xmlns">`,
+    `  <key id="label" for="node" attr.name="label" attr.type="string"/>`,
+    `  <key id="type" for="node" attr.name="type" attr.type="string"/>`,
+    `  <key id="scraps" for="node" attr.name="scraps" attr.type="int"/>`,
+    `  <key id="depth" for="node" attr.name="depth" attr.type="int"/>`,
+    `  <key id="relationship" for="edge" attr.name="relationship" attr.type="string"/>`,
+    `  <key id="weight" for="edge" attr.name="weight" attr.type="double"/>`,
+    `  <key id="scrap_ids" for="edge" attr.name="scrap_ids" attr.type="string"/>`,
+    `  <graph id="scrapbook" edgedefault="directed">`,
+  ];
+  graph.nodes.forEach((node) => {
+    lines.push(
+      `    <node id="${ids.get(node.id)}">${data("label", node.label)}${data("type", node.type)}` +
+        `${data("scraps", node.scraps)}${data("depth", node.depth)}</node>`
+    );
+  });
+  graph.edges.forEach((edge) => {
+    lines.push(
+      `    <edge id="${edge.id}" source="${ids.get(edge.source)}" target="${ids.get(edge.target)}">` +
+        `${data("relationship", edge.type)}${data("weight", edge.weight)}` +
+        `${data("scrap_ids", edge.scrap_ids.join(" "))}</edge>`
+    );
+  });
+  lines.push(`  </graph>`, `</graphml>`, "");
+  return lines.join("\n");
+}
+
+function toGexf(graph) {
+  const ids = xmlIds(graph);
+  const attvalues = (values) => {
+    const present = Object.entries(values).filter(([, v]) => v !== null && v !== undefined);
+    if (!present.length) return "";
+    return `<attvalues>${present
+      .map(([k, v]) => `<attvalue for="${k}" value="${escapeXml(v)}"/>`)
+      .join("")}</attvalues>`;
+  };
+
+  const lines = [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<gexf xmlns="http://gexf.net/1.3" version="1.3">`,
+    `  <graph defaultedgetype="directed" mode="static">`,
+    `    <attributes class="node">`,
+    `      <attribute id="type" title="type" type="string"/>`,
+    `      <attribute id="scraps" title="scraps" type="integer"/>`,
+    `      <attribute id="depth" title="depth" type="integer"/>`,
+    `    </attributes>`,
+    `    <attributes class="edge">`,
+    `      <attribute id="relationship" title="relationship" type="string"/>`,
+    `      <attribute id="scrap_ids" title="scrap_ids" type="string"/>`,
+    `    </attributes>`,
+    `    <nodes>`,
+  ];
+  graph.nodes.forEach((node) => {
+    const values = attvalues({ type: node.type, scraps: node.scraps, depth: node.depth });
+    lines.push(
+      `      <node id="${ids.get(node.id)}" label="${escapeXml(node.label)}">${values}</node>`
+    );
+  });
+  lines.push(`    </nodes>`, `    <edges>`);
+  graph.edges.forEach((edge) => {
+    const values = attvalues({ relationship: edge.type, scrap_ids: edge.scrap_ids.join(" ") });
+    lines.push(
+      `      <edge id="${edge.id}" source="${ids.get(edge.source)}" target="${ids.get(edge.target)}" ` +
+        `label="${escapeXml(edge.type)}" weight="${edge.weight}">${values}</edge>`
+    );
+  });
+  lines.push(`    </edges>`, `  </graph>`, `</gexf>`, "");
+  return lines.join("\n");
+}
+
+// Nodes may also carry `note` (written as a DOT comment) and `pos` ("x,y!", pinned position)
+function toDot(graph) {
+  const attrs = (values) =>
+    Object.entries(values)
+      .filter(([, v]) => v !== null && v !== undefined)
+      .map(([k, v]) => `${k}="${escapeDot(v)}"`)
+      .join(", ");
+
+  const lines = ["digraph scrapbook {"];
+  graph.nodes.forEach((node) => {
+    const values = attrs({
+      label: node.label,
+      type: node.type,
+      scraps: node.scraps,
+      depth: node.depth,
+      pos: node.pos,
+      comment: node.note,
+    });
+    lines.push(`  "${escapeDot(node.id)}" [${values}];`);
+  });
+  graph.edges.forEach((edge) => {
+    const values = attrs({
+      label: edge.type,
+      weight: edge.weight,
+      scrap_ids: edge.scrap_ids?.length ? edge.scrap_ids.join(" ") : null,
+    });
+    lines.push(`  "${escapeDot(edge.source)}" -> "${escapeDot(edge.target)}" [${values}];`);
+  });
+  lines.push("}", "");
+  return lines.join("\n");
+}
+
+function toCytoscape(graph) {
+  const elements = {
+    nodes: graph.nodes.map((node) => ({ data: node })),
+    edges: graph.edges.map(({ type, ...edge }) => ({ data: { ...edge, relationship: type } })),
+  };
+  return JSON.stringify({ elements }, null, 2) + "\n";
+}
+
+// Neo4j relationship types are conventionally UPPER_SNAKE_CASE identifiers
+function neo4jType(type) {
+  return (
+    String(type)
+      .toUpperCase()
+      .replace(/[^A-Z0-9_]+/g, "_")
+      .replace(/^_+|_+$/g, "") || "RELATED_TO"
+  );
+}
+
+/**
+ * Neo4j bulk import files; array fields use `;`, the importer's default delimiter
+ * @returns {Object} { "nodes.csv": string, "relationships.csv": string }
+ */
+function toNeo4j(graph) {
+  const row = (values) => values.map(csvField).join(",");
+  const nodes = [
+    row(["id:ID", "name", "type", "scraps:int", ":LABEL"]),
+    ...graph.nodes.map((node) =>
+      row([node.id, node.label, node.type || "", node.scraps, "Entity"])
+    ),
+  ];
+  const relationships = [
+    row([":START_ID", ":END_ID", ":TYPE", "relationship", "weight:int", "scrap_ids:string[]"]),
+    ...graph.edges.map((edge) =>
+      row([
+        edge.source,
+        edge.target,
+        neo4jType(edge.type),
+        edge.type,
+        edge.weight,
+        edge.scrap_ids.join(";"),
+      ])
+    ),
+  ];
+  return {
+    "nodes.csv": nodes.join("\n") + "\n",
+    "relationships.csv": relationships.join("\n") + "\n",
+  };
+}
+
+const SERIALIZERS = {
+  graphml: toGraphml,
+  gexf: toGexf,
+  dot: toDot,
+  cytoscape: toCytoscape,
+};
+
+/**
+ * Serialize a graph from buildGraph
+ * @param {Object} graph
+ * @param {string} format - One of GRAPH_FORMATS
+ * @returns {string|Object} File content, or { fileName: content } for neo4j
+ */
+export function serializeGraph(graph, format) {
+  if (format === "neo4j") return toNeo4j(graph);
+  if (!SERIALIZERS[format]) {
+    throw new Error(`Unknown graph format '${format}' (use ${GRAPH_FORMATS.join(", ")})`);
+  }
+  return SERIALIZERS[format](graph);
+}
+
+/**
+ * The subgraph around an entity: entities within `depth` hops, and the
+ * relationships between them in the scraps that were traversed
+ */
+async function entitySubgraph(entity, { depth, limit, resolver }) {
+  const result = await queryByEntityWithDepth(entity, depth, limit);
+  if (!result.total_scraps) {
+    throw new Error(`No relationships found for entity: ${entity}`);
+  }
+
+  const depths = new Map();
+  result.graph.nodes.forEach((node) => {
+    const key = resolver.key(node.id);
+    if (!depths.has(key)) depths.set(key, node.depth ?? (node.type === "query" ? 0 : 1));
+  });
+  return buildGraph(result.scraps, { resolver, keep: new Set(depths.keys()), depths });
+}
+
+/**
+ * graph-export - write the relationship graph in a graph tool's format
+ * @param {string} [entity] - Export only the subgraph around this entity
+ * @param {Object} options - { format, output, depth, limit, where, json }
+ */
+export async function exportGraph(entity, options) {
+  const format = options.format;
+  if (!GRAPH_FORMATS.includes(format)) {
+    throw new Error(`Unknown graph format '${format}' (use ${GRAPH_FORMATS.join(", ")})`);
+  }
+
+  const resolver = createResolver();
+  let graph;
+  if (entity) {
+    graph = await entitySubgraph(entity, {
+      depth: options.depth || 1,
+      limit: options.limit || 5000,
+      resolver,
+    });
+  } else {
+    ({ graph } = await loadGraph({ where: options.where, resolver }));
+  }
+
+  const content = serializeGraph(graph, format);
+  const toStdout = options.output === "-";
+  const output = toStdout ? "-" : path.resolve(options.output || DEFAULT_OUTPUT[format]);
+  const files = [];
+
+  if (format === "neo4j") {
+    if (toStdout) throw new Error("neo4j export writes two files; use --output <folder>");
+    fs.mkdirSync(output, { recursive: true });
+    Object.entries(content).forEach(([name, text]) => {
+      fs.writeFileSync(path.join(output, name), text);
+      files.push(path.join(output, name));
+    });
+  } else if (toStdout) {
+    process.stdout.write(content);
+  } else {
+    fs.mkdirSync(path.dirname(output), { recursive: true });
+    fs.writeFileSync(output, content);
+    files.push(output);
+  }
+
+  const result = {
+    format,
+    entity: entity || null,
+    nodes: graph.nodes.length,
+    edges: graph.edges.length,
+    files,
+  };
+  const log = toStdout ? console.error : console.log;
+  if (options.json && !toStdout) {
+    console.log(JSON.stringify(result, null, 2));
+  } else {
+    log(`✓ Exported ${graph.nodes.length} entities and ${graph.edges.length} edges`);
+    files.forEach((file) => log(`  ${file}`));
+  }
+  return result;
+}
@@ -0,0 +1,127 @@
+/**
+ * Saved graph workspaces
+ *
+ * The graph explorer (ui/entity-graph.js) saves what you built under a name,
+ * and `scrapbook-cli graph --workspace <name>` picks it up again. Each
+ * workspace is a JSON file in ~/.scrapbook/graph-workspaces/:
+ *
+ *   { name, entity, expanded, pinned: { id: { x, y } }, hidden, notes: { id: text },
+ *     overlay, filters: { relationships, types, min_weight }, created_at, updated_at }
+ *
+ * Only the explored entities are stored, not the graph itself: resuming
+ * re-runs the same expansions, so scraps added since show up too.
+ */
+
+import fs from "fs";
+import path from "path";
+import { expandHome } from "./storage/index.js";
+
+const WORKSPACE_DIR = "~/.scrapbook/graph-workspaces";
+
+export function workspaceDir() {
+  return expandHome(WORKSPACE_DIR);
+}
+
+function workspaceFile(name) {
+  if (!/^[\w.-]+$/.test(name || "") || name.startsWith(".")) {
+    throw new Error(`Invalid workspace name '${name}' (use letters, digits, ., - and _)`);
+  }
+  return path.join(workspaceDir(), `${name}.json`);
+}
+
+/**
+ * Turn an entity name into a default workspace name ("Elon Musk" -> "elon-musk")
+ * @param {string} text
+ * @returns {string}
+ */
+export function workspaceSlug(text) {
+  return (
+    String(text || "")
+      .toLowerCase()
+      .normalize("NFKD")
+      .replace(/[^\w.-]+/g, "-")
+      .replace(/^[-.]+|-+$/g, "") || "graph"
+  );
+}
+
+/**
+ * Read a workspace
+ * @param {string} name
+ * @returns {Object|null} The workspace, or null when there is none by that name
+ * @throws {Error} If the name is invalid or the file isn't valid JSON
+ */
+export function loadWorkspace(name) {
+  const file = workspaceFile(name);
+  if (!fs.existsSync(file)) return null;
+
+  let workspace;
+  try {
+    workspace = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new Error(`Could not parse workspace ${file}: ${error.message}`);
+  }
+  if (!workspace?.entity) throw new Error(`Workspace ${file} has no root entity`);
+
+  return {
+    expanded: [],
+    pinned: {},
+    hidden: [],
+    notes: {},
+    overlay: null,
+    filters: null,
+    ...workspace,
+    name,
+  };
+}
+
+/**
+ * Write a workspace, keeping its original created_at
+ * @param {Object} workspace - Must have name and entity
+ * @returns {string} File written
+ */
+export function saveWorkspace(workspace) {
+  const file = workspaceFile(workspace.name);
+  const now = new Date().toISOString();
+  const previous = fs.existsSync(file) ? loadWorkspace(workspace.name) : null;
+  const data = {
+    ...workspace,
+    created_at: previous?.created_at || now,
+    updated_at: now,
+  };
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(data, null, 2) + "\n");
+  fs.renameSync(`${file}.tmp`, file);
+  return file;
+}
+
+/**
+ * Saved workspaces, most recently updated first
+ * @returns {Object[]} [{ name, entity, expanded, pinned, hidden, notes, updated_at }] (counts)
+ */
+export function listWorkspaces() {
+  const dir = workspaceDir();
+  if (!fs.existsSync(dir)) return [];
+
+  return fs
+    .readdirSync(dir)
+    .filter((file) => file.endsWith(".json"))
+    .map((file) => {
+      try {
+        return loadWorkspace(path.basename(file, ".json"));
+      } catch {
+        return null;
+      }
+    })
+    .filter(Boolean)
+    .map((workspace) => ({
+      name: workspace.name,
+      entity: workspace.entity,
+      expanded: workspace.expanded.length,
+      pinned: Object.keys(workspace.pinned).length,
+      hidden: workspace.hidden.length,
+      notes: Object.keys(workspace.notes).length,
+      updated_at: workspace.updated_at || null,
+    }))
+    .sort((a, b) => String(b.updated_at).localeCompare(String(a.updated_at)));
+}
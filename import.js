@@ -0,0 +1,604 @@
+/**
+ * Import bookmarks from other tools
+ * Integrated into main scrapbook-cli as `scrapbook-cli import <file> --from <format>`
+ *
+ * Formats:
+ * - `pinboard` - JSON or HTML export
+ * - `pocket` - `ril_export.html` or the newer CSV export
+ * - `raindrop` - CSV export
+ * - `netscape` - browser bookmarks HTML; folder names become tags
+ * - `jsonl` - scrap rows, one JSON object per line (a JSON array also works)
+ * - `csv` - any CSV with a header row and a url/href/link column
+ * - `youtube-watchlater` - Watch Later CSV (`id,title,url`), tagged youtube,
+ *   watchlater and video plus topics guessed from the title
+ *
+ * URLs are canonicalised (see urls.js). Rows whose URL or scrap_id is already in
+ * the scrapbook, or appeared earlier in the file, are skipped. Every row ends up
+ * imported, skipped or errored, and the summary says which and why.
+ */
+
+import fs from "fs";
+import crypto from "crypto";
+import { createScrap, createScraps, searchBookmarks } from "./database.js";
+import { canonicalizeUrl, urlKey } from "./urls.js";
+import { EDITABLE_FIELDS, confirm } from "./write.js";
+
+export const IMPORT_FORMATS = [
+  "pinboard",
+  "pocket",
+  "raindrop",
+  "netscape",
+  "jsonl",
+  "csv",
+  "youtube-watchlater",
+];
+
+// Rows per storage write
+const BATCH_SIZE = 500;
+
+// How many rows the preview and error listing show
+const PREVIEW_LIMIT = 20;
+
+// Header names the generic CSV importer understands, per scrap field
+const CSV_COLUMNS = {
+  url: ["url", "href", "link", "uri"],
+  title: ["title", "name"],
+  summary: ["summary", "description", "excerpt", "note", "notes", "extended"],
+  tags: ["tags", "tag", "labels", "keywords"],
+  created_at: ["created_at", "created", "date", "added", "time_added", "timestamp"],
+  source: ["source"],
+  content_type: ["content_type", "type"],
+};
+
+// Tags every Watch Later video gets, and topics guessed from its title
+const WATCHLATER_TAGS = ["youtube", "watchlater", "video"];
+const WATCHLATER_TAG_PATTERNS = {
+  tutorial: /tutorial|how to|step by step|guide|beginner/i,
+  watercolor: /watercolor|watercolour/i,
+  pottery: /pottery|ceramic|clay|throwing/i,
+  aftereffects: /after effects/i,
+  animation: /animat/i,
+  cooking: /recipe|cooking|meal prep|breakfast|food/i,
+  design: /design/i,
+  photography: /photo|camera/i,
+  "video-editing": /final cut|premiere|editing/i,
+  art: /paint|drawing|artist/i,
+  japanese: /japanese|japan/i,
+  korean: /korean|korea/i,
+};
+
+// Browser root folders that say nothing about a bookmark
+const ROOT_FOLDERS = [
+  "bookmarks",
+  "bookmarks bar",
+  "bookmarks toolbar",
+  "bookmarks menu",
+  "favorites bar",
+  "other bookmarks",
+  "mobile bookmarks",
+];
+
+/**
+ * Parse RFC 4180 CSV: quoted fields, doubled quotes, commas and newlines
+ * inside quotes, CRLF or LF line endings. Blank lines are dropped.
+ * @param {string} text
+ * @returns {Object[]} [{ line, values }] where line is the row's first line number
+ * @throws {Error} On an unterminated quoted field
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let values = [];
+  let field = "";
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endRow = () => {
+    values.push(field);
+    if (values.length > 1 || values[0] !== "") rows.push({ line: rowLine, values });
+    values = [];
+    field = "";
+  };
+
+  const input = text.replace(/^\uFEFF/, "");
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === "\n") line++;
+        field += char;
+      }
+    } else if (char === '"' && field === "") {
+      quoted = true;
+    } else if (char === ",") {
+      values.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      endRow();
+      line++;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) throw new Error(`Unterminated quoted field starting on line ${rowLine}`);
+  if (field !== "" || values.length) endRow();
+  return rows;
+}
+
+/**
+ * CSV rows as objects keyed by lowercased header names
+ */
+function csvRecords(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return [];
+  const columns = header.values.map((name) => name.trim().toLowerCase());
+
+  return rows.map(({ line, values }) => ({
+    position: `line ${line}`,
+    record: Object.fromEntries(columns.map((name, i) => [name, (values[i] ?? "").trim()])),
+  }));
+}
+
+function pickColumn(record, names) {
+  const name = names.find((n) => record[n]);
+  return name ? record[name] : "";
+}
+
+function splitTags(value, separator = /[,|;]/) {
+  if (Array.isArray(value)) return value.map((tag) => String(tag).trim()).filter(Boolean);
+  return String(value ?? "")
+    .split(separator)
+    .map((tag) => tag.trim())
+    .filter(Boolean);
+}
+
+/**
+ * ISO timestamp from an ISO/RFC date or a Unix time in seconds, ms or µs
+ * Returns null when the value is empty or unparseable.
+ */
+function parseDate(value) {
+  const raw = String(value ?? "").trim();
+  if (!raw) return null;
+
+  let date;
+  if (/^\d+(\.\d+)?$/.test(raw)) {
+    const number = Number(raw);
+    date = new Date(number > 1e14 ? number / 1000 : number > 1e11 ? number : number * 1000);
+  } else {
+    date = new Date(raw);
+  }
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function decodeEntities(text) {
+  return String(text ?? "")
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(Number(dec)))
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&amp;/g, "&")
+    .trim();
+}
+
+function htmlAttributes(tag) {
+  const attributes = {};
+  const pattern = /([\w-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  let match;
+  while ((match = pattern.exec(tag)) !== null) {
+    attributes[match[1].toLowerCase()] = decodeEntities(match[2] ?? match[3]);
+  }
+  return attributes;
+}
+
+/**
+ * Text from `from` up to the next match of a global pattern (or the end)
+ */
+function textUntil(html, from, pattern) {
+  pattern.lastIndex = from;
+  const match = pattern.exec(html);
+  return html.slice(from, match ? match.index : html.length);
+}
+
+/**
+ * Netscape bookmark HTML (browsers, Pinboard, Pocket's ril_export.html)
+ * Tracks the folder stack through <H3>/<DL> so folder names can become tags.
+ */
+function parseBookmarkHtml(html) {
+  const entries = [];
+  const folders = [];
+  const tokenPattern = /<(\/?)(dl|h3|a|dd)\b([^>]*)>/gi;
+  let pendingFolder = null;
+  let previous = null;
+  let line = 1;
+  let lineIndex = 0;
+  let match;
+
+  while ((match = tokenPattern.exec(html)) !== null) {
+    const [, closing, name, attributes] = match;
+    const tag = name.toLowerCase();
+    const end = tokenPattern.lastIndex;
+
+    for (; lineIndex < match.index; lineIndex++) {
+      if (html[lineIndex] === "\n") line++;
+    }
+
+    if (tag === "dl") {
+      if (closing) {
+        folders.pop();
+      } else {
+        folders.push(pendingFolder);
+        pendingFolder = null;
+      }
+    } else if (closing) {
+      continue;
+    } else if (tag === "h3") {
+      pendingFolder = decodeEntities(textUntil(html, end, /<\/h3>/gi));
+      previous = null;
+    } else if (tag === "a") {
+      const attrs = htmlAttributes(attributes);
+      const folderTags = folders
+        .filter((folder) => folder && !ROOT_FOLDERS.includes(folder.toLowerCase()))
+        .map((folder) => folder.toLowerCase());
+
+      previous = {
+        position: `line ${line}`,
+        fields: {
+          url: attrs.href,
+          title: decodeEntities(textUntil(html, end, /<\/a>/gi)),
+          tags: [...splitTags(attrs.tags, /,/), ...folderTags],
+          created_at: parseDate(attrs.add_date || attrs.time_added),
+        },
+      };
+      entries.push(previous);
+    } else if (tag === "dd" && previous) {
+      previous.fields.summary = decodeEntities(textUntil(html, end, /</g));
+      previous = null;
+    }
+  }
+
+  return entries;
+}
+
+function parsePinboard(text) {
+  if (/^\s*</.test(text)) return parseBookmarkHtml(text);
+
+  const posts = JSON.parse(text);
+  if (!Array.isArray(posts)) throw new Error("Expected a JSON array of Pinboard posts");
+
+  return posts.map((post, index) => ({
+    position: `entry ${index + 1}`,
+    fields: {
+      url: post.href,
+      title: post.description,
+      summary: post.extended,
+      tags: splitTags(post.tags, /\s+/),
+      created_at: parseDate(post.time),
+    },
+  }));
+}
+
+function parsePocket(text) {
+  if (/^\s*</.test(text)) return parseBookmarkHtml(text);
+
+  return csvRecords(text).map(({ position, record }) => ({
+    position,
+    fields: {
+      url: record.url,
+      title: record.title,
+      tags: splitTags(record.tags, /\|/),
+      created_at: parseDate(record.time_added),
+    },
+  }));
+}
+
+function parseRaindrop(text) {
+  return csvRecords(text).map(({ position, record }) => ({
+    position,
+    fields: {
+      url: record.url,
+      title: record.title,
+      summary: record.note || record.excerpt,
+      tags: splitTags(record.tags, /,/),
+      created_at: parseDate(record.created),
+    },
+  }));
+}
+
+function parseGenericCsv(text) {
+  return csvRecords(text).map(({ position, record }) => {
+    const fields = Object.fromEntries(
+      Object.entries(CSV_COLUMNS).map(([field, names]) => [field, pickColumn(record, names)])
+    );
+    return {
+      position,
+      fields: { ...fields, tags: splitTags(fields.tags), created_at: parseDate(fields.created_at) },
+    };
+  });
+}
+
+/**
+ * YouTube Watch Later CSV: id,title,url
+ * Scrap ids are the ones the old import-youtube-watchlater.js script gave, so
+ * videos it already imported are skipped.
+ */
+function parseYoutubeWatchLater(text) {
+  return csvRecords(text).map(({ position, record }) => {
+    const title = record.title || "";
+    const url = pickColumn(record, CSV_COLUMNS.url);
+
+    let idUrl = url;
+    try {
+      const videoId = new URL(url).searchParams.get("v");
+      if (videoId) idUrl = `https://youtube.com/watch?v=${videoId}`;
+    } catch {
+      // toScrap reports the bad URL
+    }
+
+    return {
+      position,
+      fields: {
+        scrap_id: url
+          ? `youtube-watchlater-${crypto.createHash("md5").update(idUrl).digest("hex")}`
+          : null,
+        url,
+        title,
+        tags: [
+          ...WATCHLATER_TAGS,
+          ...Object.keys(WATCHLATER_TAG_PATTERNS).filter((tag) =>
+            WATCHLATER_TAG_PATTERNS[tag].test(title)
+          ),
+        ],
+        source: "youtube",
+        content_type: "video",
+      },
+    };
+  });
+}
+
+function parseJsonl(text) {
+  if (/^\s*\[/.test(text)) {
+    return JSON.parse(text).map((row, index) => ({ position: `entry ${index + 1}`, fields: row }));
+  }
+
+  return text.split(/\r?\n/).flatMap((raw, index) => {
+    if (!raw.trim()) return [];
+    const position = `line ${index + 1}`;
+    try {
+      return [{ position, fields: JSON.parse(raw) }];
+    } catch (error) {
+      return [{ position, error: `invalid JSON (${error.message})` }];
+    }
+  });
+}
+
+const PARSERS = {
+  pinboard: parsePinboard,
+  pocket: parsePocket,
+  raindrop: parseRaindrop,
+  netscape: parseBookmarkHtml,
+  jsonl: parseJsonl,
+  csv: parseGenericCsv,
+  "youtube-watchlater": parseYoutubeWatchLater,
+};
+
+/**
+ * Parse an export file's text
+ * @param {string} text
+ * @param {string} format - One of IMPORT_FORMATS
+ * @returns {Object[]} [{ position, fields } | { position, error }]
+ */
+export function parseImport(text, format) {
+  return PARSERS[format](text);
+}
+
+/**
+ * Turn parsed fields into a scrap row
+ * jsonl rows keep every editable field; other formats only carry the basics.
+ * @throws {Error} When the row has no usable URL
+ */
+function toScrap(fields, { format, options, now }) {
+  if (!fields || typeof fields !== "object" || Array.isArray(fields)) {
+    throw new Error("not an object");
+  }
+
+  let url = null;
+  if (fields.url) {
+    try {
+      url = canonicalizeUrl(fields.url);
+    } catch {
+      throw new Error(`invalid URL '${fields.url}'`);
+    }
+  } else if (format !== "jsonl" || !fields.scrap_id) {
+    throw new Error("missing URL");
+  }
+
+  const source =
+    options.source || fields.source || (format === "jsonl" || format === "csv" ? "import" : format);
+  const extra =
+    format === "jsonl"
+      ? Object.fromEntries(
+          Object.keys(EDITABLE_FIELDS)
+            .filter((field) => fields[field] !== undefined && fields[field] !== null)
+            .map((field) => [field, fields[field]])
+        )
+      : {};
+  const tags = [...new Set([...splitTags(fields.tags), ...(options.tag || [])])];
+
+  return {
+    ...extra,
+    scrap_id: fields.scrap_id || `${source}-${crypto.createHash("md5").update(url).digest("hex")}`,
+    url,
+    title: fields.title || null,
+    summary: fields.summary || null,
+    tags,
+    source,
+    content_type: options.type || fields.content_type || null,
+    created_at: parseDate(fields.created_at) || now,
+    updated_at: now,
+  };
+}
+
+/**
+ * Sort parsed rows into imports, skips and errors
+ * @param {Object[]} entries - Parser output: [{ position, fields } | { position, error }]
+ * @param {Object[]} existing - Scraps already in the scrapbook
+ * @param {Object} context - { format, options }
+ * @returns {Object} { scraps, skipped, errors }
+ */
+function planImport(entries, existing, { format, options }) {
+  const now = new Date().toISOString();
+  const knownIds = new Map(existing.map((scrap) => [scrap.scrap_id, "already in scrapbook"]));
+  const knownUrls = new Map(
+    existing
+      .map((scrap) => [urlKey(scrap.url), `already in scrapbook as ${scrap.scrap_id}`])
+      .filter(([key]) => key)
+  );
+  const plan = { scraps: [], skipped: [], errors: [] };
+
+  entries.forEach(({ position, fields, error }) => {
+    const url = fields?.url || null;
+    if (error) {
+      plan.errors.push({ position, url, reason: error });
+      return;
+    }
+
+    let scrap;
+    try {
+      scrap = toScrap(fields, { format, options, now });
+    } catch (err) {
+      plan.errors.push({ position, url, reason: err.message });
+      return;
+    }
+
+    const key = scrap.url ? urlKey(scrap.url) : null;
+    const duplicate = (key && knownUrls.get(key)) || knownIds.get(scrap.scrap_id);
+    if (duplicate) {
+      plan.skipped.push({ position, url: scrap.url, reason: duplicate });
+      return;
+    }
+
+    const reason = `duplicate of ${position}`;
+    if (key) knownUrls.set(key, reason);
+    knownIds.set(scrap.scrap_id, reason);
+    plan.scraps.push({ position, scrap });
+  });
+
+  return plan;
+}
+
+/**
+ * Insert planned scraps in batches, retrying a failed batch row by row so one
+ * bad row doesn't sink the rest
+ */
+async function writeScraps(planned, errors) {
+  let imported = 0;
+
+  for (let i = 0; i < planned.length; i += BATCH_SIZE) {
+    const batch = planned.slice(i, i + BATCH_SIZE);
+    try {
+      imported += (await createScraps(batch.map(({ scrap }) => scrap))).length;
+    } catch {
+      for (const { position, scrap } of batch) {
+        try {
+          await createScrap(scrap);
+          imported++;
+        } catch (error) {
+          errors.push({ position, url: scrap.url, reason: error.message });
+        }
+      }
+    }
+  }
+
+  return imported;
+}
+
+function printRows(rows, format, log) {
+  rows.slice(0, PREVIEW_LIMIT).forEach((row) => log(`  ${format(row)}`));
+  if (rows.length > PREVIEW_LIMIT) log(`  ... and ${rows.length - PREVIEW_LIMIT} more`);
+}
+
+/**
+ * import command
+ * @param {string} file - File to read
+ * @param {Object} options - { from, source, tag, type, dryRun, yes, json }
+ */
+export async function importScraps(file, options) {
+  const format = options.from;
+  if (!IMPORT_FORMATS.includes(format)) {
+    console.error(`Unknown import format '${format}' (use ${IMPORT_FORMATS.join(", ")})`);
+    process.exit(1);
+  }
+
+  const log = options.json ? console.error : console.log;
+  const text = fs.readFileSync(file, "utf8");
+  const entries = parseImport(text, format);
+  const existing = await searchBookmarks("", { rank: false });
+  const plan = planImport(entries, existing, { format, options });
+
+  log(`Read ${entries.length} rows from ${file} (${format})`);
+  if (plan.scraps.length) {
+    log(`\nTo import (${plan.scraps.length}):`);
+    printRows(
+      plan.scraps,
+      ({ scrap }) =>
+        `+ ${(scrap.title || "[no title]").replace(/\s+/g, " ")}  ${scrap.url || scrap.scrap_id}`,
+      log
+    );
+  }
+  let imported = 0;
+  if (options.dryRun) {
+    log("\nDry run - nothing written");
+  } else if (plan.scraps.length) {
+    if (!(await confirm(`\nImport ${plan.scraps.length} scraps?`, options))) {
+      log("Cancelled");
+      process.exitCode = 1;
+      return;
+    }
+    imported = await writeScraps(plan.scraps, plan.errors);
+  }
+
+  if (plan.errors.length) {
+    log(`\nErrors (${plan.errors.length}):`);
+    printRows(plan.errors, ({ position, reason }) => `! ${position}: ${reason}`, log);
+  }
+
+  const report = {
+    file,
+    format,
+    dry_run: Boolean(options.dryRun),
+    rows: entries.length,
+    imported: options.dryRun ? plan.scraps.length : imported,
+    skipped: plan.skipped.length,
+    errored: plan.errors.length,
+    skipped_rows: plan.skipped,
+    errors: plan.errors,
+  };
+
+  if (options.json) {
+    console.log(JSON.stringify(report, null, 2));
+    return;
+  }
+
+  const verb = options.dryRun ? "Would import" : "Imported";
+  log(`\n✓ ${verb} ${report.imported}, skipped ${report.skipped}, errored ${report.errored}`);
+  const reasons = {};
+  plan.skipped.forEach(({ reason }) => {
+    const kind = reason.startsWith("duplicate")
+      ? "duplicates within the file"
+      : "already in scrapbook";
+    reasons[kind] = (reasons[kind] || 0) + 1;
+  });
+  Object.entries(reasons).forEach(([kind, count]) => log(`  ${count} ${kind}`));
+}
@@ -1,12 +1,16 @@
 #!/usr/bin/env node
 
 import { Command } from "commander";
-import { loadBookmarks, displayScrapJson, searchBookmarks, queryByEntity, queryByEntityWithDepth, formatBookmarksForFzf, queryFinancialAssets } from "./database.js";
-import { loadConfig } from "./config.js";
+import { loadBookmarks, displayScrapJson, searchBookmarks, queryByEntity, queryByEntityWithDepth, formatBookmarksForFzf, queryFinancialAssets, getLastLoadInfo, syncBookmarks } from "./database.js";
+import config, { loadConfig } from "./config.js";
 import blessed from "blessed";
 import { createUI, setupKeyboardShortcuts, displayHelp } from "./tui.js";
+import { joinQueryArgs } from "./query.js";
 import { createMapView } from "./ui/map-view.js";
-import { format } from "date-fns";
+import { regionBounds } from "./regions.js";
+import { getView } from "./views.js";
+import { getColumn } from "./columns.js";
+import { format, formatDistanceToNow } from "date-fns";
 
 // Output formatters for CLI citizen mode
 function outputJSON(data) {
@@ -17,11 +21,11 @@ function outputJSONL(data) {
   data.forEach(item => console.log(JSON.stringify(item)));
 }
 
-function outputTSV(data) {
+function outputTSV(data, columns) {
   if (!data || data.length === 0) return;
 
-  // Get all keys from first item
-  const keys = Object.keys(data[0]);
+  // Get all keys from first item, unless the columns were chosen
+  const keys = columns || Object.keys(data[0]);
 
   // Header row
   console.log(keys.join("\t"));
@@ -38,10 +42,10 @@ function outputTSV(data) {
   });
 }
 
-function outputCSV(data) {
+function outputCSV(data, columns) {
   if (!data || data.length === 0) return;
 
-  const keys = Object.keys(data[0]);
+  const keys = columns || Object.keys(data[0]);
 
   // Header row
   console.log(keys.map(k => `"${k}"`).join(","));
@@ -58,6 +62,34 @@ function outputCSV(data) {
   });
 }
 
+// Stored fields as they are, computed table columns (tag_count, status...) as their cell text
+function pickColumns(data, columns) {
+  const getters = columns.map(getColumn);
+  return data.map((item) =>
+    Object.fromEntries(
+      getters.map(({ key, value }) => [key, key in item ? item[key] : value(item)])
+    )
+  );
+}
+
+// Print results in the format chosen by --json/--jsonl/--tsv/--csv/--fzf
+// columns (e.g. a saved view's) limits the --tsv/--csv fields; JSON always has whole scraps
+function outputResults(data, options, columns = null) {
+  if (options.json) {
+    outputJSON(data);
+  } else if (options.jsonl) {
+    outputJSONL(data);
+  } else if (options.tsv) {
+    outputTSV(columns ? pickColumns(data, columns) : data, columns);
+  } else if (options.csv) {
+    outputCSV(columns ? pickColumns(data, columns) : data, columns);
+  } else if (options.fzf) {
+    console.log(formatBookmarksForFzf(data));
+  } else {
+    outputHumanReadable(data);
+  }
+}
+
 function outputHumanReadable(data) {
   if (!data || data.length === 0) {
     console.log("No results found");
@@ -176,8 +208,63 @@ async function showLoadingScreen() {
   };
 }
 
+// Create the main UI (table, summary, mini-map) once the loading screen is gone
+function openMainUI(bookmarks) {
+  const {
+    screen,
+    table,
+    summaryBox,
+    alertBox,
+    miniMap,
+    searchQueryBox,
+    fullScreenSummaryBox,
+    filterBar,
+    layout,
+    viewTabs,
+    updateDisplay,
+  } = createUI(bookmarks);
+
+  const shortcuts = setupKeyboardShortcuts(
+    screen,
+    table,
+    summaryBox,
+    alertBox,
+    miniMap,
+    searchQueryBox,
+    fullScreenSummaryBox,
+    bookmarks,
+    updateDisplay,
+    filterBar,
+    layout,
+    viewTabs
+  );
+
+  table.focus();
+  screen.render();
+  return shortcuts;
+}
+
 // Main function
 async function main(options) {
+  if (options.region) {
+    try {
+      regionBounds(options.region);
+    } catch (error) {
+      console.error("Error opening map:", error.message);
+      process.exit(1);
+    }
+  }
+
+  let view = null;
+  if (options.view) {
+    try {
+      view = getView(options.view);
+    } catch (error) {
+      console.error("Error opening view:", error.message);
+      process.exit(1);
+    }
+  }
+
   const { screen: loadingScreen, addLog, finish } = await showLoadingScreen();
 
   try {
@@ -193,13 +280,29 @@ async function main(options) {
     addLog(`Configuration loaded (${configTime}ms)`, "success");
 
     // Connect to database and load bookmarks
-    addLog("Connecting to Supabase...", "info");
+    const backend = config.database?.backend || "supabase";
+    addLog(backend === "file" ? "Reading local scrapbook file..." : "Connecting to Supabase...", "info");
     const loadStart = Date.now();
     const bookmarks = await loadBookmarks();
     const loadTime = Date.now() - loadStart;
+    const loadInfo = getLastLoadInfo();
 
-    addLog(`Connected to database`, "success");
-    addLog(`Loaded ${bookmarks.length} scraps (${loadTime}ms)`, "success");
+    if (loadInfo.offline) {
+      addLog(`Offline (${loadInfo.error}) - using cached data`, "error");
+    }
+    if (loadInfo.source === "cache") {
+      const age = loadInfo.synced_at
+        ? formatDistanceToNow(new Date(loadInfo.synced_at), { addSuffix: true })
+        : "never";
+      addLog(`Loaded ${bookmarks.length} scraps from cache, synced ${age} (${loadTime}ms)`, "success");
+    } else {
+      if (loadInfo.sync) {
+        addLog(`Synced ${loadInfo.sync.fetched} changed scraps from ${loadInfo.source} (${loadInfo.sync.mode})`, "success");
+      } else {
+        addLog(`Connected to database`, "success");
+      }
+      addLog(`Loaded ${bookmarks.length} scraps from ${loadInfo.source} (${loadTime}ms)`, "success");
+    }
 
     // Calculate some stats
     const withTags = bookmarks.filter(b => b.tags && b.tags.length > 0).length;
@@ -209,12 +312,20 @@ async function main(options) {
 
     addLog(`Stats: ${withTags} tagged, ${withSummary} summarized, ${withMetaSummary} meta, ${withLocation} located`, "info");
 
-    if (options.map) {
+    if (options.map || options.region) {
       addLog("Initializing map view...", "info");
       finish();
       setTimeout(() => {
         loadingScreen.destroy();
-        createMapView(bookmarks);
+        createMapView(bookmarks, {
+          region: options.region,
+          // T on the map swaps it for the main UI, narrowed to the scraps in view
+          onSelect: ({ label, scraps, screen: mapScreen }) => {
+            mapScreen.destroy();
+            const { narrowList } = openMainUI(bookmarks);
+            narrowList(scraps, label, `${scraps.length} scraps · ${label}`);
+          },
+        });
       }, 500);
       return;
     }
@@ -226,33 +337,9 @@ async function main(options) {
     // Brief pause to show completion, then destroy loading and create main UI
     setTimeout(() => {
       loadingScreen.destroy();
-
-      // Now create main UI after loading screen is destroyed
-      const {
-        screen,
-        table,
-        summaryBox,
-        alertBox,
-        miniMap,
-        searchQueryBox,
-        fullScreenSummaryBox,
-        updateDisplay,
-      } = createUI(bookmarks);
-
-      setupKeyboardShortcuts(
-        screen,
-        table,
-        summaryBox,
-        alertBox,
-        miniMap,
-        searchQueryBox,
-        fullScreenSummaryBox,
-        bookmarks,
-        updateDisplay
-      );
-
-      table.focus();
-      screen.render();
+      const { showTimeline, showView } = openMainUI(bookmarks);
+      if (view) showView(view.name);
+      if (options.timeline) showTimeline();
     }, 400);
   } catch (error) {
     addLog(`Error: ${error.message}`, "error");
@@ -271,15 +358,24 @@ program
   .description("CLI for managing and viewing scrapbook entries")
   .version("1.0.0")
   .option("-m, --map", "Display a map of all bookmarks")
-  .option("-t, --theme <theme>", "Use a specific theme preset");
+  .option("--timeline", "Open the TUI on the timeline of when scraps were saved")
+  .option("--view <name>", "Open the TUI on a saved view's tab (views: in config)")
+  .option("--region <name>", "Open the map zoomed to a region (e.g. europe, us, japan)")
+  .option("-t, --theme <theme>", "Use a specific theme preset")
+  // Program options only before the subcommand, so `search ... -tag:x` isn't read as `-t ag:x`
+  .enablePositionalOptions();
 
 // TUI mode (default)
 program
   .command("ui", { isDefault: true })
   .description("Launch interactive TUI (default)")
   .option("-m, --map", "Display a map of all bookmarks")
+  .option("--timeline", "Open the TUI on the timeline of when scraps were saved")
+  .option("--view <name>", "Open the TUI on a saved view's tab (views: in config)")
+  .option("--region <name>", "Open the map zoomed to a region (e.g. europe, us, japan)")
   .option("-t, --theme <theme>", "Use a specific theme preset")
-  .action((options) => main(options));
+  // `scrapbook-cli --map` parses --map as a program option, so merge those in
+  .action((options, command) => main(command.optsWithGlobals()));
 
 // fzf mode - browse with external fzf
 program
@@ -347,55 +443,132 @@ program
   .option("--csv", "Output as CSV")
   .option("--fzf", "Output in fzf-compatible format for piping")
   .option("-l, --limit <n>", "Limit number of results", parseInt)
+  .option("-w, --where <query>", "Only scraps matching a query (e.g. 'tag:ai after:2024-01')")
   .action(async (options) => {
     loadConfig({ silent: true });
-    const bookmarks = await loadBookmarks();
 
-    const limited = options.limit ? bookmarks.slice(0, options.limit) : bookmarks;
-
-    if (options.json) {
-      outputJSON(limited);
-    } else if (options.jsonl) {
-      outputJSONL(limited);
-    } else if (options.tsv) {
-      outputTSV(limited);
-    } else if (options.csv) {
-      outputCSV(limited);
-    } else if (options.fzf) {
-      const { formatBookmarksForFzf } = await import("./database.js");
-      console.log(formatBookmarksForFzf(limited));
+    let limited;
+    if (options.where) {
+      try {
+        // Date order, like a plain list - use `search` for relevance ranking
+        limited = await searchBookmarks(options.where, { rank: false, limit: options.limit });
+      } catch (error) {
+        console.error("Error filtering bookmarks:", error.message);
+        process.exit(1);
+      }
     } else {
-      // Default: human-readable list
-      outputHumanReadable(limited);
+      const bookmarks = await loadBookmarks();
+      limited = options.limit ? bookmarks.slice(0, options.limit) : bookmarks;
     }
+
+    outputResults(limited, options);
   });
 
 // Search command
 program
-  .command("search <query>")
-  .description("Search bookmarks and output results")
+  .command("search <query...>")
+  .description("Search bookmarks, ranked by relevance (tag:ai source:x type:video after:2024-01 entity:\"OpenAI\" -tag:nsfw \"phrase\")")
   .option("--json", "Output as JSON array")
   .option("--jsonl", "Output as JSON Lines")
   .option("--tsv", "Output as TSV")
   .option("--csv", "Output as CSV")
   .option("--fzf", "Output in fzf-compatible format for piping")
-  .action(async (query, options) => {
+  .option("-l, --limit <n>", "Limit number of results", parseInt)
+  .option("--by-date", "Order by date instead of relevance")
+  .option("--semantic", "Rank by meaning (vector similarity) instead of keywords")
+  .allowUnknownOption() // so -tag:nsfw is read as a negated term, not an option
+  .action(async (queryParts, options) => {
     loadConfig({ silent: true });
-    const results = await searchBookmarks(query);
 
-    if (options.json) {
-      outputJSON(results);
-    } else if (options.jsonl) {
-      outputJSONL(results);
-    } else if (options.tsv) {
-      outputTSV(results);
-    } else if (options.csv) {
-      outputCSV(results);
-    } else if (options.fzf) {
-      const { formatBookmarksForFzf } = await import("./database.js");
-      console.log(formatBookmarksForFzf(results));
-    } else {
-      outputHumanReadable(results);
+    let results;
+    try {
+      if (options.semantic) {
+        const { semanticSearch } = await import("./semantic.js");
+        results = await semanticSearch(queryParts.join(" "), { limit: options.limit });
+      } else {
+        results = await searchBookmarks(joinQueryArgs(queryParts), {
+          rank: !options.byDate,
+          limit: options.limit,
+        });
+      }
+    } catch (error) {
+      console.error(error.message);
+      process.exit(1);
+    }
+
+    outputResults(results, options);
+  });
+
+// Saved views (views: in config)
+program
+  .command("view [name]")
+  .description("Show a saved view from config (views:), or list the views")
+  .option("--json", "Output as JSON array")
+  .option("--jsonl", "Output as JSON Lines")
+  .option("--tsv", "Output as TSV")
+  .option("--csv", "Output as CSV")
+  .option("--fzf", "Output in fzf-compatible format for piping")
+  .option("-l, --limit <n>", "Limit number of results", parseInt)
+  .action(async (name, options) => {
+    loadConfig({ silent: true });
+    try {
+      const { listViews, getView, loadView, printViews } = await import("./views.js");
+      if (!name) {
+        if (options.json || options.jsonl || options.tsv || options.csv) {
+          outputResults(listViews(), options);
+        } else {
+          printViews(listViews());
+        }
+        return;
+      }
+      const view = getView(name);
+      outputResults(await loadView(view, { limit: options.limit }), options, view.columns);
+    } catch (error) {
+      console.error("Error showing view:", error.message);
+      process.exit(1);
+    }
+  });
+
+// Untriaged scraps
+program
+  .command("inbox")
+  .description("Scraps still to triage: unread and not snoozed (see triage)")
+  .option("--json", "Output as JSON array")
+  .option("--jsonl", "Output as JSON Lines")
+  .option("--tsv", "Output as TSV")
+  .option("--csv", "Output as CSV")
+  .option("--fzf", "Output in fzf-compatible format for piping")
+  .option("-l, --limit <n>", "Limit number of results", parseInt)
+  .option("-w, --where <query>", "Only inbox scraps that also match a query")
+  .action(async (options) => {
+    loadConfig({ silent: true });
+    try {
+      const query = `is:inbox ${options.where || ""}`.trim();
+      outputResults(await searchBookmarks(query, { rank: false, limit: options.limit }), options);
+    } catch (error) {
+      console.error("Error loading inbox:", error.message);
+      process.exit(1);
+    }
+  });
+
+// Semantic neighbours of a scrap
+program
+  .command("similar <scrap_id>")
+  .description("Find scraps similar in meaning to a scrap (vector similarity)")
+  .option("--json", "Output as JSON array")
+  .option("--jsonl", "Output as JSON Lines")
+  .option("--tsv", "Output as TSV")
+  .option("--csv", "Output as CSV")
+  .option("--fzf", "Output in fzf-compatible format for piping")
+  .option("-l, --limit <n>", "Number of results (default: semantic.limit)", parseInt)
+  .action(async (scrap_id, options) => {
+    loadConfig({ silent: true });
+    try {
+      const { findSimilar } = await import("./semantic.js");
+      outputResults(await findSimilar(scrap_id, { limit: options.limit }), options);
+    } catch (error) {
+      console.error("Error finding similar scraps:", error.message);
+      process.exit(1);
     }
   });
 
@@ -410,12 +583,106 @@ program
     await displayScrapJson(scrap_id, options);
   });
 
+// Write commands
+program
+  .command("add <url>")
+  .description("Add a new scrap")
+  .option("--title <title>", "Title")
+  .option("--summary <summary>", "Summary")
+  .option("--tag <tags...>", "Tags")
+  .option("--source <source>", "Source name", "cli")
+  .option("--type <type>", "Content type (article, video, ...)")
+  .option("--id <scrap_id>", "Use a specific scrap_id instead of hashing the URL")
+  .option("--dry-run", "Show what would be added without writing")
+  .option("-y, --yes", "Skip confirmation prompt")
+  .option("--json", "Output the new scrap as JSON (same shape as get)")
+  .action(async (url, options) => {
+    loadConfig({ silent: true });
+    try {
+      const { addScrap } = await import("./write.js");
+      await addScrap(url, options);
+    } catch (error) {
+      console.error("Error adding scrap:", error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command("tag <scrap_id> <changes...>")
+  .description("Add or remove tags: tag <scrap_id> +foo -bar")
+  .option("--concept", "Edit concept_tags instead of tags")
+  .option("--dry-run", "Show changes without writing")
+  .option("-y, --yes", "Skip confirmation prompt")
+  .option("--json", "Output the updated scrap as JSON (same shape as get)")
+  .allowUnknownOption() // so -tag is read as a removal, not an option
+  .action(async (scrap_id, changes, options) => {
+    loadConfig({ silent: true });
+    try {
+      const { tagScrap } = await import("./write.js");
+      await tagScrap(scrap_id, changes, options);
+    } catch (error) {
+      console.error("Error tagging scrap:", error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command("set <scrap_id> <field> <value>")
+  .description("Set a field on a scrap (use 'null' to clear)")
+  .option("--dry-run", "Show changes without writing")
+  .option("-y, --yes", "Skip confirmation prompt")
+  .option("--json", "Output the updated scrap as JSON (same shape as get)")
+  .action(async (scrap_id, field, value, options) => {
+    loadConfig({ silent: true });
+    try {
+      const { setScrapField } = await import("./write.js");
+      await setScrapField(scrap_id, field, value, options);
+    } catch (error) {
+      console.error("Error updating scrap:", error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command("rm <scrap_id>")
+  .description("Delete a scrap")
+  .option("--dry-run", "Show what would be deleted without deleting")
+  .option("-y, --yes", "Skip confirmation prompt")
+  .option("--json", "Output the deleted scrap as JSON (same shape as get)")
+  .action(async (scrap_id, options) => {
+    loadConfig({ silent: true });
+    try {
+      const { removeScrap } = await import("./write.js");
+      await removeScrap(scrap_id, options);
+    } catch (error) {
+      console.error("Error deleting scrap:", error.message);
+      process.exit(1);
+    }
+  });
+
+// Reading-list state, kept in the local triage store
+program
+  .command("triage <action> <scrap_ids...>")
+  .description("Mark scraps unread, reading, done or archived; star, unstar, snooze or wake them")
+  .option("--until <when>", "When a snooze ends: 3h, 2d, 1w, 1m, tomorrow or a date", "1w")
+  .option("--json", "Output the new states as JSON")
+  .action(async (action, scrapIds, options) => {
+    loadConfig({ silent: true });
+    try {
+      const { triageScraps } = await import("./write.js");
+      await triageScraps(action, scrapIds, options);
+    } catch (error) {
+      console.error("Error triaging scraps:", error.message);
+      process.exit(1);
+    }
+  });
+
 // Entity graph queries
 program
   .command("entity <name>")
   .description("Query knowledge graph by entity name")
   .option("--depth <n>", "Traverse N levels deep", parseInt)
-  .option("--limit <n>", "Max scraps to load (prevents timeout on massive entities)", parseInt, 5000)
+  .option("--limit <n>", "Stop traversing after this many scraps", parseInt, 5000)
   .option("--json", "Output full data as JSON")
   .option("--graph", "Output graph structure only")
   .option("--connections", "Show connections only")
@@ -439,7 +706,7 @@ program
         console.log(JSON.stringify(result, null, 2));
       } else {
         // Human-readable output
-        console.log(`\nEntity: ${result.query}`);
+        console.log(`\nEntity: ${result.entity}`);
         if (result.depth) {
           console.log(`Traversal depth: ${result.depth}`);
         }
@@ -468,26 +735,137 @@ program
 
 // Interactive graph exploration
 program
-  .command("graph <entity>")
+  .command("graph [entity]")
   .description("Launch interactive TUI to explore entity relationships")
-  .action(async (entity) => {
+  .option("--overlay <metric>", "Start with an overlay: pagerank, betweenness or community")
+  .option("--workspace <name>", "Resume a saved workspace (or start one for <entity>)")
+  .option("--workspaces", "List saved workspaces")
+  .option("--json", "Output the workspace list as JSON")
+  .action(async (entity, options) => {
     loadConfig({ silent: true });
     try {
-      const result = await queryByEntity(entity);
+      const { loadWorkspace, listWorkspaces, workspaceDir } = await import("./graph-workspace.js");
+
+      if (options.workspaces) {
+        const workspaces = listWorkspaces();
+        if (options.json) {
+          console.log(JSON.stringify(workspaces, null, 2));
+        } else if (workspaces.length === 0) {
+          console.log(`No saved workspaces in ${workspaceDir()}`);
+        } else {
+          workspaces.forEach(w => {
+            const updated = w.updated_at ? format(new Date(w.updated_at), "yyyy-MM-dd HH:mm") : "-";
+            console.log(`${w.name.padEnd(24)} ${w.entity.padEnd(30)} ${updated}  ` +
+              `${w.expanded} expanded · ${w.pinned} pinned · ${w.hidden} hidden · ${w.notes} notes`);
+          });
+        }
+        return;
+      }
+
+      const state = options.workspace ? loadWorkspace(options.workspace) : null;
+      if (state && entity && entity.toLowerCase() !== state.entity.toLowerCase()) {
+        console.error(`Resuming workspace '${state.name}' at ${state.entity} (ignoring ${entity})`);
+      }
+      const root = state?.entity || entity;
+      if (!root) {
+        console.error(options.workspace
+          ? `No workspace named '${options.workspace}' - give an entity to start one`
+          : "Give an entity to explore, or --workspace <name>");
+        process.exit(1);
+      }
+
+      const result = await queryByEntity(root);
 
       if (result.total_scraps === 0) {
-        console.log(`No relationships found for entity: ${entity}`);
+        console.log(`No relationships found for entity: ${root}`);
         process.exit(1);
       }
 
-      const { createEntityGraphView } = await import("./ui/entity-graph.js");
-      createEntityGraphView(result, entity);
+      const { createEntityGraphView, GRAPH_OVERLAYS } = await import("./ui/entity-graph.js");
+      const overlay = options.overlay || state?.overlay || undefined;
+      if (overlay && !GRAPH_OVERLAYS.includes(overlay)) {
+        console.error(`Unknown overlay '${overlay}' (use ${GRAPH_OVERLAYS.filter(Boolean).join(", ")})`);
+        process.exit(1);
+      }
+      createEntityGraphView(result, result.entity, {
+        overlay,
+        workspace: options.workspace,
+        state,
+      });
     } catch (error) {
       console.error('Error launching graph view:', error.message);
       process.exit(1);
     }
   });
 
+// Entity registry: canonical names, aliases and types
+const entities = program
+  .command("entities")
+  .description("Rank entities and manage the entity registry (canonical names, aliases, types)");
+
+entities
+  .command("list", { isDefault: true })
+  .description("Rank every entity by scraps, degree, relationship types, first/last seen")
+  .option("--sort <field>", "scraps, degree, types, first, last or name", "scraps")
+  .option("--reverse", "Reverse the sort order")
+  .option("--top <n>", "Only the top N entities", parseInt)
+  .option("--type <type>", "Only entities of this type (person, organization, ...)")
+  .option("--registered", "Only entities in the registry")
+  .option("--min-scraps <n>", "Only entities mentioned in at least N scraps", parseInt)
+  .option("--match <text>", "Only entities whose name or alias contains text")
+  .option("-w, --where <query>", "Only count scraps matching a query (e.g. 'after:2024 tag:ai')")
+  .option("--json", "Output as JSON")
+  .option("--jsonl", "Output as JSON Lines")
+  .option("--tsv", "Output as TSV")
+  .option("--csv", "Output as CSV")
+  .action(async (options) => {
+    loadConfig({ silent: true });
+    try {
+      const { listEntities, printEntityTable } = await import("./entities.js");
+      const rows = await listEntities(options);
+      if (options.json || options.jsonl || options.tsv || options.csv) {
+        outputResults(rows, options);
+      } else {
+        printEntityTable(rows);
+      }
+    } catch (error) {
+      console.error("Error listing entities:", error.message);
+      process.exit(1);
+    }
+  });
+
+entities
+  .command("alias <name> <aliases...>")
+  .description("Resolve other names to an entity: entities alias \"Elon Musk\" Musk @elonmusk")
+  .option("--type <type>", "Entity type (person, organization, place, ...)")
+  .option("--json", "Output the registry entry as JSON")
+  .action(async (name, aliases, options) => {
+    loadConfig({ silent: true });
+    try {
+      const { aliasEntity } = await import("./entities.js");
+      await aliasEntity(name, aliases, options);
+    } catch (error) {
+      console.error("Error adding alias:", error.message);
+      process.exit(1);
+    }
+  });
+
+entities
+  .command("merge <target> <names...>")
+  .description("Fold entities (and their aliases) into one canonical entity")
+  .option("--type <type>", "Entity type for the merged entity")
+  .option("--json", "Output the registry entry as JSON")
+  .action(async (target, names, options) => {
+    loadConfig({ silent: true });
+    try {
+      const { mergeEntityNames } = await import("./entities.js");
+      await mergeEntityNames(target, names, options);
+    } catch (error) {
+      console.error("Error merging entities:", error.message);
+      process.exit(1);
+    }
+  });
+
 // YouTube playlist commands
 const youtube = program.command('youtube').description('YouTube playlist and transcription tools');
 
@@ -497,6 +875,7 @@ youtube
   .option('--tag <tags...>', 'Filter by tags')
   .option('--entity <entity>', 'Filter by knowledge graph entity')
   .option('--search <query>', 'Search in titles/descriptions')
+  .option('--where <query>', "Filter with a query (e.g. 'tag:ai -tag:nsfw after:2024')")
   .option('--after <date>', 'Only videos after date (YYYY-MM-DD)')
   .option('--before <date>', 'Only videos before date (YYYY-MM-DD)')
   .option('-o, --output <file>', 'Output playlist file', 'playlist.txt')
@@ -513,6 +892,7 @@ youtube
   .option('--tag <tags...>', 'Filter by tags')
   .option('--entity <entity>', 'Filter by entity')
   .option('--search <query>', 'Search query')
+  .option('--where <query>', "Filter with a query (e.g. 'tag:ai -tag:nsfw after:2024')")
   .option('-o, --output-dir <dir>', 'Download directory', './youtube-downloads')
   .option('--audio-only', 'Download audio only (MP3)')
   .option('--subs', 'Download subtitles')
@@ -528,6 +908,7 @@ youtube
   .option('--entity <entity>', 'Filter by entity')
   .option('--tag <tags...>', 'Filter by tags')
   .option('--search <query>', 'Search query')
+  .option('--where <query>', "Filter with a query (e.g. 'tag:ai -tag:nsfw after:2024')")
   .option('-o, --output-dir <dir>', 'Output directory', './transcriptions')
   .option('--model <model>', 'Whisper model (tiny, base, small, medium, large)', 'base')
   .option('--keep-audio', 'Keep downloaded audio files')
@@ -546,6 +927,217 @@ youtube
     await showStats();
   });
 
+// Sync the offline cache
+program
+  .command("sync")
+  .description("Sync the local offline cache with the database")
+  .option("--full", "Re-download everything (also drops scraps deleted remotely)")
+  .option("--since <date>", "Re-fetch scraps updated after a date (YYYY-MM-DD)")
+  .option("--json", "Output sync result as JSON")
+  .action(async (options) => {
+    loadConfig({ silent: true });
+
+    if (config.database?.backend === "file") {
+      console.error("The file backend is already local - nothing to sync");
+      process.exit(1);
+    }
+    if (config.cache?.enabled === false) {
+      console.error("Offline cache is disabled (cache.enabled: false)");
+      process.exit(1);
+    }
+
+    let since;
+    if (options.since) {
+      const sinceDate = new Date(options.since);
+      if (isNaN(sinceDate.getTime())) {
+        console.error(`Invalid --since date: ${options.since}`);
+        process.exit(1);
+      }
+      since = sinceDate.toISOString();
+    }
+
+    try {
+      const start = Date.now();
+      const result = await syncBookmarks({ full: options.full, since });
+
+      if (options.json) {
+        outputJSON(result);
+      } else {
+        console.log(`Synced ${result.fetched} scraps (${result.mode}) in ${Date.now() - start}ms`);
+        console.log(`Cache now holds ${result.total} scraps`);
+      }
+    } catch (error) {
+      console.error("Error syncing cache:", error.message);
+      process.exit(1);
+    }
+  });
+
+// Export to other tools
+program
+  .command("export")
+  .description("Export scraps as an Obsidian vault, HTML site, browser bookmarks, OPML or BibTeX")
+  .requiredOption("-f, --format <format>", "obsidian, html, netscape, opml or bibtex")
+  .option("-o, --output <path>", "Output folder (obsidian, html) or file (netscape, opml, bibtex)")
+  .option("-w, --where <query>", "Only export scraps matching a query (e.g. 'tag:ai -tag:nsfw')")
+  .option("--full", "Rewrite every scrap instead of only those changed since the last export")
+  .option("--json", "Output export summary as JSON")
+  .action(async (options) => {
+    loadConfig({ silent: true });
+    try {
+      const { exportScraps } = await import("./export.js");
+      await exportScraps(options);
+    } catch (error) {
+      console.error("Error exporting scraps:", error.message);
+      process.exit(1);
+    }
+  });
+
+// Export the relationship graph to graph tools
+program
+  .command("graph-export [entity]")
+  .description("Export the relationship graph (or the subgraph around an entity) for graph tools")
+  .requiredOption("-f, --format <format>", "graphml, gexf, dot, cytoscape or neo4j")
+  .option("-o, --output <path>", "Output file, folder for neo4j, or - for stdout")
+  .option("--depth <n>", "Hops around the entity to include", parseInt, 1)
+  .option("--limit <n>", "Max scraps to traverse around the entity", parseInt, 5000)
+  .option("-w, --where <query>", "Only use scraps matching a query (whole-graph export)")
+  .option("--json", "Output export summary as JSON")
+  .action(async (entity, options) => {
+    loadConfig({ silent: true });
+    try {
+      const { exportGraph } = await import("./graph-export.js");
+      await exportGraph(entity, options);
+    } catch (error) {
+      console.error("Error exporting graph:", error.message);
+      process.exit(1);
+    }
+  });
+
+// Shortest connection between two entities
+program
+  .command("path <from> <to>")
+  .description("Show how two entities connect through scraps")
+  .option("--max-depth <n>", "Give up beyond this many hops", parseInt, 6)
+  .option("-w, --where <query>", "Only use scraps matching a query")
+  .option("--json", "Output as JSON")
+  .action(async (from, to, options) => {
+    loadConfig({ silent: true });
+    try {
+      const { findPath, printPath } = await import("./graph-analytics.js");
+      const result = await findPath(from, to, options);
+      if (options.json) {
+        console.log(JSON.stringify(result, null, 2));
+      } else {
+        printPath(result);
+      }
+    } catch (error) {
+      console.error("Error finding path:", error.message);
+      process.exit(1);
+    }
+  });
+
+// Centrality, components and communities
+program
+  .command("graph-stats")
+  .description("PageRank, betweenness, connected components and communities of the entity graph")
+  .option("--sort <metric>", "pagerank, betweenness, degree or scraps", "pagerank")
+  .option("--top <n>", "Only the top N entities", parseInt, 25)
+  .option("--all", "List every entity instead of the top N")
+  .option("--component <n>", "Only entities in this component (1 = largest)", parseInt)
+  .option("-w, --where <query>", "Only use scraps matching a query")
+  .option("--json", "Output as JSON")
+  .option("--jsonl", "Output as JSON Lines")
+  .option("--tsv", "Output as TSV")
+  .option("--csv", "Output as CSV")
+  .action(async (options) => {
+    loadConfig({ silent: true });
+    try {
+      const { computeGraphStats, printGraphStats } = await import("./graph-analytics.js");
+      const stats = await computeGraphStats({ ...options, top: options.all ? 0 : options.top });
+      if (options.json) {
+        console.log(JSON.stringify(stats, null, 2));
+      } else if (options.jsonl || options.tsv || options.csv) {
+        outputResults(stats.rows, options);
+      } else {
+        printGraphStats(stats);
+      }
+    } catch (error) {
+      console.error("Error computing graph stats:", error.message);
+      process.exit(1);
+    }
+  });
+
+// Import from other tools
+program
+  .command("import <file>")
+  .description("Import bookmarks from Pinboard, Pocket, Raindrop, browser HTML, JSON Lines or CSV")
+  .requiredOption(
+    "--from <format>",
+    "pinboard, pocket, raindrop, netscape, jsonl, csv or youtube-watchlater"
+  )
+  .option("--source <source>", "Source name for imported scraps (default: the format)")
+  .option("--tag <tags...>", "Extra tags added to every imported scrap")
+  .option("--type <type>", "Content type for every imported scrap (article, video, ...)")
+  .option("--dry-run", "Show what would be imported without writing")
+  .option("-y, --yes", "Skip confirmation prompt")
+  .option("--json", "Output the import report as JSON")
+  .action(async (file, options) => {
+    loadConfig({ silent: true });
+    try {
+      const { importScraps } = await import("./import.js");
+      await importScraps(file, options);
+    } catch (error) {
+      console.error("Error importing scraps:", error.message);
+      process.exit(1);
+    }
+  });
+
+// Find and merge duplicate scraps
+program
+  .command("dedupe")
+  .description("Find near-duplicate scraps and merge them into one")
+  .option("-w, --where <query>", "Only look at scraps matching a query")
+  .option("--threshold <n>", "Title similarity needed to match (0-1)", "0.8")
+  .option("--no-titles", "Only match on canonical URL, not title similarity")
+  .option("--dry-run", "Show duplicate clusters without merging")
+  .option("-y, --yes", "Merge every cluster into its suggested survivor without asking")
+  .option("--undo [merge_id]", "Undo a merge (default: the most recent one)")
+  .option("--history", "List logged merges")
+  .option("--json", "Output results as JSON")
+  .action(async (options) => {
+    loadConfig({ silent: true });
+    try {
+      const { dedupeScraps } = await import("./dedupe.js");
+      await dedupeScraps(options);
+    } catch (error) {
+      console.error("Error deduplicating scraps:", error.message);
+      process.exit(1);
+    }
+  });
+
+// Geocode command - coordinates for scraps that only have a location name
+program
+  .command("geocode")
+  .description("Look up coordinates for scraps with a location name but no latitude/longitude")
+  .option("-w, --where <query>", "Only geocode scraps matching a query")
+  .option("--geocoder <name>", "gazetteer (offline) or nominatim (default: geocode.geocoder)")
+  .option("--min-confidence <n>", "Lowest confidence --yes writes (0-1, default: 0.7)")
+  .option("-l, --limit <n>", "Only the first n locations (most scraps first)", parseInt)
+  .option("--refresh", "Look names up again instead of using cached answers")
+  .option("--dry-run", "Show proposed coordinates without writing them")
+  .option("-y, --yes", "Write every match at or above the minimum confidence without asking")
+  .option("--json", "Output results as JSON")
+  .action(async (options) => {
+    loadConfig({ silent: true });
+    try {
+      const { geocodeScraps } = await import("./geocode.js");
+      await geocodeScraps(options);
+    } catch (error) {
+      console.error("Error geocoding scraps:", error.message);
+      process.exit(1);
+    }
+  });
+
 // Stats command - quick overview of database
 program
   .command("stats")
@@ -562,6 +1154,7 @@ program
       withSummary: 0,
       withRelationships: 0,
       withLocation: 0,
+      withCoordinates: 0,
       withConceptTags: 0,
       withScreenshot: 0,
       shared: 0,
@@ -585,6 +1178,7 @@ program
       if (b.summary) stats.withSummary++;
       if (b.relationships?.length > 0) stats.withRelationships++;
       if (b.location && b.location !== "Unknown") stats.withLocation++;
+      if (b.latitude && b.longitude) stats.withCoordinates++;
       if (b.concept_tags?.length > 0) stats.withConceptTags++;
       if (b.screenshot_url) stats.withScreenshot++;
       if (b.shared) stats.shared++;
@@ -623,6 +1217,9 @@ program
       console.log(`  Summary: ${stats.withSummary} (${((stats.withSummary / stats.total) * 100).toFixed(1)}%)`);
       console.log(`  Relationships: ${stats.withRelationships} (${((stats.withRelationships / stats.total) * 100).toFixed(1)}%)`);
       console.log(`  Location: ${stats.withLocation} (${((stats.withLocation / stats.total) * 100).toFixed(1)}%)`);
+      // Locations without coordinates can be filled in with `geocode`
+      const coordinatesPct = ((stats.withCoordinates / stats.total) * 100).toFixed(1);
+      console.log(`  Coordinates: ${stats.withCoordinates} (${coordinatesPct}%)`);
       console.log(`  Concept Tags: ${stats.withConceptTags} (${((stats.withConceptTags / stats.total) * 100).toFixed(1)}%)`);
       console.log(`  Screenshot: ${stats.withScreenshot} (${((stats.withScreenshot / stats.total) * 100).toFixed(1)}%)`);
       console.log(`  Shared/Public: ${stats.shared}`);
@@ -0,0 +1,450 @@
+/**
+ * Scrapbook query language
+ *
+ * Used by `search`, `list --where`, the TUI `w` filter and the `youtube` commands:
+ *
+ *   tag:ai source:pinboard type:video after:2024-01 entity:"OpenAI" -tag:nsfw "exact phrase"
+ *
+ * - Bare words and "quoted phrases" match title, summary, content, URL and tags
+ * - `field:value` filters on a field; quote values containing spaces
+ * - `field:a,b` matches any of the comma-separated values
+ * - A leading `-` negates a term
+ * - All terms must match (AND)
+ *
+ * Fields: tag, concept, source, type, entity (resolved through the entity
+ * registry, whole names only), title, url, location, id,
+ * after, before (YYYY, YYYY-MM, any date, or relative: today, yesterday,
+ * this-week/month/year, last-week/month/year, or 30d/6w/3m/1y ago), has (summary, location,
+ * coordinates, relationships, tags, screenshot, content), region (a named
+ * region from regions.js), bbox (west,south,east,north; never split on commas),
+ * status (unread, reading, done, archived) and is (starred, snoozed, inbox); the
+ * last two read the triage store (triage.js).
+ *
+ * `compileQuery` turns the terms a backend can evaluate into storage filters
+ * (see storage/index.js) so less data is fetched. Every term is still checked
+ * locally by `matchesQuery`, which covers what the backend can't express.
+ */
+
+import { regionBounds, parseBounds, inBounds } from "./regions.js";
+import { triageOf, inInbox, TRIAGE_STATUSES } from "./triage.js";
+import { createResolver } from "./entity-registry.js";
+import { wholeWordMatcher } from "./entity-index.js";
+
+// One term: optional -, optional field:, then a "quoted value" or a bare word
+const TOKEN_PATTERN = /(-?)(?:([A-Za-z_]+):)?(?:"([^"]*)"?|(\S+))/g;
+
+// Field names (and aliases) recognised before a colon
+const FIELD_ALIASES = {
+  tag: "tag",
+  tags: "tag",
+  concept: "concept",
+  concepts: "concept",
+  source: "source",
+  type: "type",
+  entity: "entity",
+  title: "title",
+  url: "url",
+  location: "location",
+  loc: "location",
+  id: "id",
+  after: "after",
+  since: "after",
+  before: "before",
+  until: "before",
+  has: "has",
+  region: "region",
+  bbox: "bbox",
+  status: "status",
+  state: "status",
+  is: "is",
+};
+
+const HAS_CHECKS = {
+  summary: (s) => Boolean(s.summary),
+  content: (s) => Boolean(s.content),
+  location: (s) => Boolean(s.location) && s.location !== "Unknown",
+  coordinates: (s) => Boolean(s.latitude && s.longitude),
+  coords: (s) => Boolean(s.latitude && s.longitude),
+  relationships: (s) => Array.isArray(s.relationships) && s.relationships.length > 0,
+  entities: (s) => Array.isArray(s.relationships) && s.relationships.length > 0,
+  tags: (s) => Array.isArray(s.tags) && s.tags.length > 0,
+  screenshot: (s) => Boolean(s.screenshot_url),
+};
+
+const IS_CHECKS = {
+  starred: (s) => triageOf(s).starred,
+  snoozed: (s) => triageOf(s).snoozed,
+  inbox: (s) => inInbox(s),
+};
+
+// Text columns free-text terms are pushed down to (ILIKE only works on text columns)
+const TEXT_COLUMNS = ["title", "summary", "content", "url"];
+
+// Relevance weights per field for free-text hits
+const WEIGHTS = { title: 6, tags: 5, concept_tags: 3, summary: 2, url: 1, content: 1 };
+
+const lower = (value) => String(value ?? "").toLowerCase();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Start of a relative period (today, this-month, last-week...) or a time N
+ * days/weeks/months/years ago (30d, 6w, 3m, 1y). Periods start at midnight UTC,
+ * like YYYY-MM dates; weeks start on Monday.
+ * @returns {Date|null} null if the value isn't relative
+ */
+export function relativeDate(raw, now = new Date()) {
+  const value = raw.toLowerCase();
+  const year = now.getUTCFullYear();
+  const month = now.getUTCMonth();
+  const today = Date.UTC(year, month, now.getUTCDate());
+  const monday = today - ((now.getUTCDay() + 6) % 7) * DAY_MS;
+
+  const periods = {
+    today,
+    yesterday: today - DAY_MS,
+    "this-week": monday,
+    "last-week": monday - 7 * DAY_MS,
+    "this-month": Date.UTC(year, month, 1),
+    "last-month": Date.UTC(year, month - 1, 1),
+    "this-year": Date.UTC(year, 0, 1),
+    "last-year": Date.UTC(year - 1, 0, 1),
+  };
+  if (periods[value] !== undefined) return new Date(periods[value]);
+
+  const ago = value.match(/^(\d+)([dwmy])$/);
+  if (!ago) return null;
+  const amount = Number(ago[1]);
+  const date = new Date(now);
+  if (ago[2] === "d") date.setTime(date.getTime() - amount * DAY_MS);
+  if (ago[2] === "w") date.setTime(date.getTime() - amount * 7 * DAY_MS);
+  if (ago[2] === "m") date.setUTCMonth(date.getUTCMonth() - amount);
+  if (ago[2] === "y") date.setUTCFullYear(date.getUTCFullYear() - amount);
+  return date;
+}
+
+/**
+ * Turn YYYY, YYYY-MM, YYYY-MM-DD, a relative date or any Date-parseable string
+ * into an ISO timestamp for the start of that period
+ */
+function parseDateValue(raw, field) {
+  const relative = relativeDate(raw);
+  if (relative) return relative.toISOString();
+
+  const partial = raw.match(/^(\d{4})(?:-(\d{1,2}))?(?:-(\d{1,2}))?$/);
+  const date = partial
+    ? new Date(
+        Date.UTC(
+          Number(partial[1]),
+          partial[2] ? Number(partial[2]) - 1 : 0,
+          Number(partial[3] || 1)
+        )
+      )
+    : new Date(raw);
+
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid date for ${field}: ${raw}`);
+  }
+  return date.toISOString();
+}
+
+/**
+ * Build a single query term
+ * @param {string} field - "text" or one of the query fields (aliases allowed)
+ * @param {string|string[]} values - Values; a term matches if any value matches
+ * @param {Object} [options]
+ * @param {boolean} [options.negate] - Match scraps the term does NOT match
+ * @returns {Object} { field, values, negate }
+ * @throws {Error} On unknown fields, `has:`/`status:`/`is:` values, regions, bounding boxes or
+ *   invalid dates
+ */
+export function createClause(field, values, { negate = false } = {}) {
+  const name = field === "text" ? "text" : FIELD_ALIASES[field.toLowerCase()];
+  if (!name) throw new Error(`Unknown query field: ${field}`);
+
+  let list = (Array.isArray(values) ? values : [values])
+    .map((v) => String(v).trim())
+    .filter(Boolean);
+
+  if (name === "after" || name === "before") {
+    list = list.slice(0, 1).map((v) => parseDateValue(v, name));
+  } else if (name === "has") {
+    list = list.map((v) => v.toLowerCase());
+    const unknown = list.find((v) => !HAS_CHECKS[v]);
+    if (unknown) {
+      throw new Error(
+        `Unknown has: value '${unknown}' (use ${Object.keys(HAS_CHECKS).join(", ")})`
+      );
+    }
+  } else if (name === "status" || name === "is") {
+    list = list.map((v) => v.toLowerCase());
+    const known = name === "status" ? TRIAGE_STATUSES : Object.keys(IS_CHECKS);
+    const unknown = list.find((v) => !known.includes(v));
+    if (unknown) throw new Error(`Unknown ${name}: value '${unknown}' (use ${known.join(", ")})`);
+  } else if (name === "region") {
+    list.forEach(regionBounds);
+  } else if (name === "bbox") {
+    list = list.slice(0, 1);
+    list.forEach(parseBounds);
+  }
+
+  return { field: name, values: list, negate };
+}
+
+/**
+ * Parse a query string
+ * @param {string} input
+ * @returns {Object} { input, clauses }
+ * @throws {Error} On invalid dates, `has:` values, regions or bounding boxes
+ */
+export function parseQuery(input = "") {
+  const clauses = [];
+
+  for (const [token, minus, fieldName, quoted, bare] of input.matchAll(TOKEN_PATTERN)) {
+    const negate = minus === "-";
+    const value = quoted !== undefined ? quoted : bare;
+
+    const field = fieldName && FIELD_ALIASES[fieldName.toLowerCase()];
+    if (field) {
+      // Unquoted values may list alternatives: tag:ai,ml (a bbox is one comma-separated value)
+      const values = quoted !== undefined || field === "bbox" ? [value] : (value || "").split(",");
+      const clause = createClause(fieldName, values, { negate });
+      if (clause.values.length) clauses.push(clause);
+    } else {
+      // Not a known field (e.g. a URL) - search for the token as typed
+      const text = fieldName ? token.slice(minus.length) : value;
+      if (text) clauses.push(createClause("text", text, { negate }));
+    }
+  }
+
+  return { input, clauses };
+}
+
+/**
+ * Rebuild a query string from shell arguments
+ * The shell has already removed quotes, so an argument that is one multi-word term is
+ * re-quoted (`entity:Open AI` -> `entity:"Open AI"`, `exact phrase` -> `"exact phrase"`).
+ * An argument holding a whole query (`"tag:ai -tag:video"`) is passed through as is.
+ * @param {string[]} args
+ * @returns {string}
+ */
+export function joinQueryArgs(args) {
+  return args
+    .map((arg) => {
+      if (!/\s/.test(arg) || arg.includes('"')) return arg;
+
+      const [first, ...rest] = [...arg.trim().matchAll(TOKEN_PATTERN)];
+      const isField = ([, , fieldName]) =>
+        Boolean(fieldName && FIELD_ALIASES[fieldName.toLowerCase()]);
+      if (rest.some((token) => token[1] === "-" || isField(token))) return arg;
+
+      if (isField(first)) {
+        const prefix = `${first[1]}${first[2]}:`;
+        return `${prefix}"${arg.trim().slice(prefix.length)}"`;
+      }
+      const negated = first[1] === "-";
+      return `${negated ? "-" : ""}"${arg.trim().slice(negated ? 1 : 0)}"`;
+    })
+    .join(" ");
+}
+
+/**
+ * Compile the terms a storage backend can evaluate into storage filters
+ *
+ * Only positive terms are pushed down (NOT on a nullable column would drop
+ * rows we still want). Tag and bare-text terms are left to matchesQuery: it
+ * compares tags case-insensitively, but Supabase can only test jsonb tags with
+ * case-sensitive containment, so pushing them down would drop rows tagged `ai`
+ * for `tag:AI` that the file backend returns.
+ *
+ * @param {Object} query - Result of parseQuery
+ * @returns {Object[]} Filters for storage.query()
+ */
+export function compileQuery(query) {
+  const filters = [];
+
+  query.clauses
+    .filter((clause) => !clause.negate)
+    .forEach(({ field, values }) => {
+      if (field === "title" || field === "url") {
+        filters.push({
+          op: "any",
+          filters: values.map((value) => ({ op: "ilike", column: field, value })),
+        });
+      } else if (field === "after") {
+        filters.push({ op: "gte", column: "created_at", value: values[0] });
+      } else if (field === "before") {
+        filters.push({ op: "lt", column: "created_at", value: values[0] });
+      }
+    });
+
+  return filters;
+}
+
+/**
+ * Lowercased entity names mentioned in a scrap's relationships
+ * @param {Object} scrap
+ * @returns {string[]}
+ */
+export function entityNames(scrap) {
+  if (!Array.isArray(scrap.relationships)) return [];
+  return scrap.relationships.flatMap((rel) =>
+    rel && typeof rel === "object"
+      ? [rel.source?.name || rel.source, rel.target?.name || rel.target].filter(Boolean).map(lower)
+      : []
+  );
+}
+
+// Entity registry for entity: terms, read on first use
+let resolver = null;
+const entityMatchers = new Map();
+
+/**
+ * Test for entity names an entity: term refers to, resolved through the registry
+ * like queryByEntity: the same entity under any alias, or one with the term as a
+ * whole word of its name (`entity:Musk` finds Elon Musk, `entity:AI` isn't OpenAI)
+ * @param {string} value
+ * @returns {Function} (name) => boolean
+ */
+function entityMatcher(value) {
+  if (!entityMatchers.has(value)) {
+    resolver ||= createResolver();
+    const queryKey = resolver.key(value);
+    const matches = queryKey ? wholeWordMatcher(queryKey) : () => false;
+    entityMatchers.set(value, (name) => matches(resolver.key(name)));
+  }
+  return entityMatchers.get(value);
+}
+
+function matchesValue(scrap, field, value) {
+  const needle = lower(value);
+
+  switch (field) {
+    case "text":
+      return (
+        TEXT_COLUMNS.some((column) => lower(scrap[column]).includes(needle)) ||
+        (scrap.tags || []).some((tag) => lower(tag) === needle)
+      );
+    case "tag":
+      return (scrap.tags || []).some((tag) => lower(tag) === needle);
+    case "concept":
+      return (scrap.concept_tags || []).some((tag) => lower(tag) === needle);
+    case "source":
+      return lower(scrap.source) === needle;
+    case "type":
+      return lower(scrap.content_type) === needle || lower(scrap.type) === needle;
+    case "entity":
+      return entityNames(scrap).some(entityMatcher(value));
+    case "title":
+    case "url":
+    case "location":
+      return lower(scrap[field]).includes(needle);
+    case "id":
+      return scrap.scrap_id === value || String(scrap.id) === value;
+    case "after":
+      return Boolean(scrap.created_at) && new Date(scrap.created_at) >= new Date(value);
+    case "before":
+      return Boolean(scrap.created_at) && new Date(scrap.created_at) < new Date(value);
+    case "has":
+      return HAS_CHECKS[value](scrap);
+    case "status":
+      return triageOf(scrap).status === value;
+    case "is":
+      return IS_CHECKS[value](scrap);
+    case "region":
+      return inBounds(scrap, regionBounds(value));
+    case "bbox":
+      return inBounds(scrap, parseBounds(value));
+    default:
+      return false;
+  }
+}
+
+/**
+ * Check a scrap against every term of a query
+ * @param {Object} scrap
+ * @param {Object} query - Result of parseQuery
+ * @returns {boolean}
+ */
+export function matchesQuery(scrap, query) {
+  return query.clauses.every((clause) => {
+    const hit = clause.values.some((value) => matchesValue(scrap, clause.field, value));
+    return clause.negate ? !hit : hit;
+  });
+}
+
+function countOccurrences(haystack, needle) {
+  if (!needle) return 0;
+  let count = 0;
+  let index = haystack.indexOf(needle);
+  while (index !== -1 && count < 10) {
+    count++;
+    index = haystack.indexOf(needle, index + needle.length);
+  }
+  return count;
+}
+
+/**
+ * Relevance of a scrap for the positive text, title and entity terms of a query
+ * @param {Object} scrap
+ * @param {Object} query - Result of parseQuery
+ * @returns {number} 0 when nothing in the query is rankable
+ */
+export function scoreScrap(scrap, query) {
+  let score = 0;
+
+  query.clauses
+    .filter((clause) => !clause.negate)
+    .forEach(({ field, values }) => {
+      values.forEach((value) => {
+        const needle = lower(value);
+
+        if (field === "text") {
+          if (lower(scrap.title).includes(needle)) score += WEIGHTS.title;
+          if (lower(scrap.summary).includes(needle)) score += WEIGHTS.summary;
+          if (lower(scrap.url).includes(needle)) score += WEIGHTS.url;
+          if ((scrap.tags || []).some((tag) => lower(tag).includes(needle))) score += WEIGHTS.tags;
+          if ((scrap.concept_tags || []).some((tag) => lower(tag).includes(needle))) {
+            score += WEIGHTS.concept_tags;
+          }
+          // Diminishing returns for repeated hits in long content
+          score += WEIGHTS.content * Math.log2(1 + countOccurrences(lower(scrap.content), needle));
+          // Whole-word hits in the title beat partial ones
+          if (
+            new RegExp(`\\b${needle.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}\\b`).test(
+              lower(scrap.title)
+            )
+          ) {
+            score += WEIGHTS.title / 2;
+          }
+        } else if (field === "title" && lower(scrap.title).includes(needle)) {
+          score += WEIGHTS.title;
+        } else if (field === "entity") {
+          score += Math.min(5, entityNames(scrap).filter(entityMatcher(needle)).length);
+        }
+      });
+    });
+
+  return score;
+}
+
+/**
+ * Filter scraps by a query, optionally ordering them by relevance
+ * Ties (and unrankable queries) keep the incoming order.
+ *
+ * @param {Object[]} scraps
+ * @param {Object|string} query - Query string or result of parseQuery
+ * @param {Object} [options]
+ * @param {boolean} [options.rank=true] - Sort by scoreScrap
+ * @returns {Object[]}
+ */
+export function filterByQuery(scraps, query, { rank = true } = {}) {
+  const parsed = typeof query === "string" ? parseQuery(query) : query;
+  const matches = scraps.filter((scrap) => matchesQuery(scrap, parsed));
+  if (!rank) return matches;
+
+  return matches
+    .map((scrap, index) => ({ scrap, index, score: scoreScrap(scrap, parsed) }))
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .map(({ scrap }) => scrap);
+}
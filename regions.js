@@ -0,0 +1,111 @@
+/**
+ * Named map regions as longitude/latitude bounding boxes
+ *
+ * The map view zooms to these, and the `region:` and `bbox:` query terms
+ * (query.js) select the scraps inside them, so a region picked on the map
+ * can be listed or exported in any format:
+ *
+ *   scrap list -w "region:europe" --csv
+ *   scrap list -w "bbox:-10.5,35.2,30,60" --json
+ *
+ * Bounds are [west, south, east, north] in degrees. Boxes are rough: they're
+ * for browsing, not for deciding which country a point belongs to.
+ */
+
+export const REGIONS = {
+  world: { label: "World", bounds: [-180, -60, 180, 85] },
+  "north-america": { label: "North America", bounds: [-170, 5, -50, 84] },
+  "south-america": { label: "South America", bounds: [-92, -56, -32, 13] },
+  europe: { label: "Europe", bounds: [-25, 34, 45, 72] },
+  africa: { label: "Africa", bounds: [-19, -35, 52, 38] },
+  "middle-east": { label: "Middle East", bounds: [25, 12, 63, 42] },
+  asia: { label: "Asia", bounds: [26, -11, 150, 78] },
+  oceania: { label: "Oceania", bounds: [110, -48, 180, 0] },
+  us: { label: "United States", bounds: [-125, 24, -66, 50] },
+  canada: { label: "Canada", bounds: [-141, 41, -52, 84] },
+  mexico: { label: "Mexico", bounds: [-118, 14, -86, 33] },
+  brazil: { label: "Brazil", bounds: [-74, -34, -34, 6] },
+  uk: { label: "United Kingdom", bounds: [-8.7, 49.8, 1.8, 60.9] },
+  france: { label: "France", bounds: [-5.2, 41.3, 9.6, 51.1] },
+  germany: { label: "Germany", bounds: [5.8, 47.2, 15.1, 55.1] },
+  spain: { label: "Spain", bounds: [-9.4, 35.9, 3.4, 43.8] },
+  italy: { label: "Italy", bounds: [6.6, 36.6, 18.6, 47.1] },
+  india: { label: "India", bounds: [68, 6.5, 97.5, 35.5] },
+  china: { label: "China", bounds: [73, 18, 135, 54] },
+  japan: { label: "Japan", bounds: [129, 30, 146, 46] },
+  australia: { label: "Australia", bounds: [112, -44, 154, -10] },
+  "new-zealand": { label: "New Zealand", bounds: [166, -47.5, 179, -34] },
+};
+
+/**
+ * Bounding box of a named region
+ * @param {string} name - Key of REGIONS (case-insensitive, spaces or dashes)
+ * @returns {number[]} [west, south, east, north]
+ * @throws {Error} If there's no such region
+ */
+export function regionBounds(name) {
+  const key = String(name).trim().toLowerCase().replace(/\s+/g, "-");
+  if (!REGIONS[key]) {
+    throw new Error(`Unknown region '${name}' (use ${Object.keys(REGIONS).join(", ")})`);
+  }
+  return REGIONS[key].bounds;
+}
+
+/**
+ * Parse "west,south,east,north"
+ * @param {string} text
+ * @returns {number[]} [west, south, east, north]
+ * @throws {Error} If it isn't four numbers within range
+ */
+export function parseBounds(text) {
+  const values = String(text).split(",").map(Number);
+  const [west, south, east, north] = values;
+  if (
+    values.length !== 4 ||
+    values.some((v) => !Number.isFinite(v)) ||
+    Math.abs(west) > 180 ||
+    Math.abs(east) > 180 ||
+    south < -90 ||
+    north > 90 ||
+    south >= north
+  ) {
+    throw new Error(`Invalid bbox '${text}' (use west,south,east,north in degrees)`);
+  }
+  return values;
+}
+
+/**
+ * Bounds as "west,south,east,north" (for a bbox: query term)
+ * @param {number[]} bounds
+ * @returns {string}
+ */
+export function formatBounds(bounds) {
+  return bounds.map((v) => Number(v.toFixed(2))).join(",");
+}
+
+/**
+ * A scrap's coordinates, if it has usable ones
+ * @param {Object} scrap
+ * @returns {Object|null} { lat, lon }
+ */
+export function scrapCoordinates(scrap) {
+  if (!scrap.latitude || !scrap.longitude) return null;
+  const lat = Number(scrap.latitude);
+  const lon = Number(scrap.longitude);
+  if (!Number.isFinite(lat) || !Number.isFinite(lon)) return null;
+  return { lat, lon };
+}
+
+/**
+ * Whether a scrap lies inside a bounding box (boxes with west > east cross the date line)
+ * @param {Object} scrap
+ * @param {number[]} bounds - [west, south, east, north]
+ * @returns {boolean}
+ */
+export function inBounds(scrap, [west, south, east, north]) {
+  const point = scrapCoordinates(scrap);
+  if (!point || point.lat < south || point.lat > north) return false;
+  return west <= east
+    ? point.lon >= west && point.lon <= east
+    : point.lon >= west || point.lon <= east;
+}
@@ -0,0 +1,302 @@
+/**
+ * Scrap <-> Markdown round-tripping
+ *
+ * `formatScrapMarkdown` renders a scrap as the rich markdown document the `e`
+ * editor opens. `parseScrapMarkdown` reads the editable parts back out of it,
+ * and `diffScrapMarkdown` turns the result into a patch for `updateScrap`.
+ *
+ * Editable sections: the `# Title` line, `## Tags`, `## Concept Tags`,
+ * `## Location` (Place + Coordinates), `## Summary` and `## Relationships`.
+ * Everything else (metadata, JSON blocks, full content) is read-only.
+ */
+
+const NO_TITLE = "[no title]";
+const NO_SUMMARY = "No summary available";
+
+// Only these level-2 headings end a section, so summaries can contain their own headings
+const SECTION_HEADINGS = [
+  "Metadata",
+  "Tags",
+  "Concept Tags",
+  "Location",
+  "Summary",
+  "Relationships",
+  "Financial Analysis",
+  "Extraction Confidence",
+  "Source Metadata",
+  "Screenshot",
+  "Full Content",
+];
+
+// A stored latitude/longitude as a number, or null when unset (0 is a real coordinate)
+function coordinate(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const number = parseFloat(value);
+  return isNaN(number) ? null : number;
+}
+
+function relationshipParts(rel) {
+  return {
+    source: String(rel.source?.name || rel.source || "[unknown]"),
+    relationship: String(rel.type || rel.relationship || "RELATED_TO"),
+    target: String(rel.target?.name || rel.target || "[unknown]"),
+  };
+}
+
+/**
+ * A relationship typed in the editor as a stored row
+ * Follows the shape of an existing row when there is one; otherwise the
+ * extraction schema: `{ source: { name }, target: { name }, type }`.
+ * @param {Object} rel - { source, relationship, target } from parseScrapMarkdown
+ * @param {Object} [template] - One of the scrap's existing relationships
+ * @returns {Object}
+ */
+function relationshipRow({ source, relationship, target }, template) {
+  const objectEndpoints = !template || typeof template.source === "object";
+  const typeKey =
+    template && !("type" in template) && "relationship" in template ? "relationship" : "type";
+  return {
+    source: objectEndpoints ? { name: source } : source,
+    target: objectEndpoints ? { name: target } : target,
+    [typeKey]: relationship,
+  };
+}
+
+/**
+ * Case-insensitive identity of a relationship (source, type, target)
+ * @param {Object} rel
+ * @returns {string}
+ */
+export function relationshipKey(rel) {
+  const { source, relationship, target } = relationshipParts(rel);
+  return `${source}\u0000${relationship}\u0000${target}`.toLowerCase();
+}
+
+/**
+ * Render a scrap as markdown with ALL of its data
+ * Editable sections are always present (even when empty) so they can be filled in.
+ * @param {Object} scrap
+ * @returns {string}
+ */
+export function formatScrapMarkdown(scrap) {
+  const sections = [
+    `# ${scrap.title || NO_TITLE}`,
+    "",
+    "## Metadata",
+    "",
+    `**Scrap ID:** ${scrap.scrap_id || "N/A"}`,
+    `**UUID:** ${scrap.id || "N/A"}`,
+    `**URL:** ${scrap.url || "N/A"}`,
+    `**Public URL:** ${scrap.public_url || "N/A"}`,
+    `**Source:** ${scrap.source || "N/A"}`,
+    `**Type:** ${scrap.type || "N/A"}`,
+    `**Content Type:** ${scrap.content_type || "N/A"}`,
+    `**Created:** ${scrap.created_at || "N/A"}`,
+    `**Updated:** ${scrap.updated_at || "N/A"}`,
+    `**Published:** ${scrap.published_at || "N/A"}`,
+    `**Shared:** ${scrap.shared ? "Yes" : "No"}`,
+    "",
+    "### Processing Info",
+    "",
+    `**Graph Imported:** ${scrap.graph_imported ? "Yes" : "No"}`,
+    `**Processing Instance:** ${scrap.processing_instance_id || "N/A"}`,
+    `**Processing Started:** ${scrap.processing_started_at || "N/A"}`,
+    "",
+  ];
+
+  // Tags
+  sections.push("## Tags", "", ...(scrap.tags || []).map((t) => `- ${t}`), "");
+
+  // Concept Tags
+  sections.push("## Concept Tags", "", ...(scrap.concept_tags || []).map((t) => `- ${t}`), "");
+
+  // Location
+  sections.push("## Location", "", `**Place:** ${scrap.location || ""}`);
+  const latitude = coordinate(scrap.latitude);
+  const longitude = coordinate(scrap.longitude);
+  if (latitude !== null && longitude !== null) {
+    sections.push(`**Coordinates:** ${latitude}, ${longitude}`);
+    sections.push(
+      `**Map:** https://www.openstreetmap.org/?mlat=${latitude}&mlon=${longitude}&zoom=12`
+    );
+  } else {
+    sections.push("**Coordinates:** ");
+  }
+  sections.push("");
+
+  // Summary
+  sections.push("## Summary", "", scrap.summary || NO_SUMMARY, "");
+
+  // Relationships
+  sections.push("## Relationships", "");
+  (scrap.relationships || []).forEach((rel) => {
+    if (!rel || typeof rel !== "object") return;
+    const { source, relationship, target } = relationshipParts(rel);
+    sections.push(`- **${source}** ${relationship} **${target}**`);
+  });
+  sections.push("");
+
+  // Financial Analysis
+  if (scrap.financial_analysis) {
+    sections.push(
+      "## Financial Analysis",
+      "",
+      "```json",
+      JSON.stringify(scrap.financial_analysis, null, 2),
+      "```",
+      ""
+    );
+  }
+
+  // Extraction Confidence
+  if (scrap.extraction_confidence) {
+    sections.push(
+      "## Extraction Confidence",
+      "",
+      "```json",
+      JSON.stringify(scrap.extraction_confidence, null, 2),
+      "```",
+      ""
+    );
+  }
+
+  // Metadata (original source metadata)
+  if (scrap.metadata) {
+    sections.push(
+      "## Source Metadata",
+      "",
+      "```json",
+      JSON.stringify(scrap.metadata, null, 2),
+      "```",
+      ""
+    );
+  }
+
+  // Screenshot
+  if (scrap.screenshot_url) {
+    sections.push("## Screenshot", "", `![Screenshot](${scrap.screenshot_url})`, "");
+  }
+
+  // Main Content (at the end so it doesn't push other data down)
+  sections.push("---", "", "## Full Content", "", scrap.content || "No content available");
+
+  return sections.join("\n");
+}
+
+/**
+ * Read the editable fields back out of a markdown document
+ * @param {string} markdown - Text produced by formatScrapMarkdown (possibly edited)
+ * @returns {Object} { title, tags, concept_tags, location, latitude, longitude, summary, relationships }
+ */
+export function parseScrapMarkdown(markdown) {
+  const lines = markdown.split(/\r?\n/);
+  const bodies = {};
+  let title = null;
+  let current = null;
+
+  for (const line of lines) {
+    const heading = line.match(/^## (.+?)\s*$/);
+    if (heading && SECTION_HEADINGS.includes(heading[1])) {
+      if (heading[1] === "Full Content") {
+        // Drop the one `---` rule formatScrapMarkdown writes before Full Content
+        const previous = bodies[current] || [];
+        while (previous.length && !previous[previous.length - 1].trim()) previous.pop();
+        if (previous[previous.length - 1] === "---") previous.pop();
+        break;
+      }
+      current = heading[1];
+      bodies[current] = [];
+    } else if (title === null && /^# /.test(line)) {
+      title = line.slice(2).trim();
+    } else if (current) {
+      bodies[current].push(line);
+    }
+  }
+
+  // Drop trailing blank lines
+  const body = (name) => {
+    const sectionLines = [...(bodies[name] || [])];
+    while (sectionLines.length && !sectionLines[sectionLines.length - 1].trim()) {
+      sectionLines.pop();
+    }
+    return sectionLines;
+  };
+  const listItems = (name) =>
+    body(name)
+      .map((line) => line.match(/^\s*[-*]\s+(.*)$/)?.[1]?.trim())
+      .filter(Boolean);
+  const field = (name, label) =>
+    body(name)
+      .map((line) => line.match(new RegExp(`^\\*\\*${label}:\\*\\*\\s*(.*)$`))?.[1])
+      .find((value) => value !== undefined);
+
+  let latitude = null;
+  let longitude = null;
+  const coordinates = field("Location", "Coordinates");
+  if (coordinates && coordinates.trim()) {
+    const [lat, lon] = coordinates.split(",").map((part) => parseFloat(part));
+    if (!isNaN(lat) && !isNaN(lon)) {
+      latitude = lat;
+      longitude = lon;
+    }
+  }
+
+  const relationships = body("Relationships")
+    .map((line) => line.match(/^\s*[-*]\s+\*\*(.+?)\*\*\s+(.+?)\s+\*\*(.+?)\*\*\s*$/))
+    .filter(Boolean)
+    .map(([, source, relationship, target]) => ({ source, relationship, target }));
+
+  const summary = body("Summary").join("\n").trim();
+
+  return {
+    title: title && title !== NO_TITLE ? title : null,
+    tags: listItems("Tags"),
+    concept_tags: listItems("Concept Tags"),
+    location: field("Location", "Place")?.trim() || null,
+    latitude,
+    longitude,
+    summary: summary && summary !== NO_SUMMARY ? summary : null,
+    relationships,
+  };
+}
+
+/**
+ * Compare parsed markdown against the original scrap
+ * Unchanged relationships keep their original objects (and any extra fields).
+ * @param {Object} original - Scrap the markdown was rendered from
+ * @param {Object} parsed - Result of parseScrapMarkdown
+ * @returns {Object} Patch containing only the fields that changed
+ */
+export function diffScrapMarkdown(original, parsed) {
+  const patch = {};
+  const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+  if (!same(original.title || null, parsed.title)) patch.title = parsed.title;
+  if (!same(original.tags || [], parsed.tags)) patch.tags = parsed.tags;
+  if (!same(original.concept_tags || [], parsed.concept_tags)) {
+    patch.concept_tags = parsed.concept_tags;
+  }
+  if (!same(original.location || null, parsed.location)) patch.location = parsed.location;
+  if ((original.summary || "").trim() !== (parsed.summary || "")) patch.summary = parsed.summary;
+
+  const originalLat = coordinate(original.latitude);
+  const originalLon = coordinate(original.longitude);
+  if (originalLat !== parsed.latitude || originalLon !== parsed.longitude) {
+    patch.latitude = parsed.latitude;
+    patch.longitude = parsed.longitude;
+  }
+
+  const originalRels = (original.relationships || []).filter(
+    (rel) => rel && typeof rel === "object"
+  );
+  const originalKeys = originalRels.map(relationshipKey);
+  const parsedKeys = parsed.relationships.map(relationshipKey);
+  if (!same(originalKeys, parsedKeys)) {
+    patch.relationships = parsed.relationships.map((rel, index) => {
+      const match = originalKeys.indexOf(parsedKeys[index]);
+      return match !== -1 ? originalRels[match] : relationshipRow(rel, originalRels[0]);
+    });
+  }
+
+  return patch;
+}
@@ -0,0 +1,418 @@
+/**
+ * Semantic (vector) search: `similar <scrap_id>` and `search --semantic`
+ *
+ * Two ways to find neighbours, chosen by `semantic.mode`:
+ *
+ * - `local` (default) - embeds every scrap's text with the configured embedder and
+ *   keeps the vectors in `<cache dir>/embeddings.json`. Only scraps whose
+ *   `updated_at` changed are re-embedded, so repeat searches are quick and offline.
+ *   When `semantic.column` names a stored embedding column written by the same
+ *   model, those vectors are used instead of embedding the text again.
+ * - `rpc` - asks a pgvector function on Supabase (`match_scraps`, see
+ *   docs/CONFIG.md) to rank the stored `semantic.column` embeddings. Query text
+ *   must be embedded by the same model that produced them (e.g. `embedder: ollama`).
+ *
+ * Embedders (`semantic.embedder`):
+ *
+ * - `hash` - deterministic feature-hashing stand-in. No model or network needed;
+ *   similarity is lexical rather than truly semantic, but stable across runs.
+ * - `ollama` - `semantic.ollama.model` served by a local Ollama instance
+ */
+
+import fs from "fs";
+import path from "path";
+import config from "./config.js";
+import { getStorage } from "./storage/index.js";
+import { getCachePaths } from "./storage/cache.js";
+import { searchBookmarks, sanitizeScrap } from "./database.js";
+import { entityNames } from "./query.js";
+
+const DEFAULT_DIMENSIONS = 384;
+const DEFAULT_LIMIT = 20;
+// How much each shared feature counts towards relatedness
+const RELATED_WEIGHTS = { tag: 2, concept: 1.5, entity: 3, similarity: 10 };
+// Characters of content that go into a scrap's embedding
+const CONTENT_CHARS = 2000;
+
+const STOPWORDS = new Set(
+  "a an and are as at be but by for from has have in is it its of on or that the this to was were will with".split(
+    " "
+  )
+);
+
+function semanticConfig() {
+  return config.semantic || {};
+}
+
+/**
+ * 32-bit FNV-1a hash
+ */
+function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+function normalize(vector) {
+  const length = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+  return length ? vector.map((v) => v / length) : vector;
+}
+
+/**
+ * Deterministic stand-in embedder: hashes words and word pairs into a fixed
+ * number of buckets (with a hashed sign so collisions tend to cancel out)
+ */
+class HashEmbedder {
+  constructor({ dimensions = DEFAULT_DIMENSIONS } = {}) {
+    this.dimensions = dimensions;
+    this.key = `hash:${dimensions}`;
+  }
+
+  async embed(text) {
+    const words = String(text || "")
+      .toLowerCase()
+      .match(/[\p{L}\p{N}]{2,}/gu);
+    const features = new Map();
+    const add = (feature, weight) => features.set(feature, (features.get(feature) || 0) + weight);
+
+    (words || [])
+      .filter((word) => !STOPWORDS.has(word))
+      .forEach((word, index, list) => {
+        add(word, 1);
+        if (index > 0) add(`${list[index - 1]} ${word}`, 0.5);
+      });
+
+    const vector = new Array(this.dimensions).fill(0);
+    features.forEach((count, feature) => {
+      const hash = fnv1a(feature);
+      const sign = hash & 0x80000000 ? -1 : 1;
+      // Dampen repeated words so long content doesn't drown out the title
+      vector[hash % this.dimensions] += sign * (1 + Math.log(count));
+    });
+
+    return normalize(vector);
+  }
+}
+
+/**
+ * Embeddings from a local Ollama server
+ */
+class OllamaEmbedder {
+  constructor({ url = "http://localhost:11434", model = "nomic-embed-text" } = {}) {
+    this.url = url.replace(/\/$/, "");
+    this.model = model;
+    this.key = `ollama:${model}`;
+  }
+
+  async embed(text) {
+    const response = await fetch(`${this.url}/api/embeddings`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ model: this.model, prompt: text }),
+    });
+
+    if (!response.ok) {
+      throw new Error(`Ollama embedding failed: ${response.status} ${response.statusText}`);
+    }
+    const { embedding } = await response.json();
+    return normalize(embedding);
+  }
+}
+
+/**
+ * Create the embedder named by `semantic.embedder`
+ * @param {Object} [options] - The `semantic` config section
+ * @returns {HashEmbedder|OllamaEmbedder}
+ */
+export function createEmbedder(options = semanticConfig()) {
+  const name = options.embedder || "hash";
+
+  if (name === "hash") return new HashEmbedder({ dimensions: options.dimensions });
+  if (name === "ollama") return new OllamaEmbedder(options.ollama);
+
+  throw new Error(`Unknown embedder '${name}' (expected 'hash' or 'ollama')`);
+}
+
+/**
+ * Cosine similarity of two vectors (0 when either is empty or lengths differ)
+ */
+export function cosineSimilarity(a, b) {
+  if (!a || !b || a.length !== b.length || a.length === 0) return 0;
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * pgvector columns come back from PostgREST as "[0.1,0.2,...]" strings
+ */
+function parseVector(value) {
+  if (Array.isArray(value)) return value;
+  if (typeof value === "string") {
+    try {
+      return JSON.parse(value);
+    } catch {
+      return null;
+    }
+  }
+  return null;
+}
+
+/**
+ * The text a scrap is embedded from
+ */
+export function scrapText(scrap) {
+  return [
+    scrap.title,
+    scrap.summary,
+    (scrap.tags || []).join(" "),
+    (scrap.concept_tags || []).join(" "),
+    (scrap.content || "").slice(0, CONTENT_CHARS),
+  ]
+    .filter(Boolean)
+    .join("\n");
+}
+
+function indexPath() {
+  return path.join(getCachePaths().dir, "embeddings.json");
+}
+
+/**
+ * Stored vectors from `column` for some scraps
+ * Only models can reuse them: the hash embedder's vectors live in a different space.
+ * @returns {Promise<Map<string, number[]>>} scrap_id -> vector (scraps without one are left out)
+ */
+async function storedVectors(scrapIds, embedder, column) {
+  if (!column || embedder instanceof HashEmbedder || !scrapIds.length) return new Map();
+
+  let rows;
+  try {
+    rows = await getStorage().getMany(scrapIds, { select: `scrap_id,${column}` });
+  } catch (error) {
+    throw new Error(`Error reading stored ${column}: ${error.message}`);
+  }
+
+  return new Map(
+    rows
+      .map((row) => [row.scrap_id, parseVector(row[column])])
+      .filter(([, vector]) => vector?.length)
+  );
+}
+
+/**
+ * Embed any scraps missing from (or stale in) the local vector index
+ * @param {Object[]} scraps
+ * @param {Object} embedder
+ * @param {string} [column] - Stored embedding column to reuse instead of embedding text
+ * @returns {Promise<Map<string, number[]>>} scrap_id -> vector
+ */
+async function updateLocalIndex(scraps, embedder, column) {
+  const file = indexPath();
+  let index = { embedder: embedder.key, vectors: {} };
+
+  try {
+    const stored = JSON.parse(fs.readFileSync(file, "utf8"));
+    // Vectors from a different embedder aren't comparable - start over
+    if (stored.embedder === embedder.key) index = stored;
+  } catch {
+    // No index yet
+  }
+
+  const stale = scraps.filter((scrap) => {
+    const entry = index.vectors[scrap.scrap_id];
+    return !entry || entry.updated_at !== scrap.updated_at;
+  });
+  const reused = await storedVectors(
+    stale.map((scrap) => scrap.scrap_id),
+    embedder,
+    column
+  );
+
+  for (const scrap of stale) {
+    const vector = reused.has(scrap.scrap_id)
+      ? normalize(reused.get(scrap.scrap_id))
+      : await embedder.embed(scrapText(scrap));
+    index.vectors[scrap.scrap_id] = {
+      updated_at: scrap.updated_at,
+      vector: vector.map((v) => Math.round(v * 10000) / 10000),
+    };
+  }
+  let changed = stale.length > 0;
+
+  // Forget scraps that no longer exist
+  const live = new Set(scraps.map((scrap) => scrap.scrap_id));
+  Object.keys(index.vectors).forEach((scrapId) => {
+    if (!live.has(scrapId)) {
+      delete index.vectors[scrapId];
+      changed = true;
+    }
+  });
+
+  if (changed) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(index));
+    fs.renameSync(`${file}.tmp`, file);
+  }
+
+  return new Map(scraps.map((scrap) => [scrap.scrap_id, index.vectors[scrap.scrap_id].vector]));
+}
+
+function rankByVector(scraps, vectors, queryVector, { limit, exclude }) {
+  return scraps
+    .filter((scrap) => scrap.scrap_id !== exclude && vectors.has(scrap.scrap_id))
+    .map((scrap) => ({
+      ...scrap,
+      similarity: Number(cosineSimilarity(queryVector, vectors.get(scrap.scrap_id)).toFixed(4)),
+    }))
+    .filter((scrap) => scrap.similarity > 0)
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, limit);
+}
+
+async function matchRemote(embedding, { limit, exclude }) {
+  const storage = getStorage();
+  if (typeof storage.matchEmbeddings !== "function") {
+    throw new Error(`semantic.mode 'rpc' needs the supabase backend (using ${storage.name})`);
+  }
+
+  const rpc = semanticConfig().rpc || {};
+  const rows = await storage.matchEmbeddings(embedding, {
+    fn: rpc.function || "match_scraps",
+    count: exclude ? limit + 1 : limit,
+    threshold: rpc.threshold ?? 0,
+  });
+
+  return rows
+    .filter((row) => row.scrap_id !== exclude)
+    .slice(0, limit)
+    .map((row) => ({
+      ...sanitizeScrap(row),
+      public_url: `https://ejfox.com/scrapbook/${row.scrap_id || row.id}`,
+    }));
+}
+
+/**
+ * Find scraps whose meaning is closest to a piece of text
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Defaults to `semantic.limit`
+ * @returns {Promise<Object[]>} Scraps with a `similarity` score, best first
+ */
+export async function semanticSearch(text, { limit } = {}) {
+  const options = semanticConfig();
+  const max = limit || options.limit || DEFAULT_LIMIT;
+  const embedder = createEmbedder(options);
+
+  if (options.mode === "rpc") {
+    if (embedder instanceof HashEmbedder) {
+      throw new Error(
+        "The hash embedder can't query stored embeddings - set semantic.embedder to the model that produced them (e.g. ollama)"
+      );
+    }
+    return matchRemote(await embedder.embed(text), { limit: max });
+  }
+
+  const scraps = await searchBookmarks("", { rank: false });
+  const vectors = await updateLocalIndex(scraps, embedder, options.column);
+  return rankByVector(scraps, vectors, await embedder.embed(text), { limit: max });
+}
+
+/**
+ * Find the scraps most similar to an existing one
+ * @param {string} scrapId
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Defaults to `semantic.limit`
+ * @returns {Promise<Object[]>} Scraps with a `similarity` score, best first
+ * @throws {Error} If the scrap doesn't exist (or, in rpc mode, has no stored embedding)
+ */
+export async function findSimilar(scrapId, { limit } = {}) {
+  const options = semanticConfig();
+  const max = limit || options.limit || DEFAULT_LIMIT;
+
+  if (options.mode === "rpc") {
+    const column = options.column || "embedding";
+    const row = await getStorage().get(scrapId);
+    if (!row) throw new Error(`No scrap found with ID: ${scrapId}`);
+
+    const embedding = parseVector(row[column]);
+    if (!embedding) throw new Error(`Scrap ${scrapId} has no stored ${column}`);
+    return matchRemote(embedding, { limit: max, exclude: scrapId });
+  }
+
+  const scraps = await searchBookmarks("", { rank: false });
+  if (!scraps.some((scrap) => scrap.scrap_id === scrapId)) {
+    throw new Error(`No scrap found with ID: ${scrapId}`);
+  }
+
+  const vectors = await updateLocalIndex(scraps, createEmbedder(options), options.column);
+  return rankByVector(scraps, vectors, vectors.get(scrapId), { limit: max, exclude: scrapId });
+}
+
+/**
+ * Read the local vector index without updating it
+ * @returns {Map<string, number[]>|null} scrap_id -> vector, or null if there is no index yet
+ */
+export function loadLocalVectors() {
+  try {
+    const index = JSON.parse(fs.readFileSync(indexPath(), "utf8"));
+    return new Map(
+      Object.entries(index.vectors).map(([scrapId, entry]) => [scrapId, entry.vector])
+    );
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Rank scraps by how related they are to one scrap: shared tags, concept tags
+ * and relationship entities, plus embedding similarity when vectors are given
+ * @param {Object} target
+ * @param {Object[]} scraps - Candidates (the target itself is skipped)
+ * @param {Object} [options]
+ * @param {Map<string, number[]>} [options.vectors] - From loadLocalVectors()
+ * @param {number} [options.limit]
+ * @returns {Object[]} [{ scrap, score, tags, concepts, entities, similarity }], best first
+ */
+export function relatedScraps(target, scraps, { vectors = null, limit = DEFAULT_LIMIT } = {}) {
+  const lowerSet = (list) => new Set((list || []).map((item) => String(item).toLowerCase()));
+  const targetTags = lowerSet(target.tags);
+  const targetConcepts = lowerSet(target.concept_tags);
+  const targetEntities = new Set(entityNames(target));
+  const targetVector = vectors?.get(target.scrap_id);
+
+  return (
+    scraps
+      .filter((scrap) => scrap.scrap_id !== target.scrap_id)
+      .map((scrap) => {
+        const tags = [...lowerSet(scrap.tags)].filter((tag) => targetTags.has(tag));
+        const concepts = [...lowerSet(scrap.concept_tags)].filter((tag) => targetConcepts.has(tag));
+        const entities = [...new Set(entityNames(scrap))].filter((name) =>
+          targetEntities.has(name)
+        );
+        const vector = vectors?.get(scrap.scrap_id);
+        const similarity = targetVector && vector ? cosineSimilarity(targetVector, vector) : null;
+
+        const score =
+          tags.length * RELATED_WEIGHTS.tag +
+          concepts.length * RELATED_WEIGHTS.concept +
+          entities.length * RELATED_WEIGHTS.entity +
+          Math.max(0, similarity || 0) * RELATED_WEIGHTS.similarity;
+
+        return { scrap, score, tags, concepts, entities, similarity };
+      })
+      // Weak embedding similarity alone isn't enough to call something related
+      .filter((entry) => entry.score >= 1)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+  );
+}
@@ -0,0 +1,197 @@
+/**
+ * Offline cache for the remote backend
+ *
+ * Mirrors the scraps table into `~/.scrapbook/cache/` so reads are instant and
+ * keep working without a network. The cache is two files:
+ *
+ * - `scraps.json` - plain JSON array of rows (readable by the file adapter)
+ * - `sync.json`   - sync state: `{ backend, table, synced_at, watermark, count }`
+ *
+ * Incremental syncs fetch only rows whose `updated_at` is newer than the
+ * watermark (the highest `updated_at` fetched so far, in server time) and merge
+ * them by `scrap_id`. Deletions are only picked up by a full sync.
+ *
+ * @module storage/cache
+ */
+
+import fs from "fs";
+import path from "path";
+import config from "../config.js";
+import { expandHome } from "./index.js";
+import { FileStorage } from "./file.js";
+
+const PAGE_SIZE = 1000;
+
+/**
+ * Resolve cache file locations from config
+ */
+export function getCachePaths() {
+  const dir = expandHome(config.cache?.path) || expandHome("~/.scrapbook/cache");
+  return {
+    dir,
+    rows: path.join(dir, "scraps.json"),
+    state: path.join(dir, "sync.json"),
+  };
+}
+
+/**
+ * Whether reads should go through the cache at all
+ * The file backend is already local, so it is never cached.
+ */
+export function isCacheEnabled() {
+  const backend = config.database?.backend || "supabase";
+  return config.cache?.enabled !== false && backend !== "file";
+}
+
+/**
+ * Read the sync state, or null if nothing has been synced yet
+ */
+export function readSyncState() {
+  const { rows, state } = getCachePaths();
+  if (!fs.existsSync(rows) || !fs.existsSync(state)) return null;
+
+  try {
+    return JSON.parse(fs.readFileSync(state, "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Whether the cache was synced within `cache.max_age` seconds
+ */
+export function isCacheFresh(syncState = readSyncState()) {
+  if (!syncState?.synced_at) return false;
+  const maxAge = (config.cache?.max_age ?? 300) * 1000;
+  return Date.now() - new Date(syncState.synced_at).getTime() < maxAge;
+}
+
+/**
+ * Open the cached rows as a read-only storage adapter
+ * @returns {FileStorage|null}
+ */
+export function openCache() {
+  if (!readSyncState()) return null;
+  const storage = new FileStorage({ path: getCachePaths().rows });
+  storage.name = "cache";
+  return storage;
+}
+
+function readCachedRows() {
+  const { rows } = getCachePaths();
+  try {
+    return JSON.parse(fs.readFileSync(rows, "utf8"));
+  } catch {
+    return [];
+  }
+}
+
+function writeCache(rows, syncState) {
+  const paths = getCachePaths();
+  fs.mkdirSync(paths.dir, { recursive: true });
+
+  // Write to temp files then rename so a crash never leaves a half-written cache
+  fs.writeFileSync(`${paths.rows}.tmp`, JSON.stringify(rows));
+  fs.renameSync(`${paths.rows}.tmp`, paths.rows);
+  fs.writeFileSync(`${paths.state}.tmp`, JSON.stringify(syncState, null, 2));
+  fs.renameSync(`${paths.state}.tmp`, paths.state);
+}
+
+/**
+ * Apply a local write to the cache so reads reflect it before the next sync
+ * @param {string} scrapId - Scrap being written
+ * @param {Object|null} row - Row to upsert, or null to remove
+ */
+export function applyToCache(scrapId, row) {
+  const syncState = readSyncState();
+  if (!syncState) return;
+
+  const rows = readCachedRows().filter((r) => r.scrap_id !== scrapId);
+  if (row) rows.push(row);
+  writeCache(rows, { ...syncState, count: rows.length });
+}
+
+/**
+ * Upsert several rows into the cache with a single write
+ * @param {Object[]} rows
+ */
+export function applyRowsToCache(rows) {
+  const syncState = readSyncState();
+  if (!syncState) return;
+
+  const ids = new Set(rows.map((r) => r.scrap_id));
+  const merged = readCachedRows()
+    .filter((r) => !ids.has(r.scrap_id))
+    .concat(rows);
+  writeCache(merged, { ...syncState, count: merged.length });
+}
+
+async function fetchAll(storage, { select, since }) {
+  let all = [];
+  let offset = 0;
+
+  while (true) {
+    const page = await storage.list({
+      select,
+      since,
+      orderBy: "updated_at",
+      ascending: true,
+      offset,
+      limit: PAGE_SIZE,
+    });
+    all = all.concat(page);
+    if (page.length < PAGE_SIZE) break;
+    offset += PAGE_SIZE;
+  }
+
+  return all;
+}
+
+/**
+ * Pull changes from the remote backend into the cache
+ *
+ * @param {Object} storage - Remote storage adapter
+ * @param {Object} options
+ * @param {string} options.select - Columns to cache
+ * @param {boolean} [options.full] - Re-download everything (also drops deleted scraps)
+ * @param {string} [options.since] - Re-fetch rows updated after this date instead of the watermark
+ * @returns {Promise<Object>} { mode, fetched, total, synced_at, watermark }
+ */
+export async function syncCache(storage, { select, full = false, since } = {}) {
+  const previous = readSyncState();
+  const mode = full || !previous ? "full" : since ? "since" : "incremental";
+  const sinceDate = mode === "since" ? since : mode === "incremental" ? previous.watermark : null;
+
+  const fetched = await fetchAll(storage, { select, since: sinceDate });
+
+  const byId = new Map();
+  if (mode !== "full") {
+    readCachedRows().forEach((row) => byId.set(row.scrap_id, row));
+  }
+  fetched.forEach((row) => byId.set(row.scrap_id, row));
+  const rows = Array.from(byId.values());
+
+  // Only rows fetched from the server move the watermark: rows written locally by
+  // applyToCache carry the client's clock, which may be ahead of the server's
+  const watermark = fetched.reduce(
+    (max, row) => (row.updated_at && (!max || row.updated_at > max) ? row.updated_at : max),
+    mode === "full" ? null : previous.watermark || null
+  );
+
+  const syncState = {
+    backend: storage.name,
+    table: config.database?.table || "scraps",
+    synced_at: new Date().toISOString(),
+    watermark,
+    count: rows.length,
+  };
+  writeCache(rows, syncState);
+
+  return {
+    mode,
+    fetched: fetched.length,
+    total: rows.length,
+    synced_at: syncState.synced_at,
+    watermark,
+  };
+}
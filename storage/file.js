@@ -0,0 +1,182 @@
+/**
+ * File-backed storage adapter
+ *
+ * Reads scraps from a local JSON array (`.json`) or JSON Lines (`.jsonl`) file,
+ * e.g. a `scrapbook-cli list --json` dump. Lets the CLI run offline, in CI and
+ * against fixture data without Supabase credentials.
+ *
+ * @module storage/file
+ */
+
+import fs from "fs";
+
+export class FileStorage {
+  /**
+   * @param {Object} options
+   * @param {string} options.path - Path to the .json or .jsonl file
+   */
+  constructor({ path }) {
+    this.name = "file";
+    this.path = path;
+    this.rows = null;
+  }
+
+  load() {
+    if (this.rows) return this.rows;
+
+    if (!fs.existsSync(this.path)) {
+      throw new Error(`Local scrapbook file not found: ${this.path}`);
+    }
+
+    const raw = fs.readFileSync(this.path, "utf8");
+    try {
+      this.rows = this.path.endsWith(".jsonl")
+        ? raw
+            .split("\n")
+            .filter((line) => line.trim())
+            .map((line) => JSON.parse(line))
+        : JSON.parse(raw);
+    } catch (error) {
+      throw new Error(`Could not parse ${this.path}: ${error.message}`);
+    }
+
+    if (!Array.isArray(this.rows)) {
+      throw new Error(`Expected an array of scraps in ${this.path}`);
+    }
+    return this.rows;
+  }
+
+  async list({ select = "*", orderBy, ascending = false, limit, offset = 0, since } = {}) {
+    let rows = this.load();
+    if (since) {
+      const sinceTime = new Date(since).getTime();
+      rows = rows.filter((row) => row.updated_at && new Date(row.updated_at).getTime() > sinceTime);
+    }
+    rows = sortRows(rows, orderBy, ascending);
+    if (limit !== undefined) rows = rows.slice(offset, offset + limit);
+    return rows.map((row) => project(row, select));
+  }
+
+  async query({ filters = [], select = "*", orderBy, ascending = false, limit } = {}) {
+    let rows = this.load().filter((row) => filters.every((filter) => matchesFilter(row, filter)));
+    rows = sortRows(rows, orderBy, ascending);
+    if (limit !== undefined) rows = rows.slice(0, limit);
+    return rows.map((row) => project(row, select));
+  }
+
+  async listWithRelationships({ select = "*" } = {}) {
+    return this.load()
+      .filter((row) => row.relationships !== null && row.relationships !== undefined)
+      .map((row) => project(row, select));
+  }
+
+  async getMany(scrapIds, { select = "*" } = {}) {
+    const ids = new Set(scrapIds);
+    return this.load()
+      .filter((row) => ids.has(row.scrap_id))
+      .map((row) => project(row, select));
+  }
+
+  async get(scrapId) {
+    const row = this.load().find((r) => r.scrap_id === scrapId);
+    return row ? { ...row } : null;
+  }
+
+  async insert(row) {
+    const rows = this.load();
+    if (rows.some((r) => r.scrap_id === row.scrap_id)) {
+      throw new Error(`Scrap already exists: ${row.scrap_id}`);
+    }
+    rows.push({ ...row });
+    this.save();
+    return { ...row };
+  }
+
+  async insertMany(newRows) {
+    const rows = this.load();
+    const existing = new Set(rows.map((r) => r.scrap_id));
+    const duplicate = newRows.find((row) => existing.has(row.scrap_id));
+    if (duplicate) {
+      throw new Error(`Scrap already exists: ${duplicate.scrap_id}`);
+    }
+    rows.push(...newRows.map((row) => ({ ...row })));
+    this.save();
+    return newRows.map((row) => ({ ...row }));
+  }
+
+  async update(scrapId, patch) {
+    const rows = this.load();
+    const index = rows.findIndex((r) => r.scrap_id === scrapId);
+    if (index === -1) return null;
+
+    rows[index] = { ...rows[index], ...patch };
+    this.save();
+    return { ...rows[index] };
+  }
+
+  async remove(scrapId) {
+    this.rows = this.load().filter((r) => r.scrap_id !== scrapId);
+    this.save();
+  }
+
+  /**
+   * Write rows back in the file's own format, via a temp file so a crash
+   * never leaves it half-written
+   */
+  save() {
+    const output = this.path.endsWith(".jsonl")
+      ? this.rows.map((row) => JSON.stringify(row)).join("\n") + "\n"
+      : JSON.stringify(this.rows, null, 2);
+    fs.writeFileSync(`${this.path}.tmp`, output);
+    fs.renameSync(`${this.path}.tmp`, this.path);
+  }
+}
+
+/**
+ * Evaluate a storage filter (see storage/index.js) against a row
+ */
+function matchesFilter(row, filter) {
+  const value = row[filter.column];
+
+  switch (filter.op) {
+    case "any":
+      return filter.filters.some((f) => matchesFilter(row, f));
+    case "ilike":
+      return typeof value === "string" && value.toLowerCase().includes(filter.value.toLowerCase());
+    case "contains":
+      // Exact, like jsonb containment on Supabase, so both backends return the same rows
+      return Array.isArray(value) && value.some((item) => String(item) === String(filter.value));
+    case "gte":
+      return value !== null && value !== undefined && new Date(value) >= new Date(filter.value);
+    case "lt":
+      return value !== null && value !== undefined && new Date(value) < new Date(filter.value);
+    default:
+      throw new Error(`Unsupported filter: ${filter.op}`);
+  }
+}
+
+function sortRows(rows, orderBy, ascending) {
+  if (!orderBy) return [...rows];
+  const direction = ascending ? 1 : -1;
+  return [...rows].sort((a, b) => {
+    const av = a[orderBy];
+    const bv = b[orderBy];
+    if (av === bv) return 0;
+    if (av === null || av === undefined) return 1;
+    if (bv === null || bv === undefined) return -1;
+    return av < bv ? -direction : direction;
+  });
+}
+
+/**
+ * Apply a Supabase-style select string ("a,b,c" or "*") to a row
+ */
+function project(row, select) {
+  if (!select || select.trim() === "*") return { ...row };
+  const picked = {};
+  select.split(",").forEach((field) => {
+    const key = field.trim();
+    if (key in row) picked[key] = row[key];
+  });
+  return picked;
+}
@@ -0,0 +1,93 @@
+/**
+ * Storage backend selection
+ *
+ * database.js never talks to a database client directly; it goes through a
+ * storage adapter chosen by `config.database.backend`:
+ *
+ * - `supabase` (default) - remote Supabase table
+ * - `file` - local JSON / JSON Lines file at `config.database.local.path`
+ *
+ * Every adapter implements the same async interface:
+ *
+ * - `list({ select, orderBy, ascending, limit, offset, since })` - page of scraps,
+ *   optionally only those with `updated_at` after `since`
+ * - `query({ filters, select, orderBy, ascending, limit })` - scraps matching every filter
+ * - `listWithRelationships({ select })` - scraps with non-null relationships
+ * - `get(scrapId)` - full scrap row, or null when missing
+ * - `getMany(scrapIds, { select })` - rows for several scrap_ids (missing ids are skipped)
+ * - `insert(row)` - create a scrap, returns the stored row
+ * - `insertMany(rows)` - create several scraps in one write (all or nothing), returns the stored rows
+ * - `update(scrapId, patch)` - merge fields into a scrap, returns the row (null when missing)
+ * - `remove(scrapId)` - delete a scrap
+ *
+ * Adapters backed by pgvector also implement `matchEmbeddings(embedding, { fn, count, threshold })`
+ * for semantic search (see semantic.js).
+ *
+ * Filters are plain objects (built by query.js compileQuery):
+ *
+ * - `{ op: "ilike", column, value }` - case-insensitive substring of a text column
+ * - `{ op: "contains", column, value }` - array column contains the value (exact and
+ *   case-sensitive on every backend)
+ * - `{ op: "gte" | "lt", column, value }` - comparison (ISO dates compare as dates)
+ * - `{ op: "any", filters }` - at least one of the nested leaf filters matches
+ *
+ * Adapters throw plain `Error`s; callers add context.
+ *
+ * @module storage
+ */
+
+import dotenv from "dotenv";
+import os from "os";
+import path from "path";
+import config from "../config.js";
+import { SupabaseStorage } from "./supabase.js";
+import { FileStorage } from "./file.js";
+
+dotenv.config();
+
+export const DEFAULT_LOCAL_PATH = path.join(os.homedir(), ".scrapbook", "scraps.json");
+
+let storage = null;
+
+/**
+ * Expand a leading ~ to the user's home directory
+ */
+export function expandHome(filePath) {
+  if (!filePath) return filePath;
+  return filePath.startsWith("~") ? path.join(os.homedir(), filePath.slice(1)) : filePath;
+}
+
+/**
+ * Create a storage adapter from a database config section
+ * @param {Object} dbConfig - The `database` section of the config
+ * @returns {SupabaseStorage|FileStorage}
+ */
+export function createStorage(dbConfig = {}) {
+  const backend = dbConfig.backend || "supabase";
+  const table = dbConfig.table || "scraps";
+
+  if (backend === "file") {
+    return new FileStorage({ path: expandHome(dbConfig.local?.path) || DEFAULT_LOCAL_PATH });
+  }
+
+  if (backend === "supabase") {
+    // Get Supabase config with environment variable fallback for security
+    return new SupabaseStorage({
+      url: dbConfig.supabase_url || process.env.SUPABASE_URL,
+      key: dbConfig.supabase_key || process.env.SUPABASE_KEY,
+      table,
+    });
+  }
+
+  throw new Error(`Unknown database backend '${backend}' (expected 'supabase' or 'file')`);
+}
+
+/**
+ * Get the shared storage adapter for the configured backend
+ */
+export function getStorage() {
+  if (!storage) {
+    storage = createStorage(config.database);
+  }
+  return storage;
+}
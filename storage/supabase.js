@@ -0,0 +1,202 @@
+/**
+ * Supabase storage adapter - the original (and default) scrapbook backend
+ *
+ * @module storage/supabase
+ */
+
+import { createClient } from "@supabase/supabase-js";
+
+const PAGE_SIZE = 1000;
+
+// scrap_ids per `in` filter, keeping request URLs well under server limits
+const ID_CHUNK = 200;
+
+export class SupabaseStorage {
+  /**
+   * @param {Object} options
+   * @param {string} options.url - Supabase project URL
+   * @param {string} options.key - Supabase API key
+   * @param {string} options.table - Table holding scraps
+   */
+  constructor({ url, key, table }) {
+    this.name = "supabase";
+    this.table = table;
+
+    if (!url || !key) {
+      console.error(
+        "Missing Supabase configuration. Set SUPABASE_URL and SUPABASE_KEY in environment or config."
+      );
+    }
+
+    this.client = createClient(url, key);
+  }
+
+  async list({ select = "*", orderBy, ascending = false, limit, offset = 0, since } = {}) {
+    let query = this.client.from(this.table).select(select);
+
+    if (since) query = query.gt("updated_at", since);
+    if (orderBy) query = query.order(orderBy, { ascending });
+    if (limit !== undefined) query = query.range(offset, offset + limit - 1);
+
+    const { data, error } = await query;
+    if (error) throw new Error(error.message);
+    return data;
+  }
+
+  async query({ filters = [], select = "*", orderBy, ascending = false, limit } = {}) {
+    let all = [];
+    let offset = 0;
+
+    // PostgREST caps responses (1000 rows by default), so page through
+    while (limit === undefined || all.length < limit) {
+      const pageSize = limit === undefined ? PAGE_SIZE : Math.min(PAGE_SIZE, limit - all.length);
+      let query = this.client.from(this.table).select(select);
+
+      filters.forEach((filter) => {
+        query = applyFilter(query, filter);
+      });
+      if (orderBy) query = query.order(orderBy, { ascending });
+      query = query.range(offset, offset + pageSize - 1);
+
+      const { data, error } = await query;
+      if (error) throw new Error(error.message);
+
+      all = all.concat(data);
+      if (data.length < pageSize) break;
+      offset += pageSize;
+    }
+
+    return all;
+  }
+
+  /**
+   * Nearest neighbours via a pgvector function, e.g.
+   * `match_scraps(query_embedding vector, match_count int, match_threshold float)`
+   * returning scrap columns plus `similarity`
+   */
+  async matchEmbeddings(embedding, { fn, count, threshold = 0 }) {
+    const { data, error } = await this.client.rpc(fn, {
+      query_embedding: embedding,
+      match_count: count,
+      match_threshold: threshold,
+    });
+
+    if (error) throw new Error(error.message);
+    return data;
+  }
+
+  async listWithRelationships({ select = "*" } = {}) {
+    let all = [];
+    let offset = 0;
+
+    while (true) {
+      const { data, error } = await this.client
+        .from(this.table)
+        .select(select)
+        .not("relationships", "is", null)
+        .order("scrap_id", { ascending: true })
+        .range(offset, offset + PAGE_SIZE - 1);
+
+      if (error) throw new Error(error.message);
+      all = all.concat(data);
+      if (data.length < PAGE_SIZE) break;
+      offset += PAGE_SIZE;
+    }
+
+    return all;
+  }
+
+  async getMany(scrapIds, { select = "*" } = {}) {
+    let all = [];
+
+    for (let i = 0; i < scrapIds.length; i += ID_CHUNK) {
+      const { data, error } = await this.client
+        .from(this.table)
+        .select(select)
+        .in("scrap_id", scrapIds.slice(i, i + ID_CHUNK));
+
+      if (error) throw new Error(error.message);
+      all = all.concat(data);
+    }
+
+    return all;
+  }
+
+  async get(scrapId) {
+    const { data, error } = await this.client
+      .from(this.table)
+      .select("*")
+      .eq("scrap_id", scrapId)
+      .maybeSingle();
+
+    if (error) throw new Error(error.message);
+    return data;
+  }
+
+  async insert(row) {
+    const { data, error } = await this.client.from(this.table).insert(row).select().single();
+    if (error) throw new Error(error.message);
+    return data;
+  }
+
+  async insertMany(rows) {
+    const { data, error } = await this.client.from(this.table).insert(rows).select();
+    if (error) throw new Error(error.message);
+    return data;
+  }
+
+  async update(scrapId, patch) {
+    const { data, error } = await this.client
+      .from(this.table)
+      .update(patch)
+      .eq("scrap_id", scrapId)
+      .select()
+      .maybeSingle();
+
+    if (error) throw new Error(error.message);
+    return data;
+  }
+
+  async remove(scrapId) {
+    const { error } = await this.client.from(this.table).delete().eq("scrap_id", scrapId);
+    if (error) throw new Error(error.message);
+  }
+}
+
+/**
+ * Render a leaf filter in PostgREST `or()` syntax
+ * Values are double-quoted so commas and parentheses survive.
+ */
+function toOrCondition(filter) {
+  const value = String(filter.value).replace(/["\\]/g, "");
+  switch (filter.op) {
+    case "ilike":
+      // ILIKE only works on text/varchar columns (not enum/jsonb)
+      return `${filter.column}.ilike."*${value}*"`;
+    case "contains":
+      return `${filter.column}.cs."[\\"${value}\\"]"`;
+    case "gte":
+    case "lt":
+      return `${filter.column}.${filter.op}."${value}"`;
+    default:
+      throw new Error(`Unsupported filter: ${filter.op}`);
+  }
+}
+
+function applyFilter(query, filter) {
+  switch (filter.op) {
+    case "any":
+      return query.or(filter.filters.map(toOrCondition).join(","));
+    case "ilike":
+      return query.ilike(filter.column, `%${filter.value}%`);
+    case "contains":
+      // tags are jsonb, so containment needs a JSON array rather than a Postgres array literal
+      return query.filter(filter.column, "cs", JSON.stringify([filter.value]));
+    case "gte":
+      return query.gte(filter.column, filter.value);
+    case "lt":
+      return query.lt(filter.column, filter.value);
+    default:
+      throw new Error(`Unsupported filter: ${filter.op}`);
+  }
+}
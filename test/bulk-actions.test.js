@@ -0,0 +1,38 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { tagPatch, sharedPatch, markdownList } from "../ui/bulk-actions.js";
+
+test("tagPatch adds and removes tags case-insensitively", () => {
+  const scrap = { scrap_id: "a", tags: ["AI", "news"] };
+  assert.deepEqual(tagPatch(scrap, ["+ml", "-NEWS"]), { tags: ["AI", "ml"] });
+  assert.deepEqual(tagPatch({ scrap_id: "b", tags: null }, ["+ml"]), { tags: ["ml"] });
+  // The input isn't changed; each scrap gets its own list
+  assert.deepEqual(scrap.tags, ["AI", "news"]);
+});
+
+test("tagPatch skips scraps the change wouldn't touch", () => {
+  assert.equal(tagPatch({ tags: ["AI"] }, ["+ai"]), null);
+  assert.equal(tagPatch({ tags: ["AI"] }, ["-ml"]), null);
+  assert.equal(tagPatch({ tags: null }, ["-ml"]), null);
+  assert.equal(tagPatch({}, []), null);
+});
+
+test("sharedPatch only writes scraps whose state changes", () => {
+  assert.deepEqual(sharedPatch({ shared: false }, true), { shared: true });
+  assert.deepEqual(sharedPatch({}, true), { shared: true });
+  assert.deepEqual(sharedPatch({ shared: true }, false), { shared: false });
+  assert.equal(sharedPatch({ shared: true }, true), null);
+  assert.equal(sharedPatch({ shared: null }, false), null);
+});
+
+test("markdownList links every scrap with a URL and escapes brackets", () => {
+  assert.equal(
+    markdownList([
+      { title: "A [draft] post", url: "https://a.com" },
+      { title: "No link" },
+      { url: "https://b.com" },
+    ]),
+    "- [A \\[draft\\] post](https://a.com)\n- [https://b.com](https://b.com)"
+  );
+  assert.equal(markdownList([]), "");
+});
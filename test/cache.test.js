@@ -0,0 +1,42 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { syncCache, applyToCache, readSyncState } from "../storage/cache.js";
+
+// The cache lives under ~/.scrapbook/cache by default
+process.env.HOME = fs.mkdtempSync(path.join(os.tmpdir(), "scrapbook-cache-"));
+after(() => fs.rmSync(process.env.HOME, { recursive: true, force: true }));
+
+function fakeServer(rows) {
+  return {
+    name: "fake",
+    rows,
+    async list({ since, offset = 0, limit }) {
+      return this.rows
+        .filter((row) => !since || row.updated_at > since)
+        .sort((a, b) => a.updated_at.localeCompare(b.updated_at))
+        .slice(offset, offset + limit);
+    },
+  };
+}
+
+test("local writes don't move the sync watermark", async () => {
+  const server = fakeServer([
+    { scrap_id: "a", updated_at: "2024-01-01T00:00:00Z" },
+    { scrap_id: "b", updated_at: "2024-02-01T00:00:00Z" },
+  ]);
+  await syncCache(server, { select: "*" });
+
+  // Written with a client clock that runs ahead of the server
+  applyToCache("a", { scrap_id: "a", updated_at: "2099-01-01T00:00:00Z" });
+  await syncCache(server, { select: "*" });
+  assert.equal(readSyncState().watermark, "2024-02-01T00:00:00Z");
+
+  server.rows.push({ scrap_id: "c", updated_at: "2024-03-01T00:00:00Z" });
+  const result = await syncCache(server, { select: "*" });
+  assert.equal(result.fetched, 1);
+  assert.equal(result.total, 3);
+  assert.equal(result.watermark, "2024-03-01T00:00:00Z");
+});
@@ -0,0 +1,44 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import config from "../config.js";
+import { validateConfig } from "../config/validator.js";
+import { getColumn, columnWidths } from "../columns.js";
+
+const display = config.display;
+afterEach(() => (config.display = display));
+
+function widthErrors(column_widths) {
+  const { errors } = validateConfig({ display: { column_widths } });
+  return (errors || []).map((error) => `${error.path}: ${error.message}`);
+}
+
+test("column_widths overrides fixed columns in characters", () => {
+  config.display = { column_widths: { created_at: 10, tag_count: 3 } };
+  assert.equal(getColumn("created_at").width, 10);
+  assert.equal(getColumn("tag_count").width, 3);
+  assert.equal(getColumn("source").width, 5);
+  assert.deepEqual(columnWidths(["created_at", "source", "content"], 100, 1), [10, 5, 83]);
+});
+
+test("flexible columns ignore a configured width", () => {
+  config.display = { column_widths: { content: 70 } };
+  assert.equal(getColumn("content").width, null);
+  assert.deepEqual(widthErrors({ content: 70, url: 20, source: 4 }), [
+    "display.column_widths: content, url share the free space, so their width is ignored",
+  ]);
+});
+
+test("the old percentage layout is ignored and reported", () => {
+  config.display = { column_widths: { date: 15, source: 15, content: 70 } };
+  assert.equal(getColumn("source").width, 5);
+  assert.match(widthErrors({ date: 15, source: 15, content: 70 })[0], /old percentage format/);
+  assert.deepEqual(widthErrors({ created_at: 6, source: 5 }), []);
+});
+
+test("min_column_widths is no longer a config key", () => {
+  const { errors } = validateConfig({ display: { min_column_widths: { date: 10 } } });
+  assert.deepEqual(
+    errors.map((error) => error.path),
+    ["display.min_column_widths"]
+  );
+});
@@ -0,0 +1,106 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+// The config is read when database.js loads, so point it at a scratch file backend first
+process.env.HOME = fs.mkdtempSync(path.join(os.tmpdir(), "scrapbook-dedupe-"));
+process.env.SCRAPBOOK_DATABASE_BACKEND = "file";
+process.env.SCRAPBOOK_DATABASE_LOCAL_PATH = path.join(process.env.HOME, "scraps.json");
+after(() => fs.rmSync(process.env.HOME, { recursive: true, force: true }));
+
+const { findDuplicates, mergePatch, mergeScraps, undoMerge, readMergeLog } =
+  await import("../dedupe.js");
+const { getStorage } = await import("../storage/index.js");
+
+const ids = (clusters) => clusters.map((c) => c.scraps.map((s) => s.scrap_id).sort());
+
+test("findDuplicates matches URLs that differ only in tracking, scheme or host form", () => {
+  const clusters = findDuplicates(
+    [
+      { scrap_id: "a", url: "https://example.com/post?utm_source=x&fbclid=1" },
+      { scrap_id: "b", url: "http://www.example.com/post/" },
+      { scrap_id: "c", url: "https://youtu.be/abc123" },
+      { scrap_id: "d", url: "https://www.youtube.com/watch?v=abc123&t=30" },
+      { scrap_id: "e", url: "https://m.youtube.com/watch?v=abc123&feature=share" },
+      { scrap_id: "f", url: "https://example.com/other" },
+    ],
+    { titles: false }
+  );
+
+  assert.deepEqual(ids(clusters), [
+    ["a", "b"],
+    ["c", "d", "e"],
+  ]);
+  assert.deepEqual(clusters[0].reasons, ["same URL"]);
+});
+
+test("findDuplicates matches near-identical titles on the same site only", () => {
+  const clusters = findDuplicates([
+    { scrap_id: "a", url: "https://a.com/1", title: "Building a sourdough starter at home" },
+    { scrap_id: "b", url: "https://a.com/2", title: "Building a Sourdough Starter at Home!" },
+    { scrap_id: "c", url: "https://b.com/1", title: "Building sourdough starter home guide" },
+  ]);
+
+  assert.deepEqual(ids(clusters), [["a", "b"]]);
+  assert.deepEqual(clusters[0].reasons, ["similar title"]);
+});
+
+test("findDuplicates puts the most complete scrap first", () => {
+  const [cluster] = findDuplicates([
+    { scrap_id: "bare", url: "https://a.com/x" },
+    { scrap_id: "rich", url: "https://a.com/x", title: "X", summary: "About x", tags: ["x"] },
+  ]);
+  assert.equal(cluster.scraps[0].scrap_id, "rich");
+});
+
+test("mergePatch unions tags case-insensitively and only returns changed fields", () => {
+  const rel = { source: { name: "A" }, target: { name: "B" }, type: "knows" };
+  const patch = mergePatch({ tags: ["AI", "ml"], concept_tags: ["x"], relationships: [rel] }, [
+    { tags: ["ai", "news"], concept_tags: ["x"], relationships: [rel, "not-a-relationship"] },
+    { tags: null },
+  ]);
+  assert.deepEqual(patch, { tags: ["AI", "ml", "news"] });
+});
+
+test("merge then undo restores the removed rows and survivor field for field", async () => {
+  const rows = [
+    {
+      scrap_id: "keep",
+      url: "https://example.com/post",
+      title: "Post",
+      tags: ["a"],
+      embedding: [0.1, 0.2],
+    },
+    {
+      scrap_id: "drop",
+      url: "https://example.com/post?utm_medium=rss",
+      title: "Post",
+      tags: ["b"],
+      embedding: [0.3, 0.4],
+      embedding_nomic: [0.5],
+      processing_instance_id: "worker-1",
+    },
+  ];
+  fs.writeFileSync(process.env.SCRAPBOOK_DATABASE_LOCAL_PATH, JSON.stringify(rows));
+
+  const entry = await mergeScraps(rows);
+  assert.deepEqual(entry.after, { tags: ["a", "b"] });
+  assert.equal(await getStorage().get("drop"), null);
+  assert.deepEqual((await getStorage().get("keep")).tags, ["a", "b"]);
+
+  const result = await undoMerge();
+  assert.deepEqual(result, {
+    merge: entry.id,
+    restored: ["tags"],
+    recreated: ["drop"],
+    kept: [],
+  });
+  assert.deepEqual(await getStorage().get("drop"), rows[1]);
+  const survivor = await getStorage().get("keep");
+  assert.deepEqual(survivor.tags, ["a"]);
+  assert.deepEqual(survivor.embedding, [0.1, 0.2]);
+  assert.ok(readMergeLog()[0].undone_at);
+  await assert.rejects(undoMerge(), /Nothing to undo/);
+});
@@ -0,0 +1,33 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { rankEntities } from "../entities.js";
+
+const scraps = [
+  {
+    scrap_id: "s1",
+    relationships: [
+      {
+        source: { name: "Ada Lovelace", type: "person" },
+        target: { name: "Analytical Engine", type: "technology" },
+        type: "WROTE_ABOUT",
+      },
+    ],
+  },
+];
+
+test("unregistered entities take their type from the relationship", () => {
+  const rows = rankEntities(scraps, { registry: { entities: [] } });
+  const types = Object.fromEntries(rows.map((row) => [row.name, row.type]));
+
+  assert.deepEqual(types, { "Ada Lovelace": "person", "Analytical Engine": "technology" });
+});
+
+test("the registry's type wins over the relationship's", () => {
+  const registry = { entities: [{ name: "Ada Lovelace", type: "mathematician", aliases: [] }] };
+  const rows = rankEntities(scraps, { registry, type: "mathematician" });
+
+  assert.deepEqual(
+    rows.map((row) => row.name),
+    ["Ada Lovelace"]
+  );
+});
@@ -0,0 +1,58 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createFuzzyIndex, highlightText } from "../ui/filter-bar.js";
+
+const SCRAPS = [
+  {
+    scrap_id: "a",
+    title: "Protected bike lanes in Paris",
+    tags: ["cycling", "urbanism"],
+    source: "pinboard",
+  },
+  { scrap_id: "b", title: "Sourdough starter guide", tags: ["baking"], source: "arena" },
+  {
+    scrap_id: "c",
+    title: "Tram networks",
+    tags: ["transit"],
+    location: "Paris",
+    source: "pinboard",
+  },
+];
+
+const index = createFuzzyIndex(SCRAPS);
+const ids = (query) =>
+  index
+    .search(query)
+    .map(({ scrap }) => scrap.scrap_id)
+    .sort();
+
+test("createFuzzyIndex matches typos across the table's fields", () => {
+  assert.deepEqual(ids("sourdogh"), ["b"]);
+  assert.deepEqual(ids("cycling"), ["a"]);
+  assert.deepEqual(ids("paris"), ["a", "c"]);
+  assert.deepEqual(ids("zzzzzz"), []);
+});
+
+test("createFuzzyIndex supports fzf-style operators", () => {
+  assert.deepEqual(ids("'tram"), ["c"]);
+  assert.deepEqual(ids("^sourdough"), ["b"]);
+  assert.deepEqual(ids("paris !bike"), ["c"]);
+  assert.deepEqual(ids("baking | transit"), ["b", "c"]);
+});
+
+test("createFuzzyIndex returns the matched terms for highlighting", () => {
+  const [result] = index.search("'starter");
+  assert.equal(result.scrap.scrap_id, "b");
+  assert.deepEqual(result.terms, ["starter"]);
+});
+
+test("highlightText wraps every match, longest term first", () => {
+  const wrap = (text) => `[${text}]`;
+  assert.equal(
+    highlightText("Bike lanes, bikes", ["bike", "bikes"], wrap),
+    "[Bike] lanes, [bikes]"
+  );
+  assert.equal(highlightText("a+b (c)", ["a+b", "(c)"], wrap), "[a+b] [(c)]");
+  assert.equal(highlightText("text", [], wrap), "text");
+  assert.equal(highlightText(null, ["x"], wrap), null);
+});
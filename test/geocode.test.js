@@ -0,0 +1,21 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ungeocodedLocations } from "../geocode.js";
+
+test("legacy JSON locations are grouped under their place name", () => {
+  const scraps = [
+    { scrap_id: "a", location: '{"name": "Lisbon", "country": "Portugal"}' },
+    { scrap_id: "b", location: "Lisbon, Portugal" },
+    { scrap_id: "c", location: '{"city": "Porto"}' },
+    { scrap_id: "d", location: "{not json" },
+  ];
+
+  assert.deepEqual(
+    ungeocodedLocations(scraps).map(({ location, scraps }) => [location, scraps.length]),
+    [
+      ["Lisbon, Portugal", 2],
+      ["{not json", 1],
+      ["Porto", 1],
+    ]
+  );
+});
@@ -0,0 +1,92 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { shortestPath, pageRank, components, graphStats } from "../graph-analytics.js";
+
+function graphOf(edges, extraNodes = []) {
+  const ids = new Set(extraNodes);
+  edges.forEach(([source, target]) => ids.add(source).add(target));
+  return {
+    nodes: [...ids].map((id) => ({ id })),
+    edges: edges.map(([source, target, weight = 1]) => ({ source, target, weight })),
+  };
+}
+
+const route = (hops) => (hops ? [hops[0].from, ...hops.map((hop) => hop.to)] : hops);
+
+test("shortestPath takes the fewest hops, then the heaviest edges", () => {
+  // A-B-D is found first, but A-C-D carries more relationships
+  const graph = graphOf([
+    ["A", "B", 1],
+    ["B", "D", 1],
+    ["A", "C", 1],
+    ["C", "D", 3],
+    ["A", "E", 5],
+    ["E", "F", 5],
+    ["F", "D", 5],
+  ]);
+  assert.deepEqual(route(shortestPath(graph, "A", "D")), ["A", "C", "D"]);
+  // Heavy early edges don't beat a heavier total
+  const weighted = graphOf([
+    ["A", "B", 3],
+    ["B", "D", 1],
+    ["A", "C", 1],
+    ["C", "D", 4],
+  ]);
+  assert.deepEqual(route(shortestPath(weighted, "A", "D")), ["A", "C", "D"]);
+});
+
+test("shortestPath ignores direction and gives up past maxDepth", () => {
+  const graph = graphOf(
+    [
+      ["B", "A"],
+      ["B", "C"],
+      ["D", "C"],
+    ],
+    ["Z"]
+  );
+  const hops = shortestPath(graph, "A", "D");
+  assert.deepEqual(route(hops), ["A", "B", "C", "D"]);
+  assert.deepEqual(hops[0].edges, [{ source: "B", target: "A", weight: 1 }]);
+  assert.equal(shortestPath(graph, "A", "D", { maxDepth: 2 }), null);
+  assert.equal(shortestPath(graph, "A", "Z"), null);
+  assert.deepEqual(shortestPath(graph, "A", "A"), []);
+});
+
+test("pageRank sums to 1 and favours nodes that are pointed at", () => {
+  const rank = pageRank(
+    graphOf(
+      [
+        ["A", "hub"],
+        ["B", "hub"],
+        ["C", "hub", 2],
+        ["hub", "A"],
+      ],
+      ["alone"]
+    )
+  );
+  const total = [...rank.values()].reduce((sum, value) => sum + value, 0);
+  assert.ok(Math.abs(total - 1) < 1e-6);
+  const best = [...rank.entries()].sort((a, b) => b[1] - a[1])[0][0];
+  assert.equal(best, "hub");
+  assert.ok(rank.get("A") > rank.get("B"));
+  assert.equal(rank.get("B"), rank.get("C"));
+  assert.deepEqual(pageRank({ nodes: [], edges: [] }), new Map());
+});
+
+test("components are numbered largest first", () => {
+  const groups = components(
+    graphOf(
+      [
+        ["x", "y"],
+        ["a", "b"],
+        ["b", "c"],
+      ],
+      ["lonely"]
+    )
+  );
+  assert.deepEqual(Object.fromEntries(groups), { x: 2, y: 2, a: 1, b: 1, c: 1, lonely: 3 });
+});
+
+test("graphStats rejects an unknown sort", () => {
+  assert.throws(() => graphStats(graphOf([["a", "b"]]), { sort: "size" }), /size/);
+});
@@ -0,0 +1,28 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildGraph } from "../graph-export.js";
+import { createResolver } from "../entity-registry.js";
+
+test("nodes take their type from the relationship when the registry has none", () => {
+  const scraps = [
+    {
+      scrap_id: "s1",
+      relationships: [
+        { source: "Ada Lovelace", target: "Analytical Engine", type: "WROTE_ABOUT" },
+        {
+          source: { name: "Ada Lovelace", type: "person" },
+          target: { name: "Charles Babbage", type: "person" },
+          type: "KNEW",
+        },
+      ],
+    },
+  ];
+  const { nodes } = buildGraph(scraps, { resolver: createResolver({ entities: [] }) });
+  const types = Object.fromEntries(nodes.map((node) => [node.id, node.type]));
+
+  assert.deepEqual(types, {
+    "Ada Lovelace": "person",
+    "Analytical Engine": null,
+    "Charles Babbage": "person",
+  });
+});
@@ -0,0 +1,98 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseCsv, parseImport } from "../import.js";
+
+const fieldsOf = (entries) => entries.map((entry) => entry.fields);
+
+test("parseCsv handles quoted commas, escaped quotes, embedded newlines and CRLF", () => {
+  const text = [
+    "url,title,note",
+    'https://a.example,"Hello, world","She said ""hi"""',
+    'https://b.example,"Two',
+    'lines",plain',
+    "",
+    "https://c.example,,last",
+  ].join("\r\n");
+
+  assert.deepEqual(parseCsv(text), [
+    { line: 1, values: ["url", "title", "note"] },
+    { line: 2, values: ["https://a.example", "Hello, world", 'She said "hi"'] },
+    { line: 3, values: ["https://b.example", "Two\r\nlines", "plain"] },
+    { line: 6, values: ["https://c.example", "", "last"] },
+  ]);
+});
+
+test("parseCsv rejects an unterminated quoted field", () => {
+  assert.throws(() => parseCsv('url,title\nhttps://a.example,"open'), /unterminated/i);
+});
+
+test("Netscape bookmarks keep folders as tags, skipping the browser's root folders", () => {
+  const html = `<!DOCTYPE NETSCAPE-Bookmark-file-1>
+<DL><p>
+  <DT><H3>Bookmarks bar</H3>
+  <DL><p>
+    <DT><H3>Reading</H3>
+    <DL><p>
+      <DT><A HREF="https://a.example/" ADD_DATE="1700000000" TAGS="ai,ml">Tom &amp; Jerry</A>
+      <DD>A note
+    </DL><p>
+    <DT><A HREF="https://b.example/">Top level</A>
+  </DL><p>
+</DL>`;
+
+  assert.deepEqual(fieldsOf(parseImport(html, "netscape")), [
+    {
+      url: "https://a.example/",
+      title: "Tom & Jerry",
+      tags: ["ai", "ml", "reading"],
+      created_at: "2023-11-14T22:13:20.000Z",
+      summary: "A note",
+    },
+    { url: "https://b.example/", title: "Top level", tags: [], created_at: null },
+  ]);
+});
+
+test("Pinboard JSON maps description, extended, space-separated tags and time", () => {
+  const posts = [
+    {
+      href: "https://a.example/",
+      description: "Title",
+      extended: "Notes",
+      tags: "ai  ml",
+      time: "2024-01-02T03:04:05Z",
+    },
+  ];
+
+  assert.deepEqual(fieldsOf(parseImport(JSON.stringify(posts), "pinboard")), [
+    {
+      url: "https://a.example/",
+      title: "Title",
+      summary: "Notes",
+      tags: ["ai", "ml"],
+      created_at: "2024-01-02T03:04:05.000Z",
+    },
+  ]);
+});
+
+test("Pocket CSV maps pipe-separated tags and a Unix time_added", () => {
+  const csv =
+    "title,url,time_added,tags,status\nRead me,https://a.example/,1700000000,ai|to read,unread";
+
+  assert.deepEqual(fieldsOf(parseImport(csv, "pocket")), [
+    {
+      url: "https://a.example/",
+      title: "Read me",
+      tags: ["ai", "to read"],
+      created_at: "2023-11-14T22:13:20.000Z",
+    },
+  ]);
+});
+
+test("Watch Later rows are tagged from their titles", () => {
+  const csv = 'id,title,url\n1,"Watercolor tutorial","https://www.youtube.com/watch?v=abc&list=WL"';
+  const [fields] = fieldsOf(parseImport(csv, "youtube-watchlater"));
+
+  assert.deepEqual(fields.tags, ["youtube", "watchlater", "video", "tutorial", "watercolor"]);
+  assert.match(fields.scrap_id, /^youtube-watchlater-[0-9a-f]{32}$/);
+  assert.equal(fields.content_type, "video");
+});
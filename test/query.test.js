@@ -0,0 +1,99 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { joinQueryArgs, parseQuery, matchesQuery, compileQuery, relativeDate } from "../query.js";
+
+// entity: terms read the registry at ~/.scrapbook/entities.json
+process.env.HOME = fs.mkdtempSync(path.join(os.tmpdir(), "scrapbook-query-"));
+after(() => fs.rmSync(process.env.HOME, { recursive: true, force: true }));
+fs.mkdirSync(path.join(process.env.HOME, ".scrapbook"));
+fs.writeFileSync(
+  path.join(process.env.HOME, ".scrapbook", "entities.json"),
+  JSON.stringify({ entities: [{ name: "Elon Musk", type: "person", aliases: ["@elonmusk"] }] })
+);
+
+const terms = (args) =>
+  parseQuery(joinQueryArgs(args)).clauses.map(
+    (clause) => `${clause.negate ? "-" : ""}${clause.field}:${clause.values.join(",")}`
+  );
+
+test("joinQueryArgs re-quotes a single multi-word term", () => {
+  assert.equal(joinQueryArgs(["machine learning"]), '"machine learning"');
+  assert.equal(joinQueryArgs(["-machine learning"]), '-"machine learning"');
+  assert.equal(joinQueryArgs(["entity:Open AI"]), 'entity:"Open AI"');
+  assert.equal(joinQueryArgs(["tag:ai", "entity:Open AI"]), 'tag:ai entity:"Open AI"');
+});
+
+test("joinQueryArgs passes a whole query given as one argument through", () => {
+  assert.deepEqual(terms(["tag:ai -tag:video"]), ["tag:ai", "-tag:video"]);
+  assert.deepEqual(
+    parseQuery(joinQueryArgs(["before:2024-02 tag:ai"])).clauses.map((clause) => clause.field),
+    ["before", "tag"]
+  );
+  assert.deepEqual(terms(['tag:ai "exact phrase"']), ["tag:ai", "text:exact phrase"]);
+  assert.deepEqual(terms(["llm -tag:video"]), ["text:llm", "-tag:video"]);
+});
+
+test("entity: matches whole names, resolved through the registry", () => {
+  const scrap = {
+    relationships: [
+      { source: "Elon Musk", target: "OpenAI", type: "FOUNDED" },
+      { source: "OpenAI", target: "Sam Altman", type: "LED_BY" },
+    ],
+  };
+  const matches = (input) => matchesQuery(scrap, parseQuery(input));
+
+  assert.ok(matches("entity:openai"));
+  assert.ok(matches("entity:@elonmusk"));
+  assert.ok(matches("entity:Musk"));
+  assert.ok(matches('entity:"sam altman"'));
+  assert.ok(!matches("entity:AI"));
+  assert.ok(!matches("entity:Alt"));
+});
+
+test("compileQuery leaves tag and text terms to the case-insensitive local check", () => {
+  const filters = compileQuery(parseQuery("tag:AI openai title:launch after:2024-01 -url:x"));
+
+  assert.deepEqual(
+    filters.map((filter) => filter.op),
+    ["any", "gte"]
+  );
+  assert.deepEqual(filters[0].filters, [{ op: "ilike", column: "title", value: "launch" }]);
+  assert.ok(matchesQuery({ tags: ["ai"] }, parseQuery("tag:AI")));
+  assert.ok(matchesQuery({ tags: ["OpenAI"] }, parseQuery("openai")));
+});
+
+test("relativeDate: periods start at midnight UTC, weeks on Monday", () => {
+  // A Wednesday
+  const now = new Date("2024-03-13T15:30:00Z");
+  const at = (value) => relativeDate(value, now)?.toISOString();
+
+  assert.equal(at("today"), "2024-03-13T00:00:00.000Z");
+  assert.equal(at("Yesterday"), "2024-03-12T00:00:00.000Z");
+  assert.equal(at("this-week"), "2024-03-11T00:00:00.000Z");
+  assert.equal(at("last-week"), "2024-03-04T00:00:00.000Z");
+  assert.equal(at("this-month"), "2024-03-01T00:00:00.000Z");
+  assert.equal(at("last-month"), "2024-02-01T00:00:00.000Z");
+  assert.equal(at("this-year"), "2024-01-01T00:00:00.000Z");
+  assert.equal(at("last-year"), "2023-01-01T00:00:00.000Z");
+  assert.equal(at("2024-03"), undefined);
+  assert.equal(at("soon"), undefined);
+});
+
+test("relativeDate: N units ago keep the time of day", () => {
+  const now = new Date("2024-03-31T15:30:00Z");
+  const at = (value) => relativeDate(value, now).toISOString();
+
+  assert.equal(at("30d"), "2024-03-01T15:30:00.000Z");
+  assert.equal(at("2w"), "2024-03-17T15:30:00.000Z");
+  assert.equal(at("1y"), "2023-03-31T15:30:00.000Z");
+  // Sundays belong to the week that started the Monday before
+  assert.equal(relativeDate("this-week", now).toISOString(), "2024-03-25T00:00:00.000Z");
+  // last-month in January is December of the year before
+  assert.equal(
+    relativeDate("last-month", new Date("2024-01-15T00:00:00Z")).toISOString(),
+    "2023-12-01T00:00:00.000Z"
+  );
+});
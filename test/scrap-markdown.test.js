@@ -0,0 +1,59 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { formatScrapMarkdown, parseScrapMarkdown, diffScrapMarkdown } from "../scrap-markdown.js";
+
+const roundTrip = (scrap) =>
+  diffScrapMarkdown(scrap, parseScrapMarkdown(formatScrapMarkdown(scrap)));
+
+test("coordinates of 0 survive a markdown round trip", () => {
+  const scrap = { scrap_id: "s1", title: "Null Island", latitude: 0, longitude: 0 };
+  const markdown = formatScrapMarkdown(scrap);
+
+  assert.match(markdown, /\*\*Coordinates:\*\* 0, 0/);
+  assert.deepEqual(roundTrip(scrap), {});
+});
+
+test("an unedited scrap round-trips to an empty patch", () => {
+  const scrap = {
+    scrap_id: "s2",
+    title: "Notes on --- rules",
+    tags: ["ai", "markdown"],
+    concept_tags: ["formatting"],
+    location: "Lisbon, Portugal",
+    latitude: 38.72,
+    longitude: -9.14,
+    summary: "First paragraph.\n\nA closing rule:\n\n---",
+    relationships: [
+      { source: { name: "Ada", type: "person" }, target: { name: "Engine" }, type: "BUILT" },
+      { source: "Alan", target: "Machine", relationship: "DESIGNED" },
+    ],
+    financial_analysis: { overall_market_sentiment: 0.2 },
+    metadata: { author: "someone" },
+    content: "## Summary\nnot a real section\n---",
+  };
+
+  assert.deepEqual(roundTrip(scrap), {});
+  assert.deepEqual(roundTrip({ ...scrap, relationships: [], summary: null, tags: [] }), {});
+});
+
+test("relationships added in the editor take the shape of the existing rows", () => {
+  const added = (relationships) => {
+    const markdown = formatScrapMarkdown({ scrap_id: "s4", relationships }).replace(
+      "## Relationships\n",
+      "## Relationships\n\n- **Grace** WROTE **COBOL**"
+    );
+    const patch = diffScrapMarkdown({ relationships }, parseScrapMarkdown(markdown));
+    return patch.relationships[0];
+  };
+
+  assert.deepEqual(added([]), {
+    source: { name: "Grace" },
+    target: { name: "COBOL" },
+    type: "WROTE",
+  });
+  assert.deepEqual(added([{ source: "Alan", target: "Machine", relationship: "DESIGNED" }]), {
+    source: "Grace",
+    target: "COBOL",
+    relationship: "WROTE",
+  });
+});
@@ -0,0 +1,120 @@
+import { test, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+// The config is read when database.js loads, so point it at a scratch file backend first
+process.env.HOME = fs.mkdtempSync(path.join(os.tmpdir(), "scrapbook-semantic-"));
+process.env.SCRAPBOOK_DATABASE_BACKEND = "file";
+process.env.SCRAPBOOK_DATABASE_LOCAL_PATH = path.join(process.env.HOME, "scraps.json");
+after(() => fs.rmSync(process.env.HOME, { recursive: true, force: true }));
+
+const { default: config } = await import("../config.js");
+const { createEmbedder, cosineSimilarity, semanticSearch, findSimilar, loadLocalVectors } =
+  await import("../semantic.js");
+const { getStorage } = await import("../storage/index.js");
+
+const SCRAPS = [
+  {
+    scrap_id: "bikes",
+    title: "Cities add protected bike lanes",
+    summary: "Protected bike lanes reduce car traffic downtown",
+    updated_at: "2024-01-01T00:00:00Z",
+  },
+  {
+    scrap_id: "bread",
+    title: "Sourdough starter guide",
+    summary: "Feeding a sourdough starter with flour and water",
+    updated_at: "2024-01-01T00:00:00Z",
+  },
+  {
+    scrap_id: "trams",
+    title: "Trams return to city streets",
+    summary: "Cities cut car traffic with new tram lines",
+    updated_at: "2024-01-01T00:00:00Z",
+  },
+];
+
+function writeScraps(rows) {
+  fs.writeFileSync(process.env.SCRAPBOOK_DATABASE_LOCAL_PATH, JSON.stringify(rows));
+  // The file adapter reads the file once
+  getStorage().rows = null;
+}
+
+beforeEach(() => {
+  config.semantic = { mode: "local", embedder: "hash", dimensions: 64 };
+  fs.rmSync(path.join(process.env.HOME, ".scrapbook"), { recursive: true, force: true });
+  writeScraps(SCRAPS);
+});
+
+test("the hash embedder is deterministic and returns unit vectors", async () => {
+  const embedder = createEmbedder({ embedder: "hash", dimensions: 32 });
+  const a = await embedder.embed("Protected bike lanes");
+  assert.equal(a.length, 32);
+  assert.deepEqual(await embedder.embed("protected BIKE lanes"), a);
+  assert.ok(Math.abs(Math.hypot(...a) - 1) < 1e-9);
+  assert.deepEqual(await embedder.embed("the and of"), new Array(32).fill(0));
+  assert.throws(() => createEmbedder({ embedder: "word2vec" }), /Unknown embedder 'word2vec'/);
+});
+
+test("cosineSimilarity", () => {
+  assert.equal(cosineSimilarity([1, 2], [2, 4]), 1);
+  assert.equal(cosineSimilarity([1, 0], [0, 1]), 0);
+  assert.equal(cosineSimilarity([1, 0], [-1, 0]), -1);
+  assert.equal(cosineSimilarity([1, 0], [1, 0, 0]), 0);
+  assert.equal(cosineSimilarity([0, 0], [1, 0]), 0);
+  assert.equal(cosineSimilarity(null, [1]), 0);
+});
+
+test("semanticSearch ranks by similarity and leaves out unrelated scraps", async () => {
+  const results = await semanticSearch("car traffic in cities", { limit: 5 });
+  assert.deepEqual(
+    results.map((scrap) => scrap.scrap_id),
+    ["trams", "bikes"]
+  );
+  assert.ok(results[0].similarity >= results[1].similarity);
+});
+
+test("the local index re-embeds edited scraps and drops deleted ones", async () => {
+  await findSimilar("bikes");
+  const first = loadLocalVectors();
+  assert.deepEqual([...first.keys()].sort(), ["bikes", "bread", "trams"]);
+
+  writeScraps([
+    { ...SCRAPS[0], title: "Bike lanes", updated_at: "2024-02-01T00:00:00Z" },
+    SCRAPS[2],
+  ]);
+  await findSimilar("bikes");
+  const second = loadLocalVectors();
+  assert.deepEqual([...second.keys()].sort(), ["bikes", "trams"]);
+  assert.notDeepEqual(second.get("bikes"), first.get("bikes"));
+  assert.deepEqual(second.get("trams"), first.get("trams"));
+
+  // A different embedder's vectors aren't comparable, so the index starts over
+  config.semantic.dimensions = 32;
+  await findSimilar("bikes");
+  assert.equal(loadLocalVectors().get("trams").length, 32);
+
+  await assert.rejects(findSimilar("missing"), /No scrap found with ID: missing/);
+});
+
+test("stored vectors are reused instead of embedding the text again", async (t) => {
+  config.semantic = { mode: "local", embedder: "ollama", column: "embedding_nomic" };
+  const fetch = t.mock.method(globalThis, "fetch", async () => {
+    throw new Error("should not embed");
+  });
+  writeScraps([
+    { ...SCRAPS[0], embedding_nomic: [1, 0, 0] },
+    { ...SCRAPS[1], embedding_nomic: "[0,1,0]" },
+    { ...SCRAPS[2], embedding_nomic: [0.9, 0.1, 0] },
+  ]);
+
+  const results = await findSimilar("bikes");
+  assert.equal(fetch.mock.callCount(), 0);
+  assert.deepEqual(
+    results.map((scrap) => scrap.scrap_id),
+    ["trams"]
+  );
+  assert.deepEqual(loadLocalVectors().get("bread"), [0, 1, 0]);
+});
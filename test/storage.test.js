@@ -0,0 +1,131 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { FileStorage } from "../storage/file.js";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "scrapbook-storage-"));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const ROWS = [
+  {
+    scrap_id: "a",
+    title: "OpenAI launches",
+    tags: ["ai", "News"],
+    created_at: "2024-01-02T00:00:00Z",
+    updated_at: "2024-01-02T00:00:00Z",
+  },
+  {
+    scrap_id: "b",
+    title: "Pottery basics",
+    tags: ["craft"],
+    created_at: "2024-03-01T00:00:00Z",
+    updated_at: "2024-05-01T00:00:00Z",
+  },
+  { scrap_id: "c", title: null, tags: null, created_at: null, updated_at: null },
+];
+
+function storageWith(rows, extension = ".json") {
+  const file = path.join(dir, `scraps-${Math.random().toString(36).slice(2)}${extension}`);
+  fs.writeFileSync(
+    file,
+    extension === ".jsonl"
+      ? rows.map((row) => JSON.stringify(row)).join("\n")
+      : JSON.stringify(rows)
+  );
+  return new FileStorage({ path: file });
+}
+
+const ids = (rows) => rows.map((row) => row.scrap_id);
+
+test("list sorts, pages, projects and filters by updated_at", async () => {
+  const storage = storageWith(ROWS);
+
+  assert.deepEqual(ids(await storage.list({ orderBy: "created_at" })), ["b", "a", "c"]);
+  assert.deepEqual(ids(await storage.list({ orderBy: "created_at", ascending: true })), [
+    "a",
+    "b",
+    "c",
+  ]);
+  assert.deepEqual(
+    await storage.list({ select: "scrap_id, title", orderBy: "scrap_id", limit: 1, offset: 1 }),
+    [{ scrap_id: "b", title: "Pottery basics" }]
+  );
+  assert.deepEqual(ids(await storage.list({ since: "2024-02-01T00:00:00Z" })), ["b"]);
+});
+
+test("query applies every filter op", async () => {
+  const storage = storageWith(ROWS);
+  const query = async (...filters) =>
+    ids(await storage.query({ filters, orderBy: "scrap_id", ascending: true }));
+
+  assert.deepEqual(await query({ op: "ilike", column: "title", value: "OPENAI" }), ["a"]);
+  assert.deepEqual(await query({ op: "contains", column: "tags", value: "ai" }), ["a"]);
+  // Exact, as on Supabase
+  assert.deepEqual(await query({ op: "contains", column: "tags", value: "news" }), []);
+  assert.deepEqual(await query({ op: "gte", column: "created_at", value: "2024-02-01" }), ["b"]);
+  assert.deepEqual(await query({ op: "lt", column: "created_at", value: "2024-02-01" }), ["a"]);
+  assert.deepEqual(
+    await query({
+      op: "any",
+      filters: [
+        { op: "contains", column: "tags", value: "craft" },
+        { op: "ilike", column: "title", value: "launch" },
+      ],
+    }),
+    ["a", "b"]
+  );
+  assert.deepEqual(
+    await query(
+      { op: "gte", column: "created_at", value: "2024-01-01" },
+      { op: "lt", column: "created_at", value: "2024-02-01" }
+    ),
+    ["a"]
+  );
+  await assert.rejects(query({ op: "regex", column: "title", value: "." }), /Unsupported filter/);
+});
+
+test("get and getMany return copies and skip missing ids", async () => {
+  const storage = storageWith(ROWS);
+
+  const row = await storage.get("a");
+  row.title = "changed";
+  assert.equal((await storage.get("a")).title, "OpenAI launches");
+  assert.equal(await storage.get("missing"), null);
+  assert.deepEqual(await storage.getMany(["b", "missing", "a"], { select: "scrap_id" }), [
+    { scrap_id: "a" },
+    { scrap_id: "b" },
+  ]);
+});
+
+for (const extension of [".json", ".jsonl"]) {
+  test(`insert, update and remove write the ${extension} file back`, async () => {
+    const storage = storageWith(ROWS, extension);
+
+    await storage.insert({ scrap_id: "d", title: "New" });
+    await assert.rejects(storage.insert({ scrap_id: "d" }), /already exists/);
+    await assert.rejects(
+      storage.insertMany([{ scrap_id: "e" }, { scrap_id: "a" }]),
+      /already exists: a/
+    );
+    await storage.insertMany([{ scrap_id: "e" }, { scrap_id: "f" }]);
+    assert.deepEqual(await storage.update("a", { title: "Edited" }), {
+      ...ROWS[0],
+      title: "Edited",
+    });
+    assert.equal(await storage.update("missing", { title: "x" }), null);
+    await storage.remove("b");
+
+    const reopened = new FileStorage({ path: storage.path });
+    assert.deepEqual(ids(await reopened.list()), ["a", "c", "d", "e", "f"]);
+    assert.equal((await reopened.get("a")).title, "Edited");
+  });
+}
+
+test("load reports a missing or malformed file", async () => {
+  await assert.rejects(new FileStorage({ path: path.join(dir, "nope.json") }).list(), /not found/);
+  const file = path.join(dir, "bad.json");
+  fs.writeFileSync(file, '{"scrap_id": "a"}');
+  await assert.rejects(new FileStorage({ path: file }).list(), /Expected an array/);
+});
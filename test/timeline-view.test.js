@@ -0,0 +1,78 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildTimeline, defaultTimelineUnit, bucketLabel } from "../ui/timeline-view.js";
+
+// Buckets start at local midnight
+process.env.TZ = "UTC";
+
+const scrap = (created_at, extra = {}) => ({ scrap_id: created_at, created_at, ...extra });
+
+test("buildTimeline fills the gaps between the first and last scrap", () => {
+  const { buckets, series } = buildTimeline(
+    [
+      scrap("2024-03-20T10:00:00Z"),
+      scrap("2024-03-04T08:00:00Z"),
+      scrap("2024-03-10T23:59:00Z"),
+      scrap("not a date"),
+      scrap(null),
+    ],
+    { unit: "week" }
+  );
+
+  // ISO weeks start on Monday; Sunday the 10th belongs to the week of the 4th
+  assert.deepEqual(
+    buckets.map((bucket) => [bucket.start.toISOString().slice(0, 10), bucket.total]),
+    [
+      ["2024-03-04", 2],
+      ["2024-03-11", 0],
+      ["2024-03-18", 1],
+    ]
+  );
+  assert.deepEqual(series, [{ name: "scraps", total: 3 }]);
+  assert.equal(buckets[0].end.getTime(), buckets[1].start.getTime());
+  assert.deepEqual(
+    buckets[0].scraps.map((s) => s.scrap_id),
+    ["2024-03-04T08:00:00Z", "2024-03-10T23:59:00Z"]
+  );
+});
+
+test("buildTimeline by month and by day", () => {
+  const scraps = [scrap("2024-01-31T12:00:00Z"), scrap("2024-03-01T00:00:00Z")];
+  assert.deepEqual(
+    buildTimeline(scraps, { unit: "month" }).buckets.map((bucket) => bucket.total),
+    [1, 0, 1]
+  );
+  assert.equal(buildTimeline(scraps, { unit: "day" }).buckets.length, 31);
+  assert.deepEqual(buildTimeline([], { unit: "day" }).buckets, []);
+});
+
+test("buildTimeline splits into the biggest series and folds the rest into other", () => {
+  const sources = ["a", "a", "a", "b", "b", "c", "d", "e", "f", "g", "h", undefined];
+  const scraps = sources.map((source) => scrap("2024-03-04T08:00:00Z", { source }));
+  const { series, buckets } = buildTimeline(scraps, { unit: "day", split: "source" });
+
+  assert.deepEqual(
+    series.map(({ name, total }) => `${name}:${total}`),
+    ["a:3", "b:2", "c:1", "d:1", "e:1", "f:1", "other:3"]
+  );
+  assert.equal(buckets[0].counts.get("other"), 3);
+  assert.equal(buckets[0].counts.get("a"), 3);
+});
+
+test("defaultTimelineUnit and bucketLabel", () => {
+  const span = (days) => [
+    scrap("2024-01-01T00:00:00Z"),
+    scrap(new Date(Date.UTC(2024, 0, 1 + days)).toISOString()),
+  ];
+  assert.equal(defaultTimelineUnit(span(90)), "day");
+  assert.equal(defaultTimelineUnit(span(91)), "week");
+  assert.equal(defaultTimelineUnit(span(731)), "month");
+  assert.equal(defaultTimelineUnit([]), "week");
+  // A scrap without a date mustn't count as 1970
+  assert.equal(defaultTimelineUnit([...span(10), scrap(null)]), "day");
+
+  const bucket = { start: new Date("2024-03-04T00:00:00Z") };
+  assert.equal(bucketLabel(bucket, "week"), "Week of 4 Mar 2024");
+  assert.equal(bucketLabel(bucket, "month"), "March 2024");
+  assert.equal(bucketLabel(bucket, "day"), "Mon 4 Mar 2024");
+});
@@ -0,0 +1,83 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  triagePatch,
+  parseSnooze,
+  setTriage,
+  triageOf,
+  inInbox,
+  loadTriage,
+  triagePath,
+  triageLabel,
+} from "../triage.js";
+
+// Snooze offsets are in local time; the store lives under ~/.scrapbook
+process.env.TZ = "UTC";
+process.env.HOME = fs.mkdtempSync(path.join(os.tmpdir(), "scrapbook-triage-"));
+after(() => fs.rmSync(process.env.HOME, { recursive: true, force: true }));
+
+const NOW = new Date("2024-03-13T15:30:00Z");
+
+test("parseSnooze: offsets, tomorrow and dates", () => {
+  assert.equal(parseSnooze("3h", NOW), "2024-03-13T18:30:00.000Z");
+  assert.equal(parseSnooze("2d", NOW), "2024-03-15T15:30:00.000Z");
+  assert.equal(parseSnooze(" 1 W ", NOW), "2024-03-20T15:30:00.000Z");
+  assert.equal(parseSnooze("1m", NOW), "2024-04-13T15:30:00.000Z");
+  assert.equal(parseSnooze("tomorrow", NOW), "2024-03-14T00:00:00.000Z");
+  assert.equal(parseSnooze("2024-04-01", NOW), "2024-04-01T00:00:00.000Z");
+});
+
+test("parseSnooze rejects the past and nonsense", () => {
+  for (const value of ["2024-01-01", "0h", "", null, "later", "3y"]) {
+    assert.throws(() => parseSnooze(value, NOW), /Snooze until a future time/, String(value));
+  }
+});
+
+test("triagePatch maps each action to a patch", () => {
+  assert.deepEqual(triagePatch("done"), { status: "done" });
+  assert.deepEqual(triagePatch("star"), { starred: true });
+  assert.deepEqual(triagePatch("unstar"), { starred: false });
+  assert.deepEqual(triagePatch("wake"), { snoozed_until: null });
+  const { snoozed_until } = triagePatch("snooze");
+  assert.ok(new Date(snoozed_until) > new Date());
+  assert.throws(() => triagePatch("snooze", "yesterday"), /Snooze until/);
+  assert.throws(() => triagePatch("read"), /Unknown triage action 'read'/);
+});
+
+test("setTriage moves scraps between states and drops untriaged entries", () => {
+  const a = { scrap_id: "a" };
+  const b = { scrap_id: "b" };
+  const future = "2099-01-01T00:00:00.000Z";
+
+  assert.equal(setTriage([a, b], { status: "reading" }), 2);
+  assert.equal(setTriage([a, b], { status: "reading" }), 0);
+  assert.equal(triageOf(a).status, "reading");
+  assert.ok(!inInbox(a));
+
+  setTriage([b], { status: "unread", snoozed_until: future });
+  assert.deepEqual(triageOf(b), {
+    status: "unread",
+    starred: false,
+    snoozed_until: future,
+    snoozed: true,
+  });
+  assert.ok(!inInbox(b));
+  assert.equal(triageLabel(triageOf(b)), "zz 01/01");
+  // Once the date passes the scrap is no longer snoozed
+  assert.equal(triageOf(b, new Date("2100-01-01")).snoozed, false);
+
+  setTriage([a], { status: "done", starred: true });
+  assert.equal(triageLabel(triageOf(a)), "★ done");
+
+  // Back to the defaults: the entry goes away
+  setTriage([b], { snoozed_until: null });
+  assert.ok(inInbox(b));
+  const stored = JSON.parse(fs.readFileSync(triagePath(), "utf8"));
+  assert.deepEqual(Object.keys(stored.scraps), ["a"]);
+  assert.deepEqual(loadTriage(), stored);
+
+  assert.throws(() => setTriage([a], { status: "later" }), /Unknown status 'later'/);
+});
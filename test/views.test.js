@@ -0,0 +1,97 @@
+import { test, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+// The config is read when database.js loads, so point it at a scratch file backend first
+process.env.HOME = fs.mkdtempSync(path.join(os.tmpdir(), "scrapbook-views-"));
+process.env.SCRAPBOOK_DATABASE_BACKEND = "file";
+process.env.SCRAPBOOK_DATABASE_LOCAL_PATH = path.join(process.env.HOME, "scraps.json");
+after(() => fs.rmSync(process.env.HOME, { recursive: true, force: true }));
+
+const { default: config } = await import("../config.js");
+const { listViews, getView, loadView, saveView } = await import("../views.js");
+
+fs.writeFileSync(
+  process.env.SCRAPBOOK_DATABASE_LOCAL_PATH,
+  JSON.stringify([
+    { scrap_id: "a", title: "Old AI", tags: ["ai"], created_at: "2024-01-01T00:00:00Z" },
+    { scrap_id: "b", title: "Bread", tags: [], created_at: "2024-02-01T00:00:00Z" },
+    { scrap_id: "c", title: "New AI", tags: ["ai"], created_at: "2024-03-01T00:00:00Z" },
+  ])
+);
+
+beforeEach(() => {
+  config.views = {
+    untagged: "-has:tags",
+    ai: {
+      label: "AI oldest first",
+      query: "tag:ai",
+      sort: { field: "created_at", order: "asc" },
+      columns: ["created_at", "title"],
+    },
+    everything: { sort: { field: "title", order: "sideways" } },
+  };
+});
+
+test("listViews fills in labels, queries and sort orders", () => {
+  assert.deepEqual(listViews(), [
+    { name: "untagged", label: "untagged", query: "-has:tags", sort: null, columns: null },
+    {
+      name: "ai",
+      label: "AI oldest first",
+      query: "tag:ai",
+      sort: { field: "created_at", order: "asc" },
+      columns: ["created_at", "title"],
+    },
+    {
+      name: "everything",
+      label: "everything",
+      query: "",
+      sort: { field: "title", order: "desc" },
+      columns: null,
+    },
+  ]);
+});
+
+test("getView finds a view by name or label, case-insensitively", () => {
+  assert.equal(getView("AI").name, "ai");
+  assert.equal(getView("ai oldest first").name, "ai");
+  assert.throws(
+    () => getView("nope"),
+    /Unknown view: nope \(saved views: untagged, ai, everything\)/
+  );
+  config.views = undefined;
+  assert.throws(() => getView("nope"), /no views in config/);
+});
+
+test("loadView runs the query and applies the view's sort", async () => {
+  const ids = (scraps) => scraps.map((scrap) => scrap.scrap_id);
+  assert.deepEqual(ids(await loadView(getView("ai"))), ["a", "c"]);
+  assert.deepEqual(ids(await loadView(getView("untagged"))), ["b"]);
+  assert.deepEqual(ids(await loadView(getView("everything"), { limit: 2 })), ["a", "c"]);
+});
+
+test("saveView writes the whole definition and keeps the rest of the user config", () => {
+  const file = path.join(process.env.HOME, ".scrapbook", "config.yaml");
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, "# my settings\ntheme_preset: dracula\n");
+
+  const view = getView("untagged");
+  assert.equal(saveView({ ...view, sort: { field: "created_at", order: "desc" } }), file);
+  assert.equal(
+    fs.readFileSync(file, "utf8"),
+    [
+      "# my settings",
+      "theme_preset: dracula",
+      "views:",
+      "  untagged:",
+      "    query: -has:tags",
+      "    sort:",
+      "      field: created_at",
+      "      order: desc",
+      "",
+    ].join("\n")
+  );
+});
@@ -0,0 +1,30 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseFieldValue, confirm } from "../write.js";
+
+test("parseFieldValue reads lists as comma-separated text or a JSON array", () => {
+  assert.deepEqual(parseFieldValue("tags", "ai, ml,"), ["ai", "ml"]);
+  assert.deepEqual(parseFieldValue("tags", '["ai", "machine learning"]'), [
+    "ai",
+    "machine learning",
+  ]);
+});
+
+test("parseFieldValue names the field when a JSON list is broken", () => {
+  assert.throws(() => parseFieldValue("tags", '["ai", '), /^Error: tags must be .*JSON array/);
+  assert.throws(() => parseFieldValue("tags", "[1"), /tags/);
+});
+
+test("confirm refuses without a terminal and fails the command", async (t) => {
+  t.mock.method(console, "error", () => {});
+  const isTTY = process.stdin.isTTY;
+  process.stdin.isTTY = false;
+  t.after(() => {
+    process.stdin.isTTY = isTTY;
+    process.exitCode = 0;
+  });
+
+  assert.equal(await confirm("Delete this scrap?", {}), false);
+  assert.equal(process.exitCode, 1);
+  assert.equal(await confirm("Delete this scrap?", { yes: true }), true);
+});
@@ -0,0 +1,212 @@
+/**
+ * Reading-list triage: read state, stars and snoozes
+ *
+ * Every scrap is `unread` until triaged to `reading`, `done` or `archived`.
+ * Starring and snoozing are independent of that: a snoozed scrap is hidden
+ * from the inbox until its date passes. The inbox is every unread scrap that
+ * isn't snoozed (`scrapbook-cli inbox`, `is:inbox` in queries).
+ *
+ * The scraps table has no column for this, so the state lives in a sidecar
+ * JSON file at `triage.path` in the config (default ~/.scrapbook/triage.json),
+ * keyed by scrap_id. Scraps without an entry are unread:
+ *
+ *   { "scraps": { "abc123": { "status": "done", "starred": true, "snoozed_until": null } } }
+ */
+
+import fs from "fs";
+import path from "path";
+import { format } from "date-fns";
+import config from "./config.js";
+import { expandHome } from "./storage/index.js";
+
+export const DEFAULT_TRIAGE_PATH = "~/.scrapbook/triage.json";
+
+export const TRIAGE_STATUSES = ["unread", "reading", "done", "archived"];
+
+const UNTRIAGED = Object.freeze({ status: "unread", starred: false, snoozed_until: null });
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Read once per process; setTriage keeps it current
+let cached = null;
+
+export function triagePath() {
+  return expandHome(config.triage?.path) || expandHome(DEFAULT_TRIAGE_PATH);
+}
+
+/**
+ * Read the triage store (empty when the file doesn't exist yet)
+ * @param {Object} [options]
+ * @param {boolean} [options.reload] - Read the file again instead of the cached copy
+ * @returns {Object} { scraps: { [scrap_id]: { status, starred, snoozed_until, updated_at } } }
+ * @throws {Error} If the file isn't valid triage JSON
+ */
+export function loadTriage({ reload = false } = {}) {
+  if (cached && !reload) return cached;
+
+  const file = triagePath();
+  if (!fs.existsSync(file)) return (cached = { scraps: {} });
+
+  let store;
+  try {
+    store = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new Error(`Could not parse triage file ${file}: ${error.message}`);
+  }
+  if (!store?.scraps || typeof store.scraps !== "object") {
+    throw new Error(`Expected { "scraps": {...} } in ${file}`);
+  }
+  return (cached = store);
+}
+
+function saveTriage(store) {
+  const file = triagePath();
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(store, null, 2) + "\n");
+  fs.renameSync(`${file}.tmp`, file);
+  cached = store;
+}
+
+const scrapKey = (scrap) => String(scrap.scrap_id ?? scrap.id);
+
+/**
+ * Triage state of a scrap
+ * @param {Object} scrap
+ * @param {Date} [now]
+ * @returns {Object} { status, starred, snoozed_until, snoozed }
+ */
+export function triageOf(scrap, now = new Date()) {
+  const entry = loadTriage().scraps[scrapKey(scrap)] || UNTRIAGED;
+  const until = entry.snoozed_until ? new Date(entry.snoozed_until) : null;
+  return {
+    status: TRIAGE_STATUSES.includes(entry.status) ? entry.status : "unread",
+    starred: Boolean(entry.starred),
+    snoozed_until: entry.snoozed_until || null,
+    snoozed: Boolean(until && until > now),
+  };
+}
+
+/**
+ * Whether a scrap still needs triage: unread and not snoozed
+ * @param {Object} scrap
+ * @returns {boolean}
+ */
+export function inInbox(scrap) {
+  const state = triageOf(scrap);
+  return state.status === "unread" && !state.snoozed;
+}
+
+/**
+ * Change the triage state of some scraps
+ * Entries back at the defaults are dropped so the file only holds triaged scraps.
+ * @param {Object[]} scraps
+ * @param {Object} patch - Any of { status, starred, snoozed_until }
+ * @returns {number} Scraps changed
+ * @throws {Error} On an unknown status
+ */
+export function setTriage(scraps, patch) {
+  if (patch.status !== undefined && !TRIAGE_STATUSES.includes(patch.status)) {
+    throw new Error(`Unknown status '${patch.status}' (use ${TRIAGE_STATUSES.join(", ")})`);
+  }
+
+  // Re-read so changes made by another scrapbook-cli in the meantime aren't lost
+  const store = loadTriage({ reload: true });
+  const updatedAt = new Date().toISOString();
+  let changed = 0;
+
+  scraps.forEach((scrap) => {
+    const key = scrapKey(scrap);
+    const current = { ...UNTRIAGED, ...store.scraps[key] };
+    const next = { ...current, ...patch };
+    if (
+      next.status === current.status &&
+      next.starred === current.starred &&
+      next.snoozed_until === current.snoozed_until
+    ) {
+      return;
+    }
+
+    changed++;
+    if (next.status === "unread" && !next.starred && !next.snoozed_until) {
+      delete store.scraps[key];
+    } else {
+      store.scraps[key] = {
+        status: next.status,
+        starred: next.starred,
+        snoozed_until: next.snoozed_until,
+        updated_at: updatedAt,
+      };
+    }
+  });
+
+  if (changed) saveTriage(store);
+  return changed;
+}
+
+/**
+ * Things `triage` (and the TUI keys) can do to a scrap
+ */
+export const TRIAGE_ACTIONS = [...TRIAGE_STATUSES, "star", "unstar", "snooze", "wake"];
+
+/**
+ * The setTriage patch for an action
+ * @param {string} action - One of TRIAGE_ACTIONS
+ * @param {string} [until] - For snooze: see parseSnooze (default 1w)
+ * @returns {Object}
+ * @throws {Error} On an unknown action or snooze time
+ */
+export function triagePatch(action, until = "1w") {
+  if (TRIAGE_STATUSES.includes(action)) return { status: action };
+  if (action === "star" || action === "unstar") return { starred: action === "star" };
+  if (action === "snooze") return { snoozed_until: parseSnooze(until) };
+  if (action === "wake") return { snoozed_until: null };
+  throw new Error(`Unknown triage action '${action}' (use ${TRIAGE_ACTIONS.join(", ")})`);
+}
+
+/**
+ * When a snooze ends: 3h, 2d, 1w, 1m from now, `tomorrow`, or a date
+ * @param {string} value
+ * @param {Date} [now]
+ * @returns {string} ISO timestamp
+ * @throws {Error} If the value isn't a time in the future
+ */
+export function parseSnooze(value, now = new Date()) {
+  const text = String(value ?? "")
+    .trim()
+    .toLowerCase();
+  const offset = text.match(/^(\d+)\s*([hdwm])$/);
+  let date;
+
+  if (offset) {
+    const amount = Number(offset[1]);
+    date = new Date(now);
+    if (offset[2] === "h") date.setTime(now.getTime() + amount * HOUR_MS);
+    if (offset[2] === "d") date.setDate(now.getDate() + amount);
+    if (offset[2] === "w") date.setDate(now.getDate() + amount * 7);
+    if (offset[2] === "m") date.setMonth(now.getMonth() + amount);
+  } else if (text === "tomorrow") {
+    date = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
+  } else {
+    date = new Date(text);
+  }
+
+  if (!text || isNaN(date.getTime()) || date <= now) {
+    throw new Error(
+      `Snooze until a future time: 3h, 2d, 1w, 1m, tomorrow or a date (got '${value}')`
+    );
+  }
+  return date.toISOString();
+}
+
+/**
+ * Short label for a scrap's state, e.g. "★ reading" or "zz 10/25"; "" when untriaged
+ * @param {Object} state - From triageOf
+ * @returns {string}
+ */
+export function triageLabel(state) {
+  const parts = [];
+  if (state.starred) parts.push("★");
+  if (state.snoozed) parts.push(`zz ${format(new Date(state.snoozed_until), "MM/dd")}`);
+  else if (state.status !== "unread") parts.push(state.status);
+  return parts.join(" ");
+}
@@ -1,9 +1,8 @@
 import blessed from "blessed";
 import contrib from "blessed-contrib";
 import { format } from "date-fns";
-import config, { ALL_HEADERS } from "./config.js";
+import config, { ALL_HEADERS, updateUserConfig } from "./config.js";
 import {
-  formatTableData,
   reloadBookmarks,
   searchBookmarks,
   formatRelationships,
@@ -15,12 +14,44 @@ import {
   formatConceptTags,
   formatExtractionConfidence,
   generateMetaSummary,
+  formatChanges,
+  getScrap,
+  updateScrap,
 } from "./database.js";
+import {
+  formatTableData,
+  tableLayout,
+  getColumn,
+  columnWidths,
+  sortScraps,
+  availableColumns,
+} from "./columns.js";
+import { parseScrapMarkdown, diffScrapMarkdown } from "./scrap-markdown.js";
+import { relatedScraps, loadLocalVectors } from "./semantic.js";
+import { rankEntities } from "./entities.js";
+import { createResolver } from "./entity-registry.js";
 import chalk from "chalk";
 import { createForceLayoutView } from "./ui/force-layout.js";
+import { createTimelineView } from "./ui/timeline-view.js";
 import { uiState } from "./ui/state.js";
+import { showBulkMenu, promptText } from "./ui/bulk-actions.js";
+import { createViewTabs, renderViewTabs } from "./ui/view-tabs.js";
+import { listViews, loadView, saveView } from "./views.js";
+import { loadTriage, setTriage, triageOf, triagePatch, triageLabel } from "./triage.js";
+import {
+  createFilterBar,
+  openFilterBar,
+  createFuzzyIndex,
+  highlightText,
+} from "./ui/filter-bar.js";
 import { openUrl, copyToClipboard, launchFzf, openInEditor } from "./ui/safe-exec.js";
 
+// Entities shown in the top entities panel (t)
+const TOP_ENTITIES = 50;
+
+// Gap between table columns
+const TABLE_COLUMN_SPACING = 3;
+
 export function viewSummary(index, currentBookmarks, summaryBox, alertBox, miniMap, screen) {
   uiState.stopCurrentAnimation();
 
@@ -48,8 +79,13 @@ export function viewSummary(index, currentBookmarks, summaryBox, alertBox, miniM
   const previewParts = [];
 
   // Header with title or URL
+  // Terms matched by the fuzzy filter, if one is active
+  const terms = uiState.highlightTerms(bookmark);
+  const mark = (text) =>
+    highlightText(text, terms, (match) => `{yellow-bg}{black-fg}${match}{/black-fg}{/yellow-bg}`);
+
   if (bookmark.title) {
-    const title = stripMarkdown(bookmark.title).substring(0, 60);
+    const title = mark(stripMarkdown(bookmark.title).substring(0, 60));
     previewParts.push(`{bold}{cyan-fg}${title}{/cyan-fg}{/bold}\n`);
   } else if (bookmark.url) {
     const url = bookmark.url.substring(0, 60);
@@ -58,7 +94,7 @@ export function viewSummary(index, currentBookmarks, summaryBox, alertBox, miniM
 
   // META-SUMMARY - Use pre-computed field from database, fallback to generating if missing
   const metaSummary = bookmark.meta_summary || generateMetaSummary(bookmark);
-  previewParts.push(`{yellow-fg}◈{/yellow-fg} ${metaSummary}\n`);
+  previewParts.push(`{yellow-fg}◈{/yellow-fg} ${mark(metaSummary)}\n`);
 
   // Date, Source, and Type
   const date = bookmark.created_at ? format(new Date(bookmark.created_at), "yyyy-MM-dd HH:mm") : "";
@@ -70,6 +106,8 @@ export function viewSummary(index, currentBookmarks, summaryBox, alertBox, miniM
 
   // Quick stats
   const stats = [];
+  const triage = triageLabel(triageOf(bookmark));
+  if (triage) stats.push(`{yellow-fg}${triage}{/yellow-fg}`);
   if (bookmark.relationships && bookmark.relationships.length > 0) {
     stats.push(`{green-fg}${bookmark.relationships.length} links{/green-fg}`);
   }
@@ -225,33 +263,69 @@ export function createUI(bookmarks) {
     autoPadding: true,
   });
   const grid = new contrib.grid({ rows: 12, cols: 12, screen: screen });
-  const table = createTable(grid);
+  // Columns and sort order; the o/O/C keys change it (see setupKeyboardShortcuts)
+  const layout = tableLayout();
+  const table = createTable(grid, layout.columns);
+  // Saved views as tabs above the table, when there are any
+  const views = listViews();
+  const viewTabs = views.length ? createViewTabs(screen, table, views) : null;
+  if (viewTabs) renderViewTabs(viewTabs, 0);
   const summaryBox = createSummaryBox(grid);
   const alertBox = createAlertBox(grid);
   const miniMap = createMiniMap(grid);
   const searchQueryBox = createSearchQueryBox(screen);
   const fullScreenSummaryBox = createFullScreenSummaryBox(screen);
 
+  const filterBar = createFilterBar(screen);
+
+  // Sorts the list in place when a sort is set. Marked rows and fuzzy filter matches
+  // (both kept in uiState) and stars show in the content column, or the first wide one
   function updateDisplay(bookmarksToDisplay) {
-    const tableData = formatTableData(bookmarksToDisplay);
+    if (layout.sort) sortScraps(bookmarksToDisplay, layout.sort);
+
+    const columns = layout.columns.map(getColumn);
+    const widths = columnWidths(layout.columns, table.width - 3, TABLE_COLUMN_SPACING);
+    table.options.columnWidth = widths;
+    const contentIndex = layout.columns.includes("content")
+      ? layout.columns.indexOf("content")
+      : Math.max(0, columns.findIndex((column) => !column.width));
+
+    const tableData = formatTableData(bookmarksToDisplay, layout.columns, layout.sort);
     const coloredTableData = {
       headers: tableData.headers,
-      data: tableData.data.map((row) => {
+      data: tableData.data.map((row, rowIndex) => {
         if (!Array.isArray(row)) return [];
+        const scrap = bookmarksToDisplay[rowIndex];
         return row.map((cell, index) => {
           const safeCell = (cell ?? "").toString();
-          // Color the date column dim, type column stays default, content gets emphasis
-          if (index === 0) {
-            return chalk.dim(safeCell); // Date
-          } else if (index === 2) {
-            return chalk.white(safeCell); // Content
+          // Dates dim, the content column gets emphasis, the rest stay default
+          if (index === contentIndex) {
+            const state = triageOf(scrap);
+            const marks = [
+              uiState.isMarked(scrap) && chalk.green("● "),
+              state.starred && chalk.yellow("★ "),
+            ].filter(Boolean);
+            // Finished scraps fade out
+            const color = ["done", "archived"].includes(state.status) ? chalk.gray : chalk.white;
+            const terms = uiState.highlightTerms(scrap);
+            if (!marks.length && !terms.length) return color(safeCell);
+            // Cut to the column before adding escape codes so the table's own truncation
+            // can't split one
+            const visible = safeCell.substring(0, widths[index] - marks.length * 2);
+            const marked = highlightText(visible, terms, (match) => chalk.bgYellow.black(match));
+            return marks.join("") + color(marked);
+          } else if (columns[index].dim) {
+            return chalk.dim(safeCell);
           } else {
-            return safeCell; // Type (emojis)
+            return safeCell;
           }
         });
       }),
     };
 
+    // blessed drops surplus rows front to back, shifting every later row each time; popping
+    // them off the end first keeps narrowing a long list (each filter keystroke) quick
+    while (table.rows.items.length > coloredTableData.data.length) table.rows.popItem();
     table.setData(coloredTableData);
     alertBox.setContent(`${bookmarksToDisplay.length} bookmarks`);
     screen.render();
@@ -267,6 +341,9 @@ export function createUI(bookmarks) {
     miniMap,
     searchQueryBox,
     fullScreenSummaryBox,
+    filterBar,
+    layout,
+    viewTabs,
     updateDisplay,
   };
 }
@@ -280,10 +357,187 @@ export function setupKeyboardShortcuts(
   searchQueryBox,
   fullScreenSummaryBox,
   bookmarks,
-  updateDisplay
+  updateDisplay,
+  filterBar,
+  layout,
+  viewTabs
 ) {
   screen.key(["q", "C-c"], () => process.exit(0));
 
+  // "More like this" panel, and the scraps it jumped away from (for backspace)
+  let relatedPanel = null;
+  const backStack = [];
+
+  // Top entities panel
+  let entitiesPanel = null;
+  const panelFocused = () => relatedPanel?.focused || entitiesPanel?.focused;
+
+  function selectScrap(scrapId) {
+    const index = bookmarks.findIndex((b) => b.scrap_id === scrapId);
+    if (index === -1) return false;
+    table.rows.select(index);
+    updateSummary(index, bookmarks, summaryBox, alertBox, miniMap, screen);
+    return true;
+  }
+
+  function closeRelatedPanel() {
+    if (!relatedPanel) return;
+    screen.remove(relatedPanel);
+    relatedPanel = null;
+    table.focus();
+    screen.render();
+  }
+
+  function showRelatedPanel() {
+    const current = bookmarks[table.rows.selected];
+    if (!current) return;
+
+    const related = relatedScraps(current, bookmarks, { vectors: loadLocalVectors(), limit: 30 });
+
+    if (!relatedPanel) {
+      closeEntitiesPanel();
+      relatedPanel = createSidePanel(screen);
+
+      relatedPanel.on("select", (_item, index) => {
+        const entry = relatedPanel.related[index];
+        if (!entry) return;
+        backStack.push(bookmarks[table.rows.selected]?.scrap_id);
+        selectScrap(entry.scrap.scrap_id);
+        showRelatedPanel();
+      });
+      relatedPanel.key(["escape"], () => closeRelatedPanel());
+    }
+
+    const title = (current.title || current.content || current.scrap_id).substring(0, 30);
+    relatedPanel.setLabel(` More like: ${blessed.escape(title)} `);
+    relatedPanel.related = related;
+    relatedPanel.setItems(
+      related.length > 0
+        ? related.map(({ scrap, tags, concepts, entities, similarity }) => {
+            const reasons = [
+              ...tags.map((t) => `#${t}`),
+              ...concepts.map((t) => `~${t}`),
+              ...entities.map((e) => `◆${e}`),
+            ];
+            if (similarity !== null) reasons.push(`≈${similarity.toFixed(2)}`);
+            const label = scrap.title || scrap.content?.substring(0, 60) || scrap.scrap_id;
+            return `${blessed.escape(label)} {gray-fg}${blessed.escape(reasons.join(" "))}{/gray-fg}`;
+          })
+        : ["{gray-fg}No related scraps in the current list{/gray-fg}"]
+    );
+    relatedPanel.select(0);
+    relatedPanel.focus();
+    screen.render();
+  }
+
+  screen.key(["m"], () => {
+    if (relatedPanel) {
+      closeRelatedPanel();
+    } else {
+      showRelatedPanel();
+    }
+  });
+
+  function closeEntitiesPanel() {
+    if (!entitiesPanel) return;
+    screen.remove(entitiesPanel);
+    entitiesPanel = null;
+    table.focus();
+    screen.render();
+  }
+
+  // Replace the list with a subset of it, labelled in the query box (Esc restores)
+  function narrowList(matches, label, message) {
+    bookmarks.length = 0;
+    bookmarks.push(...matches);
+    updateDisplay(bookmarks);
+    table.rows.select(0);
+    updateSummary(0, bookmarks, summaryBox, alertBox, miniMap, screen);
+
+    searchQueryBox.setContent(label);
+    searchQueryBox.width = Math.min(label.length + 4, screen.width - 4);
+    searchQueryBox.show();
+    alertBox.setContent(`${message} (Esc to clear)`);
+    screen.render();
+  }
+
+  // Show only the scraps in the current list that mention an entity (Esc restores)
+  function filterByEntity(name) {
+    const resolver = createResolver();
+    const key = resolver.key(name);
+    const matches = bookmarks.filter((scrap) =>
+      (scrap.relationships || []).some(
+        (rel) => resolver.key(rel?.source) === key || resolver.key(rel?.target) === key
+      )
+    );
+    if (matches.length === 0) return;
+
+    narrowList(matches, `entity: ${name}`, `${matches.length} scraps mention ${name}`);
+  }
+
+  // Timeline of the current list; Enter on a bar narrows the list to it
+  function showTimeline() {
+    closeRelatedPanel();
+    closeEntitiesPanel();
+    createTimelineView([...bookmarks], screen, {
+      onClose: () => table.focus(),
+      onSelect: ({ label, scraps }) => {
+        narrowList(scraps, `saved: ${label}`, `${scraps.length} scraps · ${label}`);
+      },
+    });
+  }
+
+  screen.key(["l"], () => showTimeline());
+
+  function showEntitiesPanel() {
+    const rows = rankEntities(bookmarks, { top: TOP_ENTITIES });
+
+    closeRelatedPanel();
+    entitiesPanel = createSidePanel(screen);
+    entitiesPanel.setLabel(` Top ${rows.length} entities `);
+    entitiesPanel.setItems(
+      rows.length > 0
+        ? rows.map((row) => {
+            const details = [`${row.scraps} scraps`, `${row.degree} links`, row.type];
+            return `${blessed.escape(row.name)} {gray-fg}${blessed.escape(details.filter(Boolean).join(" · "))}{/gray-fg}`;
+          })
+        : ["{gray-fg}No entities in the current list{/gray-fg}"]
+    );
+
+    entitiesPanel.on("select", (_item, index) => {
+      const row = rows[index];
+      closeEntitiesPanel();
+      if (row) filterByEntity(row.name);
+    });
+    entitiesPanel.key(["escape"], () => closeEntitiesPanel());
+    entitiesPanel.select(0);
+    entitiesPanel.focus();
+    screen.render();
+  }
+
+  screen.key(["t"], () => {
+    if (entitiesPanel) {
+      closeEntitiesPanel();
+    } else {
+      showEntitiesPanel();
+    }
+  });
+
+  screen.key(["backspace"], () => {
+    const scrapId = backStack.pop();
+    if (!scrapId) {
+      alertBox.setContent("Nothing to go back to");
+      screen.render();
+      return;
+    }
+    if (!selectScrap(scrapId)) {
+      alertBox.setContent("That scrap is no longer in the list");
+      screen.render();
+      return;
+    }
+    if (relatedPanel) showRelatedPanel();
+  });
+
   screen.key(["h"], () => {
     summaryBox.setContent(displayHelp());
     screen.render();
@@ -311,21 +565,90 @@ export function setupKeyboardShortcuts(
     }
   });
 
+  // Saved view tabs: the active one (null = everything) and the layout "All" returns to
+  let activeTab = 0;
+  let activeView = null;
+  let baseLayout = { columns: layout.columns, sort: layout.sort };
+
+  // Everything, or the scraps in a saved view
+  function loadList(view) {
+    return view ? loadView(view) : reloadBookmarks();
+  }
+
+  function showList(scraps) {
+    bookmarks.length = 0;
+    bookmarks.push(...scraps);
+    updateDisplay(bookmarks);
+    if (viewTabs) renderViewTabs(viewTabs, activeTab, bookmarks.length);
+  }
+
+  async function switchTab(index) {
+    if (!viewTabs || index === activeTab || index > viewTabs.views.length) return;
+    const view = index > 0 ? viewTabs.views[index - 1] : null;
+
+    alertBox.setContent(`Loading ${view ? view.label : "everything"}...`);
+    screen.render();
+    let scraps;
+    try {
+      scraps = await loadList(view);
+    } catch (error) {
+      alertBox.setContent(`{red-fg}✗ Error:{/red-fg} ${error.message}`);
+      screen.render();
+      return;
+    }
+
+    if (!activeView) baseLayout = { columns: layout.columns, sort: layout.sort };
+    activeTab = index;
+    activeView = view;
+    layout.columns = view?.columns || baseLayout.columns;
+    layout.sort = view ? view.sort : baseLayout.sort;
+
+    visual = null;
+    uiState.setHighlight(null);
+    searchQueryBox.hide();
+    showList(scraps);
+    table.rows.select(0);
+    if (bookmarks.length) updateSummary(0, bookmarks, summaryBox, alertBox, miniMap, screen);
+    const query = view?.query ? ` · ${view.query}` : "";
+    alertBox.setContent(`${view ? view.label : "All"}: ${bookmarks.length} scraps${query}`);
+    screen.render();
+  }
+
+  screen.key(["tab", "S-tab"], (ch, key) => {
+    if (!viewTabs || panelFocused()) return;
+    const count = viewTabs.views.length + 1;
+    switchTab((activeTab + (key.shift ? count - 1 : 1)) % count);
+  });
+
+  screen.key(["1", "2", "3", "4", "5", "6", "7", "8", "9"], (ch) => {
+    if (panelFocused()) return;
+    switchTab(Number(ch) - 1);
+  });
+
   screen.key(["escape"], () => {
+    // Side panels handle their own escape
+    if (relatedPanel || entitiesPanel) return;
+    // Esc while extending a range only drops the range
+    if (visual) {
+      uiState.setMarked(visual.before);
+      visual = null;
+      paintMarks();
+      return;
+    }
     if (fullScreenSummaryBox.visible) {
       fullScreenSummaryBox.hide();
       screen.render();
     }
     uiState.stopCurrentAnimation();
+    uiState.setHighlight(null);
     searchQueryBox.content = "";
     searchQueryBox.hide();
-    reloadBookmarks(updateDisplay).then((newBookmarks) => {
-      bookmarks.length = 0;
-      bookmarks.push(...newBookmarks);
-    });
+    // Back to the whole list of the current tab
+    loadList(activeView).then(showList);
   });
 
   screen.key(["j", "down"], () => {
+    if (panelFocused()) return;
     const nextIndex = table.rows.selected + 1;
     if (nextIndex < bookmarks.length) {
       updateSummary(nextIndex, bookmarks, summaryBox, alertBox, miniMap, screen);
@@ -334,6 +657,7 @@ export function setupKeyboardShortcuts(
   });
 
   screen.key(["k", "up"], () => {
+    if (panelFocused()) return;
     const prevIndex = table.rows.selected - 1;
     if (prevIndex >= 0) {
       updateSummary(prevIndex, bookmarks, summaryBox, alertBox, miniMap, screen);
@@ -368,14 +692,38 @@ export function setupKeyboardShortcuts(
       try {
         alertBox.setContent("Opening in editor...");
         screen.render();
-        await openInEditor(bookmark, screen);
-        alertBox.setContent("Closed editor");
+        const edited = await openInEditor(bookmark, screen);
+        const patch = diffScrapMarkdown(bookmark, parseScrapMarkdown(edited));
+
+        if (Object.keys(patch).length === 0) {
+          alertBox.setContent("Closed editor - no changes");
+        } else {
+          // Conflict if someone else saved the scrap while the file was open
+          // (can't tell without a timestamp on both sides)
+          const current = await getScrap(bookmark.scrap_id);
+          const conflict =
+            current?.updated_at &&
+            bookmark.updated_at &&
+            current.updated_at !== bookmark.updated_at;
+
+          if (await confirmEdit(screen, bookmark, patch, conflict ? current : null)) {
+            const updated = await updateScrap(bookmark.scrap_id, patch);
+            bookmarks[selected] = { ...bookmark, ...updated };
+            updateDisplay(bookmarks);
+            table.rows.select(selected);
+            updateSummary(selected, bookmarks, summaryBox, alertBox, miniMap, screen);
+            alertBox.setContent(`{green-fg}✓ Saved:{/green-fg} ${Object.keys(patch).join(", ")}`);
+          } else {
+            alertBox.setContent("Edits discarded");
+          }
+        }
+        table.focus();
         setTimeout(() => {
           alertBox.setContent("");
           screen.render();
-        }, 2000);
+        }, 3000);
       } catch (error) {
-        alertBox.setContent("Error opening editor: " + error.message);
+        alertBox.setContent("Error editing scrap: " + error.message);
         setTimeout(() => {
           alertBox.setContent("");
           screen.render();
@@ -421,11 +769,402 @@ export function setupKeyboardShortcuts(
     }
   });
 
+  // Built-in fuzzy filter: narrows the list as you type; Enter keeps the matches, Esc restores
+  function showFilterBar() {
+    closeRelatedPanel();
+    closeEntitiesPanel();
+    const base = [...bookmarks];
+    const index = createFuzzyIndex(base);
+
+    const show = (list) => {
+      bookmarks.length = 0;
+      bookmarks.push(...list);
+      updateDisplay(bookmarks);
+      table.rows.select(0);
+      if (bookmarks.length) updateSummary(0, bookmarks, summaryBox, alertBox, miniMap, screen);
+    };
+
+    const clear = () => {
+      uiState.setHighlight(null);
+      show(base);
+    };
+
+    openFilterBar(filterBar, {
+      onChange: (query) => {
+        if (!query.trim()) {
+          clear();
+          screen.render();
+          return;
+        }
+        const results = index.search(query);
+        const matchedTerms = new Map(results.map(({ scrap, terms }) => [scrap, terms]));
+        uiState.setHighlight((scrap) => matchedTerms.get(scrap));
+        show(results.map(({ scrap }) => scrap));
+        alertBox.setContent(`${results.length} of ${base.length} match`);
+        screen.render();
+      },
+      onMove: (step) => {
+        if (!bookmarks.length) return;
+        const next = Math.max(0, Math.min(bookmarks.length - 1, table.rows.selected + step));
+        table.rows.select(next);
+        updateSummary(next, bookmarks, summaryBox, alertBox, miniMap, screen);
+      },
+      onSubmit: (query) => {
+        table.focus();
+        if (!query.trim()) return;
+        if (!bookmarks.length) {
+          clear();
+          alertBox.setContent(`No matches for: ${query}`);
+          screen.render();
+          return;
+        }
+        const label = `~ ${query}`;
+        searchQueryBox.setContent(label);
+        searchQueryBox.width = Math.min(label.length + 4, screen.width - 4);
+        searchQueryBox.show();
+        alertBox.setContent(`${bookmarks.length} matches (Esc to clear)`);
+        screen.render();
+      },
+      onCancel: () => {
+        clear();
+        table.focus();
+        alertBox.setContent("Filter cancelled");
+        screen.render();
+      },
+    });
+  }
+
   screen.key(["s", "/"], () => {
+    if (config.search?.tui === "fzf") {
+      showSearchBox(screen, alertBox, searchQueryBox, table, summaryBox, miniMap, bookmarks);
+    } else {
+      showFilterBar();
+    }
+  });
+
+  screen.key(["S"], () => {
     showSearchBox(screen, alertBox, searchQueryBox, table, summaryBox, miniMap, bookmarks);
   });
 
+  // Marking rows for bulk actions: x toggles, V marks a range, A marks the whole list
+  let visual = null; // { anchor, before } while V is extending a range
+  let paintingMarks = false;
+
+  function markStatus() {
+    const count = uiState.marked.size;
+    if (visual) return `Visual: ${count} marked · move to extend · V keep · Esc cancel`;
+    return count ? `${count} marked · b bulk actions · X clear` : "No rows marked";
+  }
+
+  // Redraw the table for changed marks, keeping the cursor where it is
+  function paintMarks() {
+    const selected = table.rows.selected;
+    paintingMarks = true;
+    updateDisplay(bookmarks);
+    table.rows.select(selected);
+    paintingMarks = false;
+    alertBox.setContent(markStatus());
+    screen.render();
+  }
+
+  function markVisualRange(index) {
+    const [from, to] = [Math.min(visual.anchor, index), Math.max(visual.anchor, index)];
+    uiState.setMarked([...visual.before, ...bookmarks.slice(from, to + 1)]);
+  }
+
+  table.rows.on("select item", (item, index) => {
+    if (!visual || paintingMarks) return;
+    markVisualRange(index);
+    paintMarks();
+  });
+
+  screen.key(["x"], () => {
+    if (panelFocused() || !bookmarks.length) return;
+    const selected = table.rows.selected;
+    const scrap = bookmarks[selected];
+    const marked = uiState.markedScraps().filter((s) => s.scrap_id !== scrap.scrap_id);
+    uiState.setMarked(uiState.isMarked(scrap) ? marked : [...marked, scrap]);
+    paintMarks();
+    if (selected + 1 < bookmarks.length) {
+      table.rows.select(selected + 1);
+      updateSummary(selected + 1, bookmarks, summaryBox, alertBox, miniMap, screen);
+      alertBox.setContent(markStatus());
+      screen.render();
+    }
+  });
+
+  screen.key(["V"], () => {
+    if (panelFocused() || !bookmarks.length) return;
+    if (visual) {
+      visual = null;
+    } else {
+      visual = { anchor: table.rows.selected, before: uiState.markedScraps() };
+      markVisualRange(table.rows.selected);
+    }
+    paintMarks();
+  });
+
+  screen.key(["A"], () => {
+    if (panelFocused() || !bookmarks.length) return;
+    // Toggle: unmark the list if every row in it is already marked
+    const listIds = new Set(bookmarks.map((scrap) => scrap.scrap_id));
+    const others = uiState.markedScraps().filter((scrap) => !listIds.has(scrap.scrap_id));
+    const allMarked = bookmarks.every((scrap) => uiState.isMarked(scrap));
+    uiState.setMarked(allMarked ? others : [...others, ...bookmarks]);
+    paintMarks();
+  });
+
+  screen.key(["X"], () => {
+    if (panelFocused()) return;
+    visual = null;
+    uiState.setMarked([]);
+    paintMarks();
+  });
+
+  // The marked rows, or the current row when nothing is marked
+  function markedOrCurrent() {
+    // Prefer the current list's copies, which reflect edits made since marking
+    const current = new Map(bookmarks.map((scrap) => [scrap.scrap_id, scrap]));
+    const marked = uiState.markedScraps().map((scrap) => current.get(scrap.scrap_id) || scrap);
+    return marked.length ? marked : [bookmarks[table.rows.selected]];
+  }
+
+  screen.key(["b"], () => {
+    if (panelFocused() || !bookmarks.length) return;
+    visual = null;
+    const targets = markedOrCurrent();
+
+    showBulkMenu(screen, targets, {
+      onUpdated: (updated) => {
+        const byId = new Map(updated.map((scrap) => [scrap.scrap_id, scrap]));
+        bookmarks.forEach((scrap, i) => {
+          if (byId.has(scrap.scrap_id)) bookmarks[i] = byId.get(scrap.scrap_id);
+        });
+        uiState.setMarked(uiState.markedScraps().map((s) => byId.get(s.scrap_id) || s));
+      },
+      onDone: (message) => {
+        table.focus();
+        paintMarks();
+        const selected = table.rows.selected;
+        updateSummary(selected, bookmarks, summaryBox, alertBox, miniMap, screen);
+        alertBox.setContent(message || markStatus());
+        screen.render();
+      },
+    });
+  });
+
+  // Reading-list triage (see triage.js): d done, R reading, a archived (again for unread),
+  // u unread, * star, Z snooze or wake. Like b, on the marked rows or the current one
+  function applyTriage(targets, patch, label) {
+    let changed;
+    try {
+      changed = setTriage(targets, patch);
+    } catch (error) {
+      alertBox.setContent(`{red-fg}✗ Error:{/red-fg} ${error.message}`);
+      screen.render();
+      return;
+    }
+
+    const current = bookmarks[table.rows.selected];
+    updateDisplay(bookmarks);
+    let index = Math.max(0, bookmarks.indexOf(current));
+    // One row at a time moves on to the next, like x
+    if (!uiState.marked.size && index < bookmarks.length - 1) index++;
+    table.rows.select(index);
+    updateSummary(index, bookmarks, summaryBox, alertBox, miniMap, screen);
+
+    const unchanged = targets.length - changed;
+    const count = `${targets.length} scrap${targets.length === 1 ? "" : "s"}`;
+    alertBox.setContent(
+      `{green-fg}✓ ${label}:{/green-fg} ${count}${unchanged ? ` (${unchanged} already)` : ""}`
+    );
+    screen.render();
+  }
+
+  function toggleStatus(status) {
+    if (panelFocused() || !bookmarks.length) return;
+    visual = null;
+    const targets = markedOrCurrent();
+    const next = targets.every((scrap) => triageOf(scrap).status === status) ? "unread" : status;
+    applyTriage(targets, { status: next }, `Marked ${next}`);
+  }
+
+  screen.key(["d"], () => toggleStatus("done"));
+  screen.key(["R"], () => toggleStatus("reading"));
+  screen.key(["a"], () => toggleStatus("archived"));
+
+  screen.key(["u"], () => {
+    if (panelFocused() || !bookmarks.length) return;
+    visual = null;
+    applyTriage(markedOrCurrent(), { status: "unread" }, "Marked unread");
+  });
+
+  screen.key(["*"], () => {
+    if (panelFocused() || !bookmarks.length) return;
+    visual = null;
+    const targets = markedOrCurrent();
+    const starred = !targets.every((scrap) => triageOf(scrap).starred);
+    applyTriage(targets, { starred }, starred ? "Starred" : "Unstarred");
+  });
+
+  screen.key(["Z"], async () => {
+    if (panelFocused() || !bookmarks.length) return;
+    visual = null;
+    const targets = markedOrCurrent();
+    if (targets.every((scrap) => triageOf(scrap).snoozed)) {
+      applyTriage(targets, { snoozed_until: null }, "Woken up");
+      return;
+    }
+
+    const label = " Snooze until (3h, 2d, 1w, 1m, tomorrow, a date) ";
+    const until = await promptText(screen, label, "1w");
+    table.focus();
+    if (!until?.trim()) {
+      screen.render();
+      return;
+    }
+    let patch;
+    try {
+      patch = triagePatch("snooze", until);
+    } catch (error) {
+      alertBox.setContent(`{red-fg}✗ Error:{/red-fg} ${error.message}`);
+      screen.render();
+      return;
+    }
+    const date = format(new Date(patch.snoozed_until), "MMM d HH:mm");
+    applyTriage(targets, patch, `Snoozed until ${date}`);
+  });
+
+  // Table layout: o cycles the sort column, O flips the order, C picks columns.
+  // Changes are saved to the user config so the next session opens the same way.
+  function applyLayout(message) {
+    const current = bookmarks[table.rows.selected];
+    visual = null;
+    updateDisplay(bookmarks);
+    const index = Math.max(0, bookmarks.indexOf(current));
+    table.rows.select(index);
+    if (bookmarks.length) updateSummary(index, bookmarks, summaryBox, alertBox, miniMap, screen);
+
+    let saved = activeView ? `saved to ${activeView.label}` : "saved";
+    try {
+      if (activeView) {
+        // On a saved view's tab the layout belongs to that view (columns only once changed)
+        const columns = layout.columns === baseLayout.columns ? activeView.columns : layout.columns;
+        Object.assign(activeView, { columns, sort: layout.sort });
+        saveView(activeView);
+      } else {
+        updateUserConfig({ display: { view_headers: layout.columns, sort: layout.sort } });
+      }
+    } catch (error) {
+      saved = `{red-fg}not saved: ${error.message}{/red-fg}`;
+    }
+    alertBox.setContent(`${message} (${saved})`);
+    screen.render();
+  }
+
+  function sortLabel() {
+    if (!layout.sort) return "Database order";
+    const { field, order } = layout.sort;
+    return `Sorted by ${getColumn(field).header} ${order === "asc" ? "▲" : "▼"}`;
+  }
+
+  screen.key(["o"], () => {
+    if (panelFocused()) return;
+    const next = layout.sort ? layout.columns.indexOf(layout.sort.field) + 1 : 0;
+    if (next < layout.columns.length) {
+      layout.sort = { field: layout.columns[next], order: "desc" };
+    } else {
+      // Past the last column: back to the order the database returns
+      layout.sort = null;
+      sortScraps(bookmarks, {
+        field: config.database?.order_by || "created_at",
+        order: config.database?.order_direction || "desc",
+      });
+    }
+    applyLayout(sortLabel());
+  });
+
+  screen.key(["O"], () => {
+    if (panelFocused()) return;
+    if (!layout.sort) {
+      alertBox.setContent("Not sorted - press o to pick a column");
+      screen.render();
+      return;
+    }
+    layout.sort = { ...layout.sort, order: layout.sort.order === "asc" ? "desc" : "asc" };
+    applyLayout(sortLabel());
+  });
+
+  function toggleColumn(key) {
+    if (layout.columns.includes(key)) {
+      if (layout.columns.length === 1) return;
+      layout.columns = layout.columns.filter((column) => column !== key);
+      if (layout.sort?.field === key) layout.sort = null;
+    } else if (getColumn(key).width) {
+      // Fixed-width columns go before the first wide one so they stay on screen
+      const flexIndex = layout.columns.findIndex((column) => !getColumn(column).width);
+      const at = flexIndex === -1 ? layout.columns.length : flexIndex;
+      layout.columns = [...layout.columns.slice(0, at), key, ...layout.columns.slice(at)];
+    } else {
+      layout.columns = [...layout.columns, key];
+    }
+    applyLayout(`Columns: ${layout.columns.join(", ")}`);
+  }
+
+  function showColumnPicker() {
+    const available = availableColumns();
+    const borderColor = config.theme?.colors?.borders?.focus || "#ff1a90";
+    const items = () =>
+      available.map((key) => `${layout.columns.includes(key) ? "[x]" : "[ ]"} ${key}`);
+
+    const picker = blessed.list({
+      parent: screen,
+      top: "center",
+      left: "center",
+      width: 40,
+      height: Math.min(available.length + 2, screen.height - 4),
+      label: " Columns · Space toggles · Esc done ",
+      border: "line",
+      keys: true,
+      vi: true,
+      items: items(),
+      style: {
+        border: { fg: borderColor },
+        label: { fg: borderColor, bold: true },
+        selected: { bg: config.theme?.colors?.borders?.selected || "#e60067", fg: "#0d0d0d" },
+      },
+    });
+
+    // The picker's keys (space, q, C) shouldn't reach the main screen
+    screen.grabKeys = true;
+    const toggle = () => {
+      toggleColumn(available[picker.selected]);
+      picker.setItems(items());
+      screen.render();
+    };
+    picker.key(["space"], toggle);
+    picker.on("select", toggle);
+    picker.key(["escape", "q", "C"], () => {
+      screen.grabKeys = false;
+      screen.remove(picker);
+      table.focus();
+      screen.render();
+    });
+    picker.focus();
+    screen.render();
+  }
+
+  screen.key(["C"], () => {
+    if (panelFocused()) return;
+    showColumnPicker();
+  });
+
+  screen.key(["w"], () => {
+    showQueryFilter(screen, alertBox, searchQueryBox, table, summaryBox, miniMap, bookmarks, updateDisplay);
+  });
+
   screen.key(["z", "enter"], () => {
+    if (panelFocused()) return;
     toggleFullScreenSummary(fullScreenSummaryBox, bookmarks, table.rows.selected);
   });
 
@@ -466,36 +1205,36 @@ export function setupKeyboardShortcuts(
   screen.key(["r"], async () => {
     alertBox.setContent("Refreshing bookmarks...");
     screen.render();
-    const newBookmarks = await reloadBookmarks(updateDisplay);
-    bookmarks.length = 0;
-    bookmarks.push(...newBookmarks);
-    alertBox.setContent(`Refreshed ${newBookmarks.length} bookmarks`);
+    // Pick up triage changes made outside the TUI (e.g. `scrapbook-cli triage`) too
+    loadTriage({ reload: true });
+    showList(await loadList(activeView));
+    alertBox.setContent(`Refreshed ${bookmarks.length} bookmarks`);
     screen.render();
     setTimeout(() => {
       alertBox.setContent("");
       screen.render();
     }, 3000);
   });
+
+  // Open a saved view's tab (name from getView)
+  function showView(name) {
+    const index = viewTabs ? viewTabs.views.findIndex((view) => view.name === name) : -1;
+    if (index !== -1) switchTab(index + 1);
+  }
+
+  return { showTimeline, narrowList, showView };
 }
 
-function createTable(grid) {
-  // Edge-to-edge table - use full terminal width
+function createTable(grid, columns) {
+  // Starting widths from the terminal; updateDisplay refits them to the table once it's drawn
   const terminalWidth = process.stdout.columns || 80;
 
-  // Optimized column layout for information density
-  const dateWidth = 6;     // "MM/DD"
-  const srcWidth = 5;      // Icon + count (e.g., " 12")
-  const contentWidth = terminalWidth - dateWidth - srcWidth - 6; // Rest for content (minus borders/padding)
-
   return grid.set(0, 0, 12, 8, contrib.table, {
     keys: true,
     label: "", // No label for edge-to-edge
     border: "line", // Keep border but make it blend
-    columnWidth: [
-      dateWidth,
-      srcWidth,
-      Math.max(50, contentWidth), // Ensure minimum readable width
-    ],
+    columnWidth: columnWidths(columns, Math.floor((terminalWidth * 2) / 3), TABLE_COLUMN_SPACING),
+    columnSpacing: TABLE_COLUMN_SPACING,
     vi: true,
     style: {
       border: { fg: config.theme?.colors?.borders?.default || "#595959" },
@@ -526,6 +1265,7 @@ function createSummaryBox(grid) {
       `{${highlightColor}-fg}j/k{/${highlightColor}-fg}     Navigate\n` +
       `{${highlightColor}-fg}SPACE{/${highlightColor}-fg}   Open URL\n` +
       `{${highlightColor}-fg}s{/${highlightColor}-fg}       Search\n` +
+      `{${highlightColor}-fg}w{/${highlightColor}-fg}       Filter\n` +
       `{${highlightColor}-fg}z{/${highlightColor}-fg}       Expand\n` +
       `{${highlightColor}-fg}r{/${highlightColor}-fg}       Refresh\n` +
       `{${highlightColor}-fg}?{/${highlightColor}-fg}       Help\n` +
@@ -586,6 +1326,27 @@ function createSearchQueryBox(screen) {
   return box;
 }
 
+// List docked on the right, used by the related and top entities panels
+function createSidePanel(screen) {
+  const highlightColor = config.theme?.colors?.borders?.focus || "#ff1a90";
+  return blessed.list({
+    parent: screen,
+    top: 0,
+    right: 0,
+    width: "45%",
+    height: "100%",
+    border: "line",
+    tags: true,
+    keys: true,
+    vi: true,
+    scrollbar: { ch: "┃", style: { fg: highlightColor } },
+    style: {
+      border: { fg: highlightColor },
+      selected: { bg: highlightColor, fg: "black" },
+    },
+  });
+}
+
 function createFullScreenSummaryBox(screen) {
   const highlightColor = config.theme?.colors?.borders?.focus || "#ff1a90";
 
@@ -632,15 +1393,44 @@ export function displayHelp() {
 {bold}{yellow-fg}─── Actions ───{/yellow-fg}{/bold}
   {cyan-fg}z{/cyan-fg} {cyan-fg}Enter{/cyan-fg}      Expand summary
   {cyan-fg}Space{/cyan-fg}         Open in browser
-  {cyan-fg}e{/cyan-fg}             Open in $EDITOR
+  {cyan-fg}e{/cyan-fg}             Edit in $EDITOR (saves back)
   {cyan-fg}→{/cyan-fg}             Copy public URL
   {cyan-fg}←{/cyan-fg}             Copy entry URL
-  {cyan-fg}s{/cyan-fg} {cyan-fg}/{/cyan-fg}          Search
+  {cyan-fg}s{/cyan-fg} {cyan-fg}/{/cyan-fg}          Fuzzy filter (Enter keeps, Esc clears)
+  {cyan-fg}S{/cyan-fg}             Search with fzf
+  {cyan-fg}w{/cyan-fg}             Filter with a query (tag:ai -tag:x ...)
   {cyan-fg}r{/cyan-fg}             Refresh data
 
+{bold}{yellow-fg}─── Marking ───{/yellow-fg}{/bold}
+  {cyan-fg}x{/cyan-fg}             Mark/unmark row and move down
+  {cyan-fg}V{/cyan-fg}             Mark a range (move to extend, V keeps, Esc drops)
+  {cyan-fg}A{/cyan-fg}             Mark/unmark every row in the list
+  {cyan-fg}X{/cyan-fg}             Clear marks
+  {cyan-fg}b{/cyan-fg}             Bulk actions: tag, untag, share, open, copy, export, playlist
+
+{bold}{yellow-fg}─── Reading list ───{/yellow-fg}{/bold}
+  {cyan-fg}d{/cyan-fg}             Done (again: back to unread)
+  {cyan-fg}R{/cyan-fg}             Reading (again: back to unread)
+  {cyan-fg}a{/cyan-fg}             Archive (again: back to unread)
+  {cyan-fg}u{/cyan-fg}             Mark unread
+  {cyan-fg}*{/cyan-fg}             Star / unstar
+  {cyan-fg}Z{/cyan-fg}             Snooze (3h, 2d, 1w, a date); again wakes it
+
+{bold}{yellow-fg}─── Columns ───{/yellow-fg}{/bold}
+  {cyan-fg}o{/cyan-fg}             Sort by the next column (then database order)
+  {cyan-fg}O{/cyan-fg}             Reverse the sort
+  {cyan-fg}C{/cyan-fg}             Choose columns (saved to your config)
+
+{bold}{yellow-fg}─── Saved views ───{/yellow-fg}{/bold}
+  {cyan-fg}Tab{/cyan-fg} {cyan-fg}S-Tab{/cyan-fg}     Next / previous view tab (views: in config)
+  {cyan-fg}1-9{/cyan-fg}           Jump to a tab (1 is everything)
+
 {bold}{yellow-fg}─── Views ───{/yellow-fg}{/bold}
   {cyan-fg}v{/cyan-fg}             Relationship view
   {cyan-fg}f{/cyan-fg}             Force layout graph
+  {cyan-fg}m{/cyan-fg}             More like this (Enter jumps, Backspace goes back)
+  {cyan-fg}t{/cyan-fg}             Top entities (Enter filters to that entity)
+  {cyan-fg}l{/cyan-fg}             Timeline (Enter filters to a day/week/month)
   {cyan-fg}--map{/cyan-fg}         Map view (startup)
 
 {bold}{yellow-fg}─── Help ───{/yellow-fg}{/bold}
@@ -671,12 +1461,128 @@ async function showSearchBox(screen, alertBox, searchQueryBox, table, summaryBox
       alertBox.setContent("Search cancelled");
     }
   } catch (error) {
-    alertBox.setContent(`fzf error: ${error.message}. Install fzf to use search.`);
+    alertBox.setContent(`fzf error: ${error.message}. Install fzf, or use / to filter.`);
   }
 
   screen.render();
 }
 
+/**
+ * Prompt for a query (see query.js) and show only the matching scraps, ranked
+ * Esc restores the full list.
+ */
+function showQueryFilter(screen, alertBox, searchQueryBox, table, summaryBox, miniMap, bookmarks, updateDisplay) {
+  const highlightColor = config.theme?.colors?.borders?.focus || "#ff1a90";
+
+  const input = blessed.textbox({
+    parent: screen,
+    bottom: 0,
+    left: "center",
+    width: "80%",
+    height: 3,
+    label: " Filter: tag:ai source:x type:video after:2024-01 entity:\"Name\" -tag:y \"phrase\" ",
+    border: "line",
+    inputOnFocus: true,
+    value: searchQueryBox.visible ? searchQueryBox.getContent() : "",
+    style: {
+      border: { fg: highlightColor },
+    },
+  });
+
+  const close = () => {
+    screen.remove(input);
+    table.focus();
+    screen.render();
+  };
+
+  input.on("submit", async (query) => {
+    close();
+    if (!query.trim()) return;
+
+    try {
+      alertBox.setContent(`Searching: ${query}`);
+      screen.render();
+      const results = await searchBookmarks(query);
+
+      if (results.length === 0) {
+        alertBox.setContent(`No scraps match: ${query}`);
+        screen.render();
+        return;
+      }
+
+      bookmarks.length = 0;
+      bookmarks.push(...results);
+      updateDisplay(bookmarks);
+      table.rows.select(0);
+      updateSummary(0, bookmarks, summaryBox, alertBox, miniMap, screen);
+
+      searchQueryBox.setContent(query);
+      searchQueryBox.width = Math.min(query.length + 4, screen.width - 4);
+      searchQueryBox.show();
+      alertBox.setContent(`${results.length} matches for: ${query} (Esc to clear)`);
+    } catch (error) {
+      alertBox.setContent(`Query error: ${error.message}`);
+    }
+    screen.render();
+  });
+
+  input.on("cancel", close);
+  input.focus();
+  screen.render();
+}
+
+/**
+ * Show the changes made in the editor and ask whether to save them
+ * @param {Object} screen - Blessed screen
+ * @param {Object} scrap - Scrap as it was when the editor opened
+ * @param {Object} patch - Changed fields from diffScrapMarkdown
+ * @param {Object|null} conflictingScrap - Newer version saved meanwhile, if any
+ * @returns {Promise<boolean>} true to save
+ */
+function confirmEdit(screen, scrap, patch, conflictingScrap) {
+  return new Promise((resolve) => {
+    const lines = formatChanges(scrap, patch).map((line) => `  ${blessed.escape(line)}`);
+
+    let content = `{bold}Save changes to ${scrap.scrap_id}?{/bold}\n\n${lines.join("\n")}\n\n`;
+    if (conflictingScrap) {
+      content +=
+        `{red-fg}{bold}Conflict:{/bold} this scrap was updated while the editor was open\n` +
+        `(${scrap.updated_at} → ${conflictingScrap.updated_at}).\n` +
+        `Saving overwrites these fields with your version.{/red-fg}\n\n`;
+    }
+    content += "{dim}y = save · n/Esc = discard{/dim}";
+
+    const dialog = blessed.box({
+      parent: screen,
+      top: "center",
+      left: "center",
+      width: "80%",
+      height: Math.min(lines.length + (conflictingScrap ? 12 : 8), screen.height - 2),
+      label: conflictingScrap ? " Edit conflict " : " Review edits ",
+      border: "line",
+      tags: true,
+      keys: true,
+      scrollable: true,
+      padding: { left: 1, right: 1 },
+      style: {
+        border: { fg: conflictingScrap ? "red" : config.theme?.colors?.borders?.focus || "#ff1a90" },
+      },
+      content,
+    });
+
+    const close = (save) => {
+      screen.remove(dialog);
+      screen.render();
+      resolve(save);
+    };
+
+    dialog.key(["y"], () => close(true));
+    dialog.key(["n", "escape"], () => close(false));
+    dialog.focus();
+    screen.render();
+  });
+}
+
 function showRelationshipView(screen, scrap, _bookmarks) {
   const relationshipBox = blessed.box({
     parent: screen,
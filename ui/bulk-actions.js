@@ -0,0 +1,286 @@
+/**
+ * Bulk actions on marked scraps (b in the main list)
+ *
+ * Rows are marked with x, a visual range (V) or everything in the current
+ * list (A). The menu applies one action to all of them: tag, untag,
+ * share/unshare, open, copy as a markdown list, export, or append to a
+ * yt-dlp playlist. Writes are confirmed first and go through updateScrap one
+ * scrap at a time, the same as saving from the editor.
+ */
+
+import blessed from "blessed";
+import config from "../config.js";
+import { updateScrap } from "../database.js";
+import { applyTagChanges } from "../write.js";
+import { writeExport, EXPORT_FORMATS, DEFAULT_OUTPUT } from "../export.js";
+import { appendToPlaylist } from "../youtube.js";
+import { openUrl, copyToClipboard } from "./safe-exec.js";
+
+// Ask before opening more tabs than this
+const OPEN_CONFIRM = 10;
+
+const ACTIONS = [
+  { key: "t", label: "Add tags…", run: (scraps, screen) => changeTags(scraps, screen, "+") },
+  { key: "u", label: "Remove tags…", run: (scraps, screen) => changeTags(scraps, screen, "-") },
+  { key: "s", label: "Share", run: (scraps, screen) => setShared(scraps, screen, true) },
+  { key: "h", label: "Unshare", run: (scraps, screen) => setShared(scraps, screen, false) },
+  { key: "o", label: "Open all in browser", run: openAll },
+  { key: "c", label: "Copy URLs as a markdown list", run: copyMarkdown },
+  { key: "x", label: "Export…", run: exportSelection },
+  { key: "y", label: "Add to YouTube playlist…", run: addToPlaylist },
+];
+
+/**
+ * Markdown bullet list of links, one per scrap with a URL
+ * @param {Object[]} scraps
+ * @returns {string}
+ */
+export function markdownList(scraps) {
+  return scraps
+    .filter((scrap) => scrap.url)
+    .map((scrap) => `- [${(scrap.title || scrap.url).replace(/[[\]]/g, "\\$&")}](${scrap.url})`)
+    .join("\n");
+}
+
+/**
+ * Open the bulk action menu
+ * @param {Object} screen - Blessed screen
+ * @param {Object[]} scraps - Scraps to act on
+ * @param {Object} handlers
+ * @param {Function} handlers.onUpdated - updated scraps => void, after a write
+ * @param {Function} handlers.onDone - status message (or null if cancelled) => void
+ */
+export function showBulkMenu(screen, scraps, { onUpdated, onDone }) {
+  const borderColor = config.theme?.colors?.borders?.focus || "#ff1a90";
+  const count = `${scraps.length} scrap${scraps.length === 1 ? "" : "s"}`;
+
+  const menu = blessed.list({
+    parent: screen,
+    top: "center",
+    left: "center",
+    width: 44,
+    height: ACTIONS.length + 2,
+    label: ` ${count} `,
+    border: "line",
+    keys: true,
+    vi: true,
+    tags: true,
+    items: ACTIONS.map(({ key, label }) => ` {cyan-fg}${key}{/cyan-fg}  ${label}`),
+    style: {
+      border: { fg: borderColor },
+      label: { fg: borderColor, bold: true },
+      selected: { bg: config.theme?.colors?.borders?.selected || "#e60067", fg: "#0d0d0d" },
+    },
+  });
+
+  // Keep the list's own shortcuts (t, s, x, ...) away from the main screen's
+  const grabbed = screen.grabKeys;
+  screen.grabKeys = true;
+
+  const close = () => {
+    screen.grabKeys = grabbed;
+    screen.remove(menu);
+    screen.render();
+  };
+
+  const run = async (action) => {
+    close();
+    try {
+      const { message, updated } = (await action.run(scraps, screen)) || {};
+      if (updated?.length) onUpdated(updated);
+      onDone(message ?? null);
+    } catch (error) {
+      onDone(`{red-fg}✗ Error:{/red-fg} ${error.message}`);
+    }
+  };
+
+  menu.on("select", (item, index) => run(ACTIONS[index]));
+  ACTIONS.forEach((action) => menu.key([action.key], () => run(action)));
+  menu.key(["escape", "q"], () => {
+    close();
+    onDone(null);
+  });
+  menu.focus();
+  screen.render();
+}
+
+async function changeTags(scraps, screen, sign) {
+  const label = sign === "+" ? "Add tags" : "Remove tags";
+  const input = await promptText(screen, ` ${label} (space separated) `);
+  const tags = (input || "").split(/[\s,]+/).filter(Boolean);
+  if (!tags.length) return null;
+
+  const changes = tags.map((tag) => sign + tag.replace(/^[+-]/, ""));
+  return patchAll(scraps, screen, `${label} ${changes.join(" ")}`, (scrap) =>
+    tagPatch(scrap, changes)
+  );
+}
+
+function setShared(scraps, screen, shared) {
+  return patchAll(scraps, screen, shared ? "Share" : "Unshare", (scrap) =>
+    sharedPatch(scrap, shared)
+  );
+}
+
+/**
+ * Patch applying tag changes ("+tag" / "-tag") to a scrap
+ * @param {Object} scrap
+ * @param {string[]} changes
+ * @returns {Object|null} { tags }, or null when the tags wouldn't change
+ */
+export function tagPatch(scrap, changes) {
+  const next = applyTagChanges(scrap.tags, changes);
+  return JSON.stringify(next) === JSON.stringify(scrap.tags || []) ? null : { tags: next };
+}
+
+/**
+ * Patch sharing or unsharing a scrap
+ * @param {Object} scrap
+ * @param {boolean} shared
+ * @returns {Object|null} { shared }, or null when it already is
+ */
+export function sharedPatch(scrap, shared) {
+  return Boolean(scrap.shared) === shared ? null : { shared };
+}
+
+/**
+ * Confirm, then write a patch to each scrap that needs one
+ * @param {Function} patchFor - scrap => patch, or null to leave it
+ */
+async function patchAll(scraps, screen, description, patchFor) {
+  const pending = scraps
+    .map((scrap) => ({ scrap, patch: patchFor(scrap) }))
+    .filter(({ patch }) => patch);
+  if (!pending.length) return { message: `${description}: nothing to change` };
+
+  const question = `${description} on ${pending.length} scrap${pending.length === 1 ? "" : "s"}?`;
+  if (!(await confirmBox(screen, question))) return { message: "Cancelled" };
+
+  const updated = [];
+  const failed = [];
+  for (const { scrap, patch } of pending) {
+    try {
+      const stored = await updateScrap(scrap.scrap_id, patch);
+      if (stored) updated.push({ ...scrap, ...stored });
+      else failed.push(`${scrap.scrap_id}: no longer exists`);
+    } catch (error) {
+      failed.push(`${scrap.scrap_id}: ${error.message}`);
+    }
+  }
+
+  const message = `{green-fg}✓ ${description}:{/green-fg} ${updated.length} saved`;
+  return {
+    updated,
+    message: failed.length
+      ? `${message}, {red-fg}${failed.length} failed{/red-fg} (${failed[0]})`
+      : message,
+  };
+}
+
+async function openAll(scraps, screen) {
+  const urls = scraps.map((scrap) => scrap.url).filter(Boolean);
+  if (!urls.length) return { message: "No URLs to open" };
+  if (urls.length > OPEN_CONFIRM && !(await confirmBox(screen, `Open ${urls.length} tabs?`))) {
+    return { message: "Cancelled" };
+  }
+
+  for (const url of urls) await openUrl(url);
+  return { message: `Opening ${urls.length} URLs in the browser` };
+}
+
+async function copyMarkdown(scraps) {
+  const text = markdownList(scraps);
+  if (!text) return { message: "No URLs to copy" };
+  await copyToClipboard(text);
+  return { message: `{green-fg}✓ Copied:{/green-fg} ${text.split("\n").length} links as markdown` };
+}
+
+async function exportSelection(scraps, screen) {
+  const input = await promptText(
+    screen,
+    ` Export as ${EXPORT_FORMATS.join("|")} [path] `,
+    "netscape"
+  );
+  const [format, ...rest] = (input || "").trim().split(/\s+/);
+  if (!format) return null;
+
+  // Default away from the full export's paths so a folder export doesn't prune them
+  const output =
+    rest.join(" ") || DEFAULT_OUTPUT[format]?.replace(/^scrapbook/, "scrapbook-selection");
+  const result = writeExport(scraps, { format, output });
+  return { message: `{green-fg}✓ Exported ${result.scraps} scraps to{/green-fg} ${result.output}` };
+}
+
+async function addToPlaylist(scraps, screen) {
+  const file = await promptText(screen, " Append YouTube links to playlist ", "playlist.txt");
+  if (!file?.trim()) return null;
+
+  const { added, duplicates, skipped, file: target } = appendToPlaylist(scraps, file.trim());
+  const notes = [];
+  if (duplicates) notes.push(`${duplicates} already listed`);
+  if (skipped) notes.push(`${skipped} not YouTube`);
+  const extra = notes.length ? ` (${notes.join(", ")})` : "";
+  return { message: `{green-fg}✓ Added ${added} videos to{/green-fg} ${target}${extra}` };
+}
+
+/**
+ * One-line input at the bottom of the screen
+ * @returns {Promise<string|null>} null if cancelled
+ */
+export function promptText(screen, label, value = "") {
+  return new Promise((resolve) => {
+    const input = blessed.textbox({
+      parent: screen,
+      bottom: 0,
+      left: "center",
+      width: "80%",
+      height: 3,
+      label,
+      border: "line",
+      value,
+      style: { border: { fg: config.theme?.colors?.borders?.focus || "#ff1a90" } },
+    });
+
+    input.readInput((error, text) => {
+      screen.remove(input);
+      screen.render();
+      resolve(text ?? null);
+    });
+    screen.render();
+  });
+}
+
+/**
+ * y/n question in the middle of the screen
+ * @returns {Promise<boolean>}
+ */
+function confirmBox(screen, question) {
+  return new Promise((resolve) => {
+    const dialog = blessed.box({
+      parent: screen,
+      top: "center",
+      left: "center",
+      width: Math.max(40, question.length + 6),
+      height: 4,
+      border: "line",
+      tags: true,
+      padding: { left: 1, right: 1 },
+      content: `{bold}${blessed.escape(question)}{/bold}\ny = yes · n/Esc = no`,
+      style: { border: { fg: config.theme?.colors?.borders?.focus || "#ff1a90" } },
+    });
+
+    const grabbed = screen.grabKeys;
+    screen.grabKeys = true;
+    const close = (answer) => {
+      screen.grabKeys = grabbed;
+      screen.remove(dialog);
+      screen.render();
+      resolve(answer);
+    };
+
+    dialog.key(["y"], () => close(true));
+    dialog.key(["n", "escape"], () => close(false));
+    dialog.focus();
+    screen.render();
+  });
+}
@@ -11,12 +11,44 @@
  * - Recursive exploration (dive into any entity)
  * - Connection list with expansion indicators
  * - Scrap listing for each entity
+ * - Analytics overlay: node size by PageRank or betweenness, color by community
+ * - Workspaces: pin, hide and annotate nodes, save under a name (graph-workspace.js)
+ *   and export the current view as DOT
+ * - Filters: switch relationship and entity types off from a legend, drop light links
+ *   (ui/graph-filters.js)
  *
  * @module ui/entity-graph
  */
 
+import fs from "fs";
+import path from "path";
 import blessed from "blessed";
 import * as d3 from "d3";
+import { saveWorkspace, workspaceSlug } from "../graph-workspace.js";
+import { serializeGraph } from "../graph-export.js";
+import { createResolver } from "../entity-registry.js";
+import {
+  createGraphFilters,
+  describeFilters,
+  endpointId,
+  filterGraph,
+  openLegend,
+  serializeFilters,
+  stepMinWeight,
+} from "./graph-filters.js";
+
+// Overlay modes cycled with S (null = plain nodes)
+export const GRAPH_OVERLAYS = [null, "pagerank", "betweenness", "community"];
+
+const OVERLAY_LABELS = { pagerank: "PageRank", betweenness: "Betweenness", community: "Communities" };
+
+// Small to large, for PageRank / betweenness relative to the largest visible node
+const SIZE_GLYPHS = ["·", "∘", "○", "◉"];
+
+// graph-stats rows by lowercase entity name, computed once per session
+let statsCache = null;
+
+const COMMUNITY_COLORS = ["#ff1a90", "#00d7ff", "#afff00", "#ffaf00", "#af87ff", "#ff5f5f", "#5fffaf", "#ffff5f"];
 
 /**
  * Create and launch the interactive entity graph explorer TUI
@@ -30,8 +62,13 @@ import * as d3 from "d3";
  * @param {Array} entityData.graph.nodes - Array of node objects
  * @param {Array} entityData.graph.edges - Array of edge objects
  * @param {string} entityName - The entity name (used for display)
+ * @param {Object} [options]
+ * @param {string} [options.overlay] - Start with an overlay from GRAPH_OVERLAYS
+ * @param {string} [options.workspace] - Workspace name W saves to
+ * @param {Object} [options.filters] - Start with these filters (serializeFilters output)
+ * @param {Object} [options.state] - Saved workspace to restore (from loadWorkspace)
  */
-export function createEntityGraphView(entityData, entityName) {
+export function createEntityGraphView(entityData, entityName, options = {}) {
   const screen = blessed.screen({
     smartCSR: true,
     title: `Entity Graph: ${entityName}`,
@@ -107,7 +144,10 @@ export function createEntityGraphView(entityData, entityName) {
     left: 0,
     width: "70%",
     height: 3,
-    content: "{center}{#595959-fg}[SPACE] Pause  [↑↓] Nav  [ENTER] Explore  [E] Expand  [L] List scraps  [+] Add depth  [Q] Quit{/}",
+    content:
+      "{center}{#595959-fg}[SPACE] Pause  [↑↓] Nav  [ENTER] Explore  [E] Expand  [L] List scraps  [+] Add depth  [S] Stats  [Q] Quit\n" +
+      "[P] Pin  [⇧+Arrows] Move  [H] Hide  [U] Unhide all  [N] Note  [W] Save workspace  [X] Export DOT\n" +
+      "[G] Legend (relationship / entity types)  [[ ]] Min link weight{/}",
     tags: true,
   });
 
@@ -150,9 +190,6 @@ export function createEntityGraphView(entityData, entityName) {
     )
     .stop();
 
-  // Warm up simulation (300 ticks) for initial stable layout
-  for (let i = 0; i < 300; ++i) simulation.tick();
-
   // =============================================================================
   // STATE MANAGEMENT
   // =============================================================================
@@ -162,6 +199,24 @@ export function createEntityGraphView(entityData, entityName) {
   let animationInterval;                                    // Animation timer handle
   let networkDepth = 1;                                     // Current network depth level
   let expandedEntities = new Set([entityName.toLowerCase()]); // Track expanded entities
+  let overlay = options.overlay || null;                    // Active analytics overlay
+  let stats = statsCache;                                   // Entity name (lowercase) -> graph-stats row
+  let workspaceName = options.workspace || null;            // Where W saves
+  const hidden = new Set();                                 // Hidden entities (lowercase)
+  const notes = new Map();                                  // Entity (lowercase) -> note
+  const filters = createGraphFilters(options.filters);      // Types switched off, min link weight
+  const resolver = createResolver();                        // Entity types from the registry
+  let view;                                                 // Nodes and links left after filtering
+  const isHidden = (node) => hidden.has(node.id.toLowerCase());
+  const isPinned = (node) => node.fx !== null && node.fx !== undefined;
+  const isVisible = (node) => view.ids.has(node.id);
+  const isQuery = (node) => node.type === "query";
+  const nodeType = (node) => resolver.type(node.id);
+
+  applyFilters();
+
+  // Warm up simulation (300 ticks) for initial stable layout
+  for (let i = 0; i < 300; ++i) simulation.tick();
 
   // =============================================================================
   // RENDERING FUNCTIONS
@@ -181,7 +236,7 @@ export function createEntityGraphView(entityData, entityName) {
       .map(() => Array(actualWidth).fill(" "));
 
     // Draw links with relationship types
-    links.forEach((link) => {
+    view.links.forEach((link) => {
       const source = typeof link.source === "object" ? link.source : nodes.find((n) => n.id === link.source);
       const target = typeof link.target === "object" ? link.target : nodes.find((n) => n.id === link.target);
 
@@ -202,14 +257,16 @@ export function createEntityGraphView(entityData, entityName) {
       const x = Math.floor(node.x);
       const y = Math.floor(node.y);
 
-      if (x >= 0 && x < actualWidth && y >= 0 && y < actualHeight) {
+      if (isVisible(node) && x >= 0 && x < actualWidth && y >= 0 && y < actualHeight) {
         let char;
         if (node.type === "query") {
           char = "{#ff1a90-fg}◆{/}"; // Pink diamond for query entity
         } else if (index === selectedNodeIndex) {
           char = "{#ff1a90-fg}●{/}"; // Pink filled circle for selected
+        } else if (isPinned(node)) {
+          char = "▣"; // Pinned
         } else {
-          char = "○"; // Empty circle
+          char = overlayGlyph(node) || "○"; // Empty circle
         }
 
         // Place character with tag parsing
@@ -229,6 +286,41 @@ export function createEntityGraphView(entityData, entityName) {
     graphBox.setContent(content);
   }
 
+  /**
+   * Node symbol for the active overlay (null when there is none)
+   * Sizes are relative to the highest-scoring node currently on screen
+   * @param {Object} node
+   * @returns {string|null}
+   */
+  function overlayGlyph(node) {
+    const row = overlay && stats?.get(node.id.toLowerCase());
+    if (!row) return null;
+
+    if (overlay === "community") {
+      const color = COMMUNITY_COLORS[(row.community - 1) % COMMUNITY_COLORS.length];
+      return `{${color}-fg}●{/}`;
+    }
+
+    const max = Math.max(...view.nodes.map((n) => stats.get(n.id.toLowerCase())?.[overlay] || 0));
+    const share = max > 0 ? row[overlay] / max : 0;
+    return SIZE_GLYPHS[Math.min(SIZE_GLYPHS.length - 1, Math.floor(share * SIZE_GLYPHS.length))];
+  }
+
+  /**
+   * Compute graph-stats over the whole relationship graph (once per view)
+   */
+  async function loadStats() {
+    if (stats) return;
+    statusBar.setContent(`{center}{#ff1a90-fg}⟳{/} Computing graph stats...{/center}`);
+    screen.render();
+
+    const { loadGraph } = await import("../graph-export.js");
+    const { graphStats } = await import("../graph-analytics.js");
+    const { graph } = await loadGraph();
+    stats = new Map(graphStats(graph).rows.map((row) => [row.name.toLowerCase(), row]));
+    statsCache = stats;
+  }
+
   /**
    * Draw a line on ASCII canvas using Bresenham's algorithm
    * @param {Array} canvas - 2D array representing the canvas
@@ -281,7 +373,22 @@ export function createEntityGraphView(entityData, entityName) {
 
     let details = `{bold}${node.id}{/bold}\n\n`;
     details += `Type: {#595959-fg}${node.type}{/}\n`;
-    details += `Mentions: {#ff1a90-fg}${node.count}{/}\n\n`;
+    details += `Mentions: {#ff1a90-fg}${node.count}{/}\n`;
+    if (isPinned(node)) details += `{#595959-fg}Pinned{/}\n`;
+    details += "\n";
+
+    const note = notes.get(node.id.toLowerCase());
+    if (note) {
+      details += `{bold}Note:{/bold}\n  ${blessed.escape(note)}\n\n`;
+    }
+
+    const row = stats?.get(node.id.toLowerCase());
+    if (row) {
+      details += `{bold}Graph stats:{/bold}\n`;
+      details += `  PageRank: ${row.pagerank.toFixed(4)} (#${row.rank})\n`;
+      details += `  Betweenness: ${row.betweenness.toFixed(4)}\n`;
+      details += `  Degree: ${row.degree} · Component ${row.component} · Community ${row.community}\n\n`;
+    }
 
     if (connection) {
       details += `{bold}Relationship:{/bold}\n`;
@@ -323,12 +430,15 @@ export function createEntityGraphView(entityData, entityName) {
    */
   function updateStatusBar() {
     const expanded = expandedEntities.size;
-    const total = nodes.length;
-    const edges = links.length;
+    const filtered = describeFilters(filters);
+    const total = filtered ? `${view.nodes.length}/${nodes.length}` : nodes.length;
+    const edges = filtered ? `${view.links.length}/${links.length}` : links.length;
 
     statusBar.setContent(
       `{center}{#ff1a90-fg}◆{/} Network: ${total} nodes · ${edges} links · ` +
       `Depth: ${networkDepth} · Expanded: ${expanded} · ` +
+      (overlay ? `Overlay: ${OVERLAY_LABELS[overlay]} · ` : "") +
+      (filtered ? `${filtered} · ` : "") +
       `{#595959-fg}${animationRunning ? "▶ Running" : "⏸ Paused"}{/}{/center}`
     );
   }
@@ -361,6 +471,32 @@ export function createEntityGraphView(entityData, entityName) {
     updateStatusBar();
   }
 
+  /**
+   * Recompute what's visible after a filter, hide or expansion, and run the
+   * simulation on just that so filtered nodes stop pushing the others around
+   */
+  function applyFilters() {
+    view = filterGraph(nodes, links, filters, { nodeType, keep: isQuery, isHidden });
+    simulation.nodes(view.nodes);
+    simulation.force("link").links(view.links);
+
+    if (nodes[selectedNodeIndex] && !isVisible(nodes[selectedNodeIndex])) {
+      selectedNodeIndex = Math.max(0, nodes.findIndex(isQuery));
+    }
+  }
+
+  /**
+   * Re-filter, give the layout a nudge and redraw everything
+   */
+  function refreshView() {
+    applyFilters();
+    simulation.alpha(0.3);
+    updateStatusBar();
+    if (nodes[selectedNodeIndex]) showNodeDetails(nodes[selectedNodeIndex]);
+    renderGraph();
+    screen.render();
+  }
+
   /**
    * Expand the network by querying for a specific entity's relationships
    * Dynamically adds new nodes and links to the existing simulation without restart
@@ -402,9 +538,13 @@ export function createEntityGraphView(entityData, entityName) {
       expandedEntities.add(normalized);
       networkDepth++;
 
+      // Entity names resolve case-insensitively, so reuse existing nodes whatever their casing
+      const existingIds = new Map(nodes.map((n) => [n.id.toLowerCase(), n.id]));
+      const nodeId = (id) => existingIds.get(id.toLowerCase()) || id;
+
       // Add new nodes with random positions (allows physics to spread naturally)
       newData.graph.nodes.forEach((newNode) => {
-        if (!nodes.find((n) => n.id === newNode.id)) {
+        if (!existingIds.has(newNode.id.toLowerCase())) {
           const node = {
             ...newNode,
             x: Math.random() * (width - 20) + 10,
@@ -415,11 +555,12 @@ export function createEntityGraphView(entityData, entityName) {
       });
 
       // Add new links (skip bidirectional duplicates)
-      newData.graph.edges.forEach((newEdge) => {
+      newData.graph.edges.forEach((edge) => {
+        const newEdge = { ...edge, source: nodeId(edge.source), target: nodeId(edge.target) };
         const existingLink = links.find(
           (l) =>
-            (l.source === newEdge.source && l.target === newEdge.target) ||
-            (l.source === newEdge.target && l.target === newEdge.source)
+            (endpointId(l.source) === newEdge.source && endpointId(l.target) === newEdge.target) ||
+            (endpointId(l.source) === newEdge.target && endpointId(l.target) === newEdge.source)
         );
         if (!existingLink) {
           links.push({
@@ -432,8 +573,7 @@ export function createEntityGraphView(entityData, entityName) {
       });
 
       // Update simulation with new data and restart with high energy
-      simulation.nodes(nodes);
-      simulation.force("link").links(links);
+      applyFilters();
       simulation.alpha(1).restart();
 
       if (!animationRunning) startAnimation();
@@ -482,6 +622,171 @@ export function createEntityGraphView(entityData, entityName) {
     screen.render();
   }
 
+  // =============================================================================
+  // WORKSPACE FUNCTIONS
+  // =============================================================================
+
+  /**
+   * Move the selection by step, skipping hidden nodes
+   * @param {number} step - 1 (next) or -1 (previous)
+   */
+  function moveSelection(step) {
+    if (view.nodes.length === 0) return;
+
+    do {
+      selectedNodeIndex = (selectedNodeIndex + step + nodes.length) % nodes.length;
+    } while (!isVisible(nodes[selectedNodeIndex]));
+
+    showNodeDetails(nodes[selectedNodeIndex]);
+    renderGraph();
+    screen.render();
+  }
+
+  /**
+   * Ask for a line of text at the bottom of the graph
+   * @param {string} label
+   * @param {string} [value] - Initial text
+   * @returns {Promise<string|null>} Entered text, or null when cancelled
+   */
+  function promptText(label, value = "") {
+    return new Promise((resolve) => {
+      const input = blessed.textbox({
+        parent: screen,
+        bottom: 0,
+        left: 0,
+        width: "70%",
+        height: 3,
+        label: ` ${label} `,
+        border: "line",
+        inputOnFocus: true,
+        value,
+        style: { border: { fg: "#ff1a90" } },
+      });
+      const close = (result) => {
+        screen.remove(input);
+        screen.render();
+        resolve(result);
+      };
+      input.on("submit", (text) => close(text));
+      input.on("cancel", () => close(null));
+      input.focus();
+      screen.render();
+    });
+  }
+
+  /**
+   * Current view as a workspace (see graph-workspace.js)
+   * @param {string} name
+   * @returns {Object}
+   */
+  function currentWorkspace(name) {
+    const pinned = {};
+    nodes
+      .filter(isPinned)
+      .forEach((n) => {
+        pinned[n.id] = { x: Math.round(n.fx), y: Math.round(n.fy) };
+      });
+
+    return {
+      name,
+      entity: entityName,
+      expanded: [...expandedEntities],
+      pinned,
+      hidden: [...hidden],
+      notes: Object.fromEntries(notes),
+      overlay,
+      filters: serializeFilters(filters),
+      selected: nodes[selectedNodeIndex]?.id || null,
+    };
+  }
+
+  /**
+   * Save the view under the workspace name, asking for one the first time
+   */
+  async function saveCurrentWorkspace() {
+    if (!workspaceName) {
+      const name = await promptText("Save workspace as", workspaceSlug(entityName));
+      if (!name?.trim()) return;
+      workspaceName = name.trim();
+    }
+
+    try {
+      const file = saveWorkspace(currentWorkspace(workspaceName));
+      statusBar.setContent(`{center}{#ff1a90-fg}✓{/} Saved workspace ${workspaceName} → ${file}{/center}`);
+    } catch (error) {
+      workspaceName = options.workspace || null;
+      statusBar.setContent(`{center}{red-fg}✗{/} Could not save workspace: ${error.message}{/center}`);
+    }
+    screen.render();
+  }
+
+  /**
+   * Write the visible nodes and links as a Graphviz DOT file in the current directory
+   * Pinned nodes keep their position (pos="x,y!") and notes become comments.
+   */
+  function exportDot() {
+    const graph = {
+      nodes: view.nodes.map((n) => ({
+        id: n.id,
+        label: n.id,
+        type: n.type === "query" ? "query" : null,
+        scraps: n.count,
+        depth: n.depth ?? null,
+        pos: isPinned(n) ? `${Math.round(n.fx)},${-Math.round(n.fy)}!` : null,
+        note: notes.get(n.id.toLowerCase()) || null,
+      })),
+      edges: view.links.map((l) => ({
+        source: endpointId(l.source),
+        target: endpointId(l.target),
+        type: l.relationship,
+        weight: l.count,
+      })),
+    };
+
+    const file = path.resolve(`${workspaceName || workspaceSlug(entityName)}.dot`);
+    try {
+      fs.writeFileSync(file, serializeGraph(graph, "dot"));
+      statusBar.setContent(
+        `{center}{#ff1a90-fg}✓{/} Exported ${graph.nodes.length} nodes, ${graph.edges.length} links → ${file}{/center}`
+      );
+    } catch (error) {
+      statusBar.setContent(`{center}{red-fg}✗{/} Export failed: ${error.message}{/center}`);
+    }
+    screen.render();
+  }
+
+  /**
+   * Re-run a saved workspace's expansions, then apply its pins, hidden nodes, notes and filters
+   * @param {Object} state - From loadWorkspace
+   */
+  async function restoreWorkspace(state) {
+    for (const entity of state.expanded) {
+      if (!expandedEntities.has(entity.toLowerCase())) await expandNetwork(entity);
+    }
+
+    state.hidden.forEach((id) => hidden.add(id.toLowerCase()));
+    Object.entries(state.notes).forEach(([id, note]) => notes.set(id.toLowerCase(), note));
+    if (state.filters) Object.assign(filters, createGraphFilters(state.filters));
+    applyFilters();
+
+    const byId = new Map(nodes.map((n) => [n.id.toLowerCase(), n]));
+    Object.entries(state.pinned).forEach(([id, pos]) => {
+      const node = byId.get(id.toLowerCase());
+      if (!node) return;
+      node.x = node.fx = Math.min(Math.max(pos.x, 0), width);
+      node.y = node.fy = Math.min(Math.max(pos.y, 0), height);
+    });
+
+    const selected = nodes.findIndex((n) => n.id === state.selected && isVisible(n));
+    if (selected !== -1) selectedNodeIndex = selected;
+
+    updateStatusBar();
+    statusBar.setContent(`{center}{#ff1a90-fg}✓{/} Restored workspace ${state.name}{/center}`);
+    if (nodes[selectedNodeIndex]) showNodeDetails(nodes[selectedNodeIndex]);
+    renderGraph();
+    screen.render();
+  }
+
   // =============================================================================
   // KEYBOARD CONTROLS & EVENT HANDLERS
   // =============================================================================
@@ -557,24 +862,10 @@ export function createEntityGraphView(entityData, entityName) {
   });
 
   // ↑/K: Navigate to previous node (vim-style)
-  screen.key(["up", "k"], () => {
-    if (nodes.length > 0) {
-      selectedNodeIndex = (selectedNodeIndex - 1 + nodes.length) % nodes.length;
-      showNodeDetails(nodes[selectedNodeIndex]);
-      renderGraph();
-      screen.render();
-    }
-  });
+  screen.key(["up", "k"], () => moveSelection(-1));
 
   // ↓/J: Navigate to next node (vim-style)
-  screen.key(["down", "j"], () => {
-    if (nodes.length > 0) {
-      selectedNodeIndex = (selectedNodeIndex + 1) % nodes.length;
-      showNodeDetails(nodes[selectedNodeIndex]);
-      renderGraph();
-      screen.render();
-    }
-  });
+  screen.key(["down", "j"], () => moveSelection(1));
 
   // ENTER: Recursive exploration - dive into selected entity (creates new graph view)
   screen.key(["enter"], async () => {
@@ -589,7 +880,11 @@ export function createEntityGraphView(entityData, entityName) {
       const newData = await queryByEntity(selectedNode.id);
 
       if (newData.total_scraps > 0) {
-        createEntityGraphView(newData, selectedNode.id);
+        createEntityGraphView(newData, newData.entity, {
+          overlay,
+          workspace: workspaceName,
+          filters: serializeFilters(filters),
+        });
       } else {
         console.log(`No relationships found for entity: ${selectedNode.id}`);
         process.exit(0);
@@ -597,6 +892,106 @@ export function createEntityGraphView(entityData, entityName) {
     }
   });
 
+  // S: Cycle the analytics overlay (PageRank → betweenness → communities → off)
+  screen.key(["s"], async () => {
+    overlay = GRAPH_OVERLAYS[(GRAPH_OVERLAYS.indexOf(overlay) + 1) % GRAPH_OVERLAYS.length];
+    try {
+      if (overlay) await loadStats();
+    } catch (error) {
+      overlay = null;
+      statusBar.setContent(`{center}{red-fg}✗{/} Error computing stats: ${error.message}{/center}`);
+      screen.render();
+      return;
+    }
+    updateStatusBar();
+    if (nodes[selectedNodeIndex]) showNodeDetails(nodes[selectedNodeIndex]);
+    renderGraph();
+    screen.render();
+  });
+
+  // P: Pin / unpin the selected node where it is
+  screen.key(["p"], () => {
+    const node = nodes[selectedNodeIndex];
+    if (!node) return;
+    if (isPinned(node)) {
+      node.fx = node.fy = null;
+    } else {
+      node.fx = node.x;
+      node.fy = node.y;
+    }
+    showNodeDetails(node);
+    renderGraph();
+    screen.render();
+  });
+
+  // H: Hide the selected node (and its links)
+  screen.key(["h"], () => {
+    const node = nodes[selectedNodeIndex];
+    if (!node || node.type === "query") return;
+    hidden.add(node.id.toLowerCase());
+    moveSelection(1);
+    refreshView();
+    statusBar.setContent(`{center}Hidden ${node.id} · [U] to show all again{/center}`);
+    screen.render();
+  });
+
+  // U: Unhide every hidden node
+  screen.key(["u"], () => {
+    hidden.clear();
+    refreshView();
+  });
+
+  // Shift+arrows: Move the selected node (pins it where it ends up)
+  screen.key(["S-left", "S-right", "S-up", "S-down"], (ch, key) => {
+    const node = nodes[selectedNodeIndex];
+    if (!node) return;
+    const step = { left: [-2, 0], right: [2, 0], up: [0, -1], down: [0, 1] }[key.name];
+    node.x = node.fx = Math.min(Math.max(node.x + step[0], 0), width);
+    node.y = node.fy = Math.min(Math.max(node.y + step[1], 0), height);
+    showNodeDetails(node);
+    renderGraph();
+    screen.render();
+  });
+
+  // G: Legend - switch relationship and entity types on and off
+  screen.key(["g"], () => {
+    openLegend({
+      parent: graphBox,
+      nodes,
+      links,
+      filters,
+      nodeType,
+      keep: isQuery,
+      onChange: refreshView,
+      color: "#ff1a90",
+    });
+  });
+
+  // [ / ]: Lower / raise the minimum link weight (times a relationship was seen)
+  screen.key(["[", "]"], (ch) => {
+    stepMinWeight(filters, links, ch === "]" ? 1 : -1);
+    refreshView();
+  });
+
+  // N: Add or edit a note on the selected node (empty to remove)
+  screen.key(["n"], async () => {
+    const node = nodes[selectedNodeIndex];
+    if (!node) return;
+    const key = node.id.toLowerCase();
+    const text = await promptText(`Note for ${node.id}`, notes.get(key) || "");
+    if (text === null) return;
+    if (text.trim()) notes.set(key, text.trim());
+    else notes.delete(key);
+    showNodeDetails(node);
+    screen.render();
+  });
+
+  // W: Save the workspace
+  screen.key(["w"], () => saveCurrentWorkspace());
+
+  // X: Export the current view as DOT
+  screen.key(["x"], () => exportDot());
+
   // R: Reset simulation with high energy (re-settle nodes)
   screen.key(["r"], () => {
     simulation.alpha(1).restart();
@@ -634,4 +1029,23 @@ export function createEntityGraphView(entityData, entityName) {
 
   // Auto-start physics animation on launch
   startAnimation();
+
+  if (options.state) {
+    restoreWorkspace(options.state).catch((error) => {
+      statusBar.setContent(`{center}{red-fg}✗{/} Could not restore workspace: ${error.message}{/center}`);
+      screen.render();
+    });
+  }
+
+  if (overlay && !stats) {
+    loadStats()
+      .then(() => {
+        updateStatusBar();
+        if (nodes[selectedNodeIndex]) showNodeDetails(nodes[selectedNodeIndex]);
+      })
+      .catch(() => {
+        overlay = null;
+        updateStatusBar();
+      });
+  }
 }
@@ -0,0 +1,164 @@
+/**
+ * Built-in fuzzy filter for the main list (/ or s)
+ *
+ * Narrows the table as you type using fuse.js, so searching works without fzf
+ * installed (S still hands the list to fzf). Matched text is highlighted in the
+ * table and the preview. The query uses fuse's extended syntax, which reads
+ * like fzf's: `'exact`, `^prefix`, `suffix$`, `!not`, and `|` for OR.
+ *
+ * Only the short fields the table shows are searched, so each keystroke stays
+ * quick on large scrapbooks; `w` is the full-text query filter.
+ */
+
+import blessed from "blessed";
+import Fuse from "fuse.js";
+import config from "../config.js";
+
+const KEYS = [
+  { name: "title", weight: 3 },
+  { name: "tags", weight: 2 },
+  { name: "meta_summary", weight: 1 },
+  { name: "concept_tags", weight: 1 },
+  { name: "location", weight: 1 },
+  { name: "source", weight: 0.5 },
+];
+
+// Wait for a pause in typing before searching (matters on large lists)
+const DEBOUNCE_MS = 120;
+
+/**
+ * Fuzzy index over a list of scraps
+ * @param {Object[]} scraps
+ * @returns {Object} { search(query) -> [{ scrap, terms }] } - terms are the matched substrings
+ */
+export function createFuzzyIndex(scraps) {
+  const fuse = new Fuse(scraps, {
+    keys: KEYS,
+    includeMatches: true,
+    ignoreLocation: true,
+    threshold: 0.3,
+    minMatchCharLength: 2,
+    useExtendedSearch: true,
+  });
+
+  return {
+    search(query) {
+      const words = queryWords(query);
+      return fuse.search(query.trim()).map(({ item, matches = [] }) => {
+        const terms = new Set();
+        matches.forEach(({ value, indices }) => {
+          // Fuzzy matches come with stray fragments ("an", "ing"); keep the longest run
+          // in each field plus anything that is a whole query word
+          const runs = indices.map(([start, end]) => value.slice(start, end + 1).toLowerCase());
+          const longest = runs.reduce((best, run) => (run.length > best.length ? run : best), "");
+          runs.forEach((run) => {
+            if (run.length > 1 && (run === longest || words.has(run))) terms.add(run);
+          });
+        });
+        return { scrap: item, terms: [...terms] };
+      });
+    },
+  };
+}
+
+// The plain words of an extended-search query, without its operators
+function queryWords(query) {
+  return new Set(
+    query
+      .toLowerCase()
+      .split(/[\s|]+/)
+      .map((word) => word.replace(/^[!'^=]+|\$$/g, ""))
+      .filter(Boolean)
+  );
+}
+
+/**
+ * Wrap every occurrence of the terms in a string (case-insensitive)
+ * @param {string} text
+ * @param {string[]} terms
+ * @param {Function} wrap - matched text => highlighted text
+ * @returns {string}
+ */
+export function highlightText(text, terms, wrap) {
+  if (!text || !terms?.length) return text;
+  const pattern = new RegExp(
+    [...terms]
+      .sort((a, b) => b.length - a.length)
+      .map((term) => term.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+      .join("|"),
+    "gi"
+  );
+  return text.replace(pattern, (match) => wrap(match));
+}
+
+/**
+ * The filter input, docked at the bottom of the screen and hidden until opened
+ * @param {Object} screen
+ * @returns {Object} Blessed textbox
+ */
+export function createFilterBar(screen) {
+  const highlightColor = config.theme?.colors?.borders?.focus || "#ff1a90";
+
+  const bar = blessed.textbox({
+    parent: screen,
+    bottom: 0,
+    left: "center",
+    width: "80%",
+    height: 3,
+    label: " Fuzzy filter ('exact ^prefix !not a|b) · ↑↓ move · Enter keep · Esc cancel ",
+    border: "line",
+    style: {
+      border: { fg: highlightColor },
+    },
+  });
+  bar.hide();
+  return bar;
+}
+
+/**
+ * Open the filter bar and report the query as it changes
+ * @param {Object} bar - From createFilterBar
+ * @param {Object} handlers
+ * @param {Function} handlers.onChange - query => void, after each pause in typing
+ * @param {Function} handlers.onSubmit - query => void on ENTER
+ * @param {Function} handlers.onCancel - On ESC
+ * @param {Function} [handlers.onMove] - step (-1 or 1) for ↑/↓ while typing
+ */
+export function openFilterBar(bar, { onChange, onSubmit, onCancel, onMove = () => {} }) {
+  const screen = bar.screen;
+  let timer = null;
+  let lastQuery = "";
+
+  const onKeypress = (ch, key) => {
+    if (key.name === "up" || key.name === "down") {
+      onMove(key.name === "up" ? -1 : 1);
+      return;
+    }
+    // The textbox updates its value after this event, so read it on the next tick
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      if (bar.value === lastQuery) return;
+      lastQuery = bar.value;
+      onChange(lastQuery);
+    }, DEBOUNCE_MS);
+  };
+
+  const finish = () => {
+    clearTimeout(timer);
+    bar.removeListener("keypress", onKeypress);
+    bar.hide();
+    screen.render();
+  };
+
+  bar.on("keypress", onKeypress);
+  bar.clearValue();
+  bar.show();
+  bar.readInput((error, value) => {
+    finish();
+    if (value === null || value === undefined) return onCancel();
+    // Enter may come before the debounce has run for the last keystroke
+    if (value !== lastQuery) onChange(value);
+    onSubmit(value);
+  });
+  screen.render();
+}
@@ -1,5 +1,13 @@
 import blessed from "blessed";
 import { stripMarkdown, formatTags } from "../database.js";
+import { createResolver } from "../entity-registry.js";
+import {
+  createGraphFilters,
+  describeFilters,
+  filterGraph,
+  openLegend,
+  stepMinWeight,
+} from "./graph-filters.js";
 
 export function createForceLayoutView(
   bookmarks,
@@ -49,7 +57,9 @@ export function createForceLayoutView(
     width: "98%",
     height: "18%",
     label: infoLabel,
-    content: "Press F to start force simulation\nArrow keys to navigate\nQ or ESC to exit",
+    content:
+      "Press F to start force simulation\nArrow keys to navigate\n" +
+      "P to pin, Shift+arrows to move a node\nG legend, [ ] min link weight\nQ or ESC to exit",
     border: "line",
     scrollable: true,
     keys: true,
@@ -62,6 +72,16 @@ export function createForceLayoutView(
   // Extract nodes and links from bookmarks with relationships
   const nodes = new Map();
   const links = [];
+  const resolver = createResolver();
+
+  // Repeated relationships become one link with a count (its weight)
+  function addLink(source, target, relationship) {
+    const existing = links.find(
+      (l) => l.source === source && l.target === target && l.relationship === relationship
+    );
+    if (existing) existing.count++;
+    else links.push({ source, target, relationship, count: 1 });
+  }
 
   // If we have a focus bookmark, start with its relationships
   if (focusBookmark) {
@@ -71,6 +91,7 @@ export function createForceLayoutView(
       id: centralNodeId,
       name: focusBookmark.title || focusBookmark.content?.substring(0, 30) || centralNodeId,
       source: focusBookmark.source,
+      entityType: "scrap",
       bookmark: focusBookmark,
       x: 40, // Center it
       y: 12,
@@ -99,6 +120,7 @@ export function createForceLayoutView(
             id: targetId,
             name: String(targetName),
             source: "relationship",
+            entityType: rel.target?.type || resolver.type(targetName),
             x: Math.random() * 60 + 5,
             y: Math.random() * 20 + 2,
             vx: 0,
@@ -106,11 +128,7 @@ export function createForceLayoutView(
           });
         }
 
-        links.push({
-          source: centralNodeId,
-          target: targetId,
-          type: relType,
-        });
+        addLink(centralNodeId, targetId, relType);
       });
     }
   } else {
@@ -122,6 +140,7 @@ export function createForceLayoutView(
           id: nodeId,
           name: bookmark.title || bookmark.content?.substring(0, 30) || nodeId,
           source: bookmark.source,
+          entityType: "scrap",
           bookmark: bookmark,
           x: Math.random() * 60 + 5,
           y: Math.random() * 20 + 2,
@@ -159,6 +178,7 @@ export function createForceLayoutView(
               id: targetId,
               name: String(targetName),
               source: "relationship",
+              entityType: rel.target?.type || resolver.type(targetName),
               x: Math.random() * 60 + 5,
               y: Math.random() * 20 + 2,
               vx: 0,
@@ -166,11 +186,7 @@ export function createForceLayoutView(
             });
           }
 
-          links.push({
-            source: sourceId,
-            target: targetId,
-            type: relType,
-          });
+          addLink(sourceId, targetId, relType);
         });
       }
     });
@@ -181,6 +197,19 @@ export function createForceLayoutView(
   let animationRunning = false;
   let selectedNodeIndex = 0;
 
+  // Relationship / entity types switched off in the legend (G) and the minimum link weight
+  const filters = createGraphFilters();
+  const nodeType = (node) => node.entityType;
+  const keep = (node) => node.isCentral;
+  let view = filterGraph(nodeArray, links, filters, { nodeType, keep });
+
+  function applyFilters() {
+    view = filterGraph(nodeArray, links, filters, { nodeType, keep });
+    if (nodeArray[selectedNodeIndex] && !view.ids.has(nodeArray[selectedNodeIndex].id)) {
+      selectedNodeIndex = Math.max(0, nodeArray.findIndex(keep));
+    }
+  }
+
   function renderGraph() {
     const width = graphBox.width - 2;
     const height = graphBox.height - 2;
@@ -191,7 +220,7 @@ export function createForceLayoutView(
       .map(() => Array(width).fill(" "));
 
     // Draw links
-    links.forEach((link) => {
+    view.links.forEach((link) => {
       const sourceNode = nodes.get(link.source);
       const targetNode = nodes.get(link.target);
 
@@ -212,12 +241,14 @@ export function createForceLayoutView(
       const x = Math.floor(node.x);
       const y = Math.floor(node.y);
 
-      if (x >= 0 && x < width && y >= 0 && y < height) {
+      if (view.ids.has(node.id) && x >= 0 && x < width && y >= 0 && y < height) {
         let char;
         if (node.isCentral) {
           char = "◆"; // Diamond for central node
         } else if (index === selectedNodeIndex) {
           char = "●"; // Filled circle for selected
+        } else if (node.pinned) {
+          char = "▣"; // Pinned
         } else {
           char = "○"; // Empty circle for others
         }
@@ -269,8 +300,8 @@ export function createForceLayoutView(
     const width = graphBox.width - 2;
     const height = graphBox.height - 2;
 
-    // Apply forces
-    nodeArray.forEach((node) => {
+    // Apply forces (filtered-out nodes sit still and don't push the others around)
+    view.nodes.forEach((node) => {
       // Center force
       const centerX = width / 2;
       const centerY = height / 2;
@@ -278,7 +309,7 @@ export function createForceLayoutView(
       node.vy += (centerY - node.y) * 0.001;
 
       // Repulsion between nodes
-      nodeArray.forEach((other) => {
+      view.nodes.forEach((other) => {
         if (node !== other) {
           const dx = node.x - other.x;
           const dy = node.y - other.y;
@@ -291,7 +322,7 @@ export function createForceLayoutView(
     });
 
     // Apply link forces
-    links.forEach((link) => {
+    view.links.forEach((link) => {
       const sourceNode = nodes.get(link.source);
       const targetNode = nodes.get(link.target);
 
@@ -312,8 +343,12 @@ export function createForceLayoutView(
       }
     });
 
-    // Update positions and apply damping
-    nodeArray.forEach((node) => {
+    // Update positions and apply damping (pinned nodes stay put)
+    view.nodes.forEach((node) => {
+      if (node.pinned) {
+        node.vx = node.vy = 0;
+        return;
+      }
       node.vx *= 0.9; // damping
       node.vy *= 0.9;
 
@@ -329,7 +364,9 @@ export function createForceLayoutView(
   function showNodeInfo(node) {
     let info = `Node: ${node.name}\n\n`;
     info += `Source: ${node.source}\n`;
-    info += `Position: (${Math.floor(node.x)}, ${Math.floor(node.y)})\n\n`;
+    if (node.entityType && node.entityType !== "scrap") info += `Type: ${node.entityType}\n`;
+    info += `Position: (${Math.floor(node.x)}, ${Math.floor(node.y)})`;
+    info += node.pinned ? " · pinned\n\n" : "\n\n";
 
     if (node.bookmark) {
       const bookmark = node.bookmark;
@@ -342,13 +379,14 @@ export function createForceLayoutView(
     }
 
     // Show connections
-    const connections = links.filter((l) => l.source === node.id || l.target === node.id);
+    const connections = view.links.filter((l) => l.source === node.id || l.target === node.id);
     if (connections.length > 0) {
       info += `Connections (${connections.length}): \n`;
       connections.slice(0, 5).forEach((conn) => {
         const other = conn.source === node.id ? conn.target : conn.source;
         const otherNode = nodes.get(other);
-        info += `  ${conn.type} ${otherNode?.name || other}\n`;
+        const weight = conn.count > 1 ? ` (${conn.count}x)` : "";
+        info += `  ${conn.relationship} ${otherNode?.name || other}${weight}\n`;
       });
       if (connections.length > 5) {
         info += `  ... and ${connections.length - 5} more\n`;
@@ -417,27 +455,82 @@ export function createForceLayoutView(
     parentScreen.render();
   });
 
-  container.key(["up"], () => {
-    if (nodeArray.length > 0) {
-      selectedNodeIndex = (selectedNodeIndex - 1 + nodeArray.length) % nodeArray.length;
-      showNodeInfo(nodeArray[selectedNodeIndex]);
-      renderGraph();
-      parentScreen.render();
+  // Step through the nodes still visible after filtering
+  function moveSelection(step) {
+    if (view.nodes.length === 0) return;
+    do {
+      selectedNodeIndex = (selectedNodeIndex + step + nodeArray.length) % nodeArray.length;
+    } while (!view.ids.has(nodeArray[selectedNodeIndex].id));
+    showNodeInfo(nodeArray[selectedNodeIndex]);
+    renderGraph();
+    parentScreen.render();
+  }
+
+  function refreshView() {
+    applyFilters();
+    renderGraph();
+    const filtered = describeFilters(filters);
+    if (nodeArray[selectedNodeIndex]) showNodeInfo(nodeArray[selectedNodeIndex]);
+    if (filtered) {
+      infoBox.setContent(
+        `${filtered} · showing ${view.nodes.length}/${nodeArray.length} nodes, ` +
+          `${view.links.length}/${links.length} links\n\n${infoBox.getContent()}`
+      );
     }
+    parentScreen.render();
+  }
+
+  container.key(["up"], () => moveSelection(-1));
+
+  container.key(["down"], () => moveSelection(1));
+
+  // P: pin / unpin the selected node where it is
+  container.key(["p"], () => {
+    const node = nodeArray[selectedNodeIndex];
+    if (!node) return;
+    node.pinned = !node.pinned;
+    showNodeInfo(node);
+    renderGraph();
+    parentScreen.render();
   });
 
-  container.key(["down"], () => {
-    if (nodeArray.length > 0) {
-      selectedNodeIndex = (selectedNodeIndex + 1) % nodeArray.length;
-      showNodeInfo(nodeArray[selectedNodeIndex]);
-      renderGraph();
-      parentScreen.render();
-    }
+  // Shift+arrows: move the selected node (pins it where it ends up)
+  container.key(["S-left", "S-right", "S-up", "S-down"], (ch, key) => {
+    const node = nodeArray[selectedNodeIndex];
+    if (!node) return;
+    const step = { left: [-2, 0], right: [2, 0], up: [0, -1], down: [0, 1] }[key.name];
+    node.x = Math.max(1, Math.min(graphBox.width - 12, node.x + step[0]));
+    node.y = Math.max(1, Math.min(graphBox.height - 4, node.y + step[1]));
+    node.pinned = true;
+    showNodeInfo(node);
+    renderGraph();
+    parentScreen.render();
+  });
+
+  // G: legend to switch relationship and entity types on and off
+  container.key(["g"], () => {
+    openLegend({
+      parent: graphBox,
+      nodes: nodeArray,
+      links,
+      filters,
+      nodeType,
+      keep,
+      onChange: refreshView,
+      onClose: () => container.focus(),
+    });
+  });
+
+  // [ / ]: lower / raise the minimum link weight
+  container.key(["[", "]"], (ch) => {
+    stepMinWeight(filters, links, ch === "]" ? 1 : -1);
+    refreshView();
   });
 
   container.key(["space"], () => {
-    // Randomize positions for new layout
+    // Randomize positions for new layout (pinned nodes stay put)
     nodeArray.forEach((node) => {
+      if (node.pinned) return;
       node.x = Math.random() * (graphBox.width - 12) + 5;
       node.y = Math.random() * (graphBox.height - 4) + 2;
       node.vx = 0;
@@ -0,0 +1,244 @@
+/**
+ * Filters for the terminal graph views (ui/entity-graph.js and ui/force-layout.js)
+ *
+ * Dense graphs turn into a wall of lines in a terminal, so both views can
+ * switch relationship types and entity types off from a legend (G) and drop
+ * links seen fewer than a minimum number of times ([ and ]).
+ *
+ * Links are { source, target, relationship, count }, where source and target
+ * are node ids or, once d3 has run, the nodes themselves.
+ */
+
+import blessed from "blessed";
+
+// Entity type for nodes the registry has no type for
+export const UNTYPED = "untyped";
+
+/**
+ * Id of a link endpoint (d3 swaps ids for node objects once the simulation runs)
+ * @param {string|Object} end
+ * @returns {string}
+ */
+export const endpointId = (end) => (typeof end === "object" ? end.id : end);
+
+/**
+ * Filter state, optionally restored from serializeFilters output
+ * @param {Object} [saved] - { relationships, types, min_weight }
+ * @returns {Object} { relationships: Set, types: Set, minWeight } (the sets hold what's switched off)
+ */
+export function createGraphFilters(saved) {
+  return {
+    relationships: new Set(saved?.relationships || []),
+    types: new Set(saved?.types || []),
+    minWeight: Math.max(1, saved?.min_weight || 1),
+  };
+}
+
+/**
+ * Filter state as plain JSON (for workspaces)
+ * @param {Object} filters
+ * @returns {Object} { relationships, types, min_weight }
+ */
+export function serializeFilters(filters) {
+  return {
+    relationships: [...filters.relationships],
+    types: [...filters.types],
+    min_weight: filters.minWeight,
+  };
+}
+
+/**
+ * Short description of the active filters for a status bar ("" when nothing is filtered)
+ * @param {Object} filters
+ * @returns {string}
+ */
+export function describeFilters(filters) {
+  const parts = [];
+  if (filters.minWeight > 1) parts.push(`Min weight: ${filters.minWeight}`);
+  const off = filters.relationships.size + filters.types.size;
+  if (off > 0) parts.push(`${off} type${off === 1 ? "" : "s"} off`);
+  return parts.join(" · ");
+}
+
+/**
+ * What's left of a graph after filtering
+ *
+ * A node is dropped when it's hidden, its entity type is off, or it had links
+ * and the relationship/weight filters removed all of them.
+ *
+ * @param {Object[]} nodes
+ * @param {Object[]} links
+ * @param {Object} filters
+ * @param {Object} options
+ * @param {Function} options.nodeType - node => entity type (null when untyped)
+ * @param {Function} [options.keep] - node => true for nodes that always stay (the query node)
+ * @param {Function} [options.isHidden] - node => true for nodes hidden by hand
+ * @returns {Object} { nodes, links, ids } - ids is the Set of visible node ids
+ */
+export function filterGraph(
+  nodes,
+  links,
+  filters,
+  { nodeType, keep = () => false, isHidden = () => false }
+) {
+  const allowed = new Set(
+    nodes
+      .filter(
+        (node) => keep(node) || (!isHidden(node) && !filters.types.has(nodeType(node) || UNTYPED))
+      )
+      .map((node) => node.id)
+  );
+
+  const linked = new Set();
+  const connected = new Set();
+  const visibleLinks = links.filter((link) => {
+    const source = endpointId(link.source);
+    const target = endpointId(link.target);
+    if (!allowed.has(source) || !allowed.has(target)) return false;
+
+    linked.add(source);
+    linked.add(target);
+    if (filters.relationships.has(link.relationship)) return false;
+    if ((link.count || 1) < filters.minWeight) return false;
+
+    connected.add(source);
+    connected.add(target);
+    return true;
+  });
+
+  const visibleNodes = nodes.filter(
+    (node) => allowed.has(node.id) && (keep(node) || connected.has(node.id) || !linked.has(node.id))
+  );
+  return { nodes: visibleNodes, links: visibleLinks, ids: new Set(visibleNodes.map((n) => n.id)) };
+}
+
+/**
+ * Move the minimum link weight up or down, staying between 1 and the heaviest link
+ * @param {Object} filters - Updated in place
+ * @param {Object[]} links
+ * @param {number} step - 1 or -1
+ * @returns {number} The new minimum
+ */
+export function stepMinWeight(filters, links, step) {
+  const heaviest = Math.max(1, ...links.map((link) => link.count || 1));
+  filters.minWeight = Math.min(heaviest, Math.max(1, filters.minWeight + step));
+  return filters.minWeight;
+}
+
+function legendRows(nodes, links, filters, { nodeType, keep = () => false }) {
+  const count = (values) => {
+    const counts = new Map();
+    values.forEach((value) => counts.set(value, (counts.get(value) || 0) + 1));
+    return [...counts].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+  };
+
+  const section = (kind, title, values) => [
+    { kind, value: null, label: title },
+    ...count(values).map(([value, n]) => ({ kind, value, label: `${value} (${n})` })),
+  ];
+
+  return [
+    ...section(
+      "relationships",
+      "Relationships",
+      links.map((link) => link.relationship)
+    ),
+    ...section(
+      "types",
+      "Entity types",
+      nodes.filter((node) => !keep(node)).map((node) => nodeType(node) || UNTYPED)
+    ),
+  ].map((row) => {
+    if (row.value === null) return { ...row, text: `{bold}${row.label}{/bold}` };
+    const on = !filters[row.kind].has(row.value);
+    return { ...row, text: ` ${on ? "[x]" : "[ ]"} ${blessed.escape(row.label)}` };
+  });
+}
+
+/**
+ * Open the legend in the top right corner of a graph box
+ *
+ * SPACE/ENTER switches the highlighted relationship or entity type on or off
+ * (on a heading, the whole section); ESC or G closes it. Screen keys are
+ * grabbed while it's open so the view's own shortcuts don't fire underneath.
+ *
+ * @param {Object} options
+ * @param {Object} options.parent - Graph box to draw in
+ * @param {Object[]} options.nodes - All nodes, not just the visible ones
+ * @param {Object[]} options.links - All links
+ * @param {Object} options.filters - Toggled in place
+ * @param {Function} options.nodeType - As for filterGraph
+ * @param {Function} [options.keep] - As for filterGraph
+ * @param {Function} options.onChange - Called after each toggle
+ * @param {Function} [options.onClose]
+ * @param {string} [options.color] - Border and highlight colour
+ * @returns {Object} The legend list
+ */
+export function openLegend({
+  parent,
+  nodes,
+  links,
+  filters,
+  nodeType,
+  keep,
+  onChange,
+  onClose = () => {},
+  color = "cyan",
+}) {
+  const screen = parent.screen;
+  let rows = legendRows(nodes, links, filters, { nodeType, keep });
+
+  const legend = blessed.list({
+    parent,
+    top: 0,
+    right: 0,
+    width: 36,
+    height: Math.max(3, Math.min(rows.length + 2, parent.height - 2)),
+    label: " Legend [SPACE] Toggle [G] Close ",
+    border: "line",
+    tags: true,
+    keys: true,
+    vi: true,
+    items: rows.map((row) => row.text),
+    style: {
+      border: { fg: color },
+      selected: { bg: color, fg: "black" },
+    },
+  });
+
+  legend.key(["space", "enter"], () => {
+    const row = rows[legend.selected];
+    if (!row) return;
+    const off = filters[row.kind];
+
+    if (row.value !== null) {
+      if (off.has(row.value)) off.delete(row.value);
+      else off.add(row.value);
+    } else {
+      const values = rows
+        .filter((r) => r.kind === row.kind && r.value !== null)
+        .map((r) => r.value);
+      const anyOn = values.some((value) => !off.has(value));
+      values.forEach((value) => (anyOn ? off.add(value) : off.delete(value)));
+    }
+
+    const selected = legend.selected;
+    rows = legendRows(nodes, links, filters, { nodeType, keep });
+    legend.setItems(rows.map((r) => r.text));
+    legend.select(selected);
+    onChange();
+    screen.render();
+  });
+
+  legend.key(["escape", "g"], () => {
+    screen.grabKeys = false;
+    legend.destroy();
+    onClose();
+    screen.render();
+  });
+
+  screen.grabKeys = true;
+  legend.focus();
+  screen.render();
+  return legend;
+}
@@ -1,3 +1,13 @@
+/**
+ * Full-screen map of geotagged scraps (`scrapbook-cli --map`)
+ *
+ * Nearby scraps are clustered into one marker showing how many there are,
+ * coloured by the most common source or content type in the cluster. The
+ * map zooms to named regions (regions.js) or by hand, and T hands the scraps
+ * in view to the main table; the matching `scrap list -w` term is shown so
+ * the same selection can be exported in any format.
+ */
+
 import blessed from "blessed";
 import contrib from "blessed-contrib";
 import {
@@ -7,8 +17,62 @@ import {
   formatFinancialAnalysis,
   formatRelationships,
 } from "../database.js";
+import { REGIONS, regionBounds, formatBounds, scrapCoordinates, inBounds } from "../regions.js";
+
+// Fields markers can be coloured by (null = one colour)
+const COLOR_MODES = ["source", "content_type", null];
+const COLOR_LABELS = { source: "source", content_type: "type" };
+
+// Land is drawn in green, so markers avoid it
+const PALETTE = ["yellow", "cyan", "magenta", "red", "blue"];
+const OTHER_COLOR = "white";
+const PLAIN_COLOR = "yellow";
+
+// Scraps within a cell this many characters wide and rows high share a marker
+const CLUSTER_COLS = 4;
+const CLUSTER_ROWS = 2;
 
-export function createMapView(bookmarks) {
+// Zoom limits (degrees of longitude across the map)
+const MIN_SPAN = 2;
+const WORLD = REGIONS.world.bounds;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+const countLabel = (n) => (n === 1 ? "•" : n < 1000 ? String(n) : `${Math.floor(n / 1000)}k`);
+
+function mostCommon(values) {
+  const counts = new Map();
+  values.filter(Boolean).forEach((value) => counts.set(value, (counts.get(value) || 0) + 1));
+  return [...counts].sort((a, b) => b[1] - a[1] || String(a[0]).localeCompare(b[0]));
+}
+
+/**
+ * Expand bounds to the map's shape so land isn't stretched, keeping them on the world
+ * @param {number[]} bounds - [west, south, east, north]
+ * @param {number} ratio - Map width / height in pixels (canvas pixels are roughly square)
+ * @returns {number[]}
+ */
+function fitBounds([west, south, east, north], ratio) {
+  let lonSpan = Math.max(MIN_SPAN, east - west);
+  let latSpan = Math.max(MIN_SPAN / ratio, north - south);
+  if (lonSpan / latSpan < ratio) lonSpan = latSpan * ratio;
+  else latSpan = lonSpan / ratio;
+
+  lonSpan = Math.min(lonSpan, WORLD[2] - WORLD[0]);
+  latSpan = Math.min(latSpan, WORLD[3] - WORLD[1]);
+  const lon = clamp((west + east) / 2, WORLD[0] + lonSpan / 2, WORLD[2] - lonSpan / 2);
+  const lat = clamp((south + north) / 2, WORLD[1] + latSpan / 2, WORLD[3] - latSpan / 2);
+  return [lon - lonSpan / 2, lat - latSpan / 2, lon + lonSpan / 2, lat + latSpan / 2];
+}
+
+/**
+ * Open the map
+ * @param {Object[]} bookmarks
+ * @param {Object} [options]
+ * @param {string} [options.region] - Region to open on (see regions.js)
+ * @param {Function} [options.onSelect] - ({ label, scraps, screen }) for T; without it T is disabled
+ */
+export function createMapView(bookmarks, { region = "world", onSelect } = {}) {
   const screen = blessed.screen({
     smartCSR: true,
     title: "ejfox.com/scrapbook Map View",
@@ -26,9 +90,17 @@ export function createMapView(bookmarks) {
     label: "Scrapbook Map",
   });
 
-  const infoBox = grid.set(0, mapCols, 12, infoCols, blessed.box, {
+  const clusterList = grid.set(0, mapCols, 5, infoCols, blessed.list, {
+    label: "Clusters",
+    tags: true,
+    keys: true,
+    vi: true,
+    style: { selected: { bg: "cyan", fg: "black" } },
+  });
+
+  const infoBox = grid.set(5, mapCols, 7, infoCols, blessed.box, {
     label: "Bookmark Info",
-    content: "Select a marker to view bookmark info",
+    tags: true,
     scrollable: true,
     alwaysScroll: true,
     keys: true,
@@ -39,44 +111,97 @@ export function createMapView(bookmarks) {
     },
   });
 
-  // Filter bookmarks with location data - check top-level lat/lng fields
-  const markers = bookmarks
-    .filter((bookmark) => {
-      // Coordinates are now in top-level latitude/longitude fields
-      // (location field is just a plain string name now)
-      return bookmark.latitude && bookmark.longitude;
-    })
-    .map((bookmark, index) => {
-      return {
-        lon: bookmark.longitude,
-        lat: bookmark.latitude,
-        color: "green",
-        char: "•",
-        label: bookmark.scrap_id || bookmark.id,
-        bookmarkData: bookmark,
-        index: index,
-      };
-    })
-    .filter(Boolean); // Remove null entries
-
-  // Add markers to map
-  markers.forEach((marker) => map.addMarker(marker));
-
-  // Initialize state
-  let selectedMarkerIndex = markers.length > 0 ? 0 : -1;
-
-  // Show initial info
-  if (markers.length > 0) {
-    showBookmarkInfo(markers[0].bookmarkData);
-    infoBox.setContent(
-      `Found ${markers.length} bookmarks with location data\n\n` + infoBox.getContent()
-    );
-  } else {
-    infoBox.setContent(
-      `No bookmarks found with location data.\n\n` +
-        `Total bookmarks: ${bookmarks.length}\n` +
-        `Need latitude/longitude coordinates to display on map.`
-    );
+  // Coordinates are in top-level latitude/longitude fields
+  // (location field is just a plain string name)
+  const located = bookmarks
+    .map((scrap) => ({ scrap, ...scrapCoordinates(scrap) }))
+    .filter((point) => point.lat !== undefined);
+
+  const inner = map.innerMap;
+  const ratio = inner.iMAP_WIDTH / inner.iMAP_HEIGHT;
+
+  let regionName = null;
+  let bounds = WORLD;
+  let colorMode = COLOR_MODES[0];
+  let colors = new Map();
+  let clusters = [];
+  let selected = 0;
+
+  // Named regions select with their own box; anything else with what's on screen
+  const queryTerm = () => (regionName ? `region:${regionName}` : `bbox:${formatBounds(bounds)}`);
+  const viewLabel = () => (regionName ? REGIONS[regionName].label : formatBounds(bounds));
+  const inView = () => {
+    const box = regionName ? REGIONS[regionName].bounds : bounds;
+    return located.filter((point) => inBounds(point.scrap, box));
+  };
+
+  function assignColors() {
+    colors = new Map();
+    if (!colorMode) return;
+    mostCommon(located.map((point) => point.scrap[colorMode]))
+      .slice(0, PALETTE.length)
+      .forEach(([value], i) => colors.set(value, PALETTE[i]));
+  }
+
+  function clusterColor(cluster) {
+    if (!colorMode) return PLAIN_COLOR;
+    const top = mostCommon(cluster.scraps.map((scrap) => scrap[colorMode]))[0];
+    return (top && colors.get(top[0])) || OTHER_COLOR;
+  }
+
+  function buildClusters() {
+    const cells = new Map();
+
+    located.forEach((point) => {
+      const x = inner.degreesOfLongitudeToScreenX(point.lon);
+      const y = inner.degreesOfLatitudeToScreenY(point.lat);
+      if (x === undefined || y === undefined) return;
+
+      const key = `${Math.floor(x / 2 / CLUSTER_COLS)}:${Math.floor(y / 4 / CLUSTER_ROWS)}`;
+      if (!cells.has(key)) cells.set(key, { scraps: [], x: 0, y: 0, lat: 0, lon: 0 });
+      const cell = cells.get(key);
+      cell.scraps.push(point.scrap);
+      cell.x += x;
+      cell.y += y;
+      cell.lat += point.lat;
+      cell.lon += point.lon;
+    });
+
+    clusters = [...cells.values()]
+      .map((cell) => {
+        const n = cell.scraps.length;
+        const place = mostCommon(
+          cell.scraps.map((s) => s.location).filter((l) => l && l !== "Unknown")
+        )[0];
+        const cluster = {
+          scraps: cell.scraps,
+          x: cell.x / n,
+          y: cell.y / n,
+          lat: cell.lat / n,
+          lon: cell.lon / n,
+        };
+        cluster.place = place ? place[0] : `${cluster.lat.toFixed(2)}, ${cluster.lon.toFixed(2)}`;
+        cluster.color = clusterColor(cluster);
+        return cluster;
+      })
+      .sort((a, b) => b.scraps.length - a.scraps.length || a.place.localeCompare(b.place));
+  }
+
+  function drawMarkers() {
+    inner.draw();
+    const ctx = map.ctx;
+    const width = ctx._canvas.width;
+
+    clusters.forEach((cluster, i) => {
+      const label = (i === selected ? "▶" : "") + countLabel(cluster.scraps.length);
+      // Text isn't clipped at the right edge, so pull long labels back in
+      const x = Math.max(
+        0,
+        Math.min(cluster.x - (i === selected ? 2 : 0), width - label.length * 2)
+      );
+      ctx.fillStyle = i === selected ? OTHER_COLOR : cluster.color;
+      ctx.fillText(label, x, cluster.y);
+    });
   }
 
   function showBookmarkInfo(bookmark) {
@@ -98,24 +223,185 @@ export function createMapView(bookmarks) {
 
     info += `Coordinates: ${bookmark.latitude}, ${bookmark.longitude}`;
 
-    infoBox.setContent(info);
+    infoBox.setContent(blessed.escape(info));
+    infoBox.setScroll(0);
   }
 
-  screen.key(["q", "C-c"], () => process.exit(0));
-  screen.key(["up"], () => {
-    if (selectedMarkerIndex > 0) {
-      selectedMarkerIndex--;
-      showBookmarkInfo(markers[selectedMarkerIndex].bookmarkData);
-      screen.render();
+  function showClusterInfo() {
+    const cluster = clusters[selected];
+    const selection = `${inView().length} in view · scrap list -w "${queryTerm()}"`;
+    const help =
+      "[Enter] Zoom in / open\n[+/-] Zoom [S-arrows] Pan\n[0] World [r] Regions\n" +
+      "[c] Colour [t] To table [q] Quit";
+
+    if (!cluster) {
+      infoBox.setContent(
+        (located.length
+          ? "No scraps in this part of the map.\n\n"
+          : `No bookmarks found with location data.\n\nTotal bookmarks: ${bookmarks.length}\n` +
+            "Need latitude/longitude coordinates to display on map.\n\n") +
+          `${blessed.escape(selection)}\n\n${help}`
+      );
+      return;
+    }
+
+    const lines = [`{bold}${cluster.scraps.length} near ${blessed.escape(cluster.place)}{/bold}`];
+    if (colorMode) {
+      mostCommon(cluster.scraps.map((scrap) => scrap[colorMode] || "unknown")).forEach(
+        ([value, n]) => {
+          const color = colors.get(value) || OTHER_COLOR;
+          lines.push(`{${color}-fg}■{/${color}-fg} ${blessed.escape(String(value))} (${n})`);
+        }
+      );
     }
+    lines.push("");
+    cluster.scraps.slice(0, 10).forEach((scrap) => {
+      lines.push(`· ${blessed.escape(scrap.title || scrap.url || scrap.scrap_id || "Untitled")}`);
+    });
+    if (cluster.scraps.length > 10) lines.push(`  … ${cluster.scraps.length - 10} more`);
+    lines.push("", blessed.escape(selection), "", help);
+
+    infoBox.setContent(lines.join("\n"));
+    infoBox.setScroll(0);
+  }
+
+  function refresh() {
+    buildClusters();
+    selected = Math.min(selected, Math.max(0, clusters.length - 1));
+    clusterList.setItems(
+      clusters.map(
+        (cluster) =>
+          `{${cluster.color}-fg}■{/${cluster.color}-fg} ${cluster.scraps.length} ` +
+          blessed.escape(cluster.place)
+      )
+    );
+    clusterList.select(selected);
+    const mode = colorMode ? `colour: ${COLOR_LABELS[colorMode]}` : "no colour";
+    const count = inView().length;
+    map.setLabel(` ${viewLabel()} · ${count} scrap${count === 1 ? "" : "s"} · ${mode} `);
+    drawMarkers();
+    showClusterInfo();
+    screen.render();
+  }
+
+  function zoomTo(box, name = null) {
+    regionName = name;
+    bounds = fitBounds(box, ratio);
+    Object.assign(inner.options, {
+      startLon: bounds[0] + 180,
+      endLon: bounds[2] + 180,
+      startLat: bounds[1] + 90,
+      endLat: bounds[3] + 90,
+    });
+    selected = 0;
+    refresh();
+  }
+
+  function zoom(factor) {
+    const [west, south, east, north] = bounds;
+    const lon = (west + east) / 2;
+    const lat = (south + north) / 2;
+    const halfLon = ((east - west) * factor) / 2;
+    const halfLat = ((north - south) * factor) / 2;
+    zoomTo([lon - halfLon, lat - halfLat, lon + halfLon, lat + halfLat]);
+  }
+
+  function pan(dx, dy) {
+    const [west, south, east, north] = bounds;
+    const stepLon = ((east - west) / 4) * dx;
+    const stepLat = ((north - south) / 4) * dy;
+    zoomTo([west + stepLon, south + stepLat, east + stepLon, north + stepLat]);
+  }
+
+  function openRegionPicker() {
+    const names = Object.keys(REGIONS);
+    const picker = blessed.list({
+      parent: screen,
+      top: "center",
+      left: "center",
+      width: 34,
+      height: Math.min(names.length + 2, screen.height - 2),
+      label: " Region [Enter] Go [Esc] Close ",
+      border: "line",
+      tags: true,
+      keys: true,
+      vi: true,
+      items: names.map((name) => {
+        const n = located.filter((point) => inBounds(point.scrap, REGIONS[name].bounds)).length;
+        return `${REGIONS[name].label.padEnd(18)} ${String(n).padStart(6)}`;
+      }),
+      style: {
+        border: { fg: "cyan" },
+        selected: { bg: "cyan", fg: "black" },
+      },
+    });
+    if (regionName) picker.select(names.indexOf(regionName));
+
+    const close = () => {
+      screen.grabKeys = false;
+      picker.destroy();
+      clusterList.focus();
+    };
+
+    picker.key(["escape", "r", "q"], () => {
+      close();
+      screen.render();
+    });
+    picker.on("select", (_, index) => {
+      close();
+      zoomTo(regionBounds(names[index]), names[index]);
+    });
+
+    screen.grabKeys = true;
+    picker.focus();
+    screen.render();
+  }
+
+  clusterList.on("select item", (_, index) => {
+    if (index === selected) return;
+    selected = index;
+    drawMarkers();
+    showClusterInfo();
+    screen.render();
   });
-  screen.key(["down"], () => {
-    if (selectedMarkerIndex < markers.length - 1) {
-      selectedMarkerIndex++;
-      showBookmarkInfo(markers[selectedMarkerIndex].bookmarkData);
+
+  // ENTER zooms into a cluster, or shows the scrap when there's only one
+  clusterList.on("select", () => {
+    const cluster = clusters[selected];
+    if (!cluster) return;
+    if (cluster.scraps.length === 1) {
+      showBookmarkInfo(cluster.scraps[0]);
       screen.render();
+      return;
     }
+    const lons = cluster.scraps.map((scrap) => scrapCoordinates(scrap).lon);
+    const extent = lons.reduce((max, lon) => Math.max(max, Math.abs(lon - cluster.lon)), 0);
+    // Zoom in at most 4x at a time so there's still some context around the cluster
+    const half = Math.max(extent + 0.5, (bounds[2] - bounds[0]) / 8);
+    zoomTo([cluster.lon - half, cluster.lat - half, cluster.lon + half, cluster.lat + half]);
+  });
+
+  screen.key(["q", "C-c"], () => process.exit(0));
+  screen.key(["+", "="], () => zoom(0.5));
+  screen.key(["-", "_"], () => zoom(2));
+  screen.key(["S-left"], () => pan(-1, 0));
+  screen.key(["S-right"], () => pan(1, 0));
+  screen.key(["S-up"], () => pan(0, 1));
+  screen.key(["S-down"], () => pan(0, -1));
+  screen.key(["0"], () => zoomTo(WORLD, "world"));
+  screen.key(["r"], () => openRegionPicker());
+  screen.key(["c"], () => {
+    colorMode = COLOR_MODES[(COLOR_MODES.indexOf(colorMode) + 1) % COLOR_MODES.length];
+    assignColors();
+    refresh();
+  });
+  screen.key(["t"], () => {
+    const scraps = inView().map((point) => point.scrap);
+    if (!onSelect || scraps.length === 0) return;
+    onSelect({ label: queryTerm(), scraps, screen });
   });
 
-  screen.render();
+  assignColors();
+  clusterList.focus();
+  zoomTo(regionBounds(region), region.trim().toLowerCase().replace(/\s+/g, "-"));
 }
@@ -1,5 +1,6 @@
 import { spawn } from "child_process";
 import { formatBookmarksForFzf } from "../database.js";
+import { formatScrapMarkdown } from "../scrap-markdown.js";
 
 /**
  * Launch fzf with bookmark data and return selected index
@@ -113,7 +114,7 @@ export function openUrl(url) {
  * Open scrap content in external editor (nvim/vim/etc)
  * @param {Object} scrap - The scrap to edit
  * @param {Object} screen - Blessed screen to suspend/resume
- * @returns {Promise<void>}
+ * @returns {Promise<string>} The markdown as saved by the user (parse with parseScrapMarkdown)
  */
 export function openInEditor(scrap, screen) {
   return new Promise((resolve, reject) => {
@@ -128,91 +129,7 @@ export function openInEditor(scrap, screen) {
           const tmpFile = path.join(tmpDir, `scrapbook-${scrap.scrap_id}.md`);
 
           // Format scrap content as markdown with ALL data
-          const sections = [
-            `# ${scrap.title || '[no title]'}`,
-            '',
-            '## Metadata',
-            '',
-            `**Scrap ID:** ${scrap.scrap_id || 'N/A'}`,
-            `**UUID:** ${scrap.id || 'N/A'}`,
-            `**URL:** ${scrap.url || 'N/A'}`,
-            `**Public URL:** ${scrap.public_url || 'N/A'}`,
-            `**Source:** ${scrap.source || 'N/A'}`,
-            `**Type:** ${scrap.type || 'N/A'}`,
-            `**Content Type:** ${scrap.content_type || 'N/A'}`,
-            `**Created:** ${scrap.created_at || 'N/A'}`,
-            `**Updated:** ${scrap.updated_at || 'N/A'}`,
-            `**Published:** ${scrap.published_at || 'N/A'}`,
-            `**Shared:** ${scrap.shared ? 'Yes' : 'No'}`,
-            '',
-            '### Processing Info',
-            '',
-            `**Graph Imported:** ${scrap.graph_imported ? 'Yes' : 'No'}`,
-            `**Processing Instance:** ${scrap.processing_instance_id || 'N/A'}`,
-            `**Processing Started:** ${scrap.processing_started_at || 'N/A'}`,
-            '',
-          ];
-
-          // Tags
-          if (scrap.tags && scrap.tags.length > 0) {
-            sections.push('## Tags', '', scrap.tags.map(t => `- ${t}`).join('\n'), '');
-          }
-
-          // Concept Tags
-          if (scrap.concept_tags && scrap.concept_tags.length > 0) {
-            sections.push('## Concept Tags', '', scrap.concept_tags.map(t => `- ${t}`).join('\n'), '');
-          }
-
-          // Location
-          if (scrap.location || scrap.latitude || scrap.longitude) {
-            sections.push('## Location', '');
-            if (scrap.location) sections.push(`**Place:** ${scrap.location}`);
-            if (scrap.latitude && scrap.longitude) {
-              sections.push(`**Coordinates:** ${scrap.latitude}, ${scrap.longitude}`);
-              sections.push(`**Map:** https://www.openstreetmap.org/?mlat=${scrap.latitude}&mlon=${scrap.longitude}&zoom=12`);
-            }
-            sections.push('');
-          }
-
-          // Summary
-          sections.push('## Summary', '', scrap.summary || 'No summary available', '');
-
-          // Relationships
-          if (scrap.relationships && scrap.relationships.length > 0) {
-            sections.push('## Relationships', '');
-            scrap.relationships.forEach(rel => {
-              const source = rel.source || '[unknown]';
-              const relationship = rel.relationship || '[unknown relationship]';
-              const target = rel.target || '[unknown]';
-              sections.push(`- **${source}** ${relationship} **${target}**`);
-            });
-            sections.push('');
-          }
-
-          // Financial Analysis
-          if (scrap.financial_analysis) {
-            sections.push('## Financial Analysis', '', '```json', JSON.stringify(scrap.financial_analysis, null, 2), '```', '');
-          }
-
-          // Extraction Confidence
-          if (scrap.extraction_confidence) {
-            sections.push('## Extraction Confidence', '', '```json', JSON.stringify(scrap.extraction_confidence, null, 2), '```', '');
-          }
-
-          // Metadata (original source metadata)
-          if (scrap.metadata) {
-            sections.push('## Source Metadata', '', '```json', JSON.stringify(scrap.metadata, null, 2), '```', '');
-          }
-
-          // Screenshot
-          if (scrap.screenshot_url) {
-            sections.push('## Screenshot', '', `![Screenshot](${scrap.screenshot_url})`, '');
-          }
-
-          // Main Content (at the end so it doesn't push other data down)
-          sections.push('---', '', '## Full Content', '', scrap.content || 'No content available');
-
-          const content = sections.join('\n');
+          const content = formatScrapMarkdown(scrap);
 
           // Write temp file
           fs.writeFileSync(tmpFile, content);
@@ -236,6 +153,14 @@ export function openInEditor(scrap, screen) {
             screen.enter();
             screen.render();
 
+            // Read back whatever the user saved so it can be diffed
+            let edited = content;
+            try {
+              edited = fs.readFileSync(tmpFile, 'utf8');
+            } catch (e) {
+              // Treat an unreadable file as "no changes"
+            }
+
             // Clean up temp file
             try {
               fs.unlinkSync(tmpFile);
@@ -243,7 +168,7 @@ export function openInEditor(scrap, screen) {
               // Ignore cleanup errors
             }
 
-            resolve();
+            resolve(edited);
           });
         });
       });
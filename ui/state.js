@@ -7,6 +7,10 @@ class UIState {
     this.fullScreenSummaryInterval = null;
     this.fullScreenSummaryScrollOffset = 0;
     this.fullScreenSummaryLinesPerPage = 20;
+    // scrap => matched terms while the fuzzy filter is active
+    this.highlight = null;
+    // Scraps marked for bulk actions, by scrap_id (kept across filters)
+    this.marked = new Map();
   }
 
   stopCurrentAnimation() {
@@ -44,6 +48,26 @@ class UIState {
   getLinesPerPage() {
     return this.fullScreenSummaryLinesPerPage;
   }
+
+  setHighlight(highlight) {
+    this.highlight = highlight;
+  }
+
+  highlightTerms(scrap) {
+    return this.highlight?.(scrap) || [];
+  }
+
+  isMarked(scrap) {
+    return Boolean(scrap) && this.marked.has(scrap.scrap_id);
+  }
+
+  setMarked(scraps) {
+    this.marked = new Map(scraps.map((scrap) => [scrap.scrap_id, scrap]));
+  }
+
+  markedScraps() {
+    return [...this.marked.values()];
+  }
 }
 
 // Create singleton instance
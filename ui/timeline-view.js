@@ -0,0 +1,427 @@
+/**
+ * Timeline of when scraps were saved
+ *
+ * One bar per day, week or month, optionally stacked by source or content
+ * type. It opens over the main TUI (L, or `scrapbook-cli --timeline`) and
+ * ENTER on a bar hands its scraps back so the table can be narrowed to them.
+ */
+
+import blessed from "blessed";
+import {
+  addDays,
+  addMonths,
+  addWeeks,
+  differenceInCalendarDays,
+  format,
+  startOfDay,
+  startOfISOWeek,
+  startOfMonth,
+} from "date-fns";
+
+export const TIMELINE_UNITS = ["day", "week", "month"];
+
+// Fields bars can be stacked by (null = one series)
+export const TIMELINE_SPLITS = [null, "source", "content_type"];
+
+const UNITS = {
+  day: {
+    start: startOfDay,
+    next: (d) => addDays(d, 1),
+    title: "EEE d MMM yyyy",
+    tick: "MM/dd",
+    yearTick: "yyyy/MM/dd",
+  },
+  week: {
+    start: startOfISOWeek,
+    next: (d) => addWeeks(d, 1),
+    title: "'Week of' d MMM yyyy",
+    tick: "MM/dd",
+    yearTick: "yyyy/MM/dd",
+  },
+  month: {
+    start: startOfMonth,
+    next: (d) => addMonths(d, 1),
+    title: "MMMM yyyy",
+    tick: "MMM yy",
+    yearTick: "MMM yy",
+  },
+};
+
+const SPLIT_LABELS = { source: "source", content_type: "content type" };
+
+// Series beyond this many are folded into "other"
+const MAX_SERIES = 6;
+
+const SERIES_COLORS = ["#ff1a90", "cyan", "green", "yellow", "magenta", "blue"];
+const OTHER_COLOR = "gray";
+
+// Bar widths for + / - (columns per bar)
+const BAR_WIDTHS = [1, 2, 3, 5, 8];
+
+const PARTIAL_BLOCKS = ["▁", "▂", "▃", "▄", "▅", "▆", "▇"];
+const SPARK_BLOCKS = [" ", "▁", "▂", "▃", "▄", "▅", "▆", "▇", "█"];
+
+// When a scrap was saved, or null (new Date(null) would be 1970)
+function dateOf(scrap) {
+  const date = scrap.created_at ? new Date(scrap.created_at) : null;
+  return date && !Number.isNaN(date.getTime()) ? date : null;
+}
+
+/**
+ * Bucket scraps by when they were saved (created_at)
+ * Buckets run without gaps from the first scrap to the last, so empty periods show up.
+ * @param {Object[]} scraps
+ * @param {Object} [options]
+ * @param {string} [options.unit] - One of TIMELINE_UNITS
+ * @param {string|null} [options.split] - One of TIMELINE_SPLITS
+ * @returns {Object} { unit, split, series: [{ name, total }],
+ *   buckets: [{ start, end, total, counts: Map(series -> n), scraps }] }
+ */
+export function buildTimeline(scraps, { unit = "week", split = null } = {}) {
+  const { start, next } = UNITS[unit];
+  const dated = scraps
+    .map((scrap) => ({ scrap, date: dateOf(scrap) }))
+    .filter(({ date }) => date)
+    .sort((a, b) => a.date - b.date);
+
+  if (dated.length === 0) return { unit, split, series: [], buckets: [] };
+
+  // Keep the biggest series and fold the rest into "other"
+  const seriesOf = (scrap) => (split ? String(scrap[split] || "unknown") : "scraps");
+  const totals = new Map();
+  dated.forEach(({ scrap }) => totals.set(seriesOf(scrap), (totals.get(seriesOf(scrap)) || 0) + 1));
+  const ranked = [...totals].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+  const kept = new Set(ranked.slice(0, MAX_SERIES).map(([name]) => name));
+  const series = ranked.slice(0, MAX_SERIES).map(([name, total]) => ({ name, total }));
+  if (ranked.length > MAX_SERIES) {
+    const rest = ranked.slice(MAX_SERIES).reduce((sum, [, total]) => sum + total, 0);
+    series.push({ name: "other", total: rest });
+  }
+
+  const buckets = [];
+  const byStart = new Map();
+  const last = start(dated[dated.length - 1].date);
+  for (let day = start(dated[0].date); day <= last; day = next(day)) {
+    const bucket = { start: day, end: next(day), total: 0, counts: new Map(), scraps: [] };
+    buckets.push(bucket);
+    byStart.set(day.getTime(), bucket);
+  }
+
+  dated.forEach(({ scrap, date }) => {
+    const bucket = byStart.get(start(date).getTime());
+    const name = kept.has(seriesOf(scrap)) ? seriesOf(scrap) : "other";
+    bucket.total++;
+    bucket.counts.set(name, (bucket.counts.get(name) || 0) + 1);
+    bucket.scraps.push(scrap);
+  });
+
+  return { unit, split, series, buckets };
+}
+
+/**
+ * Unit that gives a readable number of bars for the scraps' date range
+ * @param {Object[]} scraps
+ * @returns {string} "day" up to three months, "week" up to two years, otherwise "month"
+ */
+export function defaultTimelineUnit(scraps) {
+  const times = scraps
+    .map(dateOf)
+    .filter(Boolean)
+    .map((date) => date.getTime());
+  if (times.length === 0) return "week";
+  const days = differenceInCalendarDays(Math.max(...times), Math.min(...times));
+  if (days <= 90) return "day";
+  if (days <= 730) return "week";
+  return "month";
+}
+
+/**
+ * Title for a bucket ("March 2024", "Week of 4 Mar 2024", ...)
+ * @param {Object} bucket
+ * @param {string} unit
+ * @returns {string}
+ */
+export function bucketLabel(bucket, unit) {
+  return format(bucket.start, UNITS[unit].title);
+}
+
+/**
+ * Open the timeline over the main TUI
+ * @param {Object[]} bookmarks - Scraps to chart (the current table list)
+ * @param {Object} parentScreen - Blessed screen
+ * @param {Object} [options]
+ * @param {Function} [options.onSelect] - Called with { label, scraps } when a bar is chosen
+ * @param {Function} [options.onClose] - Called when the timeline closes (before onSelect)
+ * @param {string} [options.unit] - Starting unit (default depends on the date range)
+ * @param {string|null} [options.split] - Starting split
+ */
+export function createTimelineView(bookmarks, parentScreen, options = {}) {
+  let unit = options.unit || defaultTimelineUnit(bookmarks);
+  let split = options.split || null;
+  let barWidth = 2;
+  let timeline = buildTimeline(bookmarks, { unit, split });
+  let selected = Math.max(0, timeline.buckets.length - 1);
+  let offset = 0; // First bar on screen
+  let visibleBars = 1; // Bars that fit on screen at the current zoom
+  let recenter = true; // Put the selected bar mid-screen on the next render
+
+  const container = blessed.box({
+    parent: parentScreen,
+    top: 0,
+    left: 0,
+    width: "100%",
+    height: "100%",
+    label: " Timeline ",
+    border: "line",
+    tags: true,
+    style: {
+      border: { fg: "cyan" },
+      bg: "black",
+    },
+  });
+
+  const chartBox = blessed.box({
+    parent: container,
+    top: 0,
+    left: 1,
+    width: "100%-4",
+    height: "100%-9",
+    tags: true,
+  });
+
+  const infoBox = blessed.box({
+    parent: container,
+    bottom: 0,
+    left: 1,
+    width: "100%-4",
+    height: 7,
+    label: " Bar ",
+    border: "line",
+    tags: true,
+    style: {
+      border: { fg: "green" },
+    },
+  });
+
+  const seriesColor = (name) => {
+    if (name === "other") return OTHER_COLOR;
+    const index = timeline.series.findIndex((s) => s.name === name);
+    return SERIES_COLORS[index % SERIES_COLORS.length] || OTHER_COLOR;
+  };
+
+  const step = () => barWidth + (barWidth > 1 ? 1 : 0);
+
+  // Shift the window so the selected bar is on screen
+  function followSelection(visible) {
+    if (recenter) offset = selected - Math.floor(visible / 2);
+    recenter = false;
+    if (selected < offset) offset = selected;
+    if (selected >= offset + visible) offset = selected - visible + 1;
+    offset = Math.max(0, Math.min(offset, Math.max(0, timeline.buckets.length - visible)));
+  }
+
+  /**
+   * Cells of one bar from the bottom up, as [glyph, colour]
+   * Series are stacked in legend order; the top cell may be a partial block.
+   */
+  function barCells(bucket, max, height) {
+    if (bucket.total === 0) return [];
+    const eighths = Math.max(1, Math.round((bucket.total / max) * height * 8));
+    const cells = Math.ceil(eighths / 8);
+    const order = timeline.series.map((s) => s.name).filter((name) => bucket.counts.has(name));
+
+    return Array.from({ length: cells }, (_, i) => {
+      // Which series the middle of this cell falls in
+      let at = ((i + 0.5) / cells) * bucket.total;
+      const name =
+        order.find((n) => {
+          at -= bucket.counts.get(n);
+          return at < 0;
+        }) || order[order.length - 1];
+      const partial = i === cells - 1 && eighths % 8 !== 0;
+      return [partial ? PARTIAL_BLOCKS[(eighths % 8) - 1] : "█", seriesColor(name)];
+    });
+  }
+
+  function renderChart() {
+    const { buckets } = timeline;
+    const width = Math.max(10, chartBox.width);
+    const height = Math.max(4, chartBox.height - 2);
+
+    if (buckets.length === 0) {
+      chartBox.setContent("\n  {gray-fg}No scraps with a created_at date to chart{/gray-fg}");
+      return;
+    }
+
+    const max = Math.max(1, ...buckets.map((b) => b.total));
+    const gutter = String(max).length + 1;
+    visibleBars = Math.max(1, Math.floor((width - gutter) / step()));
+    followSelection(visibleBars);
+
+    const rows = Array.from({ length: height }, () => []);
+    const marker = [];
+    const ticks = [];
+    let nextTick = 0;
+    let tickYear = null;
+
+    buckets.slice(offset, offset + visibleBars).forEach((bucket, i) => {
+      const index = offset + i;
+      const cells = barCells(bucket, max, height);
+      const column = i * step();
+
+      for (let row = 0; row < height; row++) {
+        const cell = cells[height - 1 - row];
+        const bold = index === selected ? "{bold}" : "";
+        rows[row].push(
+          cell ? `{${cell[1]}-fg}${bold}${cell[0].repeat(barWidth)}{/}` : " ".repeat(barWidth)
+        );
+        if (barWidth > 1) rows[row].push(" ");
+      }
+
+      marker.push(
+        index === selected ? `{#ff1a90-fg}${"▲".repeat(barWidth)}{/}` : " ".repeat(barWidth)
+      );
+      if (barWidth > 1) marker.push(" ");
+
+      // Tick labels wherever the previous one has ended
+      if (column >= nextTick) {
+        // Spell the year out on the first tick and whenever it changes
+        const year = bucket.start.getFullYear();
+        const tick = format(bucket.start, UNITS[unit][year === tickYear ? "tick" : "yearTick"]);
+        tickYear = year;
+        ticks.push(" ".repeat(column - ticks.join("").length) + tick);
+        nextTick = column + tick.length + 2;
+      }
+    });
+
+    const axis = (row) => {
+      if (row === 0) return String(max).padStart(gutter - 1) + " ";
+      if (row === height - 1) return "0".padStart(gutter - 1) + " ";
+      return " ".repeat(gutter);
+    };
+
+    chartBox.setContent(
+      [
+        ...rows.map((cells, row) => axis(row) + cells.join("")),
+        " ".repeat(gutter) + marker.join(""),
+        `{gray-fg}${" ".repeat(gutter)}${ticks.join("")}{/gray-fg}`,
+      ].join("\n")
+    );
+  }
+
+  // The whole range squeezed into one line, with the visible window in brackets
+  function overview(width) {
+    const { buckets } = timeline;
+    const perCell = Math.max(1, Math.ceil(buckets.length / width));
+    const sums = [];
+    for (let i = 0; i < buckets.length; i += perCell) {
+      sums.push(buckets.slice(i, i + perCell).reduce((sum, b) => sum + b.total, 0));
+    }
+    const max = Math.max(1, ...sums);
+    const from = Math.floor(offset / perCell);
+    const to = Math.floor(Math.min(buckets.length - 1, offset + visibleBars - 1) / perCell);
+
+    return sums
+      .map((sum) => SPARK_BLOCKS[Math.ceil((sum / max) * (SPARK_BLOCKS.length - 1))])
+      .map((glyph, i) => (i >= from && i <= to ? `{cyan-fg}${glyph}{/}` : `{gray-fg}${glyph}{/}`))
+      .join("");
+  }
+
+  function renderInfo() {
+    const bucket = timeline.buckets[selected];
+    const splitLabel = split ? ` by ${SPLIT_LABELS[split]}` : "";
+    container.setLabel(` Timeline · per ${unit}${splitLabel} · ${bookmarks.length} scraps `);
+
+    if (!bucket) {
+      infoBox.setContent("{gray-fg}Nothing to show · [Q] Close{/gray-fg}");
+      return;
+    }
+
+    const breakdown = timeline.series
+      .filter((s) => bucket.counts.has(s.name))
+      .map(
+        (s) =>
+          `{${seriesColor(s.name)}-fg}■{/} ${blessed.escape(s.name)} ${bucket.counts.get(s.name)}`
+      )
+      .join("  ");
+
+    const count = `${bucket.total} scrap${bucket.total === 1 ? "" : "s"}`;
+    infoBox.setContent(
+      `{bold}${bucketLabel(bucket, unit)}{/bold} · ${count}` +
+        (split && breakdown ? `\n${breakdown}` : "\n") +
+        `\n${overview(Math.max(10, infoBox.width - 4))}\n` +
+        "{gray-fg}[←→] Move  [+/-] Zoom  [PgUp/PgDn] Pan  [D/W/M] Day/week/month  " +
+        "[S] Split  [ENTER] Filter table  [Q/ESC] Close{/gray-fg}"
+    );
+  }
+
+  function render() {
+    renderChart();
+    renderInfo();
+    parentScreen.render();
+  }
+
+  function close() {
+    parentScreen.grabKeys = false;
+    parentScreen.remove(container);
+    if (options.onClose) options.onClose();
+    parentScreen.render();
+  }
+
+  function move(by) {
+    selected = Math.max(0, Math.min(timeline.buckets.length - 1, selected + by));
+    render();
+  }
+
+  // Rebuild for a new unit or split, staying on the bar that contains the selected date
+  function rebuild(changes) {
+    const date = timeline.buckets[selected]?.start;
+    if ("unit" in changes) unit = changes.unit;
+    if ("split" in changes) split = changes.split;
+    timeline = buildTimeline(bookmarks, { unit, split });
+    const index = date ? timeline.buckets.findIndex((b) => date >= b.start && date < b.end) : -1;
+    selected = index === -1 ? Math.max(0, timeline.buckets.length - 1) : index;
+    recenter = true;
+    render();
+  }
+
+  container.key(["q", "escape"], close);
+  container.key(["left", "h"], () => move(-1));
+  container.key(["right", "l"], () => move(1));
+  container.key(["home", "g"], () => move(-timeline.buckets.length));
+  container.key(["end", "S-g"], () => move(timeline.buckets.length));
+  container.key(["pageup", "pagedown"], (ch, key) => {
+    move(key.name === "pageup" ? -visibleBars : visibleBars);
+  });
+  container.key(["+", "="], () => {
+    barWidth = BAR_WIDTHS[Math.min(BAR_WIDTHS.length - 1, BAR_WIDTHS.indexOf(barWidth) + 1)];
+    recenter = true;
+    render();
+  });
+  container.key(["-", "_"], () => {
+    barWidth = BAR_WIDTHS[Math.max(0, BAR_WIDTHS.indexOf(barWidth) - 1)];
+    recenter = true;
+    render();
+  });
+  container.key(["d"], () => rebuild({ unit: "day" }));
+  container.key(["w"], () => rebuild({ unit: "week" }));
+  container.key(["m"], () => rebuild({ unit: "month" }));
+  container.key(["s"], () => {
+    rebuild({
+      split: TIMELINE_SPLITS[(TIMELINE_SPLITS.indexOf(split) + 1) % TIMELINE_SPLITS.length],
+    });
+  });
+  container.key(["enter"], () => {
+    const bucket = timeline.buckets[selected];
+    if (!bucket || bucket.total === 0) return;
+    close();
+    if (options.onSelect) {
+      options.onSelect({ label: bucketLabel(bucket, unit), scraps: bucket.scraps });
+    }
+  });
+
+  // Keep the table's own shortcuts from firing underneath
+  parentScreen.grabKeys = true;
+  container.focus();
+  render();
+}
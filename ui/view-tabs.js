@@ -0,0 +1,63 @@
+/**
+ * Tab strip of saved views above the main table
+ *
+ * The first tab is everything; the rest are the `views:` from config (see
+ * views.js). Tab / Shift-Tab or 1-9 switch tabs in the list. Only shown when
+ * there are views, so the table keeps its full height otherwise.
+ */
+
+import blessed from "blessed";
+import config from "../config.js";
+
+/**
+ * Create the tab strip and make room for it above the table
+ * @param {Object} screen
+ * @param {Object} table - The main table, moved down a line
+ * @param {Object[]} views - From listViews
+ * @returns {Object} { bar, views }
+ */
+export function createViewTabs(screen, table, views) {
+  table.top = 1;
+  table.height = "100%-1";
+
+  const bar = blessed.box({
+    parent: screen,
+    top: 0,
+    left: 0,
+    width: table.position.width,
+    height: 1,
+    tags: true,
+  });
+  return { bar, views };
+}
+
+/**
+ * Draw the tabs with one of them active
+ * Tabs scrolled off the left are dropped (‹) so the active one stays visible.
+ * @param {Object} tabs - From createViewTabs
+ * @param {number} active - 0 for everything, otherwise 1 + the view's index
+ * @param {number} [count] - Scraps in the active tab, shown next to its label
+ */
+export function renderViewTabs({ bar, views }, active, count) {
+  const selectedColor = config.theme?.colors?.borders?.selected || "#e60067";
+  const dimColor = config.theme?.colors?.borders?.default || "#595959";
+
+  const labels = ["All", ...views.map((view) => view.label)].map((label, index) => {
+    const number = index < 9 ? `${index + 1} ` : "";
+    const suffix = index === active && count !== undefined ? ` ${count}` : "";
+    return ` ${number}${label}${suffix} `;
+  });
+
+  let first = 0;
+  const widthFrom = (start) =>
+    labels.slice(start, active + 1).reduce((sum, label) => sum + label.length + 1, 0) + 2;
+  while (first < active && widthFrom(first) > bar.width) first++;
+
+  const tabs = labels.slice(first).map((label, offset) => {
+    const text = blessed.escape(label);
+    return first + offset === active
+      ? `{${selectedColor}-bg}{#0d0d0d-fg}{bold}${text}{/bold}{/#0d0d0d-fg}{/${selectedColor}-bg}`
+      : `{${dimColor}-fg}${text}{/${dimColor}-fg}`;
+  });
+  bar.setContent((first > 0 ? "‹ " : "") + tabs.join(" "));
+}
@@ -0,0 +1,88 @@
+/**
+ * URL canonicalisation
+ *
+ * The same page reaches the scrapbook under many URLs: tracking parameters,
+ * youtu.be vs youtube.com, mobile hosts, trailing slashes, http vs https.
+ * `canonicalizeUrl` produces the URL we store; `urlKey` is a looser form used
+ * only to decide whether two URLs point at the same thing.
+ */
+
+// Query parameters that never change what a page shows
+const TRACKING_PARAMS = [
+  /^utm_/i,
+  /^(fbclid|gclid|dclid|msclkid|yclid|twclid|igshid|mc_cid|mc_eid|_hsenc|_hsmi|mkt_tok)$/i,
+  /^(ref|ref_src|ref_url|referrer|source|src|share|si|feature)$/i,
+];
+
+const YOUTUBE_HOSTS = ["youtube.com", "m.youtube.com", "music.youtube.com", "youtube-nocookie.com"];
+
+function youtubeVideoId(url) {
+  const host = url.hostname.replace(/^www\./, "");
+  if (host === "youtu.be") return url.pathname.slice(1).split("/")[0] || null;
+  if (!YOUTUBE_HOSTS.includes(host)) return null;
+  if (url.pathname === "/watch") return url.searchParams.get("v");
+  const match = url.pathname.match(/^\/(?:shorts|embed|live|v)\/([^/?]+)/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Normalise a URL for storage
+ *
+ * - lowercases the host and drops default ports
+ * - removes tracking parameters and sorts the rest
+ * - rewrites YouTube links to `https://www.youtube.com/watch?v=<id>` (keeping `t`)
+ * - drops fragments (except `#!`/`#/` app routes) and trailing slashes
+ *
+ * @param {string} input
+ * @returns {string}
+ * @throws {TypeError} If the input isn't an absolute http(s) URL
+ */
+export function canonicalizeUrl(input) {
+  const url = new URL(String(input).trim());
+  if (url.protocol !== "http:" && url.protocol !== "https:") {
+    throw new TypeError(`Not a web URL: ${input}`);
+  }
+
+  const videoId = youtubeVideoId(url);
+  if (videoId) {
+    const canonical = new URL("https://www.youtube.com/watch");
+    canonical.searchParams.set("v", videoId);
+    const time = url.searchParams.get("t");
+    if (time) canonical.searchParams.set("t", time);
+    return canonical.toString();
+  }
+
+  url.hostname = url.hostname.toLowerCase();
+  url.port = "";
+
+  const params = [...url.searchParams.entries()]
+    .filter(([name]) => !TRACKING_PARAMS.some((pattern) => pattern.test(name)))
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+  url.search = new URLSearchParams(params).toString();
+
+  if (!/^#[!/]/.test(url.hash)) url.hash = "";
+  if (url.pathname.length > 1) url.pathname = url.pathname.replace(/\/+$/, "");
+
+  return url.toString();
+}
+
+/**
+ * Comparison key: canonical URL without scheme, `www.` or a YouTube `t`
+ * timestamp (the same video at another point is still the same video)
+ * Returns null for anything that isn't a web URL.
+ * @param {string} input
+ * @returns {string|null}
+ */
+export function urlKey(input) {
+  try {
+    const canonical = new URL(canonicalizeUrl(input));
+    if (youtubeVideoId(canonical)) canonical.searchParams.delete("t");
+    return canonical
+      .toString()
+      .replace(/^https?:\/\//, "")
+      .replace(/^www\./, "")
+      .replace(/\/(?=\?|#|$)/, "");
+  } catch {
+    return null;
+  }
+}
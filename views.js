@@ -0,0 +1,111 @@
+/**
+ * Saved views: named queries with their own sort and columns
+ *
+ * Defined under `views:` in config (usually ~/.scrapbook/config.yaml):
+ *
+ *   views:
+ *     untagged: "-has:tags"
+ *     ai-this-month:
+ *       label: AI this month
+ *       query: "tag:ai after:this-month"
+ *       sort: { field: created_at, order: desc }
+ *       columns: [created_at, source, tags, content]
+ *
+ * `scrapbook-cli view <name>` prints a view in any output format and the TUI
+ * shows them as tabs above the table. A view without a sort keeps the database
+ * order; without columns it uses the table's usual ones. Changing the sort or
+ * columns on a view's tab saves them to that view (saveView).
+ */
+
+import config, { updateUserConfig } from "./config.js";
+import { searchBookmarks } from "./database.js";
+import { sortScraps } from "./columns.js";
+
+/**
+ * Saved views from config, in the order they are defined
+ * @returns {Object[]} [{ name, label, query, sort, columns }]
+ */
+export function listViews() {
+  return Object.entries(config.views || {}).map(([name, view]) => {
+    const definition = typeof view === "string" ? { query: view } : view || {};
+    return {
+      name,
+      label: definition.label || name,
+      query: definition.query || "",
+      sort: definition.sort?.field
+        ? { field: definition.sort.field, order: definition.sort.order === "asc" ? "asc" : "desc" }
+        : null,
+      columns: definition.columns?.length ? [...definition.columns] : null,
+    };
+  });
+}
+
+/**
+ * Find a view by name or label (case-insensitive)
+ * @param {string} name
+ * @returns {Object} From listViews
+ * @throws {Error} If there is no such view
+ */
+export function getView(name) {
+  const views = listViews();
+  const wanted = name.toLowerCase();
+  const view = views.find(
+    (candidate) =>
+      candidate.name.toLowerCase() === wanted || candidate.label.toLowerCase() === wanted
+  );
+  if (view) return view;
+
+  const known = views.map((candidate) => candidate.name).join(", ");
+  throw new Error(
+    known
+      ? `Unknown view: ${name} (saved views: ${known})`
+      : `Unknown view: ${name} (no views in config)`
+  );
+}
+
+/**
+ * Scraps in a view, in its sort order
+ * @param {Object} view - From listViews / getView
+ * @param {Object} [options]
+ * @param {number} [options.limit]
+ * @returns {Promise<Object[]>}
+ */
+export async function loadView(view, { limit } = {}) {
+  const scraps = await searchBookmarks(view.query, { rank: false });
+  if (view.sort) sortScraps(scraps, view.sort);
+  return limit ? scraps.slice(0, limit) : scraps;
+}
+
+/**
+ * Write a view's query, sort and columns to the user config
+ * The whole definition is written, so views from the project config can be changed too.
+ * @param {Object} view - From listViews
+ * @returns {string} Path of the file written
+ */
+export function saveView(view) {
+  const definition = {
+    ...(view.label !== view.name && { label: view.label }),
+    query: view.query,
+    sort: view.sort,
+    ...(view.columns && { columns: view.columns }),
+  };
+  return updateUserConfig({ views: { [view.name]: definition } });
+}
+
+/**
+ * Print the saved views as a table
+ * @param {Object[]} views - From listViews
+ */
+export function printViews(views) {
+  if (!views.length) {
+    console.log("No saved views. Add some under `views:` in ~/.scrapbook/config.yaml");
+    return;
+  }
+
+  const width = Math.max(...views.map((view) => view.name.length));
+  views.forEach((view) => {
+    const label = view.label !== view.name ? `${view.label} · ` : "";
+    const sort = view.sort ? ` (by ${view.sort.field} ${view.sort.order})` : "";
+    console.log(`${view.name.padEnd(width)}  ${label}${view.query || "(everything)"}${sort}`);
+  });
+}
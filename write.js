@@ -0,0 +1,318 @@
+/**
+ * Write commands: add, tag, set, rm and triage
+ * Integrated into main scrapbook-cli as `scrapbook-cli add|tag|set|rm|triage`
+ *
+ * Every command that changes the database previews its change, asks for
+ * confirmation (skip with --yes), supports --dry-run, and with --json prints the
+ * resulting scrap in the same shape as `scrapbook-cli get`. `triage` only
+ * touches the local triage store (triage.js), so it applies straight away.
+ */
+
+import crypto from "crypto";
+import readline from "readline/promises";
+import { getScrap, createScrap, updateScrap, deleteScrap, formatChanges } from "./database.js";
+import { setTriage, triageOf, triagePatch, triageLabel } from "./triage.js";
+
+/**
+ * Fields `set` may change, and how their values are parsed
+ */
+export const EDITABLE_FIELDS = {
+  title: "string",
+  url: "string",
+  summary: "string",
+  content: "string",
+  location: "string",
+  source: "string",
+  type: "string",
+  content_type: "string",
+  published_at: "date",
+  latitude: "number",
+  longitude: "number",
+  shared: "boolean",
+  tags: "list",
+  concept_tags: "list",
+  relationships: "json",
+  metadata: "json",
+};
+
+/**
+ * Ask a yes/no question on stderr (keeps stdout clean for --json)
+ * Callers set a non-zero exit code on "no" so scripts can tell nothing was written.
+ */
+export async function confirm(question, options) {
+  if (options.yes) return true;
+
+  if (!process.stdin.isTTY) {
+    console.error("Not a terminal - pass --yes to confirm non-interactively");
+    process.exitCode = 1;
+    return false;
+  }
+
+  const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+  const answer = await rl.question(`${question} [y/N] `);
+  rl.close();
+  return /^y(es)?$/i.test(answer.trim());
+}
+
+/**
+ * Print field-by-field changes between two versions of a scrap
+ */
+function printChanges(before, patch, log) {
+  formatChanges(before, patch).forEach((line) => log(`  ${line}`));
+}
+
+async function loadScrapOrExit(scrapId) {
+  const scrap = await getScrap(scrapId);
+  if (!scrap) {
+    console.error(`No scrap found with ID: ${scrapId}`);
+    process.exit(1);
+  }
+  return scrap;
+}
+
+/**
+ * Shared flow for commands that patch an existing scrap
+ */
+async function applyPatch(scrap, patch, options) {
+  const log = options.json ? console.error : console.log;
+
+  if (Object.keys(patch).length === 0) {
+    log("Nothing to change");
+    if (options.json) console.log(JSON.stringify(scrap, null, 2));
+    return;
+  }
+
+  log(`${scrap.scrap_id}: ${scrap.title || scrap.url || "[no title]"}`);
+  printChanges(scrap, patch, log);
+
+  if (options.dryRun) {
+    log("Dry run - nothing written");
+    if (options.json) console.log(JSON.stringify({ ...scrap, ...patch }, null, 2));
+    return;
+  }
+
+  if (!(await confirm("Apply these changes?", options))) {
+    log("Cancelled");
+    process.exitCode = 1;
+    return;
+  }
+
+  const updated = await updateScrap(scrap.scrap_id, patch);
+  if (options.json) {
+    console.log(JSON.stringify(updated, null, 2));
+  } else {
+    log("✓ Saved");
+  }
+}
+
+/**
+ * Parse a command-line value for a field according to EDITABLE_FIELDS
+ * @throws {Error} If the value doesn't fit the field's type
+ */
+export function parseFieldValue(field, raw) {
+  const kind = EDITABLE_FIELDS[field];
+  if (!kind) {
+    throw new Error(
+      `Field '${field}' can't be set (editable: ${Object.keys(EDITABLE_FIELDS).join(", ")})`
+    );
+  }
+  if (raw === "null") return null;
+
+  switch (kind) {
+    case "number": {
+      const value = parseFloat(raw);
+      if (isNaN(value)) throw new Error(`${field} must be a number`);
+      return value;
+    }
+    case "boolean":
+      if (!/^(true|false|yes|no)$/i.test(raw)) throw new Error(`${field} must be true or false`);
+      return /^(true|yes)$/i.test(raw);
+    case "date": {
+      const date = new Date(raw);
+      if (isNaN(date.getTime())) throw new Error(`${field} must be a date`);
+      return date.toISOString();
+    }
+    case "list": {
+      if (!raw.trim().startsWith("[")) {
+        return raw
+          .split(",")
+          .map((item) => item.trim())
+          .filter(Boolean);
+      }
+      try {
+        return JSON.parse(raw);
+      } catch (error) {
+        throw new Error(
+          `${field} must be a comma-separated list or a JSON array: ${error.message}`
+        );
+      }
+    }
+    case "json":
+      try {
+        return JSON.parse(raw);
+      } catch (error) {
+        throw new Error(`${field} must be valid JSON: ${error.message}`);
+      }
+    default:
+      return raw;
+  }
+}
+
+/**
+ * Apply +tag / -tag changes to a tag list
+ * Bare words are treated as additions.
+ */
+export function applyTagChanges(tags, changes) {
+  const result = [...(tags || [])];
+
+  changes.forEach((change) => {
+    if (change.startsWith("-")) {
+      const tag = change.slice(1);
+      const index = result.findIndex((t) => t.toLowerCase() === tag.toLowerCase());
+      if (index !== -1) result.splice(index, 1);
+    } else {
+      const tag = change.startsWith("+") ? change.slice(1) : change;
+      if (tag && !result.some((t) => t.toLowerCase() === tag.toLowerCase())) result.push(tag);
+    }
+  });
+
+  return result;
+}
+
+/**
+ * add command
+ */
+export async function addScrap(url, options) {
+  const log = options.json ? console.error : console.log;
+
+  try {
+    new URL(url);
+  } catch {
+    console.error(`Invalid URL: ${url}`);
+    process.exit(1);
+  }
+
+  const scrapId = options.id || `cli-${crypto.createHash("md5").update(url).digest("hex")}`;
+  if (await getScrap(scrapId)) {
+    console.error(`Scrap already exists: ${scrapId}`);
+    process.exit(1);
+  }
+
+  const now = new Date().toISOString();
+  const scrap = {
+    scrap_id: scrapId,
+    url,
+    title: options.title || null,
+    summary: options.summary || null,
+    tags: options.tag || [],
+    source: options.source,
+    content_type: options.type || null,
+    created_at: now,
+    updated_at: now,
+  };
+
+  log(`New scrap ${scrapId}`);
+  printChanges(null, Object.fromEntries(Object.entries(scrap).filter(([, v]) => v !== null)), log);
+
+  if (options.dryRun) {
+    log("Dry run - nothing written");
+    if (options.json) console.log(JSON.stringify(scrap, null, 2));
+    return;
+  }
+
+  if (!(await confirm("Add this scrap?", options))) {
+    log("Cancelled");
+    process.exitCode = 1;
+    return;
+  }
+
+  const created = await createScrap(scrap);
+  if (options.json) {
+    console.log(JSON.stringify(created, null, 2));
+  } else {
+    log(`✓ Added ${created.scrap_id}`);
+  }
+}
+
+/**
+ * tag command
+ */
+export async function tagScrap(scrapId, changes, options) {
+  const scrap = await loadScrapOrExit(scrapId);
+  const field = options.concept ? "concept_tags" : "tags";
+  const next = applyTagChanges(scrap[field], changes);
+
+  const unchanged = JSON.stringify(next) === JSON.stringify(scrap[field] || []);
+  await applyPatch(scrap, unchanged ? {} : { [field]: next }, options);
+}
+
+/**
+ * set command
+ */
+export async function setScrapField(scrapId, field, rawValue, options) {
+  let value;
+  try {
+    value = parseFieldValue(field, rawValue);
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+
+  const scrap = await loadScrapOrExit(scrapId);
+  const unchanged = JSON.stringify(scrap[field] ?? null) === JSON.stringify(value);
+  await applyPatch(scrap, unchanged ? {} : { [field]: value }, options);
+}
+
+/**
+ * rm command
+ */
+export async function removeScrap(scrapId, options) {
+  const log = options.json ? console.error : console.log;
+  const scrap = await loadScrapOrExit(scrapId);
+
+  log(`Delete ${scrap.scrap_id}: ${scrap.title || scrap.url || "[no title]"}`);
+
+  if (options.dryRun) {
+    log("Dry run - nothing deleted");
+    if (options.json) console.log(JSON.stringify(scrap, null, 2));
+    return;
+  }
+
+  if (!(await confirm("Delete this scrap?", options))) {
+    log("Cancelled");
+    process.exitCode = 1;
+    return;
+  }
+
+  await deleteScrap(scrap.scrap_id);
+  if (options.json) {
+    console.log(JSON.stringify(scrap, null, 2));
+  } else {
+    log(`✓ Deleted ${scrap.scrap_id}`);
+  }
+}
+
+/**
+ * triage command: mark scraps unread/reading/done/archived, star, snooze or wake them
+ * @param {string} action - One of TRIAGE_ACTIONS
+ * @param {string[]} scrapIds
+ * @param {Object} options - { until, json }
+ */
+export async function triageScraps(action, scrapIds, options) {
+  const patch = triagePatch(action, options.until);
+  const scraps = [];
+  for (const scrapId of scrapIds) scraps.push(await loadScrapOrExit(scrapId));
+
+  const changed = setTriage(scraps, patch);
+  if (options.json) {
+    const states = scraps.map((scrap) => ({ scrap_id: scrap.scrap_id, ...triageOf(scrap) }));
+    console.log(JSON.stringify(states, null, 2));
+    return;
+  }
+
+  scraps.forEach((scrap) => {
+    const label = triageLabel(triageOf(scrap)) || "unread";
+    console.log(`${scrap.scrap_id}  ${label}  ${scrap.title || scrap.url || ""}`);
+  });
+  console.log(`${changed} of ${scraps.length} scrap${scraps.length === 1 ? "" : "s"} changed`);
+}
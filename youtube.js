@@ -3,7 +3,8 @@
  * Integrated into main scrapbook-cli as `scrapbook-cli youtube` commands
  */
 
-import { loadBookmarks, queryByEntity } from './database.js';
+import { loadBookmarks } from './database.js';
+import { parseQuery, createClause, filterByQuery } from './query.js';
 import fs from 'fs';
 import { spawn } from 'child_process';
 import path from 'path';
@@ -22,49 +23,59 @@ function filterYouTube(bookmarks) {
 }
 
 /**
- * Apply filters to bookmarks
+ * Append the YouTube links among some scraps to a yt-dlp playlist file,
+ * skipping ones it already lists
+ * @param {Object[]} scraps
+ * @param {string} file - Playlist path (created if missing)
+ * @returns {Object} { file, added, duplicates, skipped } - skipped = not YouTube
  */
-async function applyFilters(bookmarks, options) {
-  let filtered = bookmarks;
-
-  // Entity filter
-  if (options.entity) {
-    const entityData = await queryByEntity(options.entity);
-    const scrapIds = new Set(entityData.scraps.map(s => s.scrap_id));
-    filtered = filtered.filter(b => scrapIds.has(b.scrap_id));
+export function appendToPlaylist(scraps, file) {
+  const outputPath = path.resolve(file);
+  const videos = filterYouTube(scraps);
+  const existing = fs.existsSync(outputPath)
+    ? fs.readFileSync(outputPath, 'utf8').split('\n').map(line => line.trim()).filter(Boolean)
+    : [];
+  const known = new Set(existing);
+  const urls = [...new Set(videos.map(b => b.url))].filter(url => !known.has(url));
+
+  if (urls.length > 0) {
+    fs.writeFileSync(outputPath, [...existing, ...urls].join('\n') + '\n');
   }
 
-  // Tag filter
-  if (options.tag && options.tag.length > 0) {
-    filtered = filtered.filter(b =>
-      b.tags && options.tag.some(tag =>
-        b.tags.some(t => t.toLowerCase().includes(tag.toLowerCase()))
-      )
-    );
-  }
+  return {
+    file: outputPath,
+    added: urls.length,
+    duplicates: videos.length - urls.length,
+    skipped: scraps.length - videos.length
+  };
+}
 
-  // Search filter
-  if (options.search) {
-    const query = options.search.toLowerCase();
-    filtered = filtered.filter(b =>
-      (b.title && b.title.toLowerCase().includes(query)) ||
-      (b.summary && b.summary.toLowerCase().includes(query)) ||
-      (b.content && b.content.toLowerCase().includes(query))
-    );
-  }
+/**
+ * Build a query from --where plus the shorthand filter options
+ * (--tag, --entity, --search, --after, --before)
+ */
+function buildQuery(options) {
+  const query = parseQuery(options.where || '');
 
-  // Date filters
-  if (options.after) {
-    const afterDate = new Date(options.after);
-    filtered = filtered.filter(b => new Date(b.created_at) > afterDate);
-  }
+  if (options.entity) query.clauses.push(createClause('entity', options.entity));
+  if (options.tag && options.tag.length > 0) query.clauses.push(createClause('tag', options.tag));
+  if (options.search) query.clauses.push(createClause('text', options.search));
+  if (options.after) query.clauses.push(createClause('after', options.after));
+  if (options.before) query.clauses.push(createClause('before', options.before));
 
-  if (options.before) {
-    const beforeDate = new Date(options.before);
-    filtered = filtered.filter(b => new Date(b.created_at) < beforeDate);
-  }
+  return query;
+}
 
-  return filtered;
+/**
+ * Apply filters to bookmarks
+ */
+function applyFilters(bookmarks, options) {
+  try {
+    return filterByQuery(bookmarks, buildQuery(options), { rank: false });
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
 }
 
 /**
@@ -78,7 +89,7 @@ export async function generatePlaylist(options) {
   console.log(`🎥 Found ${bookmarks.length} YouTube bookmarks`);
 
   // Apply filters
-  bookmarks = await applyFilters(bookmarks, options);
+  bookmarks = applyFilters(bookmarks, options);
 
   if (bookmarks.length === 0) {
     console.log('❌ No videos found matching criteria');
@@ -137,7 +148,7 @@ export async function downloadVideos(options) {
   console.log('📚 Loading and filtering bookmarks...');
   let bookmarks = await loadBookmarks();
   bookmarks = filterYouTube(bookmarks);
-  bookmarks = await applyFilters(bookmarks, options);
+  bookmarks = applyFilters(bookmarks, options);
 
   if (bookmarks.length === 0) {
     console.log('❌ No videos found');
@@ -194,7 +205,7 @@ export async function transcribeVideos(options) {
 
   let bookmarks = await loadBookmarks();
   bookmarks = filterYouTube(bookmarks);
-  bookmarks = await applyFilters(bookmarks, options);
+  bookmarks = applyFilters(bookmarks, options);
 
   console.log(`✅ Found ${bookmarks.length} videos to transcribe\n`);
 